@@ -0,0 +1,7 @@
+// Catch-all Pages Function for /album/* routes
+// Serves albumview.html while preserving the original URL (so JS can extract the slug)
+export async function onRequest(context) {
+  const url = new URL(context.request.url);
+  url.pathname = '/albumview.html';
+  return context.env.ASSETS.fetch(url);
+}
@@ -1,7 +1,11 @@
 // Catch-all Pages Function for /composer/* routes
-// Serves composerview.html while preserving the original URL (so JS can extract the slug)
+// Serves composerview.html while preserving the original URL (so JS can extract the slug),
+// filled in from D1 when the project has the database bound as DB (see worker/ssr.js)
+import { renderPage } from '../../worker/ssr.js';
+
 export async function onRequest(context) {
   const url = new URL(context.request.url);
-  url.pathname = '/composerview.html';
-  return context.env.ASSETS.fetch(url);
+  const shellUrl = new URL(url);
+  shellUrl.pathname = '/composerview.html';
+  return renderPage(await context.env.ASSETS.fetch(shellUrl), url, context.env.DB);
 }
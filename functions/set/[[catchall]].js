@@ -0,0 +1,7 @@
+// Catch-all Pages Function for /set/* routes
+// Serves setlists.html while preserving the original URL (so JS can extract the code)
+export async function onRequest(context) {
+  const url = new URL(context.request.url);
+  url.pathname = '/setlists.html';
+  return context.env.ASSETS.fetch(url);
+}
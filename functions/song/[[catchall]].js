@@ -1,7 +1,11 @@
 // Catch-all Pages Function for /song/* routes
-// Serves songview.html while preserving the original URL (so JS can extract the slug)
+// Serves songview.html while preserving the original URL (so JS can extract the slug),
+// filled in from D1 when the project has the database bound as DB (see worker/ssr.js)
+import { renderPage } from '../../worker/ssr.js';
+
 export async function onRequest(context) {
   const url = new URL(context.request.url);
-  url.pathname = '/songview.html';
-  return context.env.ASSETS.fetch(url);
+  const shellUrl = new URL(url);
+  shellUrl.pathname = '/songview.html';
+  return renderPage(await context.env.ASSETS.fetch(shellUrl), url, context.env.DB);
 }
@@ -0,0 +1,29 @@
+-- ╔══════════════════════════════════════════════════════════════╗
+-- ║  MaraLyrics — 0002 Admin users, roles & sessions             ║
+-- ╚══════════════════════════════════════════════════════════════╝
+
+-- Admin users (passwords stored as PBKDF2 hashes, see worker/auth.js)
+CREATE TABLE IF NOT EXISTS users (
+    id              INTEGER PRIMARY KEY AUTOINCREMENT,
+    username        TEXT UNIQUE NOT NULL COLLATE NOCASE,
+    password_hash   TEXT NOT NULL,
+    display_name    TEXT,
+    role            TEXT NOT NULL DEFAULT 'viewer'
+                    CHECK (role IN ('owner', 'editor', 'moderator', 'viewer')),
+    last_login_at   DATETIME,
+    created_at      DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Admin sessions (only the SHA-256 of the cookie token is stored)
+CREATE TABLE IF NOT EXISTS sessions (
+    id          INTEGER PRIMARY KEY AUTOINCREMENT,
+    token_hash  TEXT UNIQUE NOT NULL,
+    user_id     INTEGER NOT NULL,
+    user_agent  TEXT,
+    expires_at  DATETIME NOT NULL,
+    created_at  DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON sessions(expires_at);
@@ -0,0 +1,21 @@
+-- ╔══════════════════════════════════════════════════════════════╗
+-- ║  MaraLyrics — 0003 Audit log                                 ║
+-- ╚══════════════════════════════════════════════════════════════╝
+
+-- Admin activity: one row per create/update/delete, with JSON snapshots.
+-- user_id is deliberately not a foreign key so history survives user removal.
+CREATE TABLE IF NOT EXISTS audit_log (
+    id           INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id      INTEGER,
+    username     TEXT,
+    action       TEXT NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+    entity_type  TEXT NOT NULL,
+    entity_id    INTEGER,
+    before_json  TEXT,
+    after_json   TEXT,
+    created_at   DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_user_id ON audit_log(user_id);
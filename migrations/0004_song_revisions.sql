@@ -0,0 +1,20 @@
+-- ╔══════════════════════════════════════════════════════════════╗
+-- ║  MaraLyrics — 0004 Song revisions                            ║
+-- ╚══════════════════════════════════════════════════════════════╝
+
+-- Numbered copies of a song's title, lyrics, category and credits, one per save.
+-- song_id is not a foreign key so the history outlives a deleted song.
+CREATE TABLE IF NOT EXISTS song_revisions (
+    id            INTEGER PRIMARY KEY AUTOINCREMENT,
+    song_id       INTEGER NOT NULL,
+    revision      INTEGER NOT NULL,
+    title         TEXT NOT NULL,
+    lyrics        TEXT NOT NULL,
+    category      TEXT,
+    credits_json  TEXT,
+    user_id       INTEGER,
+    username      TEXT,
+    note          TEXT,
+    created_at    DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (song_id, revision)
+);
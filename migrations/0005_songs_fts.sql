@@ -0,0 +1,19 @@
+-- ╔══════════════════════════════════════════════════════════════╗
+-- ║  MaraLyrics — 0005 Full-text search index                    ║
+-- ╚══════════════════════════════════════════════════════════════╝
+
+-- One row per song (rowid = songs.id), kept current by the writers in
+-- worker/db.js. first_line is indexed separately so it can be weighted
+-- above the rest of the lyrics. M* is added to the token categories so
+-- Myanmar-script vowel signs stay inside their words.
+CREATE VIRTUAL TABLE IF NOT EXISTS songs_fts USING fts5(
+    title,
+    first_line,
+    lyrics,
+    artist,
+    composer,
+    tokenize = "unicode61 remove_diacritics 2 categories 'L* N* Co M*'"
+);
+
+-- Left empty here: the rows are normalize.js / lyrics.js output, which SQL
+-- cannot produce, so worker/db.js builds the index on first use.
@@ -0,0 +1,9 @@
+-- ╔══════════════════════════════════════════════════════════════╗
+-- ║  MaraLyrics — 0006 Song language                             ║
+-- ╚══════════════════════════════════════════════════════════════╝
+
+-- Language of the lyrics as a locale code (mrh = Mara, my = Burmese,
+-- en = English). NULL until an editor sets it; search can filter on it.
+ALTER TABLE songs ADD COLUMN language TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_songs_language ON songs(language);
@@ -0,0 +1,67 @@
+-- ╔══════════════════════════════════════════════════════════════╗
+-- ║  MaraLyrics — 0007 Many-to-many song credits                 ║
+-- ╚══════════════════════════════════════════════════════════════╝
+
+-- songs.artist_id / composer_id become rows in song_credits, so a song can
+-- credit several people (duets, choir plus soloist, separate lyricist …).
+-- SQLite cannot drop columns that are foreign keys, so songs is rebuilt
+-- with the same ids; songs_fts (rowid = songs.id) stays valid.
+
+PRAGMA defer_foreign_keys = true;
+
+ALTER TABLE songs RENAME TO songs_old;
+
+CREATE TABLE songs (
+    id                  INTEGER PRIMARY KEY AUTOINCREMENT,
+    title               TEXT NOT NULL,
+    slug                TEXT UNIQUE NOT NULL,
+    copyright_owner_id  INTEGER,
+    category            TEXT,
+    language            TEXT,
+    lyrics              TEXT NOT NULL,
+    views               INTEGER DEFAULT 0,
+    created_at          DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (copyright_owner_id) REFERENCES copyright_owners(id) ON DELETE SET NULL
+);
+
+INSERT INTO songs (id, title, slug, copyright_owner_id, category, language, lyrics, views, created_at)
+SELECT id, title, slug, copyright_owner_id, category, language, lyrics, views, created_at
+FROM songs_old;
+
+-- One row per person and role. A credit points at either an artist or a
+-- composer; position orders the credits of a song for display.
+CREATE TABLE song_credits (
+    id           INTEGER PRIMARY KEY AUTOINCREMENT,
+    song_id      INTEGER NOT NULL,
+    artist_id    INTEGER,
+    composer_id  INTEGER,
+    role         TEXT NOT NULL
+                 CHECK (role IN ('performer', 'featured', 'composer', 'lyricist', 'arranger', 'translator')),
+    position     INTEGER NOT NULL DEFAULT 0,
+    CHECK ((artist_id IS NULL) <> (composer_id IS NULL)),
+    FOREIGN KEY (song_id) REFERENCES songs(id) ON DELETE CASCADE,
+    FOREIGN KEY (artist_id) REFERENCES artists(id) ON DELETE CASCADE,
+    FOREIGN KEY (composer_id) REFERENCES composers(id) ON DELETE CASCADE
+);
+
+INSERT INTO song_credits (song_id, artist_id, role, position)
+SELECT id, artist_id, 'performer', 0 FROM songs_old
+WHERE artist_id IN (SELECT id FROM artists);
+
+INSERT INTO song_credits (song_id, composer_id, role, position)
+SELECT id, composer_id, 'composer', 1 FROM songs_old
+WHERE composer_id IN (SELECT id FROM composers);
+
+-- Dropped before the indexes are recreated: its indexes still hold the names
+DROP TABLE songs_old;
+
+CREATE INDEX IF NOT EXISTS idx_songs_slug       ON songs(slug);
+CREATE INDEX IF NOT EXISTS idx_songs_title      ON songs(title);
+CREATE INDEX IF NOT EXISTS idx_songs_category   ON songs(category);
+CREATE INDEX IF NOT EXISTS idx_songs_views      ON songs(views DESC);
+CREATE INDEX IF NOT EXISTS idx_songs_language   ON songs(language);
+CREATE INDEX IF NOT EXISTS idx_songs_copyright_owner_id ON songs(copyright_owner_id);
+
+CREATE INDEX IF NOT EXISTS idx_song_credits_song     ON song_credits(song_id, position);
+CREATE INDEX IF NOT EXISTS idx_song_credits_artist   ON song_credits(artist_id);
+CREATE INDEX IF NOT EXISTS idx_song_credits_composer ON song_credits(composer_id);
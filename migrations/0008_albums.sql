@@ -0,0 +1,36 @@
+-- ╔══════════════════════════════════════════════════════════════╗
+-- ║  MaraLyrics — 0008 Albums and hymnbook collections           ║
+-- ╚══════════════════════════════════════════════════════════════╝
+
+-- An album, hymnal or other printed/recorded collection of songs.
+-- The publisher is a copyright owner (label, church or publishing house).
+CREATE TABLE IF NOT EXISTS albums (
+    id              INTEGER PRIMARY KEY AUTOINCREMENT,
+    title           TEXT NOT NULL,
+    slug            TEXT UNIQUE NOT NULL,
+    kind            TEXT NOT NULL DEFAULT 'album'
+                    CHECK (kind IN ('album', 'hymnal', 'collection')),
+    year            INTEGER,
+    cover_url       TEXT,
+    publisher_id    INTEGER,
+    description     TEXT,
+    created_at      DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (publisher_id) REFERENCES copyright_owners(id) ON DELETE SET NULL
+);
+
+-- Songs of an album in order. number is the track or hymn number as
+-- printed, which need not follow position (a hymnal excerpt, bonus tracks).
+CREATE TABLE IF NOT EXISTS album_songs (
+    album_id    INTEGER NOT NULL,
+    song_id     INTEGER NOT NULL,
+    position    INTEGER NOT NULL DEFAULT 0,
+    number      INTEGER,
+    PRIMARY KEY (album_id, song_id),
+    FOREIGN KEY (album_id) REFERENCES albums(id) ON DELETE CASCADE,
+    FOREIGN KEY (song_id) REFERENCES songs(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_albums_kind       ON albums(kind);
+CREATE INDEX IF NOT EXISTS idx_albums_publisher  ON albums(publisher_id);
+CREATE INDEX IF NOT EXISTS idx_album_songs_order ON album_songs(album_id, position);
+CREATE INDEX IF NOT EXISTS idx_album_songs_song  ON album_songs(song_id);
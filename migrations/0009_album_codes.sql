@@ -0,0 +1,9 @@
+-- ╔══════════════════════════════════════════════════════════════╗
+-- ║  MaraLyrics — 0009 Short codes for hymn number lookup        ║
+-- ╚══════════════════════════════════════════════════════════════╝
+
+-- The abbreviation a congregation uses for a hymnal ("MH" in "MH 245").
+-- Optional; compared case-insensitively, so the index is too.
+ALTER TABLE albums ADD COLUMN code TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_albums_code ON albums(code COLLATE NOCASE);
@@ -0,0 +1,16 @@
+-- ╔══════════════════════════════════════════════════════════════╗
+-- ║  MaraLyrics — 0010 Parallel lyric translations               ║
+-- ╚══════════════════════════════════════════════════════════════╝
+
+-- songs.lyrics stays the original text in songs.language; each row here
+-- is the same song in another language, with its own (optional) title.
+-- language uses the front-end locale codes (I18n SUPPORTED_LANGS).
+CREATE TABLE IF NOT EXISTS song_translations (
+    song_id     INTEGER NOT NULL,
+    language    TEXT NOT NULL CHECK (language IN ('mrh', 'my', 'en')),
+    title       TEXT,
+    lyrics      TEXT NOT NULL,
+    updated_at  DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (song_id, language),
+    FOREIGN KEY (song_id) REFERENCES songs(id) ON DELETE CASCADE
+);
@@ -0,0 +1,15 @@
+-- ╔══════════════════════════════════════════════════════════════╗
+-- ║  MaraLyrics — 0011 Timed lyrics (LRC)                        ║
+-- ╚══════════════════════════════════════════════════════════════╝
+
+-- Line timestamps for singing along, kept as the LRC text they were
+-- imported from so it exports unchanged. media_url is the recording the
+-- stamps were taken against (an audio or video file); without one the
+-- song page runs the lines from its own clock.
+CREATE TABLE IF NOT EXISTS song_timings (
+    song_id     INTEGER PRIMARY KEY,
+    lrc         TEXT NOT NULL,
+    media_url   TEXT,
+    updated_at  DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (song_id) REFERENCES songs(id) ON DELETE CASCADE
+);
@@ -0,0 +1,27 @@
+-- ╔══════════════════════════════════════════════════════════════╗
+-- ║  MaraLyrics — 0012 Song recordings                           ║
+-- ╚══════════════════════════════════════════════════════════════╝
+
+-- Recordings of a song: YouTube / Vimeo / SoundCloud links (url), or an
+-- audio file uploaded to the MEDIA bucket (media_key, served at
+-- /api/media/<key>). At most one primary per song; it is the one the song
+-- page offers first.
+CREATE TABLE IF NOT EXISTS song_media (
+    id            INTEGER PRIMARY KEY AUTOINCREMENT,
+    song_id       INTEGER NOT NULL,
+    type          TEXT NOT NULL CHECK (type IN ('youtube', 'vimeo', 'soundcloud', 'audio')),
+    title         TEXT,
+    url           TEXT,
+    media_key     TEXT,
+    content_type  TEXT,
+    size          INTEGER,
+    is_primary    INTEGER NOT NULL DEFAULT 0,
+    position      INTEGER NOT NULL DEFAULT 0,
+    created_at    DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (song_id) REFERENCES songs(id) ON DELETE CASCADE,
+    CHECK ((type = 'audio') = (media_key IS NOT NULL)),
+    CHECK (type = 'audio' OR url IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_song_media_song ON song_media(song_id, position);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_song_media_primary ON song_media(song_id) WHERE is_primary = 1;
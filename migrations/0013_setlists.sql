@@ -0,0 +1,37 @@
+-- ╔══════════════════════════════════════════════════════════════╗
+-- ║  MaraLyrics — 0013 Setlists                                  ║
+-- ╚══════════════════════════════════════════════════════════════╝
+
+-- Ordered song lists for a service, shared at /set/<code>. A list saved by
+-- a signed-in user belongs to them (user_id); one shared anonymously has
+-- no owner and is edited with a token that only its creator holds (only
+-- the SHA-256 of the token is stored, like session tokens).
+CREATE TABLE IF NOT EXISTS setlists (
+    id          INTEGER PRIMARY KEY AUTOINCREMENT,
+    code        TEXT UNIQUE NOT NULL,
+    user_id     INTEGER,
+    token_hash  TEXT,
+    title       TEXT NOT NULL,
+    notes       TEXT,
+    created_at  DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at  DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    CHECK ((user_id IS NULL) = (token_hash IS NOT NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_setlists_user ON setlists(user_id, updated_at);
+
+-- Songs of a setlist in order, each with the key it is played in and
+-- notes for the band ("skip verse 2", "slow ending")
+CREATE TABLE IF NOT EXISTS setlist_songs (
+    setlist_id  INTEGER NOT NULL,
+    song_id     INTEGER NOT NULL,
+    position    INTEGER NOT NULL,
+    song_key    TEXT,
+    notes       TEXT,
+    PRIMARY KEY (setlist_id, position),
+    FOREIGN KEY (setlist_id) REFERENCES setlists(id) ON DELETE CASCADE,
+    FOREIGN KEY (song_id) REFERENCES songs(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_setlist_songs_song ON setlist_songs(song_id);
@@ -0,0 +1,13 @@
+-- ╔══════════════════════════════════════════════════════════════╗
+-- ║  MaraLyrics — 0014 Song change times                         ║
+-- ╚══════════════════════════════════════════════════════════════╝
+
+-- When a song last changed as the offline catalogue sends it: its own
+-- columns, credits, translations, a renamed artist / composer / copyright
+-- owner or a new hymn number. Set by db.js (ALTER TABLE cannot add a
+-- CURRENT_TIMESTAMP default), so view counts do not touch it.
+ALTER TABLE songs ADD COLUMN updated_at DATETIME;
+
+UPDATE songs SET updated_at = COALESCE(created_at, CURRENT_TIMESTAMP);
+
+CREATE INDEX IF NOT EXISTS idx_songs_updated_at ON songs(updated_at);
@@ -0,0 +1,35 @@
+-- ╔══════════════════════════════════════════════════════════════╗
+-- ║  MaraLyrics — 0015 Change tracking                           ║
+-- ╚══════════════════════════════════════════════════════════════╝
+
+-- updated_at on every public catalogue table (songs has it since 0014),
+-- and a tombstone per deleted row, so GET /api/changes can tell offline
+-- copies and mirror sites what was created, updated or deleted since they
+-- last looked. Both are written by db.js on each admin write.
+ALTER TABLE artists ADD COLUMN updated_at DATETIME;
+ALTER TABLE composers ADD COLUMN updated_at DATETIME;
+ALTER TABLE copyright_owners ADD COLUMN updated_at DATETIME;
+ALTER TABLE albums ADD COLUMN updated_at DATETIME;
+
+UPDATE artists SET updated_at = COALESCE(created_at, CURRENT_TIMESTAMP);
+UPDATE composers SET updated_at = COALESCE(created_at, CURRENT_TIMESTAMP);
+UPDATE copyright_owners SET updated_at = COALESCE(created_at, CURRENT_TIMESTAMP);
+UPDATE albums SET updated_at = COALESCE(created_at, CURRENT_TIMESTAMP);
+
+CREATE INDEX IF NOT EXISTS idx_artists_updated_at ON artists(updated_at);
+CREATE INDEX IF NOT EXISTS idx_composers_updated_at ON composers(updated_at);
+CREATE INDEX IF NOT EXISTS idx_copyright_owners_updated_at ON copyright_owners(updated_at);
+CREATE INDEX IF NOT EXISTS idx_albums_updated_at ON albums(updated_at);
+
+-- One row per deleted song, artist, composer, copyright owner or album.
+-- entity_type uses the audit log's names; ids are never reused
+-- (AUTOINCREMENT), slugs may be.
+CREATE TABLE IF NOT EXISTS tombstones (
+    id           INTEGER PRIMARY KEY AUTOINCREMENT,
+    entity_type  TEXT NOT NULL,
+    entity_id    INTEGER NOT NULL,
+    slug         TEXT,
+    deleted_at   DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_tombstones_deleted_at ON tombstones(deleted_at);
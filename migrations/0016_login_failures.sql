@@ -0,0 +1,14 @@
+-- ╔══════════════════════════════════════════════════════════════╗
+-- ║  MaraLyrics — 0016 Failed login attempts                     ║
+-- ╚══════════════════════════════════════════════════════════════╝
+
+-- Failed admin logins per client IP, so the login rate limit holds across
+-- every Worker isolate (an in-memory count resets with each one).
+-- A window starts at the first failure and lasts LOGIN_WINDOW in db.js.
+CREATE TABLE IF NOT EXISTS login_failures (
+    ip          TEXT PRIMARY KEY,
+    count       INTEGER NOT NULL DEFAULT 1,
+    first_at    DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_failures_first_at ON login_failures(first_at);
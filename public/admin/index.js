@@ -16,9 +16,23 @@ let allSongs = [];
 let allArtists = [];
 let allComposers = [];
 let deleteTargetId = null;
-let deleteTargetType = 'song'; // 'song' | 'artist' | 'composer' | 'report'
+let deleteTargetType = 'song'; // 'song' | 'artist' | 'composer' | 'album' | 'report' | 'user'
 let allReports = [];
 let allCopyrightOwners = [];
+let allAlbums = [];
+let albumSongChoices = [];  // every song as { id, title }, for the album song picker
+let allUsers = [];
+let editingSong = null;   // song as last saved, for revision diffs
+const CREDIT_ROLES = {
+  performer: 'Performer',
+  featured: 'Featured',
+  composer: 'Composer',
+  lyricist: 'Lyricist',
+  arranger: 'Arranger',
+  translator: 'Translator',
+};
+let songRevisions = [];
+let currentUser = null;
 
 // Helpers
 function escapeHtml(str) {
@@ -51,8 +65,18 @@ function generateSlug(text) {
 }
 
 // ─── API Calls ──────────────────────────────────
+/** Send the session cookie with every call; a 401 means the session is gone. */
+async function apiFetch(url, options = {}) {
+  const res = await fetch(url, { credentials: 'include', ...options });
+  if (res.status === 401) {
+    showLogin();
+    throw new Error('Session expired. Please log in again.');
+  }
+  return res;
+}
+
 async function apiGet(url) {
-  const res = await fetch(url);
+  const res = await apiFetch(url);
   if (!res.ok) {
     const data = await res.json().catch(() => ({}));
     throw new Error(data.error || `Error ${res.status}`);
@@ -61,7 +85,7 @@ async function apiGet(url) {
 }
 
 async function apiPost(url, body) {
-  const res = await fetch(url, {
+  const res = await apiFetch(url, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify(body),
@@ -72,7 +96,7 @@ async function apiPost(url, body) {
 }
 
 async function apiPut(url, body) {
-  const res = await fetch(url, {
+  const res = await apiFetch(url, {
     method: 'PUT',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify(body),
@@ -83,12 +107,105 @@ async function apiPut(url, body) {
 }
 
 async function apiDelete(url) {
-  const res = await fetch(url, { method: 'DELETE' });
+  const res = await apiFetch(url, { method: 'DELETE' });
   const data = await res.json();
   if (!res.ok) throw new Error(data.error || `Error ${res.status}`);
   return data;
 }
 
+// ─── Session / Login ────────────────────────────
+function showLogin() {
+  currentUser = null;
+  document.querySelectorAll('.modal').forEach(m => m.style.display = 'none');
+  document.body.style.overflow = '';
+  document.getElementById('adminMain').style.display = 'none';
+  document.getElementById('adminUser').style.display = 'none';
+  document.getElementById('loginView').style.display = 'flex';
+  document.getElementById('loginUsername').focus();
+}
+
+function showDashboard(user) {
+  currentUser = user;
+  document.getElementById('loginView').style.display = 'none';
+  document.getElementById('adminMain').style.display = 'block';
+  document.getElementById('adminUser').style.display = 'inline-flex';
+  document.getElementById('adminUserName').textContent = user.display_name || user.username;
+  applyPermissions();
+  switchTab('songs');
+  loadSongs(currentPage);
+  populateDropdowns();
+}
+
+// ─── Permissions ────────────────────────────────
+// The server enforces every permission; this only hides what would be refused.
+function can(permission) {
+  return !!currentUser && (currentUser.permissions || []).includes(permission);
+}
+
+function applyPermissions() {
+  document.querySelectorAll('[data-perm]').forEach(el => {
+    el.style.display = can(el.dataset.perm) ? '' : 'none';
+  });
+}
+
+function showLoginMessage(text, isError = false) {
+  const el = document.getElementById('loginMessage');
+  el.textContent = text;
+  el.className = 'form-message ' + (isError ? 'form-message--error' : 'form-message--success');
+  el.style.display = 'block';
+}
+
+async function checkSession() {
+  try {
+    const res = await fetch(`${ADMIN_API}/me`, { credentials: 'include' });
+    if (!res.ok) { showLogin(); return; }
+    const data = await res.json();
+    showDashboard(data.user);
+  } catch (err) {
+    showLogin();
+    showLoginMessage('Cannot reach the server: ' + err.message, true);
+  }
+}
+
+async function login(e) {
+  e.preventDefault();
+
+  const username = document.getElementById('loginUsername').value.trim();
+  const password = document.getElementById('loginPassword').value;
+  if (!username || !password) { showLoginMessage('Username and password are required.', true); return; }
+
+  const btn = document.getElementById('btnLogin');
+  btn.disabled = true;
+  btn.textContent = 'Logging in...';
+
+  try {
+    const res = await fetch(`${ADMIN_API}/login`, {
+      method: 'POST',
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password }),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || `Error ${res.status}`);
+
+    document.getElementById('loginForm').reset();
+    document.getElementById('loginMessage').style.display = 'none';
+    showDashboard(data.user);
+  } catch (err) {
+    showLoginMessage(err.message, true);
+  } finally {
+    btn.disabled = false;
+    btn.textContent = 'Log in';
+  }
+}
+
+async function logout() {
+  try {
+    await apiPost(`${ADMIN_API}/logout`, {});
+  } catch { /* session may already be gone */ }
+  showLogin();
+}
+
 // ─── Tab Switching ──────────────────────────────
 function switchTab(tab) {
   document.querySelectorAll('.admin__tab').forEach(t => t.classList.toggle('active', t.dataset.tab === tab));
@@ -100,9 +217,12 @@ function switchTab(tab) {
   if (tab === 'composers') loadComposers();
   if (tab === 'reports') loadReports();
   if (tab === 'copyright-owners') loadCopyrightOwners();
+  if (tab === 'albums') loadAlbums();
+  if (tab === 'users') loadUsers();
+  if (tab === 'activity') { populateAuditUsers(); loadAuditLog(1); }
 }
 
-// ─── Populate Artist/Composer Dropdowns ─────────
+// ─── Populate Artist/Composer/Owner Dropdowns ───
 async function populateDropdowns() {
   try {
     const [aData, cData, coData] = await Promise.all([
@@ -117,18 +237,8 @@ async function populateDropdowns() {
     console.warn('Failed to load dropdowns:', err);
   }
 
-  const artistSel = document.getElementById('formArtist');
-  const composerSel = document.getElementById('formComposer');
   const coSel = document.getElementById('formCopyrightOwner');
 
-  if (artistSel) {
-    artistSel.innerHTML = '<option value="">— None —</option>' +
-      allArtists.map(a => `<option value="${a.id}">${escapeHtml(a.name)}</option>`).join('');
-  }
-  if (composerSel) {
-    composerSel.innerHTML = '<option value="">— None —</option>' +
-      allComposers.map(c => `<option value="${c.id}">${escapeHtml(c.name)}</option>`).join('');
-  }
   if (coSel) {
     coSel.innerHTML = '<option value="">— None —</option>' +
       allCopyrightOwners.map(co => `<option value="${co.id}">${escapeHtml(co.name)}</option>`).join('');
@@ -161,7 +271,7 @@ function renderSongsTable(songs) {
   const tbody = document.getElementById('songsTableBody');
 
   if (!songs.length) {
-    tbody.innerHTML = '<tr><td colspan="7" class="admin-table__empty">No songs found. Click "+ New Song" to add one.</td></tr>';
+    tbody.innerHTML = `<tr><td colspan="7" class="admin-table__empty">No songs found.${can('songs.create') ? ' Click "+ New Song" to add one.' : ''}</td></tr>`;
     return;
   }
 
@@ -178,8 +288,8 @@ function renderSongsTable(songs) {
       <td>${formatDate(song.created_at)}</td>
       <td>
         <div class="admin-table__actions">
-          <button class="btn btn--sm btn--ghost" onclick="editSong(${song.id})" title="Edit">✏️</button>
-          <button class="btn btn--sm btn--ghost btn--danger-text" onclick="confirmDelete(${song.id}, '${escapeHtml(song.title).replace(/'/g, "\\'")}', 'song')" title="Delete">🗑️</button>
+          ${can('songs.update') ? `<button class="btn btn--sm btn--ghost" onclick="editSong(${song.id})" title="Edit">✏️</button>` : ''}
+          ${can('songs.delete') ? `<button class="btn btn--sm btn--ghost btn--danger-text" onclick="confirmDelete(${song.id}, '${escapeHtml(song.title).replace(/'/g, "\\'")}', 'song')" title="Delete">🗑️</button>` : ''}
           <a href="../song/${escapeHtml(song.slug)}" target="_blank" class="btn btn--sm btn--ghost" title="View">👁️</a>
         </div>
       </td>
@@ -232,8 +342,17 @@ function closeSongModal() {
 }
 function clearSongForm() {
   document.getElementById('songForm').reset();
+  document.getElementById('creditRows').innerHTML = '';
+  document.getElementById('mediaRows').innerHTML = '';
+  toggleSectionEditor(false);
+  document.querySelectorAll('#translationFields .translation').forEach(el => { el.open = false; });
+  syncTranslationFields();
   document.getElementById('formSongId').value = '';
   document.getElementById('formMessage').style.display = 'none';
+  document.getElementById('songHistory').style.display = 'none';
+  document.getElementById('revisionDiff').style.display = 'none';
+  editingSong = null;
+  songRevisions = [];
 }
 function showFormMessage(text, isError = false) {
   const el = document.getElementById('formMessage');
@@ -242,13 +361,14 @@ function showFormMessage(text, isError = false) {
   el.style.display = 'block';
 }
 
-function openNewSong() {
+async function openNewSong() {
   clearSongForm();
   document.getElementById('modalTitle').textContent = 'New Song';
   document.getElementById('btnSubmit').textContent = 'Create Song';
-  populateDropdowns();
   openSongModal();
   document.getElementById('formTitle').focus();
+  await populateDropdowns();
+  addCreditRow();
 }
 
 async function editSong(id) {
@@ -262,12 +382,18 @@ async function editSong(id) {
     const song = await apiGet(`${ADMIN_API}/song/${id}`);
     document.getElementById('formSongId').value = song.id;
     document.getElementById('formTitle').value = song.title || '';
-    document.getElementById('formArtist').value = song.artist_id || '';
-    document.getElementById('formComposer').value = song.composer_id || '';
+    (song.credits || []).forEach(c => addCreditRow(c));
     document.getElementById('formCategory').value = song.category || '';
+    document.getElementById('formLanguage').value = song.language || '';
     document.getElementById('formCopyrightOwner').value = song.copyright_owner_id || '';
     document.getElementById('formSlug').value = song.slug || '';
     document.getElementById('formLyrics').value = song.lyrics || '';
+    fillTranslations(song.translations || []);
+    (song.media || []).forEach(m => addMediaRow(m));
+    document.getElementById('formLrc').value = song.lrc || '';
+    document.getElementById('formLrcMedia').value = song.lrc_media_url || '';
+    editingSong = song;
+    loadRevisions(song.id);
   } catch (err) {
     showFormMessage('Failed to load song: ' + err.message, true);
   }
@@ -278,22 +404,30 @@ async function saveSong(e) {
 
   const id = document.getElementById('formSongId').value;
   const title = document.getElementById('formTitle').value.trim();
-  const artist_id = document.getElementById('formArtist').value || null;
-  const composer_id = document.getElementById('formComposer').value || null;
+  const credits = readCredits();
   const copyright_owner_id = document.getElementById('formCopyrightOwner').value || null;
   const category = document.getElementById('formCategory').value.trim();
+  const language = document.getElementById('formLanguage').value || null;
   const slug = document.getElementById('formSlug').value.trim();
   const lyrics = document.getElementById('formLyrics').value.trim();
+  const translations = readTranslations();
+  const media = readMedia();
+  const lrc = document.getElementById('formLrc').value.trim();
+  const lrc_media_url = document.getElementById('formLrcMedia').value.trim() || null;
 
   if (!title) { showFormMessage('Title is required.', true); return; }
   if (!lyrics) { showFormMessage('Lyrics are required.', true); return; }
+  if (document.querySelector('#mediaRows .media-row.is-uploading')) {
+    showFormMessage('Wait for the audio upload to finish.', true);
+    return;
+  }
 
   const btn = document.getElementById('btnSubmit');
   btn.disabled = true;
   btn.textContent = 'Saving...';
 
   try {
-    const body = { title, artist_id, composer_id, copyright_owner_id, category, slug, lyrics };
+    const body = { title, credits, translations, media, lrc, lrc_media_url, copyright_owner_id, category, language, slug, lyrics };
 
     if (id) {
       await apiPut(`${ADMIN_API}/song/${id}`, body);
@@ -315,6 +449,408 @@ async function saveSong(e) {
   }
 }
 
+// ─── Lyric Sections ─────────────────────────────
+// The section editor rewrites #formLyrics on every change, so saving
+// always reads the textarea whichever view is open.
+const SECTION_TYPE_LABELS = {
+  verse: 'Verse',
+  chorus: 'Chorus',
+  bridge: 'Bridge',
+  intro: 'Intro',
+  outro: 'Outro',
+};
+
+function toggleSectionEditor(open = document.getElementById('sectionEditor').hidden) {
+  const editor = document.getElementById('sectionEditor');
+  const textarea = document.getElementById('formLyrics');
+  if (open) {
+    document.getElementById('sectionRows').innerHTML = '';
+    window.Lyrics.parse(textarea.value).forEach(section => addSectionRow(section));
+    if (!editor.querySelector('.section-row')) addSectionRow();
+  }
+  editor.hidden = !open;
+  textarea.hidden = open;
+  // A hidden required field would block the form's own validation
+  textarea.required = !open;
+  document.getElementById('btnLyricsMode').textContent = open ? 'Edit as text' : 'Edit as sections';
+}
+
+function addSectionRow(section = {}) {
+  const row = document.createElement('div');
+  row.className = 'section-row';
+  row.innerHTML = `
+    <div class="credit-row">
+      <select class="form-input credit-row__role section-row__type" aria-label="Section type">
+        ${Object.entries(SECTION_TYPE_LABELS).map(([value, label]) =>
+          `<option value="${value}" ${value === (section.type || 'verse') ? 'selected' : ''}>${label}</option>`
+        ).join('')}
+      </select>
+      <input type="text" class="form-input credit-row__person section-row__label" placeholder="Label, e.g. Verse 2 (optional)" aria-label="Label" value="${escapeHtml(section.label || '')}" />
+      <label class="section-row__repeat"><input type="checkbox" class="section-row__is-repeat" ${section.repeat ? 'checked' : ''} /> Repeat</label>
+      <button type="button" class="btn btn--sm btn--ghost" title="Move up" onclick="moveSectionRow(this)">↑</button>
+      <button type="button" class="btn btn--sm btn--ghost btn--danger-text" title="Remove" onclick="removeSectionRow(this)">&times;</button>
+    </div>
+    <textarea class="form-input form-textarea section-row__lines" aria-label="Lines" placeholder="One line per row" ${section.repeat ? 'hidden' : ''}>${escapeHtml((section.lines || []).join('\n'))}</textarea>
+  `;
+  row.addEventListener('input', syncSectionEditor);
+  row.querySelector('.section-row__is-repeat').addEventListener('change', function () {
+    row.querySelector('.section-row__lines').hidden = this.checked;
+  });
+  document.getElementById('sectionRows').appendChild(row);
+}
+
+function moveSectionRow(btn) {
+  const row = btn.closest('.section-row');
+  if (row.previousElementSibling) row.parentElement.insertBefore(row, row.previousElementSibling);
+  syncSectionEditor();
+}
+
+function removeSectionRow(btn) {
+  btn.closest('.section-row').remove();
+  syncSectionEditor();
+}
+
+/** Write the section blocks back into the lyrics textarea. */
+function syncSectionEditor() {
+  const sections = [...document.querySelectorAll('#sectionRows .section-row')].map(row => ({
+    type: row.querySelector('.section-row__type').value,
+    label: row.querySelector('.section-row__label').value.trim(),
+    repeat: row.querySelector('.section-row__is-repeat').checked,
+    lines: row.querySelector('.section-row__lines').value.split('\n'),
+  }));
+  document.getElementById('formLyrics').value = window.Lyrics.serialize(sections);
+}
+
+// ─── Song Translations ──────────────────────────
+// One collapsible title + lyrics pair per language (data-lang).
+function fillTranslations(translations) {
+  document.querySelectorAll('#translationFields .translation').forEach(el => {
+    const t = translations.find(x => x.language === el.dataset.lang);
+    el.querySelector('.translation__title').value = t?.title || '';
+    el.querySelector('.translation__lyrics').value = t?.lyrics || '';
+    el.open = !!t;
+  });
+  syncTranslationFields();
+}
+
+/** Every language except the song's own; blank lyrics remove that translation. */
+function readTranslations() {
+  return [...document.querySelectorAll('#translationFields .translation')]
+    .filter(el => !el.hidden)
+    .map(el => ({
+      language: el.dataset.lang,
+      title: el.querySelector('.translation__title').value.trim(),
+      lyrics: el.querySelector('.translation__lyrics').value.trim(),
+    }));
+}
+
+/** The original lyrics already cover the song's language. */
+function syncTranslationFields() {
+  const language = document.getElementById('formLanguage').value;
+  document.querySelectorAll('#translationFields .translation').forEach(el => {
+    el.hidden = el.dataset.lang === language;
+  });
+}
+
+// ─── Song Recordings ────────────────────────────
+// Links keep their URL; an audio file is uploaded as soon as it is picked
+// and the row keeps the returned bucket key (data-media-key).
+const MEDIA_TYPE_LABELS = {
+  youtube: 'YouTube',
+  vimeo: 'Vimeo',
+  soundcloud: 'SoundCloud',
+  audio: 'Audio file',
+};
+
+function addMediaRow(media = {}) {
+  const row = document.createElement('div');
+  row.className = 'credit-row media-row';
+  row.dataset.mediaKey = media.media_key || '';
+  row.innerHTML = `
+    <select class="form-input media-row__type" aria-label="Recording type">
+      ${Object.entries(MEDIA_TYPE_LABELS).map(([value, label]) =>
+        `<option value="${value}" ${value === (media.type || 'youtube') ? 'selected' : ''}>${label}</option>`
+      ).join('')}
+    </select>
+    <input type="text" class="form-input media-row__title" placeholder="Title (optional)" aria-label="Title" value="${escapeHtml(media.title || '')}" />
+    <input type="url" class="form-input media-row__source media-row__url" placeholder="https://…" aria-label="Link" value="${escapeHtml(media.type === 'audio' ? '' : media.url || '')}" />
+    <input type="file" class="form-input media-row__source media-row__file" accept="audio/*" aria-label="Audio file" />
+    <label class="media-row__primary"><input type="radio" name="mediaPrimary" class="media-row__is-primary" ${media.is_primary ? 'checked' : ''} /> Primary</label>
+    <button type="button" class="btn btn--sm btn--ghost" title="Move up" onclick="moveMediaRow(this)">↑</button>
+    <button type="button" class="btn btn--sm btn--ghost btn--danger-text" title="Remove" onclick="this.closest('.media-row').remove()">&times;</button>
+    <span class="media-row__status">${media.type === 'audio' && media.url
+      ? `<a href="${escapeHtml(API_ORIGIN + media.url)}" target="_blank" rel="noopener">${escapeHtml(media.media_key)}</a>`
+      : ''}</span>
+  `;
+  row.querySelector('.media-row__type').addEventListener('change', () => syncMediaRow(row));
+  row.querySelector('.media-row__file').addEventListener('change', function () {
+    if (this.files[0]) uploadMediaFile(row, this.files[0]);
+  });
+  document.getElementById('mediaRows').appendChild(row);
+  syncMediaRow(row);
+}
+
+/** Links take a URL, audio a file. */
+function syncMediaRow(row) {
+  const isAudio = row.querySelector('.media-row__type').value === 'audio';
+  row.querySelector('.media-row__url').hidden = isAudio;
+  row.querySelector('.media-row__file').hidden = !isAudio || !!row.dataset.mediaKey;
+  row.querySelector('.media-row__status').hidden = !isAudio;
+}
+
+function moveMediaRow(btn) {
+  const row = btn.closest('.media-row');
+  if (row.previousElementSibling) row.parentElement.insertBefore(row, row.previousElementSibling);
+}
+
+async function uploadMediaFile(row, file) {
+  const status = row.querySelector('.media-row__status');
+  row.classList.add('is-uploading');
+  status.textContent = `Uploading ${file.name}…`;
+  try {
+    const res = await apiFetch(`${ADMIN_API}/media`, {
+      method: 'POST',
+      headers: { 'Content-Type': file.type || 'application/octet-stream' },
+      body: file,
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || `Error ${res.status}`);
+    row.dataset.mediaKey = data.media_key;
+    status.innerHTML = `<a href="${escapeHtml(API_ORIGIN + data.url)}" target="_blank" rel="noopener">${escapeHtml(file.name)}</a>`;
+    const title = row.querySelector('.media-row__title');
+    if (!title.value) title.value = file.name.replace(/\.[^.]+$/, '');
+  } catch (err) {
+    status.textContent = `Upload failed: ${err.message}`;
+  } finally {
+    row.classList.remove('is-uploading');
+    syncMediaRow(row);
+  }
+}
+
+/** Rows in order; audio rows without an uploaded file are left out. */
+function readMedia() {
+  return [...document.querySelectorAll('#mediaRows .media-row')]
+    .map(row => {
+      const type = row.querySelector('.media-row__type').value;
+      const media = {
+        type,
+        title: row.querySelector('.media-row__title').value.trim(),
+        is_primary: row.querySelector('.media-row__is-primary').checked,
+      };
+      if (type === 'audio') return row.dataset.mediaKey ? { ...media, media_key: row.dataset.mediaKey } : null;
+      const url = row.querySelector('.media-row__url').value.trim();
+      return url ? { ...media, url } : null;
+    })
+    .filter(Boolean);
+}
+
+// ─── Timed Lyrics (LRC) ─────────────────────────
+// The LRC text is saved as it is, so an import exports unchanged.
+async function importLrc(file) {
+  const text = await file.text();
+  if (!window.Lyrics.parseLrc(text).lines.length) {
+    showFormMessage(`${file.name} has no timed lines.`, true);
+    return;
+  }
+  document.getElementById('formLrc').value = text.trim();
+}
+
+function exportLrc() {
+  const lrc = document.getElementById('formLrc').value.trim();
+  if (!lrc) { showFormMessage('There are no timed lyrics to export.', true); return; }
+  const slug = document.getElementById('formSlug').value.trim() || 'song';
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([lrc + '\n'], { type: 'text/plain' }));
+  link.download = `${slug}.lrc`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+/** One untimed stamp per sung line, to fill in while listening. */
+function lrcFromLyrics() {
+  const textarea = document.getElementById('formLrc');
+  if (textarea.value.trim() && !confirm('Replace the timed lyrics with the song lines?')) return;
+  const lines = window.Lyrics.toPlainText(document.getElementById('formLyrics').value)
+    .split('\n')
+    .filter(line => line.trim())
+    .map(text => ({ time: 0, text }));
+  textarea.value = window.Lyrics.toLrc(lines);
+}
+
+// ─── Song Credits ───────────────────────────────
+// One row per credited person: "artist:ID" / "composer:ID" plus a role.
+function addCreditRow(credit = {}) {
+  const current = credit.type ? `${credit.type}:${credit.id}` : '';
+  const people = (type, list) => list.map(p =>
+    `<option value="${type}:${p.id}" ${`${type}:${p.id}` === current ? 'selected' : ''}>${escapeHtml(p.name)}</option>`
+  ).join('');
+  const row = document.createElement('div');
+  row.className = 'credit-row';
+  row.innerHTML = `
+    <select class="form-input credit-row__person" aria-label="Person">
+      <option value="">— Select —</option>
+      <optgroup label="Artists">${people('artist', allArtists)}</optgroup>
+      <optgroup label="Composers">${people('composer', allComposers)}</optgroup>
+    </select>
+    <select class="form-input credit-row__role" aria-label="Role">
+      ${Object.entries(CREDIT_ROLES).map(([value, label]) =>
+        `<option value="${value}" ${value === (credit.role || 'performer') ? 'selected' : ''}>${label}</option>`
+      ).join('')}
+    </select>
+    <button type="button" class="btn btn--sm btn--ghost" title="Move up" onclick="moveCreditRow(this)">↑</button>
+    <button type="button" class="btn btn--sm btn--ghost btn--danger-text" title="Remove" onclick="this.parentElement.remove()">&times;</button>
+  `;
+  document.getElementById('creditRows').appendChild(row);
+}
+
+function moveCreditRow(btn) {
+  const row = btn.parentElement;
+  if (row.previousElementSibling) row.parentElement.insertBefore(row, row.previousElementSibling);
+}
+
+/** Credits in form order, as the API expects them; rows without a person are skipped. */
+function readCredits() {
+  return [...document.querySelectorAll('#creditRows .credit-row')]
+    .map(row => {
+      const [type, id] = row.querySelector('.credit-row__person').value.split(':');
+      const role = row.querySelector('.credit-row__role').value;
+      return id ? { [`${type}_id`]: parseInt(id, 10), role } : null;
+    })
+    .filter(Boolean);
+}
+
+/** "Name (Role), …" for revision diffs. */
+function creditsLabel(credits) {
+  return (credits || []).map(c => `${c.name} (${CREDIT_ROLES[c.role] || c.role})`).join(', ');
+}
+
+// ─── Song Revisions ─────────────────────────────
+async function loadRevisions(songId) {
+  const list = document.getElementById('revisionList');
+  try {
+    const data = await apiGet(`${ADMIN_API}/song/${songId}/revisions`);
+    songRevisions = data.revisions || [];
+  } catch (err) {
+    songRevisions = [];
+    console.warn('Failed to load revisions:', err);
+  }
+  if (!songRevisions.length) return;
+
+  const latest = songRevisions[0].revision;
+  list.innerHTML = songRevisions.map(r => `
+    <li class="song-history__item">
+      <span class="song-history__rev">r${r.revision}</span>
+      <span class="song-history__meta" title="${escapeHtml(r.note || '')}">
+        ${escapeHtml(r.created_at)} · ${escapeHtml(r.username || 'system')}${r.note ? ' · ' + escapeHtml(r.note) : ''}
+      </span>
+      ${r.revision !== latest ? `<button type="button" class="btn btn--sm btn--ghost" onclick="compareRevision(${r.revision})">Compare</button>` : '<span>Current</span>'}
+      ${r.revision !== latest && can('songs.update') ? `<button type="button" class="btn btn--sm btn--ghost" onclick="restoreRevision(${r.revision})">Restore</button>` : ''}
+    </li>
+  `).join('');
+  document.getElementById('songHistory').style.display = 'block';
+}
+
+/** Side-by-side diff of an old revision against the song as currently saved. */
+async function compareRevision(revision) {
+  if (!editingSong) return;
+  const el = document.getElementById('revisionDiff');
+  try {
+    const rev = await apiGet(`${ADMIN_API}/song/${editingSong.id}/revision/${revision}`);
+    const credits = rev.credits_json ? JSON.parse(rev.credits_json) : {};
+    // Revisions saved before multiple credits hold one artist and one composer
+    const revCredits = credits.credits || [
+      credits.artist_name && { name: credits.artist_name, role: 'performer' },
+      credits.composer_name && { name: credits.composer_name, role: 'composer' },
+    ].filter(Boolean);
+    const fields = [
+      ['Title', rev.title, editingSong.title],
+      ['Category', rev.category, editingSong.category],
+      ['Credits', creditsLabel(revCredits), creditsLabel(editingSong.credits)],
+      ['Copyright Owner', credits.copyright_owner_name, editingSong.copyright_owner_name],
+    ].filter(([, a, b]) => (a || '') !== (b || ''));
+
+    const rows = sideBySide(diffLines((rev.lyrics || '').split('\n'), (editingSong.lyrics || '').split('\n')));
+    el.innerHTML = `
+      <div class="song-history__diff-header">
+        <span>Revision ${revision} → current</span>
+        <button type="button" class="btn btn--sm btn--ghost" onclick="closeRevisionDiff()">&times;</button>
+      </div>
+      <table class="revision-diff">
+        ${fields.map(([label, a, b]) => `
+          <tr><td class="revision-diff__del">${escapeHtml(label)}: ${escapeHtml(a || '—')}</td><td class="revision-diff__add">${escapeHtml(label)}: ${escapeHtml(b || '—')}</td></tr>
+        `).join('')}
+        ${rows.map(([left, right, type]) => `
+          <tr>
+            <td class="${left === null ? 'revision-diff__empty' : type === 'same' ? '' : 'revision-diff__del'}">${escapeHtml(left ?? '')}</td>
+            <td class="${right === null ? 'revision-diff__empty' : type === 'same' ? '' : 'revision-diff__add'}">${escapeHtml(right ?? '')}</td>
+          </tr>
+        `).join('')}
+      </table>
+    `;
+    el.style.display = 'block';
+  } catch (err) {
+    showFormMessage('Failed to load revision: ' + err.message, true);
+  }
+}
+
+function closeRevisionDiff() {
+  document.getElementById('revisionDiff').style.display = 'none';
+}
+
+async function restoreRevision(revision) {
+  if (!editingSong) return;
+  if (!confirm(`Restore revision ${revision}? The current text stays in the history.`)) return;
+  const id = editingSong.id;
+  try {
+    await apiPost(`${ADMIN_API}/song/${id}/revision/${revision}/restore`, {});
+    await editSong(id);
+    showFormMessage(`Restored revision ${revision}.`);
+    loadSongs(currentPage);
+  } catch (err) {
+    showFormMessage('Restore failed: ' + err.message, true);
+  }
+}
+
+/** Line diff via longest common subsequence → [{ type: 'same'|'del'|'add', text }]. */
+function diffLines(a, b) {
+  const n = a.length, m = b.length;
+  const lcs = Array.from({ length: n + 1 }, () => new Uint16Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const ops = [];
+  let i = 0, j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) { ops.push({ type: 'same', text: a[i] }); i++; j++; }
+    else if (lcs[i + 1][j] >= lcs[i][j + 1]) ops.push({ type: 'del', text: a[i++] });
+    else ops.push({ type: 'add', text: b[j++] });
+  }
+  while (i < n) ops.push({ type: 'del', text: a[i++] });
+  while (j < m) ops.push({ type: 'add', text: b[j++] });
+  return ops;
+}
+
+/** Pair runs of deletions and additions into [left, right, type] rows. */
+function sideBySide(ops) {
+  const rows = [];
+  let dels = [], adds = [];
+  const flush = () => {
+    for (let k = 0; k < Math.max(dels.length, adds.length); k++) {
+      rows.push([dels[k] ?? null, adds[k] ?? null, 'change']);
+    }
+    dels = []; adds = [];
+  };
+  ops.forEach(op => {
+    if (op.type === 'same') { flush(); rows.push([op.text, op.text, 'same']); }
+    else if (op.type === 'del') dels.push(op.text);
+    else adds.push(op.text);
+  });
+  flush();
+  return rows;
+}
+
 // Auto-slug for songs
 function autoSongSlug() {
   const slugField = document.getElementById('formSlug');
@@ -364,8 +900,8 @@ function renderPersonTable(type, items, tbody) {
       <td>${escapeHtml((item.bio || '').substring(0, 60))}${item.bio && item.bio.length > 60 ? '...' : ''}</td>
       <td>
         <div class="admin-table__actions">
-          <button class="btn btn--sm btn--ghost" onclick="editPerson('${type}', ${item.id})" title="Edit">✏️</button>
-          <button class="btn btn--sm btn--ghost btn--danger-text" onclick="confirmDelete(${item.id}, '${escapeHtml(item.name).replace(/'/g, "\\'")}', '${type}')" title="Delete">🗑️</button>
+          ${can(`${type}s.update`) ? `<button class="btn btn--sm btn--ghost" onclick="editPerson('${type}', ${item.id})" title="Edit">✏️</button>` : ''}
+          ${can(`${type}s.delete`) ? `<button class="btn btn--sm btn--ghost btn--danger-text" onclick="confirmDelete(${item.id}, '${escapeHtml(item.name).replace(/'/g, "\\'")}', '${type}')" title="Delete">🗑️</button>` : ''}
           <a href="../${type}/${escapeHtml(item.slug)}" target="_blank" class="btn btn--sm btn--ghost" title="View">👁️</a>
         </div>
       </td>
@@ -837,6 +1373,8 @@ async function deleteItem() {
     else if (deleteTargetType === 'artist') loadArtists();
     else if (deleteTargetType === 'report') loadReports();
     else if (deleteTargetType === 'copyright-owner') loadCopyrightOwners();
+    else if (deleteTargetType === 'album') loadAlbums();
+    else if (deleteTargetType === 'user') loadUsers();
     else loadComposers();
   } catch (err) {
     alert('Delete failed: ' + err.message);
@@ -851,9 +1389,10 @@ async function deleteItem() {
 // ═══════════════════════════════════════════════════
 
 document.addEventListener('DOMContentLoaded', () => {
-  // Load songs + populate dropdowns
-  loadSongs();
-  populateDropdowns();
+  // Session check — shows the dashboard or the login screen
+  checkSession();
+  document.getElementById('loginForm').addEventListener('submit', login);
+  document.getElementById('btnLogout').addEventListener('click', logout);
 
   // Tab switching
   document.querySelectorAll('.admin__tab').forEach(tab => {
@@ -886,12 +1425,31 @@ document.addEventListener('DOMContentLoaded', () => {
   document.getElementById('coBackdrop').addEventListener('click', closeCopyrightOwnerModal);
   document.getElementById('coBtnCancel').addEventListener('click', closeCopyrightOwnerModal);
 
+  // Album buttons
+  document.getElementById('btnNewAlbum').addEventListener('click', openNewAlbum);
+  document.getElementById('albumForm').addEventListener('submit', saveAlbum);
+  document.getElementById('albumModalClose').addEventListener('click', closeAlbumModal);
+  document.getElementById('albumBackdrop').addEventListener('click', closeAlbumModal);
+  document.getElementById('albumBtnCancel').addEventListener('click', closeAlbumModal);
+
   // Delete modal
   document.getElementById('deleteModalClose').addEventListener('click', closeDeleteModal);
   document.getElementById('deleteBackdrop').addEventListener('click', closeDeleteModal);
   document.getElementById('btnDeleteCancel').addEventListener('click', closeDeleteModal);
   document.getElementById('btnDeleteConfirm').addEventListener('click', deleteItem);
 
+  // Users
+  document.getElementById('btnNewUser').addEventListener('click', openNewUser);
+  document.getElementById('userForm').addEventListener('submit', saveUser);
+  document.getElementById('userModalClose').addEventListener('click', closeUserModal);
+  document.getElementById('userBackdrop').addEventListener('click', closeUserModal);
+  document.getElementById('userBtnCancel').addEventListener('click', closeUserModal);
+
+  // Activity filters
+  ['auditFilterUser', 'auditFilterEntity', 'auditFilterEntityId', 'auditFilterFrom', 'auditFilterTo'].forEach(id => {
+    document.getElementById(id).addEventListener('change', () => loadAuditLog(1));
+  });
+
   // Search filter
   let searchTimer;
   document.getElementById('adminSearch').addEventListener('input', (e) => {
@@ -907,6 +1465,12 @@ document.addEventListener('DOMContentLoaded', () => {
   document.getElementById('feedbackBackdrop').addEventListener('click', closeFeedbackModal);
   document.getElementById('feedbackBtnClose').addEventListener('click', closeFeedbackModal);
 
+  document.getElementById('formLanguage').addEventListener('change', syncTranslationFields);
+  document.getElementById('formLrcFile').addEventListener('change', function () {
+    if (this.files[0]) importLrc(this.files[0]);
+    this.value = '';
+  });
+
   // Auto-slug on title/name typing
   document.getElementById('formTitle').addEventListener('input', autoSongSlug);
   document.getElementById('formSlug').addEventListener('input', function () {
@@ -920,6 +1484,10 @@ document.addEventListener('DOMContentLoaded', () => {
   document.getElementById('coFormSlug').addEventListener('input', function () {
     this.dataset.manual = this.value ? '1' : '';
   });
+  document.getElementById('albumFormTitle').addEventListener('input', autoAlbumSlug);
+  document.getElementById('albumFormSlug').addEventListener('input', function () {
+    this.dataset.manual = this.value ? '1' : '';
+  });
 
   // Keyboard: Escape to close modals
   document.addEventListener('keydown', (e) => {
@@ -927,8 +1495,10 @@ document.addEventListener('DOMContentLoaded', () => {
       closeSongModal();
       closePersonModal();
       closeCopyrightOwnerModal();
+      closeAlbumModal();
       closeDeleteModal();
       closeFeedbackModal();
+      closeUserModal();
     }
   });
 });
@@ -937,10 +1507,17 @@ document.addEventListener('DOMContentLoaded', () => {
 window.editSong = editSong;
 window.editPerson = editPerson;
 window.editCopyrightOwner = editCopyrightOwner;
+window.editAlbum = editAlbum;
+window.addAlbumSongRow = addAlbumSongRow;
 window.confirmDelete = confirmDelete;
 window.loadSongs = loadSongs;
 window.updateReportStatus = updateReportStatus;
 window.viewFeedback = viewFeedback;
+window.editUser = editUser;
+window.compareRevision = compareRevision;
+window.restoreRevision = restoreRevision;
+window.closeRevisionDiff = closeRevisionDiff;
+window.loadAuditLog = loadAuditLog;
 
 // ═══════════════════════════════════════════════════
 // ═══ COPYRIGHT OWNERS ═════════════════════════════
@@ -971,8 +1548,8 @@ function renderCopyrightOwnersTable(items, tbody) {
       <td>${escapeHtml(item.territory || '—')}</td>
       <td>
         <div class="admin-table__actions">
-          <button class="btn btn--sm btn--ghost" onclick="editCopyrightOwner(${item.id})" title="Edit">✏️</button>
-          <button class="btn btn--sm btn--ghost btn--danger-text" onclick="confirmDelete(${item.id}, '${escapeHtml(item.name).replace(/'/g, "\\'")}', 'copyright-owner')" title="Delete">🗑️</button>
+          ${can('copyright_owners.update') ? `<button class="btn btn--sm btn--ghost" onclick="editCopyrightOwner(${item.id})" title="Edit">✏️</button>` : ''}
+          ${can('copyright_owners.delete') ? `<button class="btn btn--sm btn--ghost btn--danger-text" onclick="confirmDelete(${item.id}, '${escapeHtml(item.name).replace(/'/g, "\\'")}', 'copyright-owner')" title="Delete">🗑️</button>` : ''}
           <a href="../copyright-owner/${escapeHtml(item.slug)}" target="_blank" class="btn btn--sm btn--ghost" title="View">👁️</a>
         </div>
       </td>
@@ -1090,6 +1667,208 @@ function autoCOSlug() {
   }
 }
 
+// ═══════════════════════════════════════════════════
+// ═══ ALBUMS ═══════════════════════════════════════
+// ═══════════════════════════════════════════════════
+
+const ALBUM_KIND_LABELS = { album: 'Album', hymnal: 'Hymnal', collection: 'Collection' };
+
+async function loadAlbums() {
+  const tbody = document.getElementById('albumsTableBody');
+  tbody.innerHTML = '<tr><td colspan="5" class="admin-table__empty">Loading...</td></tr>';
+  try {
+    const data = await apiGet(`${ADMIN_API}/albums`);
+    allAlbums = data.albums || [];
+    renderAlbumsTable(allAlbums, tbody);
+  } catch (err) {
+    tbody.innerHTML = `<tr><td colspan="5" class="admin-table__empty" style="color:var(--danger);">Failed: ${escapeHtml(err.message)}</td></tr>`;
+  }
+}
+
+function renderAlbumsTable(items, tbody) {
+  if (!items.length) {
+    tbody.innerHTML = '<tr><td colspan="5" class="admin-table__empty">No albums found.</td></tr>';
+    return;
+  }
+  tbody.innerHTML = items.map(item => `
+    <tr data-id="${item.id}">
+      <td>
+        <div class="admin-table__title">${escapeHtml(item.title)}</div>
+        <div class="admin-table__slug">/album/${escapeHtml(item.slug)}</div>
+      </td>
+      <td>${ALBUM_KIND_LABELS[item.kind] || escapeHtml(item.kind)}${item.code ? ` · ${escapeHtml(item.code)}` : ''}</td>
+      <td>${item.year || '—'}</td>
+      <td>${item.song_count}</td>
+      <td>
+        <div class="admin-table__actions">
+          ${can('albums.update') ? `<button class="btn btn--sm btn--ghost" onclick="editAlbum(${item.id})" title="Edit">✏️</button>` : ''}
+          ${can('albums.delete') ? `<button class="btn btn--sm btn--ghost btn--danger-text" onclick="confirmDelete(${item.id}, '${escapeHtml(item.title).replace(/'/g, "\\'")}', 'album')" title="Delete">🗑️</button>` : ''}
+          <a href="../album/${escapeHtml(item.slug)}" target="_blank" class="btn btn--sm btn--ghost" title="View">👁️</a>
+        </div>
+      </td>
+    </tr>
+  `).join('');
+}
+
+// Album Modal
+function openAlbumModal() {
+  document.getElementById('albumModal').style.display = 'flex';
+  document.body.style.overflow = 'hidden';
+}
+function closeAlbumModal() {
+  document.getElementById('albumModal').style.display = 'none';
+  document.body.style.overflow = '';
+  clearAlbumForm();
+}
+function clearAlbumForm() {
+  document.getElementById('albumForm').reset();
+  document.getElementById('albumFormId').value = '';
+  document.getElementById('albumFormSlug').dataset.manual = '';
+  document.getElementById('albumSongRows').innerHTML = '';
+  document.getElementById('albumFormMessage').style.display = 'none';
+}
+function showAlbumMessage(text, isError = false) {
+  const el = document.getElementById('albumFormMessage');
+  el.textContent = text;
+  el.className = 'form-message ' + (isError ? 'form-message--error' : 'form-message--success');
+  el.style.display = 'block';
+}
+
+/** Publisher dropdown and the full song list for the song picker. */
+async function loadAlbumChoices() {
+  const [owners, firstPage] = await Promise.all([
+    apiGet(`${ADMIN_API}/copyright-owners`),
+    apiGet(`${ADMIN_API}/songs?page=1&limit=50`),
+  ]);
+  allCopyrightOwners = owners.copyright_owners || [];
+  let songs = firstPage.songs || [];
+  for (let page = 2; page <= (firstPage.totalPages || 1); page++) {
+    const data = await apiGet(`${ADMIN_API}/songs?page=${page}&limit=50`);
+    songs = songs.concat(data.songs || []);
+  }
+  albumSongChoices = songs
+    .map(s => ({ id: s.id, title: s.title }))
+    .sort((a, b) => a.title.localeCompare(b.title));
+
+  document.getElementById('albumFormPublisher').innerHTML = '<option value="">— None —</option>' +
+    allCopyrightOwners.map(co => `<option value="${co.id}">${escapeHtml(co.name)}</option>`).join('');
+}
+
+function addAlbumSongRow(track = {}) {
+  const row = document.createElement('div');
+  row.className = 'credit-row';
+  row.innerHTML = `
+    <select class="form-input credit-row__person album-song__song" aria-label="Song">
+      <option value="">— Select —</option>
+      ${albumSongChoices.map(s =>
+        `<option value="${s.id}" ${s.id === track.id ? 'selected' : ''}>${escapeHtml(s.title)}</option>`
+      ).join('')}
+    </select>
+    <input type="number" class="form-input credit-row__number album-song__number" min="1" placeholder="No." aria-label="Number" value="${track.number ?? ''}" />
+    <button type="button" class="btn btn--sm btn--ghost" title="Move up" onclick="moveCreditRow(this)">↑</button>
+    <button type="button" class="btn btn--sm btn--ghost btn--danger-text" title="Remove" onclick="this.parentElement.remove()">&times;</button>
+  `;
+  document.getElementById('albumSongRows').appendChild(row);
+}
+
+/** Songs in form order as [{ song_id, number }]; rows without a song are skipped. */
+function readAlbumSongs() {
+  return [...document.querySelectorAll('#albumSongRows .credit-row')]
+    .map(row => ({
+      song_id: parseInt(row.querySelector('.album-song__song').value, 10),
+      number: row.querySelector('.album-song__number').value || null,
+    }))
+    .filter(t => t.song_id);
+}
+
+async function openNewAlbum() {
+  clearAlbumForm();
+  document.getElementById('albumModalTitle').textContent = 'New Album';
+  document.getElementById('albumBtnSubmit').textContent = 'Create Album';
+  openAlbumModal();
+  document.getElementById('albumFormTitle').focus();
+  try {
+    await loadAlbumChoices();
+  } catch (err) {
+    showAlbumMessage('Failed to load songs: ' + err.message, true);
+  }
+}
+
+async function editAlbum(id) {
+  clearAlbumForm();
+  document.getElementById('albumModalTitle').textContent = 'Edit Album';
+  document.getElementById('albumBtnSubmit').textContent = 'Update Album';
+  openAlbumModal();
+
+  try {
+    const [item] = await Promise.all([apiGet(`${ADMIN_API}/album/${id}`), loadAlbumChoices()]);
+    document.getElementById('albumFormId').value = item.id;
+    document.getElementById('albumFormTitle').value = item.title || '';
+    document.getElementById('albumFormSlug').value = item.slug || '';
+    document.getElementById('albumFormSlug').dataset.manual = '1';
+    document.getElementById('albumFormKind').value = item.kind || 'album';
+    document.getElementById('albumFormCode').value = item.code || '';
+    document.getElementById('albumFormYear').value = item.year || '';
+    document.getElementById('albumFormPublisher').value = item.publisher_id || '';
+    document.getElementById('albumFormCover').value = item.cover_url || '';
+    document.getElementById('albumFormDescription').value = item.description || '';
+    (item.songs || []).forEach(s => addAlbumSongRow(s));
+  } catch (err) {
+    showAlbumMessage('Failed to load: ' + err.message, true);
+  }
+}
+
+async function saveAlbum(e) {
+  e.preventDefault();
+
+  const id = document.getElementById('albumFormId').value;
+  const title = document.getElementById('albumFormTitle').value.trim();
+  const slug = document.getElementById('albumFormSlug').value.trim();
+  const kind = document.getElementById('albumFormKind').value;
+  const code = document.getElementById('albumFormCode').value.trim();
+  const year = document.getElementById('albumFormYear').value || null;
+  const publisher_id = document.getElementById('albumFormPublisher').value || null;
+  const cover_url = document.getElementById('albumFormCover').value.trim();
+  const description = document.getElementById('albumFormDescription').value.trim();
+  const songs = readAlbumSongs();
+
+  if (!title) { showAlbumMessage('Title is required.', true); return; }
+
+  const btn = document.getElementById('albumBtnSubmit');
+  btn.disabled = true;
+  btn.textContent = 'Saving...';
+
+  try {
+    const body = { title, slug, code, kind, year, publisher_id, cover_url, description, songs };
+
+    if (id) {
+      await apiPut(`${ADMIN_API}/album/${id}`, body);
+      showAlbumMessage('Album updated successfully!');
+    } else {
+      await apiPost(`${ADMIN_API}/albums`, body);
+      showAlbumMessage('Album created successfully!');
+    }
+
+    setTimeout(() => {
+      closeAlbumModal();
+      loadAlbums();
+    }, 800);
+  } catch (err) {
+    showAlbumMessage(err.message, true);
+  } finally {
+    btn.disabled = false;
+    btn.textContent = id ? 'Update Album' : 'Create Album';
+  }
+}
+
+function autoAlbumSlug() {
+  const slugField = document.getElementById('albumFormSlug');
+  const titleField = document.getElementById('albumFormTitle');
+  if (!slugField.dataset.manual) {
+    slugField.value = generateSlug(titleField.value);
+  }
+}
+
 // ═══════════════════════════════════════════════════
 // ═══ REPORTS ══════════════════════════════════════
 // ═══════════════════════════════════════════════════
@@ -1139,7 +1918,7 @@ function renderReportsTable() {
         </td>
         <td><div class="admin-table__desc" title="${escapeHtml(r.body || '')}">${escapeHtml(bodyPreview)}</div></td>
         <td>
-          <select class="report-status-select" onchange="updateReportStatus(${r.id}, this.value)" style="background:${statusColor}22;color:${statusColor};border:1px solid ${statusColor}44;border-radius:var(--radius-md);padding:2px 8px;font-size:var(--text-xs);font-weight:600;cursor:pointer;">
+          <select class="report-status-select" ${can('reports.update') ? '' : 'disabled'} onchange="updateReportStatus(${r.id}, this.value)" style="background:${statusColor}22;color:${statusColor};border:1px solid ${statusColor}44;border-radius:var(--radius-md);padding:2px 8px;font-size:var(--text-xs);font-weight:600;cursor:pointer;">
             <option value="pending" ${r.status === 'pending' ? 'selected' : ''}>Pending</option>
             <option value="reviewed" ${r.status === 'reviewed' ? 'selected' : ''}>Reviewed</option>
             <option value="resolved" ${r.status === 'resolved' ? 'selected' : ''}>Resolved</option>
@@ -1151,7 +1930,7 @@ function renderReportsTable() {
           <div class="admin-table__actions">
             <button class="btn btn--sm btn--ghost" onclick="viewFeedback(${r.id})" title="View Detail">📝</button>
             ${r.song_slug ? `<a href="../song/${escapeHtml(r.song_slug)}" target="_blank" class="btn btn--sm btn--ghost" title="View Song">👁️</a>` : ''}
-            <button class="btn btn--sm btn--ghost btn--danger-text" onclick="confirmDelete(${r.id}, 'Report #${r.id}', 'report')" title="Delete">🗑️</button>
+            ${can('reports.delete') ? `<button class="btn btn--sm btn--ghost btn--danger-text" onclick="confirmDelete(${r.id}, 'Report #${r.id}', 'report')" title="Delete">🗑️</button>` : ''}
           </div>
         </td>
       </tr>
@@ -1206,3 +1985,217 @@ function viewFeedback(id) {
 function closeFeedbackModal() {
   document.getElementById('feedbackModal').style.display = 'none';
 }
+
+// ═══════════════════════════════════════════════════
+// ═══ USERS ════════════════════════════════════════
+// ═══════════════════════════════════════════════════
+
+const ROLE_LABELS = { owner: 'Owner', editor: 'Editor', moderator: 'Moderator', viewer: 'Viewer' };
+
+async function loadUsers() {
+  const tbody = document.getElementById('usersTableBody');
+  tbody.innerHTML = '<tr><td colspan="5" class="admin-table__empty">Loading...</td></tr>';
+  try {
+    const data = await apiGet(`${ADMIN_API}/users`);
+    allUsers = data.users || [];
+    renderUsersTable(allUsers, tbody);
+  } catch (err) {
+    tbody.innerHTML = `<tr><td colspan="5" class="admin-table__empty" style="color:var(--danger);">Failed: ${escapeHtml(err.message)}</td></tr>`;
+  }
+}
+
+function renderUsersTable(items, tbody) {
+  if (!items.length) {
+    tbody.innerHTML = '<tr><td colspan="5" class="admin-table__empty">No users found.</td></tr>';
+    return;
+  }
+  tbody.innerHTML = items.map(u => `
+    <tr data-id="${u.id}">
+      <td><div class="admin-table__title">${escapeHtml(u.username)}</div></td>
+      <td>${escapeHtml(u.display_name || '—')}</td>
+      <td><span class="song-card__category">${escapeHtml(ROLE_LABELS[u.role] || u.role)}</span></td>
+      <td>${u.last_login_at ? formatDate(u.last_login_at) : 'Never'}</td>
+      <td>
+        <div class="admin-table__actions">
+          <button class="btn btn--sm btn--ghost" onclick="editUser(${u.id})" title="Edit">✏️</button>
+          ${u.id !== currentUser.id ? `<button class="btn btn--sm btn--ghost btn--danger-text" onclick="confirmDelete(${u.id}, '${escapeHtml(u.username).replace(/'/g, "\\'")}', 'user')" title="Delete">🗑️</button>` : ''}
+        </div>
+      </td>
+    </tr>
+  `).join('');
+}
+
+// User Modal
+function openUserModal() {
+  document.getElementById('userModal').style.display = 'flex';
+}
+
+function closeUserModal() {
+  document.getElementById('userModal').style.display = 'none';
+  clearUserForm();
+}
+
+function clearUserForm() {
+  document.getElementById('userForm').reset();
+  document.getElementById('userFormId').value = '';
+  document.getElementById('userFormMessage').style.display = 'none';
+}
+
+function showUserMessage(text, isError = false) {
+  const el = document.getElementById('userFormMessage');
+  el.textContent = text;
+  el.className = 'form-message ' + (isError ? 'form-message--error' : 'form-message--success');
+  el.style.display = 'block';
+}
+
+function openNewUser() {
+  clearUserForm();
+  document.getElementById('userModalTitle').textContent = 'New User';
+  document.getElementById('userFormUsername').disabled = false;
+  document.getElementById('userFormPassword').required = true;
+  document.getElementById('userFormPasswordHint').textContent = 'At least 10 characters';
+  openUserModal();
+}
+
+function editUser(id) {
+  const u = allUsers.find(x => x.id === id);
+  if (!u) return;
+  clearUserForm();
+  document.getElementById('userModalTitle').textContent = 'Edit User';
+  document.getElementById('userFormId').value = u.id;
+  document.getElementById('userFormUsername').value = u.username;
+  document.getElementById('userFormUsername').disabled = true;
+  document.getElementById('userFormDisplayName').value = u.display_name || '';
+  document.getElementById('userFormRole').value = u.role;
+  document.getElementById('userFormPassword').required = false;
+  document.getElementById('userFormPasswordHint').textContent = 'Leave blank to keep the current password';
+  openUserModal();
+}
+
+async function saveUser(e) {
+  e.preventDefault();
+  const id = document.getElementById('userFormId').value;
+  const body = {
+    username: document.getElementById('userFormUsername').value.trim(),
+    display_name: document.getElementById('userFormDisplayName').value.trim() || null,
+    role: document.getElementById('userFormRole').value,
+  };
+  const password = document.getElementById('userFormPassword').value;
+  if (password) body.password = password;
+
+  const btn = document.getElementById('userBtnSubmit');
+  btn.disabled = true;
+  btn.textContent = 'Saving...';
+
+  try {
+    if (id) {
+      await apiPut(`${ADMIN_API}/user/${id}`, body);
+    } else {
+      await apiPost(`${ADMIN_API}/users`, body);
+    }
+    closeUserModal();
+    loadUsers();
+  } catch (err) {
+    showUserMessage(err.message, true);
+  } finally {
+    btn.disabled = false;
+    btn.textContent = 'Save';
+  }
+}
+
+// ═══════════════════════════════════════════════════
+// ═══ ACTIVITY ═════════════════════════════════════
+// ═══════════════════════════════════════════════════
+
+const ENTITY_LABELS = {
+  song: 'Song', artist: 'Artist', composer: 'Composer',
+  copyright_owner: 'Copyright Owner', report: 'Report', user: 'User',
+};
+
+async function populateAuditUsers() {
+  const sel = document.getElementById('auditFilterUser');
+  if (!can('users.manage') || sel.options.length > 1) return;
+  try {
+    const data = await apiGet(`${ADMIN_API}/users`);
+    sel.innerHTML = '<option value="">All Users</option>' +
+      (data.users || []).map(u => `<option value="${u.id}">${escapeHtml(u.username)}</option>`).join('');
+  } catch { /* the filter just stays on "All Users" */ }
+}
+
+async function loadAuditLog(page = 1) {
+  const tbody = document.getElementById('auditTableBody');
+  tbody.innerHTML = '<tr><td colspan="5" class="admin-table__empty">Loading...</td></tr>';
+
+  const params = new URLSearchParams({ page, limit: 50 });
+  const filters = {
+    user_id: document.getElementById('auditFilterUser').value,
+    entity_type: document.getElementById('auditFilterEntity').value,
+    entity_id: document.getElementById('auditFilterEntityId').value,
+    from: document.getElementById('auditFilterFrom').value,
+    to: document.getElementById('auditFilterTo').value,
+  };
+  Object.entries(filters).forEach(([k, v]) => { if (v) params.set(k, v); });
+
+  try {
+    const data = await apiGet(`${ADMIN_API}/audit?${params}`);
+    renderAuditTable(data.entries || []);
+    renderAuditPagination(data.page, data.totalPages);
+  } catch (err) {
+    tbody.innerHTML = `<tr><td colspan="5" class="admin-table__empty" style="color:var(--danger);">Failed to load: ${escapeHtml(err.message)}</td></tr>`;
+  }
+}
+
+function renderAuditTable(entries) {
+  const tbody = document.getElementById('auditTableBody');
+  if (!entries.length) {
+    tbody.innerHTML = '<tr><td colspan="5" class="admin-table__empty">No activity matches these filters.</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = entries.map(e => {
+    const before = e.before_json ? JSON.parse(e.before_json) : null;
+    const after = e.after_json ? JSON.parse(e.after_json) : null;
+    const name = (after || before || {}).title || (after || before || {}).name || (after || before || {}).username || '';
+
+    return `
+      <tr data-id="${e.id}">
+        <td>${escapeHtml(e.created_at)}</td>
+        <td>${escapeHtml(e.username || 'system')}</td>
+        <td><span class="audit-action audit-action--${escapeHtml(e.action)}">${escapeHtml(e.action)}</span></td>
+        <td>
+          <div class="admin-table__title">${escapeHtml(ENTITY_LABELS[e.entity_type] || e.entity_type)} #${e.entity_id}</div>
+          <div class="admin-table__slug">${escapeHtml(name)}</div>
+        </td>
+        <td>
+          ${renderAuditChanges(e.action, before, after)}
+          <details class="audit-snapshot">
+            <summary>Snapshot</summary>
+            ${before ? `<pre>Before: ${escapeHtml(JSON.stringify(before, null, 2))}</pre>` : ''}
+            ${after ? `<pre>After: ${escapeHtml(JSON.stringify(after, null, 2))}</pre>` : ''}
+          </details>
+        </td>
+      </tr>
+    `;
+  }).join('');
+}
+
+/** Field-by-field summary of what an update changed. */
+function renderAuditChanges(action, before, after) {
+  if (action !== 'update') return '';
+  const fmt = v => (v === null || v === undefined || v === '') ? '∅' : String(v).substring(0, 60);
+  const changed = Object.keys(after || {}).filter(k => JSON.stringify(before?.[k]) !== JSON.stringify(after[k]));
+  if (!changed.length) return '<div class="admin-table__slug">No field changes</div>';
+  return `<ul class="audit-changes">${changed.map(k => `
+    <li title="${escapeHtml(String(after[k] ?? ''))}"><span class="audit-changes__field">${escapeHtml(k)}</span>: ${escapeHtml(fmt(before?.[k]))} → ${escapeHtml(fmt(after[k]))}</li>
+  `).join('')}</ul>`;
+}
+
+function renderAuditPagination(page, pages) {
+  const el = document.getElementById('auditPagination');
+  if (pages <= 1) { el.innerHTML = ''; return; }
+
+  let html = `<button class="pagination__btn" ${page <= 1 ? 'disabled' : ''} onclick="loadAuditLog(${page - 1})">← Prev</button>`;
+  html += `<span class="pagination__info">Page ${page} of ${pages}</span>`;
+  html += `<button class="pagination__btn" ${page >= pages ? 'disabled' : ''} onclick="loadAuditLog(${page + 1})">Next →</button>`;
+  el.innerHTML = html;
+}
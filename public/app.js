@@ -13,10 +13,14 @@ const CONFIG = {
   API_BASE: `${API_ORIGIN}/api`,
   CACHE_PREFIX: 'ml_',
   CACHE_TTL: 24 * 60 * 60 * 1000, // 24 hours
+  PREFS_TTL: 365 * 24 * 60 * 60 * 1000, // reader settings, e.g. chords
   SEARCH_DEBOUNCE: 300,
+  SUGGEST_DEBOUNCE: 120,
+  SUGGEST_LIMIT: 5,
   ITEMS_PER_PAGE: 20,
   POPULAR_LIMIT: 6,
   VIEW_COOLDOWN: 60 * 60 * 1000, // 1 hour
+  CHANGES_INTERVAL: 15 * 60 * 1000, // how often to read the change feed
 };
 
 // ─── Utility Module ────────────────────────────────────────────
@@ -29,6 +33,21 @@ const Utils = {
     return div.innerHTML;
   },
 
+  /**
+   * Escape a search snippet, then turn the server's \u0002…\u0003 hit
+   * markers into <mark> tags.
+   */
+  highlightSnippet(snippet) {
+    return this.escapeHtml(snippet)
+      .replace(/\u0002/g, '<mark>')
+      .replace(/\u0003/g, '</mark>');
+  },
+
+  /** Fold text the way the server's search index does (normalize.js). */
+  normalizeSearch(text) {
+    return window.Normalize ? window.Normalize.forSearch(text) : (text || '').toLowerCase();
+  },
+
   /** Debounce function calls. */
   debounce(fn, delay) {
     let timer;
@@ -45,6 +64,23 @@ const Utils = {
     return (n / 1000000).toFixed(1).replace(/\.0$/, '') + 'M';
   },
 
+  /** Format a byte count (e.g., 1536000 → "1.5 MB"). */
+  formatBytes(n) {
+    if (!n || n < 1024 * 1024) return Math.ceil((n || 0) / 1024) + ' KB';
+    return (n / (1024 * 1024)).toFixed(1).replace(/\.0$/, '') + ' MB';
+  },
+
+  /** API-relative paths (e.g. uploaded recordings) point at the worker. */
+  apiUrl(url) {
+    return url && url.startsWith('/') ? API_ORIGIN + url : url;
+  },
+
+  /** Format seconds as a playback time (e.g., 75.4 → "1:15"). */
+  formatClock(seconds) {
+    const s = Math.max(0, Math.floor(seconds || 0));
+    return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+  },
+
   /** Check if device is online. */
   isOnline() {
     return navigator.onLine;
@@ -53,7 +89,7 @@ const Utils = {
   /** Get slug from current URL path. */
   getSlugFromUrl() {
     const path = window.location.pathname;
-    const match = path.match(/\/(song|artist|composer|copyright-owner)\/([^/]+)/);
+    const match = path.match(/\/(song|artist|composer|copyright-owner|album|set)\/([^/]+)/);
     return match ? match[2] : null;
   },
 
@@ -64,6 +100,9 @@ const Utils = {
     if (path.startsWith('/artist/')) return 'artist';
     if (path.startsWith('/composer/')) return 'composer';
     if (path.startsWith('/copyright-owner/')) return 'copyright-owner';
+    if (path.startsWith('/album/')) return 'album';
+    if (path === '/setlists' || path === '/setlists.html' || path.startsWith('/set/')) return 'setlists';
+    if (path === '/library' || path === '/library.html') return 'library';
     return 'home';
   },
 
@@ -98,25 +137,28 @@ const Utils = {
 const Cache = {
   /** Save data to localStorage with timestamp. */
   set(key, data) {
+    const entry = JSON.stringify({
+      data,
+      timestamp: Date.now(),
+    });
     try {
-      const entry = {
-        data,
-        timestamp: Date.now(),
-      };
-      localStorage.setItem(CONFIG.CACHE_PREFIX + key, JSON.stringify(entry));
+      localStorage.setItem(CONFIG.CACHE_PREFIX + key, entry);
     } catch (e) {
-      // Storage full — clear oldest entries
+      // Storage full — clear oldest entries and try once more
       this._cleanup();
+      try {
+        localStorage.setItem(CONFIG.CACHE_PREFIX + key, entry);
+      } catch { /* still full */ }
     }
   },
 
   /** Retrieve from localStorage if not expired. */
-  get(key) {
+  get(key, ttl = CONFIG.CACHE_TTL) {
     try {
       const raw = localStorage.getItem(CONFIG.CACHE_PREFIX + key);
       if (!raw) return null;
       const entry = JSON.parse(raw);
-      if (Date.now() - entry.timestamp > CONFIG.CACHE_TTL) {
+      if (Date.now() - entry.timestamp > ttl) {
         localStorage.removeItem(CONFIG.CACHE_PREFIX + key);
         return null;
       }
@@ -143,8 +185,8 @@ const Cache = {
   /** Save a song to the offline cache. */
   cacheSong(song) {
     if (!song?.slug) return;
-    // Full data in localStorage
-    this.set('song_' + song.slug, song);
+    // Full data in IndexedDB
+    OfflineStore.putSong(song);
     // Minimal reference in cookies
     const visited = JSON.parse(this.getCookie('visited') || '[]');
     if (!visited.includes(song.slug)) {
@@ -155,21 +197,165 @@ const Cache = {
     }
   },
 
-  /** Get a cached song. */
-  getCachedSong(slug) {
-    return this.get('song_' + slug);
+  /**
+   * Get a cached song (async). Favorites never expire, nor do songs saved
+   * since this browser started following the change feed (syncChanges
+   * keeps them current); older copies last CACHE_TTL.
+   */
+  async getCachedSong(slug) {
+    if (this.isFavorite(slug)) return OfflineStore.getSong(slug, Infinity);
+    const feed = await OfflineStore.get('changes', Infinity);
+    return OfflineStore.getSong(slug, CONFIG.CACHE_TTL, feed?.started);
+  },
+
+  // ─── Change feed ─────────────────────────────────────
+  /**
+   * Read the server's change feed (GET /api/changes) from where this
+   * browser left off, at most every CHANGES_INTERVAL: stored songs that
+   * changed are replaced and deleted ones dropped, and stored profiles,
+   * albums and the typeahead index that show a changed record are fetched
+   * again. The first call only takes the cursor to start from.
+   */
+  async syncChanges() {
+    if (!Utils.isOnline() || this._syncing) return;
+    const feed = await OfflineStore.get('changes', Infinity);
+    if (feed && Date.now() - feed.checked < CONFIG.CHANGES_INTERVAL) return;
+    if (document.readyState !== 'complete') await new Promise((resolve) => window.addEventListener('load', resolve));
+    if (this._syncing) return;
+    this._syncing = true;
+    const started = feed?.started || Date.now();
+    let cursor = feed?.cursor || null;
+    try {
+      let more = true;
+      while (more) {
+        const data = await API.getChanges(cursor);
+        if (cursor) await this.applyChanges(data.changes);
+        ({ cursor, more } = data);
+        await OfflineStore.set('changes', { cursor, started, checked: Date.now() });
+      }
+    } catch (err) {
+      console.warn('Failed to read the change feed:', err);
+    } finally {
+      this._syncing = false;
+    }
+  },
+
+  async applyChanges(changes) {
+    // The last change of a song wins (a slug can be deleted, then reused)
+    const songs = new Map();
+    const stale = new Set();
+    const gone = new Set();
+    for (const change of changes) {
+      if (change.type === 'song') {
+        songs.set(change.slug, change);
+      } else {
+        (change.action === 'deleted' ? gone : stale).add(`${change.type}_${change.slug}`);
+      }
+      if (change.type !== 'album') stale.add('suggest_index');
+    }
+
+    // Profiles and albums listing a changed song, before and after the change
+    const stored = await OfflineStore.getSongs([...songs.keys()]);
+    const before = [...stored.values()].map((r) => r.song);
+    const after = [...songs.values()].map((c) => c.record).filter(Boolean);
+    for (const song of [...before, ...after]) {
+      (song.credits || []).forEach((c) => stale.add(`${c.type}_${c.slug}`));
+      (song.albums || []).forEach((a) => stale.add(`album_${a.slug}`));
+      if (song.copyright_owner_slug) stale.add(`copyright_owner_${song.copyright_owner_slug}`);
+    }
+
+    // Pack copies take the feed's record; a song page saved in full (with
+    // albums, recordings and timing) is fetched again instead
+    const updates = [];
+    for (const change of songs.values()) {
+      if (!change.record) continue;
+      const old = stored.get(change.slug);
+      if (old && !old.pack) {
+        try {
+          await OfflineStore.putSong(await API.getSong(change.slug, { cache: 'no-cache' }));
+          continue;
+        } catch (err) {
+          console.warn('Failed to refresh a saved song:', err);
+        }
+      }
+      updates.push(change.record);
+    }
+    await OfflineStore.updateSongs(updates);
+    const changed = [...songs.values()];
+    await OfflineStore.deleteSongs(changed.filter((c) => c.action === 'deleted').map((c) => c.slug));
+    for (const key of gone) await OfflineStore.remove(key);
+    for (const key of stale) {
+      if (!gone.has(key)) await this.refreshEntry(key);
+    }
+  },
+
+  /**
+   * Fetch a stored profile, album or typeahead index again, past the
+   * browser's HTTP cache; ones never stored here are skipped.
+   */
+  async refreshEntry(key) {
+    if (!(await OfflineStore.get(key, Infinity))) return;
+    const profile = key.match(/^(artist|composer|copyright_owner|album)_(.+)$/);
+    try {
+      if (key === 'suggest_index') {
+        await OfflineStore.set(key, (await API.getSuggestIndex({ cache: 'no-cache' })).items);
+        Typeahead._localIndex = null;
+      } else if (profile) {
+        const fetchers = {
+          artist: API.getArtist,
+          composer: API.getComposer,
+          copyright_owner: API.getCopyrightOwner,
+          album: API.getAlbum,
+        };
+        await OfflineStore.set(key, await fetchers[profile[1]].call(API, profile[2], { cache: 'no-cache' }));
+      }
+    } catch (err) {
+      // Left to expire as before
+      console.warn(`Failed to refresh ${key}:`, err);
+    }
+  },
+
+  /** Chord settings (shown, transpose, capo, flats) saved for a song. */
+  getChordPrefs(slug) {
+    return this.get('chords_' + slug, CONFIG.PREFS_TTL);
+  },
+
+  setChordPrefs(slug, prefs) {
+    this.set('chords_' + slug, prefs);
+  },
+
+  /** Setlists kept on this device (see the Setlists module). */
+  getSetlists() {
+    return this.get('setlists', CONFIG.PREFS_TTL) || [];
+  },
+
+  setSetlists(lists) {
+    this.set('setlists', lists);
+  },
+
+  /** Favorites and recently viewed songs (see the Library module). */
+  getLibrary() {
+    return this.get('library', Infinity) || { favorites: [], recent: [] };
+  },
+
+  setLibrary(library) {
+    this.set('library', library);
+  },
+
+  isFavorite(slug) {
+    return this.getLibrary().favorites.some((f) => f.slug === slug);
   },
 
   /** Cache song list. */
   cacheSongList(page, category, data) {
     const key = `list_${page}_${category || 'all'}`;
-    this.set(key, data);
+    return OfflineStore.set(key, data);
   },
 
-  /** Get cached song list. */
+  /** Get cached song list (async). */
   getCachedSongList(page, category) {
     const key = `list_${page}_${category || 'all'}`;
-    return this.get(key);
+    return OfflineStore.get(key);
   },
 
   /** Check view cooldown. */
@@ -186,12 +372,14 @@ const Cache = {
     this.setCookie('view_' + slug, String(Date.now()), 1);
   },
 
-  /** Remove old entries when storage is full. */
+  /** Remove old entries when storage is full, but not the library, setlists or favorite songs. */
   _cleanup() {
+    const keep = new Set(['library', 'setlists', ...this.getLibrary().favorites.map((f) => 'song_' + f.slug)]
+      .map((k) => CONFIG.CACHE_PREFIX + k));
     const keys = [];
     for (let i = 0; i < localStorage.length; i++) {
       const k = localStorage.key(i);
-      if (k.startsWith(CONFIG.CACHE_PREFIX)) {
+      if (k.startsWith(CONFIG.CACHE_PREFIX) && !keep.has(k)) {
         try {
           const entry = JSON.parse(localStorage.getItem(k));
           keys.push({ key: k, ts: entry.timestamp || 0 });
@@ -207,11 +395,422 @@ const Cache = {
   },
 };
 
+// ─── Offline Store (IndexedDB) ─────────────────────────────────
+/**
+ * Songs, song lists and profiles kept for offline use. They live in
+ * IndexedDB, which is not held to the ~5 MB localStorage quota and is read
+ * without blocking the page: `songs` has one record per song ({ slug,
+ * title, artist, category, song, timestamp }, indexed on title, artist,
+ * category and age) and `entries` everything else under Cache-style keys
+ * ('popular', 'list_1_all', 'artist_<slug>', …). Copies saved in
+ * localStorage by older versions are moved over on first use. Without
+ * IndexedDB (some private windows) it all stays in localStorage.
+ */
+const OfflineStore = {
+  DB_NAME: 'maralyrics',
+  DB_VERSION: 1,
+  SONG_LIMIT: 2000, // besides favorites and the offline pack, oldest first out
+  // Cache keys that belong here rather than in localStorage
+  MOVED_KEYS: /^(song|list|search|artist|composer|copyright_owner|album|setlist)_|^(popular|categories|suggest_index)$/,
+  _db: null,
+  _index: null, // offline search index, built on first search
+
+  /** The database, or null when IndexedDB cannot be used. */
+  open() {
+    if (!this._db) {
+      this._db = new Promise((resolve) => {
+        if (!window.indexedDB) return resolve(null);
+        const req = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+        req.onupgradeneeded = () => {
+          const db = req.result;
+          const songs = db.createObjectStore('songs', { keyPath: 'slug' });
+          songs.createIndex('title', 'title');
+          songs.createIndex('artist', 'artist');
+          songs.createIndex('category', 'category');
+          songs.createIndex('timestamp', 'timestamp');
+          db.createObjectStore('entries', { keyPath: 'key' });
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => {
+          console.warn('IndexedDB unavailable, caching in localStorage:', req.error);
+          resolve(null);
+        };
+      }).then(async (db) => {
+        if (db) {
+          try {
+            await this.migrate(db);
+          } catch (err) {
+            console.warn('Failed to move the offline cache to IndexedDB:', err);
+          }
+        }
+        return db;
+      });
+    }
+    return this._db;
+  },
+
+  /** Resolve an IDBRequest, or a transaction once it has committed. */
+  _done(target) {
+    return new Promise((resolve, reject) => {
+      if (target instanceof IDBTransaction) {
+        target.oncomplete = () => resolve();
+        target.onabort = target.onerror = () => reject(target.error);
+      } else {
+        target.onsuccess = () => resolve(target.result);
+        target.onerror = () => reject(target.error);
+      }
+    });
+  },
+
+  /** Move ml_song_*, ml_list_* … out of localStorage. */
+  async migrate(db) {
+    const moved = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      const name = key.startsWith(CONFIG.CACHE_PREFIX) ? key.slice(CONFIG.CACHE_PREFIX.length) : '';
+      if (name && this.MOVED_KEYS.test(name)) moved.push([key, name]);
+    }
+    if (!moved.length) return;
+
+    const tx = db.transaction(['songs', 'entries'], 'readwrite');
+    for (const [key, name] of moved) {
+      let entry = null;
+      try {
+        entry = JSON.parse(localStorage.getItem(key));
+      } catch { /* dropped below */ }
+      if (!entry?.data) continue;
+      if (name.startsWith('song_')) {
+        if (entry.data.slug) tx.objectStore('songs').put(this.songRecord(entry.data, entry.timestamp));
+      } else {
+        tx.objectStore('entries').put({ key: name, data: entry.data, timestamp: entry.timestamp || 0 });
+      }
+    }
+    await this._done(tx);
+    moved.forEach(([key]) => localStorage.removeItem(key));
+  },
+
+  // ─── Lists and profiles ──────────────────────────────
+  async get(key, ttl = CONFIG.CACHE_TTL) {
+    const db = await this.open();
+    if (!db) return Cache.get(key, ttl);
+    try {
+      const entry = await this._done(db.transaction('entries').objectStore('entries').get(key));
+      return entry && Date.now() - entry.timestamp <= ttl ? entry.data : null;
+    } catch {
+      return null;
+    }
+  },
+
+  async set(key, data) {
+    const db = await this.open();
+    if (!db) return Cache.set(key, data);
+    try {
+      await this._done(db.transaction('entries', 'readwrite').objectStore('entries').put({ key, data, timestamp: Date.now() }));
+    } catch (err) {
+      console.warn('Failed to cache for offline use:', err);
+    }
+  },
+
+  async remove(key) {
+    const db = await this.open();
+    if (!db) return localStorage.removeItem(CONFIG.CACHE_PREFIX + key);
+    try {
+      await this._done(db.transaction('entries', 'readwrite').objectStore('entries').delete(key));
+    } catch { /* gone either way */ }
+  },
+
+  // ─── Songs ───────────────────────────────────────────
+  songRecord(song, timestamp = Date.now()) {
+    return {
+      slug: song.slug,
+      title: song.title || '',
+      artist: song.artist_name || song.artist || '',
+      category: song.category || '',
+      song,
+      timestamp,
+    };
+  },
+
+  /**
+   * A stored song younger than `ttl`, or saved at or after `keptSince`
+   * (kept current by the change feed). Songs of the offline pack never expire.
+   */
+  async getSong(slug, ttl = CONFIG.CACHE_TTL, keptSince = Infinity) {
+    const record = (await this.getSongs([slug])).get(slug);
+    const fresh = record && (record.pack || record.timestamp >= keptSince || Date.now() - record.timestamp <= ttl);
+    return fresh ? record.song : null;
+  },
+
+  /** Records of the given songs that are stored, by slug (whatever their age). */
+  async getSongs(slugs) {
+    const found = new Map();
+    const db = await this.open();
+    if (!db) {
+      for (const slug of slugs) {
+        const song = Cache.get('song_' + slug, Infinity);
+        if (song) found.set(slug, this.songRecord(song, 0));
+      }
+      return found;
+    }
+    try {
+      const store = db.transaction('songs').objectStore('songs');
+      const records = await Promise.all(slugs.map((slug) => this._done(store.get(slug))));
+      records.forEach((r) => r && found.set(r.slug, r));
+    } catch (err) {
+      console.warn('Failed to read cached songs:', err);
+    }
+    return found;
+  },
+
+  async putSong(song) {
+    const db = await this.open();
+    if (!db) return Cache.set('song_' + song.slug, song);
+    try {
+      const limit = this.SONG_LIMIT + ((await this.get(OfflinePack.KEY, Infinity))?.count || 0);
+      const store = db.transaction('songs', 'readwrite').objectStore('songs');
+      const old = await this._done(store.get(song.slug));
+      store.put({ ...this.songRecord(song), ...(old?.pack && { pack: true }) });
+      const count = await this._done(store.count());
+      if (count > limit) await this.prune(db, count - limit);
+    } catch (err) {
+      console.warn('Failed to cache song:', err);
+    }
+    if (this._index) this.indexSong(await this._index, song);
+  },
+
+  /** Drop the oldest songs that are neither favorites nor in the offline pack. */
+  async prune(db, excess) {
+    const tx = db.transaction('songs', 'readwrite');
+    const req = tx.objectStore('songs').index('timestamp').openCursor();
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor || excess <= 0) return;
+      if (!cursor.value.pack && !Cache.isFavorite(cursor.value.slug)) {
+        cursor.delete();
+        excess--;
+      }
+      cursor.continue();
+    };
+    await this._done(tx);
+    this._index = null;
+  },
+
+  /**
+   * Store newer copies of songs in batches, calling `onProgress(done)` after
+   * each. Only songs already stored are updated, unless `pack`: then all of
+   * them are kept as the offline pack. A stored copy that is as new is
+   * kept, as it may hold recordings and albums the newer one leaves out.
+   */
+  async updateSongs(songs, { pack = false, onProgress } = {}) {
+    const db = await this.open();
+    if (!db) {
+      if (pack) throw new Error('IndexedDB is not available');
+      return;
+    }
+    const BATCH = 200;
+    for (let i = 0; i < songs.length; i += BATCH) {
+      const tx = db.transaction('songs', 'readwrite');
+      const store = tx.objectStore('songs');
+      for (const song of songs.slice(i, i + BATCH)) {
+        const req = store.get(song.slug);
+        req.onsuccess = () => {
+          const old = req.result;
+          if (!old && !pack) return;
+          const current = old && old.song.updated_at === song.updated_at;
+          store.put({ ...(current ? old : this.songRecord(song)), ...((pack || old.pack) && { pack: true }) });
+        };
+      }
+      await this._done(tx);
+      onProgress?.(Math.min(i + BATCH, songs.length));
+    }
+    this._index = null;
+  },
+
+  /** Drop deleted songs, but not favorites. */
+  async deleteSongs(slugs) {
+    const db = await this.open();
+    if (!db || !slugs.length) return;
+    const favorites = new Set(Cache.getLibrary().favorites.map((f) => f.slug));
+    const tx = db.transaction('songs', 'readwrite');
+    slugs.filter((slug) => !favorites.has(slug)).forEach((slug) => tx.objectStore('songs').delete(slug));
+    await this._done(tx);
+    this._index = null;
+  },
+
+  /**
+   * Store the offline pack (see OfflinePack). Pack songs not in `keep`
+   * (slugs) were deleted and are dropped, unless a favorite.
+   */
+  async putPack(songs, keep, onProgress) {
+    await this.updateSongs(songs, { pack: true, onProgress });
+    const db = await this.open();
+    const favorites = new Set(Cache.getLibrary().favorites.map((f) => f.slug));
+    const tx = db.transaction('songs', 'readwrite');
+    const req = tx.objectStore('songs').openCursor();
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return;
+      const { slug, pack } = cursor.value;
+      if (pack && !keep.has(slug) && !favorites.has(slug)) cursor.delete();
+      cursor.continue();
+    };
+    await this._done(tx);
+    this._index = null;
+  },
+
+  /** Every stored song record, whatever its age. */
+  async allSongs() {
+    const db = await this.open();
+    if (!db) {
+      const records = [];
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (!key.startsWith(CONFIG.CACHE_PREFIX + 'song_')) continue;
+        try {
+          const entry = JSON.parse(localStorage.getItem(key));
+          if (entry?.data?.slug) records.push(this.songRecord(entry.data, entry.timestamp));
+        } catch { /* skip */ }
+      }
+      return records;
+    }
+    try {
+      return await this._done(db.transaction('songs').objectStore('songs').getAll());
+    } catch {
+      return [];
+    }
+  },
+
+  // ─── Offline search ──────────────────────────────────
+  /**
+   * An inverted index of every stored song: each word of the title
+   * (weight 8), artist and composer names (4), category (2) and lyrics in
+   * every language (1), folded like the server's index, maps to the songs
+   * that contain it.
+   */
+  buildIndex() {
+    if (!this._index) {
+      this._index = this.allSongs().then((records) => {
+        const index = { terms: new Map(), songs: new Map(), sorted: null };
+        records.forEach((r) => this.indexSong(index, r.song));
+        return index;
+      });
+    }
+    return this._index;
+  },
+
+  /** Letters and digits of folded text, split into words. */
+  words(text) {
+    return Utils.normalizeSearch(text).split(/[^\p{L}\p{M}\p{N}]+/u).filter(Boolean);
+  },
+
+  indexSong(index, song) {
+    const old = index.songs.get(song.slug);
+    if (old) old.terms.forEach((t) => index.terms.get(t)?.delete(song.slug));
+
+    // Lyric lines without chords ([G]) or directives ({chorus})
+    const lyrics = [song.lyrics, ...(song.translations || []).map((t) => t.lyrics)]
+      .flatMap((text) => (text || '').split('\n'))
+      .map((line) => line.replace(/\[[^\]]*\]/g, '').trim())
+      .filter((line) => line && !line.startsWith('{'));
+    const weights = new Map();
+    const add = (text, weight) => this.words(text).forEach((w) => weights.set(w, Math.max(weights.get(w) || 0, weight)));
+    add(song.title, 8);
+    (song.translations || []).forEach((t) => add(t.title, 8));
+    add(`${song.artist_name || song.artist || ''} ${song.composer_name || ''}`, 4);
+    add(song.category, 2);
+    lyrics.forEach((line) => add(line, 1));
+
+    for (const [term, weight] of weights) {
+      if (!index.terms.has(term)) index.terms.set(term, new Map());
+      index.terms.get(term).set(song.slug, weight);
+    }
+    index.songs.set(song.slug, {
+      song,
+      terms: [...weights.keys()],
+      lines: lyrics.map((text) => ({ text, folded: Utils.normalizeSearch(text) })),
+    });
+    index.sorted = null;
+  },
+
+  /** Indexed words that start with the typed word (binary search over the sorted words). */
+  termsStartingWith(index, prefix) {
+    if (!index.sorted) index.sorted = [...index.terms.keys()].sort();
+    const sorted = index.sorted;
+    let lo = 0;
+    let hi = sorted.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (sorted[mid] < prefix) lo = mid + 1;
+      else hi = mid;
+    }
+    const found = [];
+    for (let i = lo; i < sorted.length && sorted[i].startsWith(prefix); i++) found.push(sorted[i]);
+    return found;
+  },
+
+  /**
+   * Stored songs with every typed word (a word start, or anywhere in a
+   * word for Burmese, which is not split into words), best first, each
+   * with the first matching lyric line as its snippet.
+   */
+  async search(query) {
+    const typed = this.words(query);
+    if (!typed.length) return [];
+    const index = await this.buildIndex();
+
+    let scores = null;
+    for (const word of typed) {
+      const found = new Map();
+      for (const term of this.termsStartingWith(index, word)) {
+        for (const [slug, weight] of index.terms.get(term)) {
+          found.set(slug, Math.max(found.get(slug) || 0, term === word ? weight * 2 : weight));
+        }
+      }
+      if (!found.size) {
+        for (const [slug, entry] of index.songs) {
+          if (entry.terms.some((t) => t.includes(word))) found.set(slug, 1);
+        }
+      }
+      scores = scores
+        ? new Map([...scores].filter(([slug]) => found.has(slug)).map(([slug, s]) => [slug, s + found.get(slug)]))
+        : found;
+      if (!scores.size) return [];
+    }
+
+    return [...scores]
+      .sort((a, b) => b[1] - a[1])
+      .map(([slug]) => {
+        const entry = index.songs.get(slug);
+        return { ...entry.song, snippet: this.snippet(entry, typed) };
+      });
+  },
+
+  /** The first lyric line with a typed word, hits marked like the server's snippets. */
+  snippet(entry, typed) {
+    const hit = (w) => typed.some((t) => w.includes(t));
+    const line = entry.lines.find((l) => this.words(l.text).some(hit));
+    if (!line) return '';
+    // Marks can only be placed when folding kept the line's length
+    if (line.folded.length !== line.text.length) return line.text;
+    let out = '';
+    let last = 0;
+    for (const m of line.folded.matchAll(/[\p{L}\p{M}\p{N}]+/gu)) {
+      if (!hit(m[0])) continue;
+      out += line.text.slice(last, m.index) + '\u0002' + line.text.slice(m.index, m.index + m[0].length) + '\u0003';
+      last = m.index + m[0].length;
+    }
+    return out + line.text.slice(last);
+  },
+};
+
 // ─── API Module ────────────────────────────────────────────────
 const API = {
-  /** Generic JSON fetch with error handling. */
-  async fetchJSON(endpoint) {
-    const res = await fetch(CONFIG.API_BASE + endpoint);
+  /**
+   * Generic JSON fetch with error handling.
+   * `init` as for fetch(), e.g. { cache: 'no-cache' } to skip a cached copy.
+   */
+  async fetchJSON(endpoint, init) {
+    const res = await fetch(CONFIG.API_BASE + endpoint, init);
     if (!res.ok) throw new Error(`API ${res.status}: ${res.statusText}`);
     return res.json();
   },
@@ -224,13 +823,32 @@ const API = {
   },
 
   /** Get single song by slug. */
-  async getSong(slug) {
-    return this.fetchJSON(`/song/${encodeURIComponent(slug)}`);
+  async getSong(slug, init) {
+    return this.fetchJSON(`/song/${encodeURIComponent(slug)}`, init);
   },
 
-  /** Search songs. */
-  async search(query) {
-    return this.fetchJSON(`/search?q=${encodeURIComponent(query)}`);
+  /** Search songs; options are filters (category, artist, …), sort and cursor. */
+  async search(query, options = {}) {
+    const params = new URLSearchParams({ q: query });
+    for (const [key, value] of Object.entries(options)) {
+      if (value) params.set(key, value);
+    }
+    return this.fetchJSON(`/search?${params}`);
+  },
+
+  /** Typeahead suggestions (songs, artists, composers). */
+  async suggest(query) {
+    return this.fetchJSON(`/suggest?q=${encodeURIComponent(query)}&limit=${CONFIG.SUGGEST_LIMIT}`);
+  },
+
+  /** Every suggestible title and name, for offline typeahead. */
+  async getSuggestIndex(init) {
+    return this.fetchJSON('/suggest/index', init);
+  },
+
+  /** Catalogue changes after a cursor; without one, just the cursor to start from. */
+  async getChanges(cursor = null) {
+    return this.fetchJSON(`/changes${cursor ? `?since=${encodeURIComponent(cursor)}` : ''}`);
   },
 
   /** Get categories. */
@@ -251,18 +869,53 @@ const API = {
   },
 
   /** Get copyright owner by slug. */
-  async getCopyrightOwner(slug) {
-    return this.fetchJSON(`/copyright-owner/${encodeURIComponent(slug)}`);
+  async getCopyrightOwner(slug, init) {
+    return this.fetchJSON(`/copyright-owner/${encodeURIComponent(slug)}`, init);
   },
 
   /** Get artist by slug. */
-  async getArtist(slug) {
-    return this.fetchJSON(`/artist/${encodeURIComponent(slug)}`);
+  async getArtist(slug, init) {
+    return this.fetchJSON(`/artist/${encodeURIComponent(slug)}`, init);
   },
 
   /** Get composer by slug. */
-  async getComposer(slug) {
-    return this.fetchJSON(`/composer/${encodeURIComponent(slug)}`);
+  async getComposer(slug, init) {
+    return this.fetchJSON(`/composer/${encodeURIComponent(slug)}`, init);
+  },
+
+  /** Get album / hymnal by slug, with its songs in order. */
+  async getAlbum(slug, init) {
+    return this.fetchJSON(`/album/${encodeURIComponent(slug)}`, init);
+  },
+
+  /** Get a shared setlist by its code. */
+  async getSetlist(code) {
+    return this.fetchJSON(`/setlist/${encodeURIComponent(code)}`);
+  },
+
+  /**
+   * Write to a setlist endpoint. Shared lists are opened with their edit
+   * token; /admin/ endpoints go with the session cookie.
+   */
+  async sendSetlist(method, endpoint, body = null, token = null) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers['X-Setlist-Token'] = token;
+    const res = await fetch(CONFIG.API_BASE + endpoint, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined,
+      credentials: endpoint.startsWith('/admin/') ? 'include' : 'same-origin',
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw Object.assign(new Error(data.error || `API ${res.status}`), { status: res.status });
+    return data;
+  },
+
+  /** The signed-in user (an admin session), or null. */
+  async getSessionUser() {
+    const res = await fetch(`${CONFIG.API_BASE}/admin/me`, { credentials: 'include' });
+    if (!res.ok) return null;
+    return (await res.json()).user || null;
   },
 };
 
@@ -271,18 +924,24 @@ const UI = {
   /** Create a song card HTML string. */
   createSongCard(song, index = 0) {
     const delay = Math.min(index * 60, 600);
+    // Track number inside an album, otherwise the song's hymnal number
+    const number = song.number ?? song.hymn_number;
+    // The whole card links to the song (the title link is stretched over
+    // it), leaving the favorite and add-to-setlist buttons clickable on top
     return `
-      <a href="/song/${Utils.escapeHtml(song.slug)}"
-         class="song-card stagger-enter"
+      <article class="song-card stagger-enter"
          style="animation-delay:${delay}ms"
          data-slug="${Utils.escapeHtml(song.slug)}">
-        <h3 class="song-card__title">${Utils.escapeHtml(song.title)}</h3>
+        <h3 class="song-card__title">${number != null ? `<span class="song-card__number">${Utils.escapeHtml(String(number))}</span>` : ''}<a href="/song/${Utils.escapeHtml(song.slug)}" class="song-card__link">${Utils.escapeHtml(song.title)}</a></h3>
         <p class="song-card__artist">${Utils.escapeHtml(song.artist_name || song.artist || I18n.t('common.unknown_artist'))}</p>
+        ${song.snippet ? `<p class="song-card__snippet">${Utils.highlightSnippet(song.snippet)}</p>` : ''}
         <div class="song-card__meta">
           ${song.category ? `<span class="song-card__category">${Utils.escapeHtml(song.category)}</span>` : '<span></span>'}
           <span class="song-card__views">👁 ${Utils.formatViews(song.views)}</span>
         </div>
-      </a>`;
+        ${Library.buttonHtml(song, 'song-card__fav')}
+        ${SetlistPicker.buttonHtml(song, 'song-card__add')}
+      </article>`;
   },
 
   /** Create skeleton loading cards. */
@@ -349,93 +1008,817 @@ const UI = {
   },
 };
 
-// ─── Home Page Controller ──────────────────────────────────────
-const HomePage = {
-  currentPage: 1,
-  currentCategory: null,
+// ─── Search Typeahead ──────────────────────────────────────────
+const Typeahead = {
+  items: [],
+  active: -1,
+  _request: 0,
+  _localIndex: null,
+
+  PATHS: { song: '/song/', artist: '/artist/', composer: '/composer/' },
+
+  /** Attach the dropdown to a search input. */
+  init(input) {
+    if (!input) return;
+    this.input = input;
+    this.list = document.createElement('ul');
+    this.list.id = 'searchTypeahead';
+    this.list.className = 'typeahead';
+    this.list.setAttribute('role', 'listbox');
+    this.list.hidden = true;
+    input.insertAdjacentElement('afterend', this.list);
+
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('aria-controls', this.list.id);
+    input.setAttribute('aria-expanded', 'false');
+
+    const debounced = Utils.debounce(() => this.update(input.value), CONFIG.SUGGEST_DEBOUNCE);
+    input.addEventListener('input', debounced);
+    input.addEventListener('keydown', (e) => this.onKeydown(e));
+    input.addEventListener('blur', () => this.close());
+    // Keep focus in the input so the click lands on the link
+    this.list.addEventListener('mousedown', (e) => e.preventDefault());
+  },
 
-  async init() {
-    this.bindElements();
-    this.bindEvents();
-    await Promise.all([
-      this.loadCategories(),
-      this.loadPopular(),
-      this.loadSongs(),
-    ]);
+  async update(value) {
+    const q = value.trim();
+    const request = ++this._request;
+    if (!q) return this.close();
+
+    let items;
+    try {
+      if (!Utils.isOnline()) throw new Error('offline');
+      items = (await API.suggest(value)).suggestions;
+    } catch {
+      items = await this.searchLocal(value);
+    }
+    // A newer keystroke (or a close) already replaced this request
+    if (request !== this._request) return;
+    this.render(items);
   },
 
-  bindElements() {
-    this.searchInput = document.getElementById('searchInput');
-    this.searchClear = document.getElementById('searchClear');
-    this.categoriesEl = document.getElementById('categories');
-    this.songGrid = document.getElementById('songGrid');
-    this.popularGrid = document.getElementById('popularGrid');
-    this.searchGrid = document.getElementById('searchGrid');
-    this.searchResults = document.getElementById('searchResults');
-    this.searchCount = document.getElementById('searchCount');
-    this.popularSection = document.getElementById('popularSection');
-    this.allSongsSection = document.getElementById('allSongsSection');
-    this.paginationEl = document.getElementById('pagination');
+  render(items) {
+    this.items = items;
+    this.active = -1;
+    if (!items.length) return this.close();
+
+    this.list.innerHTML = items.map((item, i) => {
+      const detail = item.type === 'song'
+        ? item.artist || ''
+        : I18n.t(`${item.type}.role`);
+      return `
+        <li role="option" id="searchTypeahead-${i}" aria-selected="false">
+          <a class="typeahead__item" href="${this.PATHS[item.type]}${encodeURIComponent(item.slug)}" tabindex="-1">
+            <span class="typeahead__icon typeahead__icon--${item.type}" aria-hidden="true"></span>
+            ${item.hymn ? `<span class="song-card__number">${Utils.escapeHtml(item.hymn)}</span>` : ''}
+            <span class="typeahead__label">${Utils.escapeHtml(item.label)}</span>
+            <span class="typeahead__detail">${Utils.escapeHtml(detail)}</span>
+          </a>
+        </li>`;
+    }).join('');
+    this.list.hidden = false;
+    this.input.setAttribute('aria-expanded', 'true');
   },
 
-  bindEvents() {
-    // Search with debounce
-    if (this.searchInput) {
-      const debouncedSearch = Utils.debounce(
-        (e) => this.handleSearch(e.target.value),
-        CONFIG.SEARCH_DEBOUNCE
-      );
-      this.searchInput.addEventListener('input', (e) => {
-        this.searchClear.classList.toggle('visible', e.target.value.length > 0);
-        debouncedSearch(e);
-      });
+  close() {
+    if (!this.list) return;
+    this._request++; // drop any suggestions still in flight
+    this.items = [];
+    this.active = -1;
+    this.list.hidden = true;
+    this.list.innerHTML = '';
+    this.input.setAttribute('aria-expanded', 'false');
+    this.input.removeAttribute('aria-activedescendant');
+  },
+
+  isOpen() {
+    return !!this.list && !this.list.hidden;
+  },
+
+  /** Highlight an option (wraps around both ends). */
+  highlight(index) {
+    const options = this.list.querySelectorAll('[role="option"]');
+    if (!options.length) return;
+    this.active = (index + options.length) % options.length;
+    options.forEach((opt, i) => {
+      opt.setAttribute('aria-selected', String(i === this.active));
+      opt.classList.toggle('active', i === this.active);
+    });
+    this.input.setAttribute('aria-activedescendant', options[this.active].id);
+    options[this.active].scrollIntoView({ block: 'nearest' });
+  },
+
+  onKeydown(e) {
+    if (!this.isOpen()) return;
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        this.highlight(this.active + 1);
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        this.highlight(this.active - 1);
+        break;
+      case 'Enter': {
+        // A hymn number ("245", "MH 245") jumps straight to its song
+        const index = this.active < 0 && this.items[0]?.hymn ? 0 : this.active;
+        if (index < 0) return this.close();
+        e.preventDefault();
+        window.location.href = this.list.querySelectorAll('.typeahead__item')[index].href;
+        break;
+      }
+      case 'Escape':
+        e.preventDefault();
+        this.close();
+        break;
+      case 'Tab':
+        this.close();
+        break;
     }
+  },
 
-    // Clear search
-    if (this.searchClear) {
-      this.searchClear.addEventListener('click', () => {
-        this.searchInput.value = '';
-        this.searchClear.classList.remove('visible');
-        this.clearSearch();
-        this.searchInput.focus();
-      });
+  // ─── Offline index ───────────────────────────────────
+  /** Download the suggestion index once a day for offline use. */
+  async refreshIndex() {
+    if (!Utils.isOnline() || await OfflineStore.get('suggest_index')) return;
+    try {
+      const data = await API.getSuggestIndex();
+      await OfflineStore.set('suggest_index', data.items);
+      this._localIndex = null;
+    } catch (err) {
+      console.warn('Failed to load suggestion index:', err);
     }
+  },
 
-    // Category filter (event delegation)
-    if (this.categoriesEl) {
-      this.categoriesEl.addEventListener('click', (e) => {
-        const btn = e.target.closest('.category-btn');
-        if (!btn) return;
-        const cat = btn.dataset.category;
-        this.currentCategory = cat === this.currentCategory ? null : cat;
-        this.currentPage = 1;
-        this.updateCategoryButtons();
-        this.loadSongs();
-      });
+  /** Words of each entry, normalized like the server index (built once). */
+  async _entries() {
+    if (this._localIndex) return this._localIndex;
+    const rows = ((await OfflineStore.get('suggest_index')) || []).map(([type, label, slug]) => ({ type, label, slug }));
+    // Songs visited before the index was downloaded
+    const known = new Set(rows.filter((r) => r.type === 'song').map((r) => r.slug));
+    for (const { song } of await OfflineStore.allSongs()) {
+      if (!known.has(song.slug)) rows.push({ type: 'song', label: song.title, slug: song.slug, artist: song.artist_name });
     }
+    this._localIndex = rows.map((r) => ({ ...r, words: Utils.normalizeSearch(r.label).split(/\s+/) }));
+    return this._localIndex;
+  },
 
-    // Pagination (event delegation)
-    if (this.paginationEl) {
-      this.paginationEl.addEventListener('click', (e) => {
-        const btn = e.target.closest('.pagination__btn');
-        if (!btn || btn.disabled) return;
-        this.currentPage = parseInt(btn.dataset.page, 10);
-        this.loadSongs();
-        window.scrollTo({ top: this.allSongsSection.offsetTop - 80, behavior: 'smooth' });
-      });
+  /** Every typed word must start a word of the title or name. */
+  async searchLocal(value) {
+    const entries = await this._entries();
+    const terms = Utils.normalizeSearch(value).split(/\s+/).filter(Boolean);
+    if (!terms.length) return [];
+    const found = { song: [], artist: [], composer: [] };
+    for (const entry of entries) {
+      const bucket = found[entry.type];
+      if (!bucket || bucket.length >= CONFIG.SUGGEST_LIMIT) continue;
+      if (terms.every((t) => entry.words.some((w) => w.startsWith(t)))) bucket.push(entry);
     }
+    return [...found.song, ...found.artist, ...found.composer];
   },
+};
 
-  // ─── Load Categories ─────────────────────────────────
-  async loadCategories() {
-    if (!this.categoriesEl) return;
-    try {
-      let data;
+// ─── Setlists (this device, synced when signed in) ─────────────
+/**
+ * Setlists are kept in Cache as [{ id, code, token, owned, dirty, title,
+ * notes, songs: [{ slug, title, artist, key, notes }], updated_at }].
+ * A list gets a code when it is shared, or as soon as it is saved by a
+ * signed-in user: their lists live on the server (owned) and follow them
+ * to other devices. An anonymously shared list is updated with its edit
+ * token. `dirty` marks changes the server has not seen yet.
+ */
+const Setlists = {
+  PUSH_DELAY: 800,
+  user: undefined, // the session user once checked, null when signed out
+  pushTimers: {},
+
+  all() {
+    return Cache.getSetlists();
+  },
+
+  get(id) {
+    return this.all().find((l) => l.id === id) || null;
+  },
+
+  byCode(code) {
+    return this.all().find((l) => l.code === code) || null;
+  },
+
+  /** Store a new or changed list and send it on shortly. */
+  save(list) {
+    const lists = this.all();
+    const saved = { ...list, updated_at: new Date().toISOString(), dirty: true };
+    const i = lists.findIndex((l) => l.id === list.id);
+    if (i >= 0) lists[i] = saved;
+    else lists.unshift(saved);
+    Cache.setSetlists(lists);
+    this.schedulePush(saved.id);
+    return saved;
+  },
+
+  create(title, songs = []) {
+    const id = 'l' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+    return this.save({ id, code: null, token: null, owned: false, title, notes: '', songs });
+  },
+
+  update(id, changes) {
+    const list = this.get(id);
+    return list ? this.save({ ...list, ...changes }) : null;
+  },
+
+  async remove(id) {
+    const list = this.get(id);
+    clearTimeout(this.pushTimers[id]);
+    Cache.setSetlists(this.all().filter((l) => l.id !== id));
+    if (!list?.code) return;
+    try {
+      if (list.owned) await API.sendSetlist('DELETE', `/admin/setlist/${list.code}`);
+      else if (list.token) await API.sendSetlist('DELETE', `/setlist/${list.code}`, null, list.token);
+    } catch (err) {
+      console.warn('Failed to delete shared setlist:', err);
+    }
+  },
+
+  /** What a list keeps of a song, so it shows (and presents) offline. */
+  songEntry(song) {
+    return { slug: song.slug, title: song.title, artist: song.artist_name || song.artist || '', key: '', notes: '' };
+  },
+
+  /** Add the song to the list, or take it out if it is there. Returns true when added. */
+  toggleSong(id, song) {
+    const list = this.get(id);
+    if (!list) return false;
+    const i = list.songs.findIndex((s) => s.slug === song.slug);
+    const songs = i >= 0 ? list.songs.filter((_, j) => j !== i) : [...list.songs, this.songEntry(song)];
+    this.save({ ...list, songs });
+    return i < 0;
+  },
+
+  shareUrl(list) {
+    return list?.code ? `${window.location.origin}/set/${list.code}` : null;
+  },
+
+  async session() {
+    if (this.user === undefined) {
+      try {
+        this.user = Utils.isOnline() ? await API.getSessionUser() : null;
+      } catch {
+        this.user = null;
+      }
+    }
+    return this.user;
+  },
+
+  body(list) {
+    return {
+      title: list.title,
+      notes: list.notes,
+      songs: list.songs.map(({ slug, key, notes }) => ({ slug, key, notes })),
+    };
+  },
+
+  schedulePush(id) {
+    clearTimeout(this.pushTimers[id]);
+    this.pushTimers[id] = setTimeout(() => {
+      this.push(id).catch((err) => console.warn('Failed to sync setlist:', err));
+    }, this.PUSH_DELAY);
+  },
+
+  /**
+   * Send a changed list to the server when it lives there, or should:
+   * a signed-in user's new list is created in their account. A list
+   * deleted elsewhere stays here, as a list of this device only.
+   */
+  async push(id) {
+    const list = this.get(id);
+    if (!list?.dirty || !Utils.isOnline()) return list;
+    try {
+      if (list.owned) {
+        await API.sendSetlist('PUT', `/admin/setlist/${list.code}`, this.body(list));
+        return this.markSent(id, list.updated_at, {});
+      }
+      if (list.token) {
+        await API.sendSetlist('PUT', `/setlist/${list.code}`, this.body(list), list.token);
+        return this.markSent(id, list.updated_at, {});
+      }
+      if (await this.session()) {
+        const data = await API.sendSetlist('POST', '/admin/setlists', this.body(list));
+        return this.markSent(id, list.updated_at, { code: data.code, owned: true });
+      }
+      return list;
+    } catch (err) {
+      if (err.status === 404 || err.status === 403) {
+        return this.markSent(id, null, { code: null, token: null, owned: false });
+      }
+      throw err;
+    }
+  },
+
+  /** Record what the server now has; still dirty if edited meanwhile. */
+  markSent(id, sentVersion, fields) {
+    const lists = this.all();
+    const list = lists.find((l) => l.id === id);
+    if (!list) return null;
+    Object.assign(list, fields);
+    if (sentVersion && list.updated_at === sentVersion) list.dirty = false;
+    Cache.setSetlists(lists);
+    return list;
+  },
+
+  /** The list's public link, sharing it first if it has none. */
+  async share(id) {
+    let list = this.get(id);
+    if (!list) return null;
+    if (!list.code && await this.session()) {
+      list = await this.push(id);
+    } else if (!list.code) {
+      const data = await API.sendSetlist('POST', '/setlists', this.body(list));
+      list = this.markSent(id, list.updated_at, { code: data.code, token: data.token });
+    }
+    return this.shareUrl(list);
+  },
+
+  /** A list as the API returns it, in the shape kept here. */
+  fromServer(data) {
+    return {
+      code: data.code,
+      token: null,
+      owned: true,
+      dirty: false,
+      title: data.title,
+      notes: data.notes || '',
+      songs: (data.songs || []).map((s) => ({
+        slug: s.slug,
+        title: s.title,
+        artist: s.artist_name || '',
+        key: s.song_key || '',
+        notes: s.song_notes || '',
+      })),
+      updated_at: data.updated_at,
+    };
+  },
+
+  /**
+   * Signed in: bring this device's lists and the account's together.
+   * Unsent local changes win; an owned list the account no longer has was
+   * deleted on another device. Resolves to false when signed out.
+   */
+  async sync() {
+    if (!Utils.isOnline() || !(await this.session())) return false;
+    const { setlists: remote } = await API.sendSetlist('GET', '/admin/setlists');
+    const local = this.all();
+    const merged = remote.map((r) => {
+      const mine = local.find((l) => l.owned && l.code === r.code);
+      return mine?.dirty ? mine : { ...this.fromServer(r), id: mine?.id || r.code };
+    });
+    for (const l of local) {
+      if (!l.owned && !merged.some((m) => m.id === l.id)) merged.push(l);
+    }
+    Cache.setSetlists(merged);
+    for (const l of merged.filter((m) => m.dirty)) {
+      await this.push(l.id).catch((err) => console.warn('Failed to sync setlist:', err));
+    }
+    return true;
+  },
+};
+
+// ─── Add-to-Setlist Menu ───────────────────────────────────────
+/**
+ * A menu under any [data-setlist-add] button (song cards, the song page)
+ * that ticks the song in or out of each setlist, or starts a new one.
+ * The button carries the song as data-slug / data-title / data-artist.
+ */
+const SetlistPicker = {
+  menu: null,
+  anchor: null,
+  song: null,
+
+  /** The ＋ button of a song card. */
+  buttonHtml(song, className) {
+    const label = Utils.escapeHtml(I18n.t('setlist.add_to'));
+    return `<button type="button" class="${className}" data-setlist-add aria-haspopup="menu" aria-expanded="false"
+      title="${label}" aria-label="${label}" data-slug="${Utils.escapeHtml(song.slug)}"
+      data-title="${Utils.escapeHtml(song.title)}" data-artist="${Utils.escapeHtml(song.artist_name || song.artist || '')}">＋</button>`;
+  },
+
+  /** Point a button that is already on the page at a song. */
+  bindButton(btn, song) {
+    btn.dataset.slug = song.slug;
+    btn.dataset.title = song.title;
+    btn.dataset.artist = song.artist_name || song.artist || '';
+  },
+
+  init() {
+    document.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-setlist-add]');
+      if (btn) {
+        e.preventDefault();
+        if (this.anchor === btn) this.close();
+        else this.open(btn);
+        return;
+      }
+      if (this.menu && !this.menu.contains(e.target)) this.close();
+    });
+    document.addEventListener('keydown', (e) => {
+      if (e.key !== 'Escape' || !this.menu) return;
+      const anchor = this.anchor;
+      this.close();
+      anchor?.focus();
+    });
+    window.addEventListener('resize', () => this.close());
+  },
+
+  open(btn) {
+    this.close();
+    this.anchor = btn;
+    this.song = { slug: btn.dataset.slug, title: btn.dataset.title, artist: btn.dataset.artist };
+
+    const menu = document.createElement('div');
+    menu.className = 'setlist-menu';
+    menu.setAttribute('role', 'menu');
+    menu.addEventListener('click', (e) => {
+      const item = e.target.closest('[data-setlist-id]');
+      if (!item) return;
+      Setlists.toggleSong(item.dataset.setlistId, this.song);
+      this.render();
+      this.menu.querySelector(`[data-setlist-id="${CSS.escape(item.dataset.setlistId)}"]`)?.focus();
+    });
+    menu.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const title = e.target.elements.title.value.trim();
+      if (!title) return;
+      Setlists.create(title, [Setlists.songEntry(this.song)]);
+      this.render();
+    });
+    document.body.appendChild(menu);
+    this.menu = menu;
+    this.render();
+
+    // Below the button, kept inside the window
+    const rect = btn.getBoundingClientRect();
+    const left = Math.min(rect.left, window.innerWidth - menu.offsetWidth - 8);
+    menu.style.top = `${rect.bottom + window.scrollY + 6}px`;
+    menu.style.left = `${Math.max(8, left) + window.scrollX}px`;
+    btn.setAttribute('aria-expanded', 'true');
+    menu.querySelector('button, input')?.focus();
+  },
+
+  render() {
+    const lists = Setlists.all();
+    this.menu.innerHTML = `
+      <div class="setlist-menu__title">${Utils.escapeHtml(I18n.t('setlist.add_to'))}</div>
+      <div class="setlist-menu__items">${lists.map((l) => {
+        const has = l.songs.some((s) => s.slug === this.song.slug);
+        return `<button type="button" class="setlist-menu__item" role="menuitemcheckbox" aria-checked="${has}"
+          data-setlist-id="${Utils.escapeHtml(l.id)}"><span class="setlist-menu__check">${has ? '✓' : ''}</span>
+          <span class="setlist-menu__name">${Utils.escapeHtml(l.title)}</span>
+          <span class="setlist-menu__count">${l.songs.length}</span></button>`;
+      }).join('')}</div>
+      <form class="setlist-menu__new">
+        <input class="setlist-menu__input" name="title" maxlength="120" autocomplete="off"
+          placeholder="${Utils.escapeHtml(I18n.t('setlist.new_placeholder'))}" aria-label="${Utils.escapeHtml(I18n.t('setlist.new'))}" />
+        <button type="submit" class="category-btn">${Utils.escapeHtml(I18n.t('setlist.create'))}</button>
+      </form>
+      <a class="setlist-menu__link" href="/setlists">${Utils.escapeHtml(I18n.t('setlist.manage'))}</a>`;
+  },
+
+  close() {
+    if (!this.menu) return;
+    this.menu.remove();
+    this.menu = null;
+    this.anchor?.setAttribute('aria-expanded', 'false');
+    this.anchor = null;
+  },
+};
+
+// ─── Library (favorites and recently viewed) ───────────────────
+/**
+ * Kept in Cache as { favorites: [{ slug, title, artist, category,
+ * hymn_number, added_at }], recent: [{ ..., viewed_at }] }, newest first.
+ * A favorite's full song stays in the offline cache without expiring; one
+ * favorited from a song card is downloaded for it.
+ */
+const Library = {
+  RECENT_LIMIT: 50,
+  FILE_VERSION: 1,
+
+  favorites() {
+    return Cache.getLibrary().favorites;
+  },
+
+  recent() {
+    return Cache.getLibrary().recent;
+  },
+
+  /** What the library keeps of a song, enough for a song card. */
+  entry(song) {
+    return {
+      slug: song.slug,
+      title: song.title,
+      artist: song.artist_name || song.artist || '',
+      category: song.category || '',
+      hymn_number: song.hymn_number ?? null,
+    };
+  },
+
+  /** Add the song to the favorites, or take it out. Returns true when added. */
+  toggleFavorite(song) {
+    const library = Cache.getLibrary();
+    const i = library.favorites.findIndex((f) => f.slug === song.slug);
+    if (i >= 0) library.favorites.splice(i, 1);
+    else library.favorites.unshift({ ...this.entry(song), added_at: new Date().toISOString() });
+    Cache.setLibrary(library);
+    if (i < 0) this.keepOffline([song.slug]);
+    this.changed();
+    return i < 0;
+  },
+
+  recordView(song) {
+    const library = Cache.getLibrary();
+    library.recent = [
+      { ...this.entry(song), viewed_at: new Date().toISOString() },
+      ...library.recent.filter((r) => r.slug !== song.slug),
+    ].slice(0, this.RECENT_LIMIT);
+    // Keep a favorite's details as current as its song
+    const fav = library.favorites.find((f) => f.slug === song.slug);
+    if (fav) Object.assign(fav, this.entry(song));
+    Cache.setLibrary(library);
+  },
+
+  clearRecent() {
+    Cache.setLibrary({ ...Cache.getLibrary(), recent: [] });
+    this.changed();
+  },
+
+  /** Download favorites that are not in the offline cache yet, one at a time. */
+  async keepOffline(slugs = this.favorites().map((f) => f.slug)) {
+    let saved = 0;
+    for (const slug of slugs) {
+      if (!Utils.isOnline()) break;
+      if (await Cache.getCachedSong(slug)) continue;
+      try {
+        const song = await API.getSong(slug);
+        Cache.cacheSong(song);
+        this.recordDetails(song);
+        saved++;
+      } catch (err) {
+        console.warn('Failed to save song for offline use:', err);
+      }
+    }
+    if (saved) this.changed();
+    return saved;
+  },
+
+  /** Fill in a favorite added from a card with the full song's details. */
+  recordDetails(song) {
+    const library = Cache.getLibrary();
+    const fav = library.favorites.find((f) => f.slug === song.slug);
+    if (!fav) return;
+    Object.assign(fav, this.entry(song));
+    Cache.setLibrary(library);
+  },
+
+  /** The library as a downloadable JSON file. */
+  exportFile() {
+    const library = Cache.getLibrary();
+    const data = {
+      app: 'maralyrics',
+      type: 'library',
+      version: this.FILE_VERSION,
+      exported_at: new Date().toISOString(),
+      favorites: library.favorites,
+      recent: library.recent,
+    };
+    const date = data.exported_at.slice(0, 10);
+    return {
+      blob: new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }),
+      filename: `maralyrics-library-${date}.json`,
+    };
+  },
+
+  /**
+   * Merge an exported file into the library: favorites are added to the
+   * ones here, recently viewed songs keep the latest view of each.
+   * Returns how many of each were new, or null when it is not a library file.
+   */
+  importFile(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      return null;
+    }
+    if (!data || data.app !== 'maralyrics' || data.type !== 'library') return null;
+
+    const now = new Date().toISOString();
+    const str = (v) => (typeof v === 'string' ? v.slice(0, 200) : '');
+    const clean = (items, dateField) => (Array.isArray(items) ? items : [])
+      .filter((e) => e && typeof e.slug === 'string' && /^[^/\s]{1,200}$/.test(e.slug) && typeof e.title === 'string')
+      .map((e) => ({
+        slug: e.slug,
+        title: str(e.title),
+        artist: str(e.artist),
+        category: str(e.category),
+        hymn_number: str(e.hymn_number) || null,
+        [dateField]: Number.isNaN(Date.parse(e[dateField])) ? now : e[dateField],
+      }));
+
+    const library = Cache.getLibrary();
+    const favSlugs = new Set(library.favorites.map((f) => f.slug));
+    const newFavorites = [];
+    for (const f of clean(data.favorites, 'added_at')) {
+      if (favSlugs.has(f.slug)) continue;
+      favSlugs.add(f.slug);
+      newFavorites.push(f);
+    }
+    library.favorites = [...library.favorites, ...newFavorites]
+      .sort((a, b) => Date.parse(b.added_at) - Date.parse(a.added_at));
+
+    const recentSlugs = new Set(library.recent.map((r) => r.slug));
+    const latest = new Map();
+    for (const r of [...library.recent, ...clean(data.recent, 'viewed_at')]) {
+      const seen = latest.get(r.slug);
+      if (!seen || Date.parse(r.viewed_at) > Date.parse(seen.viewed_at)) latest.set(r.slug, r);
+    }
+    library.recent = [...latest.values()]
+      .sort((a, b) => Date.parse(b.viewed_at) - Date.parse(a.viewed_at))
+      .slice(0, this.RECENT_LIMIT);
+
+    Cache.setLibrary(library);
+    this.changed();
+    this.keepOffline(newFavorites.map((f) => f.slug));
+    return {
+      favorites: newFavorites.length,
+      recent: library.recent.filter((r) => !recentSlugs.has(r.slug)).length,
+    };
+  },
+
+  /** Tell the page, and every heart button, that the library changed. */
+  changed() {
+    document.querySelectorAll('[data-favorite]').forEach((btn) => this.renderButton(btn));
+    document.dispatchEvent(new CustomEvent('librarychange'));
+  },
+
+  // ─── Heart buttons ─────────────────────────────────────
+  /** The ♡ button of a song card. */
+  buttonHtml(song, className) {
+    const label = Utils.escapeHtml(I18n.t('library.favorite'));
+    const pressed = Cache.isFavorite(song.slug);
+    return `<button type="button" class="${className}" data-favorite aria-pressed="${pressed}"
+      title="${label}" aria-label="${label}" data-slug="${Utils.escapeHtml(song.slug)}"
+      data-title="${Utils.escapeHtml(song.title)}" data-artist="${Utils.escapeHtml(song.artist_name || song.artist || '')}"
+      data-category="${Utils.escapeHtml(song.category || '')}" data-hymn="${Utils.escapeHtml(song.hymn_number || '')}"><span data-favorite-icon>${pressed ? '♥' : '♡'}</span></button>`;
+  },
+
+  /** Point a button that is already on the page at a song. */
+  bindButton(btn, song) {
+    btn.dataset.slug = song.slug;
+    btn.dataset.title = song.title;
+    btn.dataset.artist = song.artist_name || song.artist || '';
+    btn.dataset.category = song.category || '';
+    btn.dataset.hymn = song.hymn_number || '';
+    this.renderButton(btn);
+  },
+
+  renderButton(btn) {
+    if (!btn.dataset.slug) return;
+    const pressed = Cache.isFavorite(btn.dataset.slug);
+    btn.setAttribute('aria-pressed', String(pressed));
+    btn.classList.toggle('active', pressed && btn.classList.contains('category-btn'));
+    const icon = btn.querySelector('[data-favorite-icon]');
+    if (icon) icon.textContent = pressed ? '♥' : '♡';
+  },
+
+  init() {
+    document.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-favorite]');
+      if (!btn?.dataset.slug) return;
+      e.preventDefault();
+      const { slug, title, artist, category, hymn } = btn.dataset;
+      this.toggleFavorite({ slug, title, artist, category, hymn_number: hymn || null });
+    });
+  },
+};
+
+// ─── Home Page Controller ──────────────────────────────────────
+const HomePage = {
+  currentPage: 1,
+  currentCategory: null,
+  searchQuery: '',
+  searchFilters: {},
+  searchFilterLabels: {},
+  searchSort: 'relevance',
+  searchCursor: null,
+  _searchRequest: 0,
+
+  async init() {
+    this.bindElements();
+    this.bindEvents();
+    await Promise.all([
+      this.loadCategories(),
+      this.loadPopular(),
+      this.loadSongs(),
+    ]);
+    Typeahead.refreshIndex();
+  },
+
+  bindElements() {
+    this.searchInput = document.getElementById('searchInput');
+    this.searchClear = document.getElementById('searchClear');
+    this.categoriesEl = document.getElementById('categories');
+    this.songGrid = document.getElementById('songGrid');
+    this.popularGrid = document.getElementById('popularGrid');
+    this.searchGrid = document.getElementById('searchGrid');
+    this.searchResults = document.getElementById('searchResults');
+    this.searchCount = document.getElementById('searchCount');
+    this.searchFacets = document.getElementById('searchFacets');
+    this.searchSortEl = document.getElementById('searchSort');
+    this.searchMore = document.getElementById('searchMore');
+    this.popularSection = document.getElementById('popularSection');
+    this.allSongsSection = document.getElementById('allSongsSection');
+    this.paginationEl = document.getElementById('pagination');
+  },
+
+  bindEvents() {
+    // Search with debounce
+    if (this.searchInput) {
+      const debouncedSearch = Utils.debounce(
+        (e) => this.handleSearch(e.target.value),
+        CONFIG.SEARCH_DEBOUNCE
+      );
+      this.searchInput.addEventListener('input', (e) => {
+        this.searchClear.classList.toggle('visible', e.target.value.length > 0);
+        debouncedSearch(e);
+      });
+      Typeahead.init(this.searchInput);
+    }
+
+    // Clear search
+    if (this.searchClear) {
+      this.searchClear.addEventListener('click', () => {
+        this.searchInput.value = '';
+        this.searchClear.classList.remove('visible');
+        Typeahead.close();
+        this.clearSearch();
+        this.searchInput.focus();
+      });
+    }
+
+    // Search facets (event delegation)
+    if (this.searchFacets) {
+      this.searchFacets.addEventListener('click', (e) => {
+        const chip = e.target.closest('.facet-chip');
+        if (chip) this.toggleFacet(chip.dataset.facet, chip.dataset.value, chip.dataset.label);
+      });
+    }
+
+    if (this.searchSortEl) {
+      this.searchSortEl.addEventListener('change', () => {
+        this.searchSort = this.searchSortEl.value;
+        this.handleSearch(this.searchQuery);
+      });
+    }
+
+    if (this.searchMore) {
+      this.searchMore.addEventListener('click', () => this.loadMoreResults());
+    }
+
+    // Category filter (event delegation)
+    if (this.categoriesEl) {
+      this.categoriesEl.addEventListener('click', (e) => {
+        const btn = e.target.closest('.category-btn');
+        if (!btn) return;
+        const cat = btn.dataset.category;
+        this.currentCategory = cat === this.currentCategory ? null : cat;
+        this.currentPage = 1;
+        this.updateCategoryButtons();
+        this.loadSongs();
+      });
+    }
+
+    // Pagination (event delegation)
+    if (this.paginationEl) {
+      this.paginationEl.addEventListener('click', (e) => {
+        const btn = e.target.closest('.pagination__btn');
+        if (!btn || btn.disabled) return;
+        this.currentPage = parseInt(btn.dataset.page, 10);
+        this.loadSongs();
+        window.scrollTo({ top: this.allSongsSection.offsetTop - 80, behavior: 'smooth' });
+      });
+    }
+  },
+
+  // ─── Load Categories ─────────────────────────────────
+  async loadCategories() {
+    if (!this.categoriesEl) return;
+    try {
+      let data;
       if (Utils.isOnline()) {
         data = await API.getCategories();
-        Cache.set('categories', data.categories);
+        OfflineStore.set('categories', data.categories);
       } else {
-        data = { categories: Cache.get('categories') || [] };
+        data = { categories: (await OfflineStore.get('categories')) || [] };
       }
 
       const allBtn = `<button class="category-btn active" data-category="">${I18n.t('common.all')}</button>`;
@@ -470,9 +1853,9 @@ const HomePage = {
       if (Utils.isOnline()) {
         const data = await API.getPopular();
         songs = data.songs;
-        Cache.set('popular', songs);
+        OfflineStore.set('popular', songs);
       } else {
-        songs = Cache.get('popular') || [];
+        songs = (await OfflineStore.get('popular')) || [];
       }
 
       if (songs.length === 0) {
@@ -485,7 +1868,7 @@ const HomePage = {
         .join('');
     } catch (err) {
       console.warn('Failed to load popular songs:', err);
-      const cached = Cache.get('popular');
+      const cached = await OfflineStore.get('popular');
       if (cached?.length) {
         this.popularGrid.innerHTML = cached.map((s, i) => UI.createSongCard(s, i)).join('');
       } else {
@@ -506,7 +1889,7 @@ const HomePage = {
         data = await API.getSongs(this.currentPage, this.currentCategory);
         Cache.cacheSongList(this.currentPage, this.currentCategory, data);
       } else {
-        data = Cache.getCachedSongList(this.currentPage, this.currentCategory);
+        data = await Cache.getCachedSongList(this.currentPage, this.currentCategory);
         if (!data) {
           UI.showEmptyState(true);
           this.songGrid.innerHTML = '';
@@ -531,7 +1914,7 @@ const HomePage = {
     } catch (err) {
       console.warn('Failed to load songs:', err);
       // Try cache fallback
-      const cached = Cache.getCachedSongList(this.currentPage, this.currentCategory);
+      const cached = await Cache.getCachedSongList(this.currentPage, this.currentCategory);
       if (cached?.songs?.length) {
         this.songGrid.innerHTML = cached.songs.map((s, i) => UI.createSongCard(s, i)).join('');
         this.paginationEl.innerHTML = UI.createPagination(cached.page, cached.totalPages);
@@ -546,6 +1929,10 @@ const HomePage = {
   // ─── Search Handler ──────────────────────────────────
   async handleSearch(query) {
     const q = query.trim();
+    const request = ++this._searchRequest;
+    this.searchQuery = q;
+    this.searchCursor = null;
+    this.updateLoadMore();
 
     if (!q) {
       this.clearSearch();
@@ -561,19 +1948,29 @@ const HomePage = {
     this.searchGrid.innerHTML = UI.createSkeletons(3);
 
     try {
-      let results, suggestions = [];
+      let results, suggestions = [], data = null;
       if (Utils.isOnline()) {
-        const data = await API.search(q);
-        results = data.results;
+        data = await API.search(q, { ...this.searchFilters, sort: this.searchSort });
+        // A newer search already replaced this one
+        if (request !== this._searchRequest) return;
+        // Hymn number matches ("245", "MH 245") lead the results
+        const hymns = (data.hymns || []).map((h) => ({ ...h, number: `${h.album_code || h.album_title} ${h.number}` }));
+        results = [...hymns, ...data.results.filter((r) => !hymns.some((h) => h.slug === r.slug))];
         suggestions = data.suggestions || [];
-        Cache.set('search_' + q.toLowerCase(), results);
+        if (this._isPlainSearch()) OfflineStore.set('search_' + q.toLowerCase(), results);
       } else {
-        // Offline: search from cached data
-        results = this._offlineSearch(q);
+        // Offline: search the songs stored on this device, lyrics included
+        results = await OfflineStore.search(q);
+        if (request !== this._searchRequest) return;
         UI.setOfflineMode(true);
       }
 
-      this.searchCount.textContent = I18n.t('common.found', { count: results.length });
+      this.searchCount.textContent = I18n.t('common.found', {
+        count: data ? data.total + results.length - data.results.length : results.length,
+      });
+      this.renderFacets(data?.facets);
+      this.searchCursor = data?.next_cursor || null;
+      this.updateLoadMore();
       const sugBox = document.getElementById('searchSuggestions');
 
       if (results.length === 0) {
@@ -598,13 +1995,17 @@ const HomePage = {
         .join('');
     } catch (err) {
       console.warn('Search failed:', err);
-      const cached = Cache.get('search_' + q.toLowerCase());
+      if (request !== this._searchRequest) return;
+      this.renderFacets(null);
+      const cached = await OfflineStore.get('search_' + q.toLowerCase());
+      if (request !== this._searchRequest) return;
       if (cached?.length) {
         this.searchGrid.innerHTML = cached.map((s, i) => UI.createSongCard(s, i)).join('');
         this.searchCount.textContent = I18n.t('common.cached', { count: cached.length });
         UI.setOfflineMode(true);
       } else {
-        const offline = this._offlineSearch(q);
+        const offline = await OfflineStore.search(q);
+        if (request !== this._searchRequest) return;
         if (offline.length) {
           this.searchGrid.innerHTML = offline.map((s, i) => UI.createSongCard(s, i)).join('');
           this.searchCount.textContent = I18n.t('common.cached', { count: offline.length });
@@ -616,30 +2017,86 @@ const HomePage = {
     }
   },
 
-  /** Search through locally cached songs. */
-  _offlineSearch(query) {
-    const q = query.toLowerCase();
-    const results = [];
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
-      if (!key.startsWith(CONFIG.CACHE_PREFIX + 'song_')) continue;
-      try {
-        const entry = JSON.parse(localStorage.getItem(key));
-        const song = entry.data;
-        if (
-          song.title?.toLowerCase().includes(q) ||
-          song.artist_name?.toLowerCase().includes(q) ||
-          song.artist?.toLowerCase().includes(q)
-        ) {
-          results.push(song);
-        }
-      } catch { /* skip */ }
+  /** Next page of the current search, appended below the results. */
+  async loadMoreResults() {
+    if (!this.searchCursor) return;
+    const request = this._searchRequest;
+    this.searchMore.disabled = true;
+    try {
+      const data = await API.search(this.searchQuery, {
+        ...this.searchFilters,
+        sort: this.searchSort,
+        cursor: this.searchCursor,
+      });
+      if (request !== this._searchRequest) return;
+      this.searchGrid.insertAdjacentHTML('beforeend', data.results
+        .map((s, i) => UI.createSongCard(s, i))
+        .join(''));
+      this.searchCursor = data.next_cursor;
+    } catch (err) {
+      console.warn('Loading more results failed:', err);
+    } finally {
+      this.searchMore.disabled = false;
+      this.updateLoadMore();
+    }
+  },
+
+  updateLoadMore() {
+    if (this.searchMore) this.searchMore.style.display = this.searchCursor ? '' : 'none';
+  },
+
+  /** Select or clear a facet value and search again. */
+  toggleFacet(facet, value, label) {
+    if (this.searchFilters[facet] === value) {
+      delete this.searchFilters[facet];
+    } else {
+      this.searchFilters[facet] = value;
+      this.searchFilterLabels[facet] = label;
+    }
+    this.handleSearch(this.searchQuery);
+  },
+
+  /** Facet chips: category and artist counts for the current query. */
+  renderFacets(facets) {
+    if (!this.searchFacets) return;
+    if (!facets) {
+      this.searchFacets.innerHTML = '';
+      return;
     }
-    return results;
+    const groups = [
+      ['category', I18n.t('home.filter_category'), facets.category || []],
+      ['artist', I18n.t('artist.role'), facets.artist || []],
+    ];
+    this.searchFacets.innerHTML = groups.map(([facet, title, values]) => {
+      const selected = this.searchFilters[facet];
+      // Keep the active chip even when nothing matches it any more
+      if (selected && !values.some((v) => v.value === selected)) {
+        values = [{ value: selected, label: this.searchFilterLabels[facet], count: 0 }, ...values];
+      }
+      if (!values.length) return '';
+      const chips = values.map((v) => {
+        const label = Utils.escapeHtml(v.label || v.value);
+        const active = v.value === selected;
+        return `<button type="button" class="category-btn facet-chip${active ? ' active' : ''}"
+                  data-facet="${facet}" data-value="${Utils.escapeHtml(v.value)}" data-label="${label}"
+                  aria-pressed="${active}">${label} <span class="facet-chip__count">${v.count}</span></button>`;
+      }).join('');
+      return `<div class="search-facets__group" role="group" aria-label="${Utils.escapeHtml(title)}">
+          <span class="search-facets__title">${Utils.escapeHtml(title)}</span>${chips}
+        </div>`;
+    }).join('');
+  },
+
+  /** Only unfiltered, relevance-sorted searches are cached for offline reuse. */
+  _isPlainSearch() {
+    return this.searchSort === 'relevance' && !Object.keys(this.searchFilters).length;
   },
 
   /** Clear search results and restore normal view. */
   clearSearch() {
+    this.searchFilters = {};
+    this.searchCursor = null;
+    this.updateLoadMore();
     if (this.searchResults) this.searchResults.style.display = 'none';
     if (this.popularSection) this.popularSection.style.display = 'block';
     if (this.allSongsSection) this.allSongsSection.style.display = 'block';
@@ -670,7 +2127,7 @@ const SongPage = {
         // Cache for offline
         Cache.cacheSong(song);
       } else {
-        song = Cache.getCachedSong(slug);
+        song = await Cache.getCachedSong(slug);
         if (!song) {
           this.showError();
           return;
@@ -684,7 +2141,7 @@ const SongPage = {
     } catch (err) {
       console.warn('Failed to load song:', err);
       // Try cached version
-      const cached = Cache.getCachedSong(slug);
+      const cached = await Cache.getCachedSong(slug);
       if (cached) {
         this.renderSong(cached);
         this.updateMeta(cached);
@@ -708,12 +2165,11 @@ const SongPage = {
     const artistEl = document.getElementById('songArtist');
     const categoryEl = document.getElementById('songCategory');
     const viewsEl = document.getElementById('songViews');
-    const lyricsEl = document.getElementById('songLyrics');
 
     if (titleEl) titleEl.textContent = song.title;
-    if (artistEl) artistEl.innerHTML = Utils.renderNameLink(song.artist_name || song.artist, song.artist_slug, 'artist');
-    const composerEl = document.getElementById('songComposer');
-    if (composerEl) composerEl.innerHTML = Utils.renderNameLink(song.composer_name || song.composer, song.composer_slug, 'composer');
+    this.renderCredits(song);
+    this.renderAlbums(song);
+    this.renderMedia(song);
     if (categoryEl) categoryEl.textContent = song.category || I18n.t('common.uncategorized');
     if (viewsEl) viewsEl.textContent = Utils.formatViews(song.views);
 
@@ -734,11 +2190,14 @@ const SongPage = {
     const breadcrumbTitle = document.getElementById('breadcrumbTitle');
     if (breadcrumbTitle) breadcrumbTitle.textContent = song.title;
 
-    if (lyricsEl) {
-      // Replace literal \n with actual newlines (D1 may store escaped newlines)
-      const cleanLyrics = (song.lyrics || '').replace(/\\n/g, '\n');
-      lyricsEl.textContent = cleanLyrics;
-    }
+    this.initLyrics(song);
+
+    // Favorite and add to setlist
+    const favoriteBtn = document.getElementById('favoriteToggle');
+    if (favoriteBtn) Library.bindButton(favoriteBtn, song);
+    const setlistBtn = document.getElementById('setlistAdd');
+    if (setlistBtn) SetlistPicker.bindButton(setlistBtn, song);
+    Library.recordView(song);
 
     // Feedback button — build link with song context
     const reportBtn = document.getElementById('btnReportError');
@@ -752,15 +2211,601 @@ const SongPage = {
     }
   },
 
-  /** Update page title, meta tags, and JSON-LD. */
-  updateMeta(song) {
-    const title = `${song.title} — MaraLyrics`;
-    const artistDisplay = song.artist_name || song.artist || 'Unknown';
-    const desc = `Read lyrics of "${song.title}" by ${artistDisplay} on MaraLyrics.`;
+  // ─── Lyrics & Translations ───────────────────────────
+  /**
+   * The original lyrics plus any translations, one language at a time or
+   * the original beside a translation. Songs cached before translations
+   * existed have none and show no toolbar.
+   */
+  initLyrics(song) {
+    const original = { language: song.language, lyrics: song.lyrics, sections: song.sections, original: true };
+    this.versions = [original, ...(song.translations || [])];
+    this.lyricsLang = 0;
+    this.sideBySide = false;
+
+    const toolbar = document.getElementById('lyricsToolbar');
+    const langs = document.getElementById('lyricsLangs');
+    const pairBtn = document.getElementById('lyricsSideBySide');
+    const hasTranslations = this.versions.length > 1;
+    // Always shown: it also holds the Present button
+    if (toolbar) toolbar.style.display = '';
+    if (langs) langs.style.display = hasTranslations ? '' : 'none';
+    if (pairBtn) pairBtn.style.display = hasTranslations ? '' : 'none';
+
+    if (hasTranslations && langs && !langs.dataset.bound) {
+      langs.dataset.bound = '1';
+      langs.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-version]');
+        if (!btn) return;
+        this.lyricsLang = parseInt(btn.dataset.version, 10);
+        this.renderLyrics();
+      });
+      pairBtn?.addEventListener('click', () => {
+        this.sideBySide = !this.sideBySide;
+        this.renderLyrics();
+      });
+    }
+    this.initChords(song);
+    this.initKaraoke(song);
+    this.initPresentation(song);
+    this.renderLyrics();
+  },
 
-    document.title = title;
+  renderLyrics() {
+    const lyricsEl = document.getElementById('songLyrics');
+    if (!lyricsEl) return;
+    const names = Object.fromEntries(I18n.getLanguages().map((l) => [l.code, l.name]));
+    const label = (v) => (v.original && !v.language ? I18n.t('song.original') : names[v.language] || v.language);
+
+    // Side by side pairs the original with the chosen translation
+    const pairWith = this.sideBySide ? Math.max(1, this.lyricsLang) : null;
+    const langs = document.getElementById('lyricsLangs');
+    if (langs) {
+      langs.innerHTML = this.versions.map((v, i) => {
+        const active = pairWith ? i === 0 || i === pairWith : i === this.lyricsLang;
+        return `<button type="button" class="category-btn${active ? ' active' : ''}" data-version="${i}"
+                  aria-pressed="${active}">${Utils.escapeHtml(label(v))}</button>`;
+      }).join('');
+    }
+    const pairBtn = document.getElementById('lyricsSideBySide');
+    if (pairBtn) {
+      pairBtn.classList.toggle('active', this.sideBySide);
+      pairBtn.setAttribute('aria-pressed', String(this.sideBySide));
+    }
 
-    const metaDesc = document.getElementById('metaDesc');
+    this.renderChordToolbar();
+
+    lyricsEl.classList.toggle('song-page__lyrics--parallel', !!pairWith);
+    if (!pairWith) {
+      const version = this.versions[this.lyricsLang];
+      if (version.language) lyricsEl.lang = version.language;
+      else lyricsEl.removeAttribute('lang');
+      lyricsEl.innerHTML = this.renderSections(this.sectionsOf(version));
+      return;
+    }
+
+    const [left, right] = [this.versions[0], this.versions[pairWith]];
+    // No room for chords above two columns of words
+    const plain = (text) => (window.Lyrics ? window.Lyrics.stripChords(text) : text);
+    const cell = (text, v, extra = '') =>
+      `<span class="lyrics-line${extra}"${v.language ? ` lang="${v.language}"` : ''}>${Utils.escapeHtml(plain(text))}</span>`;
+    lyricsEl.removeAttribute('lang');
+    lyricsEl.innerHTML = this.alignSections(this.sectionsOf(left), this.sectionsOf(right))
+      .map((row) => {
+        if (row === null) return '<span class="lyrics-break" aria-hidden="true"></span>';
+        if (row.label) return `<span class="lyrics-section__label lyrics-label-row">${Utils.escapeHtml(row.label)}</span>`;
+        return cell(row.left, left) + cell(row.right, right, ' lyrics-line--translation');
+      })
+      .join('');
+  },
+
+  /**
+   * Sections of one version: from the API for the original, otherwise
+   * parsed here (translations, songs cached before sections existed).
+   */
+  sectionsOf(version) {
+    if (version.sections) return version.sections;
+    if (window.Lyrics) return window.Lyrics.parse(version.lyrics);
+    // Replace literal \n with actual newlines (D1 may store escaped newlines)
+    return [{ type: 'verse', label: null, lines: (version.lyrics || '').replace(/\\n/g, '\n').split('\n') }];
+  },
+
+  /** A section's heading; plain verses have none unless they are repeated. */
+  sectionLabel(section) {
+    if (section.label) return section.label;
+    return section.type === 'verse' && !section.repeat ? '' : I18n.t(`song.section_${section.type}`);
+  },
+
+  /** Labelled sections; a repeated chorus starts collapsed to its heading. */
+  renderSections(sections) {
+    return sections.map((section) => {
+      const label = this.sectionLabel(section);
+      const lines = this.renderLines(section.lines);
+      const cls = `lyrics-section lyrics-section--${section.type}`;
+      if (section.repeat) {
+        return `<details class="${cls} lyrics-section--repeat"><summary class="lyrics-section__label">${
+          Utils.escapeHtml(I18n.t('song.section_repeat', { label }))}</summary>${lines}</details>`;
+      }
+      return `<section class="${cls}">${label ? `<h2 class="lyrics-section__label">${Utils.escapeHtml(label)}</h2>` : ''}${lines}</section>`;
+    }).join('');
+  },
+
+  // ─── Chords ──────────────────────────────────────────
+  /**
+   * Chords written inline ([G]) are shown above the words, moved by the
+   * transpose and capo settings. Settings are saved per song in Cache.
+   */
+  initChords(song) {
+    const L = window.Lyrics;
+    const toolbar = document.getElementById('chordToolbar');
+    this.chordSlug = song.slug;
+    this.songKey = L ? L.firstChord(song.lyrics) : null;
+    this.chordPrefs = {
+      show: true, transpose: 0, capo: 0, flats: null,
+      ...Cache.getChordPrefs(song.slug),
+    };
+    const hasChords = !!L && this.versions.some((v) => L.hasChords(v.lyrics));
+    if (toolbar) toolbar.style.display = hasChords ? '' : 'none';
+    if (!hasChords || !toolbar || toolbar.dataset.bound) return;
+
+    toolbar.dataset.bound = '1';
+    const capo = document.getElementById('chordCapo');
+    if (capo) {
+      capo.innerHTML = Array.from({ length: 12 }, (_, i) => `<option value="${i}">${i || '—'}</option>`).join('');
+      capo.addEventListener('change', () => this.setChordPrefs({ capo: parseInt(capo.value, 10) }));
+    }
+    toolbar.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-chord-action]');
+      if (!btn) return;
+      const p = this.chordPrefs;
+      switch (btn.dataset.chordAction) {
+        case 'toggle': return this.setChordPrefs({ show: !p.show });
+        // Kept within an octave either way
+        case 'down': return this.setChordPrefs({ transpose: p.transpose <= -11 ? 0 : p.transpose - 1 });
+        case 'up': return this.setChordPrefs({ transpose: p.transpose >= 11 ? 0 : p.transpose + 1 });
+        case 'sharps': return this.setChordPrefs({ flats: p.flats === false ? null : false });
+        case 'flats': return this.setChordPrefs({ flats: p.flats === true ? null : true });
+        case 'reset': return this.setChordPrefs({ transpose: 0, capo: 0, flats: null });
+      }
+    });
+  },
+
+  setChordPrefs(changes) {
+    Object.assign(this.chordPrefs, changes);
+    Cache.setChordPrefs(this.chordSlug, this.chordPrefs);
+    this.renderLyrics();
+  },
+
+  /** Toolbar state: pressed buttons, the key sounding and the shapes to play. */
+  renderChordToolbar() {
+    const p = this.chordPrefs;
+    const L = window.Lyrics;
+    const pressed = (action, on) => {
+      const btn = document.querySelector(`#chordToolbar [data-chord-action="${action}"]`);
+      if (!btn) return;
+      btn.classList.toggle('active', on);
+      btn.setAttribute('aria-pressed', String(on));
+    };
+    pressed('toggle', p.show);
+    pressed('sharps', p.flats === false);
+    pressed('flats', p.flats === true);
+    const capo = document.getElementById('chordCapo');
+    if (capo) capo.value = String(p.capo);
+
+    const keyEl = document.getElementById('chordKey');
+    if (!keyEl) return;
+    const steps = p.transpose > 0 ? `+${p.transpose}` : String(p.transpose);
+    if (!this.songKey || !L) {
+      keyEl.textContent = steps;
+      return;
+    }
+    const key = L.transposeChord(this.songKey, p.transpose, p.flats);
+    keyEl.textContent = p.capo
+      ? I18n.t('song.key_capo', { key, shapes: L.transposeChord(this.songKey, p.transpose - p.capo, p.flats) })
+      : I18n.t('song.key', { key });
+  },
+
+  /** A section's lines, with chords above the words when they are shown. */
+  renderLines(lines) {
+    const L = window.Lyrics;
+    const showChords = L && this.chordPrefs?.show && lines.some((line) => L.hasChords(line));
+    if (!showChords) {
+      const text = L ? lines.map((line) => L.stripChords(line)) : lines;
+      return `<div class="lyrics-section__lines">${Utils.escapeHtml(text.join('\n'))}</div>`;
+    }
+    // Capo: the player's shapes sit that many semitones below the sound
+    const { transpose, capo, flats } = this.chordPrefs;
+    const html = lines.map((line) => {
+      const pieces = L.splitChords(line);
+      if (!pieces.length) return '<div class="chord-line">&nbsp;</div>';
+      return `<div class="chord-line">${pieces.map(({ chord, text }) =>
+        `<span class="chord-seg"><span class="chord">${chord ? Utils.escapeHtml(L.transposeChord(chord, transpose - capo, flats)) : ''}</span>` +
+        `<span class="chord-seg__text">${Utils.escapeHtml(text) || ' '}</span></span>`
+      ).join('')}</div>`;
+    }).join('');
+    return `<div class="lyrics-section__lines lyrics-section__lines--chords">${html}</div>`;
+  },
+
+  // ─── Presentation ────────────────────────────────────
+  /** Present the lyrics in the language being read, without chords. */
+  initPresentation(song) {
+    const btn = document.getElementById('presentStart');
+    if (typeof Presentation === 'undefined' || !btn) {
+      if (btn) btn.hidden = true;
+      return;
+    }
+    this.presentSong = song;
+    Presentation.init();
+    if (btn.dataset.bound) return;
+    btn.dataset.bound = '1';
+    btn.addEventListener('click', () => {
+      Presentation.open(this.presentationDeck(this.presentSong, this.versions[this.lyricsLang]));
+    });
+  },
+
+  /** A song's deck for Presentation.open(); the setlist page uses it too. */
+  presentationDeck(song, version) {
+    const plain = (line) => (window.Lyrics ? window.Lyrics.stripChords(line) : line);
+    return {
+      title: (!version.original && version.title) || song.title,
+      subtitle: song.artist_name || song.artist || '',
+      language: version.language || '',
+      sections: this.sectionsOf(version).map((section) => ({
+        label: section.repeat ? this.sectionLabel({ ...section, repeat: false }) : this.sectionLabel(section),
+        lines: section.lines.map(plain),
+      })),
+    };
+  },
+
+  // ─── Karaoke ─────────────────────────────────────────
+  /**
+   * Timed lines (LRC, from the API as timing.lines) shown one at a time:
+   * the current line is highlighted and kept in the middle of the list.
+   * Time comes from the linked recording when there is one (loaded only
+   * when karaoke is opened), otherwise from a clock started here that
+   * runs at the chosen tempo.
+   */
+  initKaraoke(song) {
+    const btn = document.getElementById('karaokeToggle');
+    const panel = document.getElementById('karaoke');
+    this.closeKaraoke();
+    this.timing = song.timing?.lines?.length ? song.timing : null;
+    if (btn) btn.hidden = !this.timing;
+    if (!this.timing || !btn || !panel || panel.dataset.bound) return;
+
+    panel.dataset.bound = '1';
+    btn.addEventListener('click', () => (this.karaoke ? this.closeKaraoke() : this.openKaraoke()));
+    panel.addEventListener('click', (e) => {
+      const line = e.target.closest('[data-time]');
+      if (line) return this.seekKaraoke(parseFloat(line.dataset.time));
+      const action = e.target.closest('[data-karaoke-action]')?.dataset.karaokeAction;
+      if (action === 'play') this.toggleKaraokePlay();
+      if (action === 'restart') this.seekKaraoke(0);
+    });
+    document.getElementById('karaokeTempo')?.addEventListener('change', (e) => {
+      this.setKaraokeTempo(parseFloat(e.target.value));
+    });
+  },
+
+  openKaraoke() {
+    const panel = document.getElementById('karaoke');
+    const list = document.getElementById('karaokeLines');
+    const mediaWrap = document.getElementById('karaokeMedia');
+    if (!panel || !list) return;
+
+    const plain = (text) => (window.Lyrics ? window.Lyrics.stripChords(text) : text);
+    list.innerHTML = this.timing.lines.map((line, i) =>
+      `<li class="karaoke__line" data-index="${i}" data-time="${line.time}">${Utils.escapeHtml(plain(line.text)) || '♪'}</li>`
+    ).join('');
+
+    // Manual clock: `base` seconds at `startedAt`, running at `tempo`
+    this.karaoke = { current: -1, playing: false, base: 0, startedAt: 0, tempo: 1, media: null, frame: null };
+    const url = this.timing.media_url;
+    if (mediaWrap) {
+      mediaWrap.innerHTML = '';
+      if (url) {
+        const media = document.createElement(/\.(mp4|m4v|webm|ogv|mov)(\?|#|$)/i.test(url) ? 'video' : 'audio');
+        media.src = Utils.apiUrl(url);
+        media.controls = true;
+        media.preload = 'metadata';
+        media.className = 'karaoke__player';
+        mediaWrap.appendChild(media);
+        this.karaoke.media = media;
+        ['play', 'pause', 'ended'].forEach((ev) => media.addEventListener(ev, () => this.renderKaraokeControls()));
+      }
+    }
+    const tempo = document.getElementById('karaokeTempo');
+    if (tempo) tempo.value = '1';
+
+    panel.hidden = false;
+    document.getElementById('songLyrics')?.setAttribute('hidden', '');
+    const btn = document.getElementById('karaokeToggle');
+    btn?.classList.add('active');
+    btn?.setAttribute('aria-pressed', 'true');
+    this.renderKaraokeControls();
+    this.tickKaraoke();
+  },
+
+  closeKaraoke() {
+    const k = this.karaoke;
+    if (k) {
+      cancelAnimationFrame(k.frame);
+      k.media?.pause();
+    }
+    this.karaoke = null;
+    const panel = document.getElementById('karaoke');
+    if (panel) panel.hidden = true;
+    const media = document.getElementById('karaokeMedia');
+    if (media) media.innerHTML = '';
+    document.getElementById('songLyrics')?.removeAttribute('hidden');
+    const btn = document.getElementById('karaokeToggle');
+    btn?.classList.remove('active');
+    btn?.setAttribute('aria-pressed', 'false');
+  },
+
+  karaokeTime() {
+    const k = this.karaoke;
+    if (k.media) return k.media.currentTime;
+    return k.playing ? k.base + ((performance.now() - k.startedAt) / 1000) * k.tempo : k.base;
+  },
+
+  isKaraokePlaying() {
+    const k = this.karaoke;
+    return k.media ? !k.media.paused : k.playing;
+  },
+
+  toggleKaraokePlay() {
+    const k = this.karaoke;
+    if (!k) return;
+    if (k.media) {
+      if (k.media.paused) k.media.play().catch(() => {});
+      else k.media.pause();
+      return;
+    }
+    k.base = this.karaokeTime();
+    k.startedAt = performance.now();
+    k.playing = !k.playing;
+    this.renderKaraokeControls();
+  },
+
+  seekKaraoke(seconds) {
+    const k = this.karaoke;
+    if (!k) return;
+    if (k.media) {
+      k.media.currentTime = seconds;
+    } else {
+      k.base = seconds;
+      k.startedAt = performance.now();
+    }
+    this.showKaraokeLine(true);
+  },
+
+  /** A recording plays faster or slower; the manual clock runs at the same rate. */
+  setKaraokeTempo(tempo) {
+    const k = this.karaoke;
+    if (!k || !(tempo > 0)) return;
+    if (k.media) {
+      k.media.playbackRate = tempo;
+    } else {
+      k.base = this.karaokeTime();
+      k.startedAt = performance.now();
+    }
+    k.tempo = tempo;
+  },
+
+  tickKaraoke() {
+    const k = this.karaoke;
+    if (!k) return;
+    // The manual clock stops a few seconds after the last line
+    const last = this.timing.lines[this.timing.lines.length - 1].time;
+    if (!k.media && k.playing && this.karaokeTime() > last + 5) {
+      k.base = last + 5;
+      k.playing = false;
+      this.renderKaraokeControls();
+    }
+    this.showKaraokeLine();
+    k.frame = requestAnimationFrame(() => this.tickKaraoke());
+  },
+
+  /** Highlight the line being sung and scroll it to the middle of the list. */
+  showKaraokeLine(force = false) {
+    const k = this.karaoke;
+    const time = this.karaokeTime();
+    const timeEl = document.getElementById('karaokeTime');
+    if (timeEl) timeEl.textContent = Utils.formatClock(time);
+
+    const lines = this.timing.lines;
+    let current = -1;
+    while (current + 1 < lines.length && lines[current + 1].time <= time) current++;
+    if (current === k.current && !force) return;
+    k.current = current;
+
+    const list = document.getElementById('karaokeLines');
+    if (!list) return;
+    list.querySelectorAll('.karaoke__line').forEach((li, i) => {
+      li.classList.toggle('karaoke__line--current', i === current);
+      li.classList.toggle('karaoke__line--past', i < current);
+      if (i === current) li.setAttribute('aria-current', 'true');
+      else li.removeAttribute('aria-current');
+    });
+    const li = list.children[Math.max(0, current)];
+    if (li) {
+      const reduce = window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+      list.scrollTo({
+        top: li.offsetTop - list.clientHeight / 2 + li.offsetHeight / 2,
+        behavior: reduce ? 'auto' : 'smooth',
+      });
+    }
+  },
+
+  renderKaraokeControls() {
+    const play = document.querySelector('#karaoke [data-karaoke-action="play"]');
+    if (!play || !this.karaoke) return;
+    const playing = this.isKaraokePlaying();
+    play.textContent = I18n.t(playing ? 'song.karaoke_pause' : 'song.karaoke_play');
+    play.classList.toggle('active', playing);
+  },
+
+  /**
+   * Pair two versions section by section, line by line within a section,
+   * so a section that runs longer on one side does not push the rest out
+   * of step. Rows are { left, right } lines, { label } headings (a repeat
+   * shows only its heading), or null between sections.
+   */
+  alignSections(left, right) {
+    const rows = [];
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+      if (i) rows.push(null);
+      const section = left[i] || right[i];
+      const label = this.sectionLabel(section);
+      if (section.repeat) {
+        rows.push({ label: I18n.t('song.section_repeat', { label }) });
+        continue;
+      }
+      if (label) rows.push({ label });
+      const l = left[i]?.lines || [];
+      const r = right[i]?.lines || [];
+      for (let j = 0; j < Math.max(l.length, r.length); j++) rows.push({ left: l[j] || '', right: r[j] || '' });
+    }
+    return rows;
+  },
+
+  /**
+   * Link every credited person: performers (and featured guests) on the
+   * artist chip, composers on the composer chip, and lyricists, arrangers
+   * and translators on a third chip shown only when there are any.
+   * Songs cached before credits existed only carry artist/composer names.
+   */
+  renderCredits(song) {
+    const credits = song.credits || [];
+    const links = (role) => credits
+      .filter((c) => c.role === role)
+      .map((c) => Utils.renderNameLink(c.name, c.slug, c.type))
+      .join(' &amp; ');
+
+    const artistEl = document.getElementById('songArtist');
+    if (artistEl) {
+      const performers = links('performer');
+      const featured = links('featured');
+      artistEl.innerHTML = performers
+        ? performers + (featured ? ` ${I18n.t('song.credit_featured')} ${featured}` : '')
+        : Utils.renderNameLink(song.artist_name || song.artist, song.artist_slug, 'artist');
+    }
+
+    const composerEl = document.getElementById('songComposer');
+    if (composerEl) {
+      composerEl.innerHTML = links('composer') ||
+        Utils.renderNameLink(song.composer_name || song.composer, song.composer_slug, 'composer');
+    }
+
+    const others = ['lyricist', 'arranger', 'translator']
+      .map((role) => [role, links(role)])
+      .filter(([, html]) => html)
+      .map(([role, html]) => `${Utils.escapeHtml(I18n.t(`song.credit_${role}`))}: ${html}`);
+    const creditsEl = document.getElementById('songCredits');
+    if (creditsEl) creditsEl.innerHTML = others.join(' · ');
+    ['songCreditsWrap', 'songCreditsDot'].forEach((id) => {
+      const el = document.getElementById(id);
+      if (el) el.style.display = others.length ? '' : 'none';
+    });
+  },
+
+  /** Hymnals and albums the song is in, with its number in each. */
+  renderAlbums(song) {
+    const albums = song.albums || [];
+    const el = document.getElementById('songAlbums');
+    if (el) {
+      el.innerHTML = albums.map((a) => {
+        const link = Utils.renderNameLink(a.title, a.slug, 'album');
+        return a.number != null
+          ? `${link} ${Utils.escapeHtml(I18n.t('song.hymn_number', { number: a.number }))}`
+          : link;
+      }).join(' · ');
+    }
+    ['songAlbumsWrap', 'songAlbumsDot'].forEach((id) => {
+      const wrap = document.getElementById(id);
+      if (wrap) wrap.style.display = albums.length ? '' : 'none';
+    });
+  },
+
+  // ─── Recordings ──────────────────────────────────────
+  /**
+   * One recording at a time (tabs when there are several), shown as a
+   * play button first: an embedded YouTube / Vimeo / SoundCloud player is
+   * only created when it is pressed, so those sites see nothing of
+   * visitors who just read the lyrics.
+   */
+  renderMedia(song) {
+    const section = document.getElementById('songMedia');
+    const tabs = document.getElementById('songMediaTabs');
+    if (!section || !tabs) return;
+    // Songs cached before recordings existed, or a recording that cannot be embedded
+    this.media = (song.media || []).filter((m) => m.embed_url || m.type === 'audio');
+    section.hidden = !this.media.length;
+    if (!this.media.length) return;
+
+    if (!tabs.dataset.bound) {
+      tabs.dataset.bound = '1';
+      tabs.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-media]');
+        if (btn) this.showMedia(parseInt(btn.dataset.media, 10));
+      });
+      document.getElementById('songMediaPlayer')?.addEventListener('click', (e) => {
+        if (e.target.closest('[data-media-load]')) this.loadMedia();
+      });
+    }
+    this.showMedia(0);
+  },
+
+  mediaTitle(m) {
+    return m.title || I18n.t(`song.media_${m.type}`);
+  },
+
+  showMedia(index) {
+    this.mediaIndex = index;
+    const tabs = document.getElementById('songMediaTabs');
+    if (tabs) {
+      tabs.innerHTML = this.media.length < 2 ? '' : this.media.map((m, i) =>
+        `<button type="button" class="category-btn${i === index ? ' active' : ''}" data-media="${i}"
+           aria-pressed="${i === index}">${Utils.escapeHtml(this.mediaTitle(m))}</button>`
+      ).join('');
+    }
+    const player = document.getElementById('songMediaPlayer');
+    if (!player) return;
+    const m = this.media[index];
+    const site = m.type === 'audio' ? null : I18n.t(`song.media_${m.type}`);
+    player.className = `song-media__player song-media__player--${m.type}`;
+    player.innerHTML = `
+      <button type="button" class="song-media__load" data-media-load>
+        <span class="song-media__play" aria-hidden="true">▶</span>
+        <span>${Utils.escapeHtml(I18n.t('song.media_play', { title: this.mediaTitle(m) }))}</span>
+      </button>
+      ${site ? `<p class="song-media__notice">${Utils.escapeHtml(I18n.t('song.media_notice', { site }))}</p>` : ''}`;
+  },
+
+  /** Swap the play button for the real player, which starts at once. */
+  loadMedia() {
+    const player = document.getElementById('songMediaPlayer');
+    const m = this.media[this.mediaIndex];
+    if (!player || !m) return;
+    if (m.type === 'audio') {
+      player.innerHTML = `<audio class="song-media__audio" controls autoplay preload="auto" src="${Utils.escapeHtml(Utils.apiUrl(m.url))}"></audio>`;
+      return;
+    }
+    player.innerHTML = `<iframe class="song-media__frame" src="${Utils.escapeHtml(m.embed_url)}"
+      title="${Utils.escapeHtml(this.mediaTitle(m))}" loading="lazy" referrerpolicy="strict-origin-when-cross-origin"
+      allow="autoplay; encrypted-media; picture-in-picture; fullscreen" allowfullscreen></iframe>`;
+  },
+
+  /** Update page title, meta tags, and JSON-LD. */
+  updateMeta(song) {
+    const title = `${song.title} — MaraLyrics`;
+    const artistDisplay = song.artist_name || song.artist || 'Unknown';
+    const desc = `Read lyrics of "${song.title}" by ${artistDisplay} on MaraLyrics.`;
+
+    document.title = title;
+
+    const metaDesc = document.getElementById('metaDesc');
     if (metaDesc) metaDesc.content = desc;
 
     const ogTitle = document.getElementById('ogTitle');
@@ -780,7 +2825,7 @@ const SongPage = {
         '@type': 'MusicComposition',
         name: song.title,
         composer: song.composer_name || song.composer || 'Unknown',
-        lyricist: artistDisplay,
+        lyricist: (song.credits || []).filter((c) => c.role === 'lyricist').map((c) => c.name).join(', ') || artistDisplay,
         genre: song.category || 'Mara',
         text: song.lyrics?.substring(0, 200),
         url: window.location.href,
@@ -835,9 +2880,9 @@ const ProfilePage = {
         data = this.type === 'artist'
           ? await API.getArtist(slug)
           : await API.getComposer(slug);
-        Cache.set(cacheKey, data);
+        OfflineStore.set(cacheKey, data);
       } else {
-        data = Cache.get(cacheKey);
+        data = await OfflineStore.get(cacheKey);
         if (!data) {
           this.showError();
           return;
@@ -849,7 +2894,7 @@ const ProfilePage = {
       this.updateMeta(data);
     } catch (err) {
       console.warn(`Failed to load ${this.type}:`, err);
-      const cached = Cache.get(`${this.type}_${slug}`);
+      const cached = await OfflineStore.get(`${this.type}_${slug}`);
       if (cached) {
         this.renderProfile(cached);
         this.updateMeta(cached);
@@ -999,9 +3044,9 @@ const CopyrightOwnerPage = {
 
       if (Utils.isOnline()) {
         data = await API.getCopyrightOwner(slug);
-        Cache.set(cacheKey, data);
+        OfflineStore.set(cacheKey, data);
       } else {
-        data = Cache.get(cacheKey);
+        data = await OfflineStore.get(cacheKey);
         if (!data) { this.showError(); return; }
         UI.setOfflineMode(true);
       }
@@ -1010,7 +3055,7 @@ const CopyrightOwnerPage = {
       this.updateMeta(data);
     } catch (err) {
       console.warn('Failed to load copyright owner:', err);
-      const cached = Cache.get(`copyright_owner_${slug}`);
+      const cached = await OfflineStore.get(`copyright_owner_${slug}`);
       if (cached) {
         this.render(cached);
         this.updateMeta(cached);
@@ -1156,10 +3201,660 @@ const CopyrightOwnerPage = {
   },
 };
 
+// ─── Album Page Controller ─────────────────────────────────────
+const AlbumPage = {
+  async init() {
+    const slug = Utils.getSlugFromUrl();
+    if (!slug) {
+      this.showError();
+      return;
+    }
+    await this.loadAlbum(slug);
+  },
+
+  async loadAlbum(slug) {
+    const cacheKey = `album_${slug}`;
+    try {
+      let data;
+      if (Utils.isOnline()) {
+        data = await API.getAlbum(slug);
+        OfflineStore.set(cacheKey, data);
+      } else {
+        data = await OfflineStore.get(cacheKey);
+        if (!data) { this.showError(); return; }
+        UI.setOfflineMode(true);
+      }
+
+      this.render(data);
+      this.updateMeta(data);
+    } catch (err) {
+      console.warn('Failed to load album:', err);
+      const cached = await OfflineStore.get(cacheKey);
+      if (cached) {
+        this.render(cached);
+        this.updateMeta(cached);
+        UI.setOfflineMode(true);
+      } else {
+        this.showError();
+      }
+    }
+  },
+
+  render(data) {
+    const skeleton = document.getElementById('profileSkeleton');
+    const detail = document.getElementById('profileDetail');
+    const error = document.getElementById('profileError');
+
+    if (skeleton) skeleton.style.display = 'none';
+    if (error) error.style.display = 'none';
+    if (detail) detail.style.display = 'block';
+
+    const nameEl = document.getElementById('profileName');
+    if (nameEl) nameEl.textContent = data.title;
+
+    const breadcrumbEl = document.getElementById('breadcrumbName');
+    if (breadcrumbEl) breadcrumbEl.textContent = data.title;
+
+    const kindEl = document.getElementById('albumKind');
+    if (kindEl) kindEl.textContent = I18n.t(`album.kind_${data.kind || 'album'}`);
+
+    // Cover image, falling back to the disc icon
+    const avatarEl = document.getElementById('profileAvatar');
+    if (data.cover_url && avatarEl) {
+      avatarEl.innerHTML = `<img src="${Utils.escapeHtml(data.cover_url)}" alt="${Utils.escapeHtml(data.title)}" class="profile-page__avatar-img" onerror="this.style.display='none';this.nextElementSibling.style.display='flex';" /><span class="profile-page__avatar-fallback" style="display:none;">💿</span>`;
+    }
+
+    // Year · publisher
+    const factsEl = document.getElementById('albumFacts');
+    if (factsEl) {
+      const facts = [];
+      if (data.year) facts.push(Utils.escapeHtml(String(data.year)));
+      if (data.publisher_name) facts.push(Utils.renderNameLink(data.publisher_name, data.publisher_slug, 'copyright-owner'));
+      factsEl.innerHTML = facts.join(' · ');
+      factsEl.style.display = facts.length ? 'block' : 'none';
+    }
+
+    const bioEl = document.getElementById('profileBio');
+    if (bioEl) {
+      bioEl.textContent = data.description || '';
+      bioEl.style.display = data.description ? 'block' : 'none';
+    }
+
+    // Songs, in album order with their track / hymn numbers
+    const songs = data.songs || [];
+    const songGrid = document.getElementById('profileSongGrid');
+    const emptyEl = document.getElementById('profileEmpty');
+    const countEl = document.getElementById('songCount');
+
+    if (countEl) countEl.textContent = `(${songs.length})`;
+    if (songs.length === 0) {
+      if (songGrid) songGrid.innerHTML = '';
+      if (emptyEl) emptyEl.style.display = 'block';
+    } else {
+      if (emptyEl) emptyEl.style.display = 'none';
+      if (songGrid) songGrid.innerHTML = songs.map((s, i) => UI.createSongCard(s, i)).join('');
+    }
+  },
+
+  updateMeta(data) {
+    const kindLabel = I18n.t(`album.kind_${data.kind || 'album'}`);
+    const title = `${data.title} — ${kindLabel} — MaraLyrics`;
+    const songCount = data.songs?.length || 0;
+    const desc = `${data.title}${data.year ? ` (${data.year})` : ''} — ${kindLabel} on MaraLyrics. ${songCount} song${songCount !== 1 ? 's' : ''}.${data.description ? ' ' + data.description.substring(0, 120) : ''}`;
+
+    document.title = title;
+    const metaDesc = document.getElementById('metaDesc');
+    if (metaDesc) metaDesc.content = desc;
+    const ogTitle = document.getElementById('ogTitle');
+    if (ogTitle) ogTitle.content = title;
+    const ogDesc = document.getElementById('ogDesc');
+    if (ogDesc) ogDesc.content = desc;
+    const pageTitle = document.getElementById('pageTitle');
+    if (pageTitle) pageTitle.textContent = title;
+
+    const jsonLd = document.getElementById('jsonLd');
+    if (jsonLd) {
+      jsonLd.textContent = JSON.stringify({
+        '@context': 'https://schema.org',
+        '@type': 'MusicAlbum',
+        name: data.title,
+        datePublished: data.year ? String(data.year) : undefined,
+        publisher: data.publisher_name || undefined,
+        numTracks: songCount,
+        track: (data.songs || []).map((s) => ({
+          '@type': 'MusicRecording',
+          name: s.title,
+          position: s.number ?? undefined,
+          url: `${window.location.origin}/song/${s.slug}`,
+        })),
+        url: window.location.href,
+      });
+    }
+  },
+
+  showError() {
+    const skeleton = document.getElementById('profileSkeleton');
+    const detail = document.getElementById('profileDetail');
+    const error = document.getElementById('profileError');
+
+    if (skeleton) skeleton.style.display = 'none';
+    if (detail) detail.style.display = 'none';
+    if (error) error.style.display = 'block';
+  },
+};
+
+// ─── Setlist Page Controller ───────────────────────────────────
+/**
+ * /setlists lists this device's setlists (synced when signed in) and
+ * edits the one named in the URL hash: drag (or ↑ ↓) to reorder, a key
+ * and notes per song. /set/<code> shows a shared setlist read only, to
+ * present or save a copy of.
+ */
+const SetlistPage = {
+  list: null,     // the list on show, in the shape Setlists keeps
+  editable: false,
+  dragFrom: null,
+
+  async init() {
+    if (typeof Presentation !== 'undefined') Presentation.init();
+    this.bindEvents();
+
+    const code = Utils.getSlugFromUrl();
+    if (code) {
+      await this.loadShared(code);
+      return;
+    }
+
+    this.route();
+    window.addEventListener('hashchange', () => this.route());
+    try {
+      if (await Setlists.sync()) this.route();
+    } catch (err) {
+      console.warn('Failed to sync setlists:', err);
+    }
+    this.renderStatus();
+  },
+
+  /** #<id> opens that list; no hash shows them all. */
+  route() {
+    const id = decodeURIComponent(window.location.hash.slice(1));
+    const list = id ? Setlists.get(id) : null;
+    if (list) this.showList(list, true);
+    else this.showIndex();
+  },
+
+  async loadShared(code) {
+    const cacheKey = `setlist_${code}`;
+    let data;
+    try {
+      data = Utils.isOnline() ? await API.getSetlist(code) : null;
+      if (data) OfflineStore.set(cacheKey, data);
+    } catch (err) {
+      console.warn('Failed to load setlist:', err);
+    }
+    if (!data) {
+      data = await OfflineStore.get(cacheKey);
+      if (data) UI.setOfflineMode(true);
+    }
+    if (!data) {
+      this.showError();
+      return;
+    }
+    this.showList({ ...Setlists.fromServer(data), id: null }, false);
+    this.updateMeta(data);
+  },
+
+  showIndex() {
+    this.list = null;
+    document.getElementById('setlistDetail').hidden = true;
+    document.getElementById('setlistIndex').hidden = false;
+    const breadcrumb = document.getElementById('breadcrumbName');
+    if (breadcrumb) breadcrumb.textContent = I18n.t('setlist.title');
+    document.title = `${I18n.t('setlist.title')} — MaraLyrics`;
+
+    const lists = Setlists.all();
+    document.getElementById('setlistEmpty').style.display = lists.length ? 'none' : 'block';
+    document.getElementById('setlistList').innerHTML = lists.map((l) => `
+      <li><a class="setlist-index__item" href="#${encodeURIComponent(l.id)}">
+        <span class="setlist-index__title">${Utils.escapeHtml(l.title)}</span>
+        <span class="setlist-index__meta">${Utils.escapeHtml([
+          I18n.t(l.songs.length === 1 ? 'setlist.song_count_one' : 'setlist.song_count', { count: l.songs.length }),
+          l.code ? I18n.t('setlist.shared') : '',
+        ].filter(Boolean).join(' · '))}</span>
+      </a></li>`).join('');
+    this.renderStatus();
+  },
+
+  renderStatus() {
+    const el = document.getElementById('setlistStatus');
+    if (!el) return;
+    const user = Setlists.user;
+    el.textContent = user
+      ? I18n.t('setlist.status_synced', { name: user.display_name || user.username })
+      : I18n.t('setlist.status_local');
+  },
+
+  showList(list, editable) {
+    this.list = list;
+    this.editable = editable;
+    document.getElementById('setlistIndex').hidden = true;
+    document.getElementById('setlistError').style.display = 'none';
+    document.getElementById('setlistDetail').hidden = false;
+
+    const breadcrumb = document.getElementById('breadcrumbName');
+    if (breadcrumb) breadcrumb.textContent = list.title;
+    document.title = `${list.title} — ${I18n.t('setlist.breadcrumb')} — MaraLyrics`;
+
+    const titleInput = document.getElementById('setlistTitle');
+    const titleText = document.getElementById('setlistTitleText');
+    const notesInput = document.getElementById('setlistNotes');
+    const notesText = document.getElementById('setlistNotesText');
+    titleInput.hidden = !editable;
+    titleText.hidden = editable;
+    notesInput.hidden = !editable;
+    notesText.hidden = editable || !list.notes;
+    titleInput.value = list.title;
+    titleText.textContent = list.title;
+    notesInput.value = list.notes || '';
+    notesText.textContent = list.notes || '';
+
+    // Shared page: edit it if it is one of ours, else keep a copy
+    const own = !editable && Setlists.byCode(list.code);
+    document.getElementById('setlistBack').hidden = !editable;
+    document.getElementById('setlistShare').hidden = !editable;
+    document.getElementById('setlistDelete').hidden = !editable;
+    document.getElementById('setlistCopy').hidden = editable || !!own;
+    const editLink = document.getElementById('setlistEdit');
+    editLink.hidden = !own;
+    if (own) editLink.href = `/setlists#${encodeURIComponent(own.id)}`;
+
+    this.renderShareLink();
+    this.renderSongs();
+  },
+
+  renderShareLink() {
+    const el = document.getElementById('setlistShareLink');
+    const url = this.editable ? Setlists.shareUrl(this.list) : null;
+    el.hidden = !url;
+    if (!url) return;
+    el.innerHTML = `<span>${Utils.escapeHtml(I18n.t('setlist.share_link'))}</span>
+      <a href="${Utils.escapeHtml(url)}">${Utils.escapeHtml(url)}</a>
+      <button type="button" class="category-btn" data-setlist-action="copy-link">${Utils.escapeHtml(I18n.t('setlist.copy_link'))}</button>`;
+  },
+
+  renderSongs() {
+    const songs = this.list.songs;
+    const hint = document.getElementById('setlistHint');
+    if (hint) hint.hidden = !this.editable;
+    document.getElementById('setlistPresent').disabled = !songs.length;
+
+    const field = (i, name, value, max) => `<input class="setlist-song__field setlist-song__field--${name}"
+      data-field="${name}" value="${Utils.escapeHtml(value || '')}" maxlength="${max}"
+      ${name === 'key' ? 'list="setlistKeys"' : ''} placeholder="${Utils.escapeHtml(I18n.t(`setlist.song_${name}`))}"
+      aria-label="${Utils.escapeHtml(I18n.t(`setlist.song_${name}_of`, { title: songs[i].title }))}" />`;
+    const tool = (action, label, text, disabled = false) => `<button type="button" class="setlist-song__tool"
+      data-setlist-action="${action}" aria-label="${Utils.escapeHtml(label)}" title="${Utils.escapeHtml(label)}"${disabled ? ' disabled' : ''}>${text}</button>`;
+
+    document.getElementById('setlistSongs').innerHTML = songs.map((s, i) => `
+      <li class="setlist-song" data-index="${i}">
+        ${this.editable ? `<span class="setlist-song__handle" title="${Utils.escapeHtml(I18n.t('setlist.drag'))}">⠿</span>` : ''}
+        <span class="setlist-song__number">${i + 1}</span>
+        <div class="setlist-song__main">
+          <a class="setlist-song__title" href="/song/${Utils.escapeHtml(s.slug)}">${Utils.escapeHtml(s.title)}</a>
+          <span class="setlist-song__artist">${Utils.escapeHtml(s.artist || I18n.t('common.unknown_artist'))}</span>
+          ${!this.editable && s.notes ? `<div class="setlist-song__notes-text">${Utils.escapeHtml(s.notes)}</div>` : ''}
+        </div>
+        ${this.editable
+          ? `${field(i, 'key', s.key, 12)}${field(i, 'notes', s.notes, 500)}
+            <div class="setlist-song__tools">
+              ${tool('up', I18n.t('setlist.move_up'), '↑', i === 0)}
+              ${tool('down', I18n.t('setlist.move_down'), '↓', i === songs.length - 1)}
+              ${tool('remove', I18n.t('setlist.remove'), '✕')}
+            </div>`
+          : s.key ? `<span class="setlist-song__key-text">${Utils.escapeHtml(I18n.t('setlist.key_note', { key: s.key }))}</span>` : ''}
+      </li>`).join('') || `<li class="setlist__hint">${Utils.escapeHtml(I18n.t('setlist.no_songs'))}</li>`;
+  },
+
+  /** Apply a change to the list on show and keep it. */
+  change(changes, rerender = true) {
+    if (!this.editable) return;
+    this.list = Setlists.update(this.list.id, changes) || this.list;
+    if (rerender) this.renderSongs();
+  },
+
+  moveSong(from, to) {
+    const songs = [...this.list.songs];
+    if (to < 0 || to >= songs.length || from === to) return;
+    const [song] = songs.splice(from, 1);
+    songs.splice(to, 0, song);
+    this.change({ songs });
+  },
+
+  bindEvents() {
+    document.getElementById('setlistNew')?.addEventListener('click', () => {
+      const list = Setlists.create(I18n.t('setlist.untitled'));
+      window.location.hash = encodeURIComponent(list.id);
+      this.route();
+      document.getElementById('setlistTitle')?.select();
+    });
+
+    document.getElementById('setlistTitle')?.addEventListener('input', (e) => {
+      const title = e.target.value.trim();
+      if (title) this.change({ title }, false);
+    });
+    document.getElementById('setlistNotes')?.addEventListener('input', (e) => {
+      this.change({ notes: e.target.value }, false);
+    });
+
+    document.getElementById('setlistPresent')?.addEventListener('click', () => this.present());
+    document.getElementById('setlistShare')?.addEventListener('click', () => this.share());
+    document.getElementById('setlistCopy')?.addEventListener('click', () => {
+      const { title, notes, songs } = this.list;
+      const copy = Setlists.create(title, songs.map((s) => ({ ...s })));
+      Setlists.update(copy.id, { notes });
+      window.location.href = `/setlists#${encodeURIComponent(copy.id)}`;
+    });
+    document.getElementById('setlistDelete')?.addEventListener('click', async () => {
+      if (!confirm(I18n.t('setlist.delete_confirm', { title: this.list.title }))) return;
+      await Setlists.remove(this.list.id);
+      window.location.hash = '';
+    });
+    document.getElementById('setlistShareLink')?.addEventListener('click', async (e) => {
+      const btn = e.target.closest('[data-setlist-action="copy-link"]');
+      if (!btn) return;
+      try {
+        await navigator.clipboard.writeText(Setlists.shareUrl(this.list));
+        btn.textContent = I18n.t('setlist.copied');
+      } catch {
+        window.prompt(I18n.t('setlist.share_link'), Setlists.shareUrl(this.list));
+      }
+    });
+
+    const songsEl = document.getElementById('setlistSongs');
+    if (!songsEl) return;
+
+    songsEl.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-setlist-action]');
+      if (!btn) return;
+      const i = parseInt(btn.closest('[data-index]').dataset.index, 10);
+      const action = btn.dataset.setlistAction;
+      if (action === 'up' || action === 'down') {
+        const to = action === 'up' ? i - 1 : i + 1;
+        this.moveSong(i, to);
+        songsEl.querySelector(`[data-index="${to}"] [data-setlist-action="${action}"]:not(:disabled)`)?.focus();
+      }
+      if (action === 'remove') {
+        this.change({ songs: this.list.songs.filter((_, j) => j !== i) });
+      }
+    });
+
+    songsEl.addEventListener('input', (e) => {
+      const input = e.target.closest('[data-field]');
+      if (!input) return;
+      const i = parseInt(input.closest('[data-index]').dataset.index, 10);
+      const songs = this.list.songs.map((s, j) => (j === i ? { ...s, [input.dataset.field]: input.value.trim() } : s));
+      this.change({ songs }, false);
+    });
+
+    // Drag by the handle only, so the key and notes fields stay selectable
+    songsEl.addEventListener('pointerdown', (e) => {
+      const handle = e.target.closest('.setlist-song__handle');
+      if (handle) handle.parentElement.draggable = true;
+    });
+    songsEl.addEventListener('dragstart', (e) => {
+      const item = e.target.closest('.setlist-song');
+      if (!item) return;
+      this.dragFrom = parseInt(item.dataset.index, 10);
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', String(this.dragFrom));
+      item.classList.add('setlist-song--dragging');
+    });
+    songsEl.addEventListener('dragover', (e) => {
+      const item = e.target.closest('.setlist-song');
+      if (this.dragFrom === null || !item) return;
+      e.preventDefault();
+      const after = e.clientY > item.getBoundingClientRect().top + item.offsetHeight / 2;
+      songsEl.querySelectorAll('.setlist-song').forEach((el) => {
+        el.classList.toggle('setlist-song--drop-before', el === item && !after);
+        el.classList.toggle('setlist-song--drop-after', el === item && after);
+      });
+    });
+    songsEl.addEventListener('drop', (e) => {
+      const item = e.target.closest('.setlist-song');
+      if (this.dragFrom === null || !item) return;
+      e.preventDefault();
+      const over = parseInt(item.dataset.index, 10);
+      const after = item.classList.contains('setlist-song--drop-after');
+      // Index once the dragged song has been taken out
+      let to = over + (after ? 1 : 0);
+      if (this.dragFrom < to) to -= 1;
+      const from = this.dragFrom;
+      this.dragFrom = null;
+      this.moveSong(from, to);
+    });
+    songsEl.addEventListener('dragend', () => {
+      this.dragFrom = null;
+      songsEl.querySelectorAll('.setlist-song').forEach((el) => {
+        el.draggable = false;
+        el.classList.remove('setlist-song--dragging', 'setlist-song--drop-before', 'setlist-song--drop-after');
+      });
+    });
+  },
+
+  async share() {
+    const btn = document.getElementById('setlistShare');
+    btn.disabled = true;
+    try {
+      const url = await Setlists.share(this.list.id);
+      this.list = Setlists.get(this.list.id);
+      this.renderShareLink();
+      if (url && navigator.share) navigator.share({ title: this.list.title, url }).catch(() => {});
+    } catch (err) {
+      console.warn('Failed to share setlist:', err);
+      alert(I18n.t('setlist.share_failed'));
+    } finally {
+      btn.disabled = false;
+    }
+  },
+
+  /**
+   * Every song of the list in one presentation, each opened by its title
+   * slide; the key and notes show in the presenter view. Songs are
+   * fetched fresh, or taken from the offline cache.
+   */
+  async present() {
+    if (typeof Presentation === 'undefined') return;
+    const btn = document.getElementById('setlistPresent');
+    btn.disabled = true;
+    try {
+      const songs = await Promise.all(this.list.songs.map(async (item) => {
+        let song = null;
+        if (Utils.isOnline()) {
+          try {
+            song = await API.getSong(item.slug);
+            Cache.cacheSong(song);
+          } catch (err) {
+            console.warn('Failed to load song:', err);
+          }
+        }
+        song = song || await Cache.getCachedSong(item.slug);
+        if (!song) return null;
+        const original = { language: song.language, lyrics: song.lyrics, sections: song.sections, original: true };
+        const note = [item.key ? I18n.t('setlist.key_note', { key: item.key }) : '', item.notes].filter(Boolean).join('\n');
+        return { ...SongPage.presentationDeck(song, original), note };
+      }));
+      const missing = songs.filter((s) => !s).length;
+      if (missing) alert(I18n.t('setlist.present_missing', { count: missing }));
+      if (missing < songs.length) Presentation.open({ title: this.list.title, songs: songs.filter(Boolean) });
+    } finally {
+      btn.disabled = false;
+    }
+  },
+
+  updateMeta(data) {
+    const title = `${data.title} — ${I18n.t('setlist.breadcrumb')} — MaraLyrics`;
+    const desc = `${data.title}: ${(data.songs || []).map((s) => s.title).join(', ')}`.substring(0, 200);
+    document.title = title;
+    const metaDesc = document.getElementById('metaDesc');
+    if (metaDesc) metaDesc.content = desc;
+    const ogTitle = document.getElementById('ogTitle');
+    if (ogTitle) ogTitle.content = title;
+    const ogDesc = document.getElementById('ogDesc');
+    if (ogDesc) ogDesc.content = desc;
+  },
+
+  showError() {
+    document.getElementById('setlistIndex').hidden = true;
+    document.getElementById('setlistDetail').hidden = true;
+    document.getElementById('setlistError').style.display = 'block';
+  },
+};
+
+// ─── Library Page Controller ───────────────────────────────────
+/**
+ * /library: favorites (#favorites, the default) and recently viewed songs
+ * (#recent) from this device, filtered and sorted in place, with export
+ * and import of the whole library as a JSON file.
+ */
+const LibraryPage = {
+  tab: 'favorites',
+  query: '',
+  sort: 'latest',
+  _render: 0,
+
+  init() {
+    this.bindEvents();
+    this.route();
+    window.addEventListener('hashchange', () => this.route());
+    document.addEventListener('librarychange', () => this.render());
+    // Favorites saved before they were cached, or cleared from the cache
+    Library.keepOffline();
+  },
+
+  route() {
+    this.tab = window.location.hash === '#recent' ? 'recent' : 'favorites';
+    this.render();
+  },
+
+  bindEvents() {
+    const search = document.getElementById('librarySearch');
+    search?.addEventListener('input', Utils.debounce(() => {
+      this.query = search.value;
+      this.render();
+    }, 100));
+
+    const sort = document.getElementById('librarySort');
+    sort?.addEventListener('change', () => {
+      this.sort = sort.value;
+      this.render();
+    });
+
+    document.getElementById('libraryTabs')?.addEventListener('click', (e) => {
+      const tab = e.target.closest('[data-library-tab]');
+      if (tab) window.location.hash = tab.dataset.libraryTab;
+    });
+
+    document.getElementById('libraryClear')?.addEventListener('click', () => {
+      if (confirm(I18n.t('library.clear_recent_confirm'))) Library.clearRecent();
+    });
+
+    document.getElementById('libraryExport')?.addEventListener('click', () => this.exportLibrary());
+
+    const file = document.getElementById('libraryFile');
+    document.getElementById('libraryImport')?.addEventListener('click', () => file?.click());
+    file?.addEventListener('change', async () => {
+      if (file.files[0]) await this.importLibrary(file.files[0]);
+      file.value = '';
+    });
+  },
+
+  /** Songs of the open tab that match the filter, in the chosen order. */
+  items() {
+    const items = this.tab === 'recent' ? Library.recent() : Library.favorites();
+    const terms = Utils.normalizeSearch(this.query).split(/\s+/).filter(Boolean);
+    const found = items.filter((e) => {
+      const text = Utils.normalizeSearch(`${e.title} ${e.artist} ${e.category} ${e.hymn_number ?? ''}`);
+      return terms.every((t) => text.includes(t));
+    });
+    if (this.sort === 'title') found.sort((a, b) => a.title.localeCompare(b.title));
+    if (this.sort === 'artist') found.sort((a, b) => a.artist.localeCompare(b.artist) || a.title.localeCompare(b.title));
+    return found;
+  },
+
+  async render() {
+    const request = ++this._render;
+    const favorites = Library.favorites();
+    const recent = Library.recent();
+    const all = this.tab === 'recent' ? recent : favorites;
+    const items = this.items();
+    const stored = await OfflineStore.getSongs([...new Set([...favorites, ...items].map((e) => e.slug))]);
+    // A newer render (typing, another tab) already replaced this one
+    if (request !== this._render) return;
+
+    document.querySelectorAll('[data-library-tab]').forEach((btn) => {
+      const selected = btn.dataset.libraryTab === this.tab;
+      btn.classList.toggle('active', selected);
+      btn.setAttribute('aria-selected', String(selected));
+      const count = btn.querySelector('[data-library-count]');
+      if (count) count.textContent = (btn.dataset.libraryTab === 'recent' ? recent : favorites).length;
+    });
+
+    const offline = document.getElementById('libraryOffline');
+    if (offline) {
+      const saved = favorites.filter((f) => stored.has(f.slug)).length;
+      offline.hidden = this.tab !== 'favorites' || !favorites.length;
+      offline.textContent = I18n.t('library.offline_count', { count: saved, total: favorites.length });
+    }
+    const clear = document.getElementById('libraryClear');
+    if (clear) clear.hidden = this.tab !== 'recent' || !recent.length;
+
+    document.getElementById('libraryGrid').innerHTML = items.map((e, i) => {
+      const song = stored.get(e.slug)?.song;
+      return UI.createSongCard({ ...e, artist_name: e.artist, views: song?.views }, i);
+    }).join('');
+
+    const empty = document.getElementById('libraryEmpty');
+    const emptyText = document.getElementById('libraryEmptyText');
+    if (empty) empty.style.display = items.length ? 'none' : 'block';
+    if (emptyText) {
+      emptyText.textContent = all.length
+        ? I18n.t('library.no_match', { query: this.query.trim() })
+        : I18n.t(this.tab === 'recent' ? 'library.empty_recent' : 'library.empty_favorites');
+    }
+  },
+
+  exportLibrary() {
+    const { blob, filename } = Library.exportFile();
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  },
+
+  async importLibrary(file) {
+    const message = document.getElementById('libraryMessage');
+    let result = null;
+    try {
+      result = Library.importFile(await file.text());
+    } catch (err) {
+      console.warn('Failed to read library file:', err);
+    }
+    if (!message) return;
+    message.hidden = false;
+    message.textContent = result
+      ? I18n.t('library.imported', result)
+      : I18n.t('library.import_invalid');
+  },
+};
+
 // ─── Offline Detection ─────────────────────────────────────────
 function initOfflineDetection() {
   window.addEventListener('online', () => {
     UI.setOfflineMode(false);
+    Cache.syncChanges();
   });
 
   window.addEventListener('offline', () => {
@@ -1172,6 +3867,226 @@ function initOfflineDetection() {
   }
 }
 
+// ─── Service Worker (offline pages, new versions) ──────────────
+/**
+ * sw.js keeps the app shell and API responses for offline use. A new
+ * version waits until the reader chooses to reload, so an open page never
+ * changes under them.
+ */
+const AppUpdate = {
+  reloading: false,
+
+  init() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      // Only after "Reload": the first install also takes control
+      if (!this.reloading) return;
+      window.location.reload();
+    });
+    // After the page has loaded, so precaching does not compete with it
+    if (document.readyState === 'complete') this.register();
+    else window.addEventListener('load', () => this.register());
+  },
+
+  async register() {
+    try {
+      const reg = await navigator.serviceWorker.register('/sw.js');
+      if (reg.waiting && navigator.serviceWorker.controller) this.showNotice(reg.waiting);
+      reg.addEventListener('updatefound', () => {
+        const worker = reg.installing;
+        worker?.addEventListener('statechange', () => {
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) this.showNotice(worker);
+        });
+      });
+    } catch (err) {
+      console.warn('Service worker registration failed:', err);
+    }
+  },
+
+  showNotice(worker) {
+    if (document.getElementById('updateNotice')) return;
+    const notice = document.createElement('div');
+    notice.id = 'updateNotice';
+    notice.className = 'update-notice';
+    notice.setAttribute('role', 'status');
+    notice.innerHTML = `<span>${Utils.escapeHtml(I18n.t('update.available'))}</span>
+      <button type="button" class="update-notice__btn" data-update="reload">${Utils.escapeHtml(I18n.t('update.reload'))}</button>
+      <button type="button" class="update-notice__close" data-update="dismiss" aria-label="${Utils.escapeHtml(I18n.t('update.dismiss'))}">&times;</button>`;
+    notice.addEventListener('click', (e) => {
+      const action = e.target.closest('[data-update]')?.dataset.update;
+      if (action === 'reload') {
+        this.reloading = true;
+        worker.postMessage({ type: 'SKIP_WAITING' });
+      }
+      if (action) notice.remove();
+    });
+    document.body.appendChild(notice);
+  },
+};
+
+// ─── Offline Pack (every song on this device) ──────────────────
+/**
+ * "Download all songs for offline" in the settings panel stores the whole
+ * catalogue (GET /api/catalogue, gzipped) in OfflineStore, so every song
+ * opens and is searchable with no connection. The version downloaded is
+ * kept; the button, and a check every few hours while online, then fetch
+ * only the songs changed since it (?since=).
+ */
+const OfflinePack = {
+  KEY: 'catalogue', // OfflineStore entry: { version, count, checked }
+  REFRESH_INTERVAL: 6 * 60 * 60 * 1000,
+  busy: false,
+
+  init() {
+    const panel = document.querySelector('.settings-panel');
+    if (!panel || !window.indexedDB || !window.DecompressionStream) return;
+    panel.insertAdjacentHTML('beforeend', `
+      <div class="settings-panel__divider"></div>
+      <div class="settings-panel__section offline-pack">
+        <div class="settings-panel__label">
+          <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 15v4a2 2 0 01-2 2H5a2 2 0 01-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/></svg>
+          <span data-i18n="offline_pack.label">${Utils.escapeHtml(I18n.t('offline_pack.label'))}</span>
+        </div>
+        <button type="button" class="offline-pack__btn" id="offlinePackBtn"></button>
+        <div class="offline-pack__progress" id="offlinePackProgress" hidden><div class="offline-pack__bar" id="offlinePackBar"></div></div>
+        <p class="offline-pack__status" id="offlinePackStatus" role="status"></p>
+      </div>`);
+    document.getElementById('offlinePackBtn').addEventListener('click', () => this.download());
+    // Fresh storage figures (and wording, after a language switch) each time the panel opens
+    document.querySelector('.settings-toggle__btn')?.addEventListener('click', () => this.renderStatus());
+    this.renderStatus();
+    this.refresh();
+  },
+
+  info() {
+    return OfflineStore.get(this.KEY, Infinity);
+  },
+
+  /** Quietly fetch the changes once the page has loaded, if the last check is old. */
+  async refresh() {
+    const info = await this.info();
+    if (!info || !Utils.isOnline() || Date.now() - info.checked < this.REFRESH_INTERVAL) return;
+    if (document.readyState !== 'complete') await new Promise((resolve) => window.addEventListener('load', resolve));
+    if (this.busy) return;
+    this.busy = true;
+    try {
+      await this.sync();
+    } catch (err) {
+      console.warn('Failed to update offline songs:', err);
+    } finally {
+      this.busy = false;
+    }
+    this.renderStatus();
+  },
+
+  async download() {
+    if (this.busy) return;
+    const btn = document.getElementById('offlinePackBtn');
+    const progress = document.getElementById('offlinePackProgress');
+    const bar = document.getElementById('offlinePackBar');
+    if (!Utils.isOnline()) {
+      this.setStatus(I18n.t('offline_pack.needs_connection'));
+      return;
+    }
+
+    this.busy = true;
+    btn.disabled = true;
+    progress.hidden = false;
+    // Downloading is the first 70% of the bar, saving the rest
+    const show = (fraction, text) => {
+      bar.style.width = `${Math.round(fraction * 100)}%`;
+      this.setStatus(text);
+    };
+    show(0, I18n.t('offline_pack.checking'));
+    try {
+      // Ask the browser not to clear the songs when space runs low
+      await navigator.storage?.persist?.();
+      const result = await this.sync((phase, done, total) => {
+        if (phase === 'download') {
+          show(total ? 0.7 * done / total : 0, I18n.t('offline_pack.downloading', {
+            done: Utils.formatBytes(done),
+            total: total ? Utils.formatBytes(total) : '…',
+          }));
+        } else {
+          show(0.7 + 0.3 * done / total, I18n.t('offline_pack.saving', { done, total }));
+        }
+      });
+      this.busy = false;
+      await this.renderStatus(I18n.t(result.changed ? 'offline_pack.done' : 'offline_pack.up_to_date', result));
+    } catch (err) {
+      console.warn('Offline download failed:', err);
+      this.busy = false;
+      await this.renderStatus(I18n.t('offline_pack.failed'));
+    } finally {
+      btn.disabled = false;
+      progress.hidden = true;
+    }
+  },
+
+  /**
+   * Bring the stored songs up to date: the whole catalogue the first time,
+   * afterwards the songs changed since the stored version (a 304 when
+   * there are none). onProgress(phase, done, total) is called with phase
+   * 'download' (bytes) and 'save' (songs). Resolves to { count, changed }.
+   */
+  async sync(onProgress) {
+    const info = await this.info();
+    const query = info ? `?since=${encodeURIComponent(info.version)}` : '';
+    const res = await fetch(`${CONFIG.API_BASE}/catalogue${query}`);
+    if (res.status === 304) {
+      await OfflineStore.set(this.KEY, { ...info, checked: Date.now() });
+      return { count: info.count, changed: 0 };
+    }
+    if (!res.ok) throw new Error(`API ${res.status}: ${res.statusText}`);
+
+    // Read the gzipped file in chunks to report progress, then unpack it
+    const total = parseInt(res.headers.get('Content-Length'), 10) || 0;
+    const reader = res.body.getReader();
+    const chunks = [];
+    let received = 0;
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      received += value.length;
+      onProgress?.('download', received, total);
+    }
+    const pack = await new Response(
+      new Blob(chunks).stream().pipeThrough(new DecompressionStream('gzip'))
+    ).json();
+
+    const slugs = pack.slugs || pack.songs.map((song) => song.slug);
+    onProgress?.('save', 0, pack.songs.length);
+    await OfflineStore.putPack(pack.songs, new Set(slugs), (done) => onProgress?.('save', done, pack.songs.length));
+    await OfflineStore.set(this.KEY, { version: pack.version, count: slugs.length, checked: Date.now() });
+    return { count: slugs.length, changed: pack.songs.length };
+  },
+
+  setStatus(text) {
+    const status = document.getElementById('offlinePackStatus');
+    if (status) status.textContent = text;
+  },
+
+  /** Button label, songs saved and storage used, after an optional message. */
+  async renderStatus(message = '') {
+    const btn = document.getElementById('offlinePackBtn');
+    if (!btn || this.busy) return;
+    const info = await this.info();
+    btn.textContent = I18n.t(info ? 'offline_pack.update' : 'offline_pack.download');
+
+    const lines = message ? [message] : [];
+    if (info) {
+      lines.push(I18n.t('offline_pack.saved', {
+        count: info.count,
+        date: new Date(info.checked).toLocaleDateString(I18n.getLang()),
+      }));
+    }
+    const estimate = await navigator.storage?.estimate?.().catch(() => null);
+    if (estimate?.usage) lines.push(I18n.t('offline_pack.storage', { size: Utils.formatBytes(estimate.usage) }));
+    this.setStatus(lines.join(' '));
+  },
+};
+
 // ─── App Initialization ────────────────────────────────────────
 document.addEventListener('DOMContentLoaded', async () => {
   // Initialize i18n first
@@ -1194,6 +4109,13 @@ document.addEventListener('DOMContentLoaded', async () => {
   }
 
   initOfflineDetection();
+  AppUpdate.init();
+  OfflinePack.init();
+  Cache.syncChanges();
+
+  // Favorite and add-to-setlist buttons on song cards and the song page
+  Library.init();
+  SetlistPicker.init();
 
   // Detect which page we're on
   const pageType = Utils.getPageType();
@@ -1211,6 +4133,15 @@ document.addEventListener('DOMContentLoaded', async () => {
     case 'copyright-owner':
       CopyrightOwnerPage.init();
       break;
+    case 'album':
+      AlbumPage.init();
+      break;
+    case 'setlists':
+      SetlistPage.init();
+      break;
+    case 'library':
+      LibraryPage.init();
+      break;
     default:
       HomePage.init();
       break;
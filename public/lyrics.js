@@ -0,0 +1,300 @@
+// ╔══════════════════════════════════════════════════════════════╗
+// ║        MaraLyrics — Structured Lyrics (sections)            ║
+// ║        Shared by the worker (import) and the browser        ║
+// ╚══════════════════════════════════════════════════════════════╝
+//
+// songs.lyrics stays one text column. Sections are marked with ChordPro
+// directives, so the text is still readable as it is stored:
+//
+//   {start_of_verse: Verse 1}        {start_of_chorus}
+//   First line                       Chorus line
+//   {end_of_verse}                   {end_of_chorus}
+//
+//   {chorus}                         ← sing the chorus again
+//
+// Older plain lyrics parse too: blank lines separate stanzas, and a stanza
+// headed "Verse 2:", "Chorus:", "Bridge:" … takes that type and label.
+// A heading on its own ("Chorus") repeats that section.
+//
+// Chords are written inline before the syllable they fall on, also as in
+// ChordPro: "[G]Ka lunglen a [D/F#]nasa e".
+//
+// Timed lyrics for karaoke are kept separately, in LRC (see parseLrc).
+//
+// Loaded in pages with <script type="module" src="/lyrics.js">, which
+// also exposes it as window.Lyrics for app.js and the admin.
+
+const SECTION_TYPES = ['verse', 'chorus', 'bridge', 'intro', 'outro'];
+
+// ChordPro short forms: {soc} / {eoc}, {sov} / {eov}, {sob} / {eob}
+const SHORT_TYPES = { v: 'verse', c: 'chorus', b: 'bridge' };
+
+const DIRECTIVE = /^\{\s*([a-z_]+)\s*(?::\s*(.*?))?\s*\}$/i;
+
+// Legacy headings typed as a lyric line ("Verse 2:", "Chorus", "Refrain")
+const HEADING = /^(verse|chorus|refrain|bridge|intro|outro)(?:\s+(\d+))?\s*:?$/i;
+const HEADING_TYPES = { refrain: 'chorus' };
+
+/** Section type and label of a legacy heading line, or null. */
+function parseHeading(line) {
+  const m = HEADING.exec(line.trim());
+  if (!m) return null;
+  const word = m[1].toLowerCase();
+  const type = HEADING_TYPES[word] || word;
+  // A bare "Chorus:" needs no label; the page shows the type's own name
+  return { type, label: m[2] || word !== type ? line.trim().replace(/\s*:$/, '') : null };
+}
+
+/** Meaning of a directive line: start / end of a section, a repeat, or null. */
+function parseDirective(line) {
+  const m = DIRECTIVE.exec(line.trim());
+  if (!m) return null;
+  const name = m[1].toLowerCase();
+  const label = m[2] || null;
+  let type;
+  if ((type = /^start_of_(\w+)$/.exec(name)?.[1] || SHORT_TYPES[/^so(\w)$/.exec(name)?.[1]])) {
+    return { kind: 'start', type: SECTION_TYPES.includes(type) ? type : 'verse', label };
+  }
+  if (/^end_of_\w+$/.test(name) || /^eo\w$/.test(name)) return { kind: 'end' };
+  if (name === 'chorus') return { kind: 'repeat', type: 'chorus', label };
+  return { kind: 'other' };
+}
+
+/**
+ * Parse stored lyrics into [{ type, label, lines, repeat? }].
+ * A repeat carries the lines of the section it repeats (the latest one of
+ * its type, or the latest with the same label), so it can be shown
+ * expanded; serialize() writes it back as a single directive.
+ * Unknown directives ({title}, {comment} …) are skipped.
+ */
+function parse(text) {
+  // D1 may store escaped newlines
+  const lines = String(text || '').replace(/\\n/g, '\n').replace(/\r\n?/g, '\n').split('\n');
+  const sections = [];
+  let current = null;
+  let explicit = false; // opened by a directive, so blank lines stay inside
+
+  const close = () => {
+    if (!current) return;
+    while (current.lines.length && !current.lines[current.lines.length - 1].trim()) current.lines.pop();
+    if (current.lines.length) {
+      sections.push(current);
+    } else if (!explicit) {
+      // A heading with nothing under it repeats that section
+      sections.push(repeatOf(sections, current.type, current.label));
+    }
+    current = null;
+    explicit = false;
+  };
+
+  for (const line of lines) {
+    const directive = parseDirective(line);
+    if (directive) {
+      if (directive.kind === 'start') {
+        close();
+        current = { type: directive.type, label: directive.label, lines: [] };
+        explicit = true;
+      } else if (directive.kind === 'end') {
+        close();
+      } else if (directive.kind === 'repeat') {
+        close();
+        sections.push(repeatOf(sections, directive.type, directive.label));
+      }
+      continue;
+    }
+
+    if (!line.trim()) {
+      if (explicit) {
+        if (current.lines.length) current.lines.push('');
+      } else {
+        close();
+      }
+      continue;
+    }
+
+    if (!current) {
+      const heading = parseHeading(line);
+      current = heading
+        ? { type: heading.type, label: heading.label, lines: [] }
+        : { type: 'verse', label: null, lines: [] };
+      if (heading) continue;
+    }
+    current.lines.push(line.trimEnd());
+  }
+  close();
+  return sections;
+}
+
+/** A repeat of the latest section of `type` (or with the same label). */
+function repeatOf(sections, type, label) {
+  const source = [...sections].reverse().find((s) => !s.repeat && (label ? s.label === label : s.type === type));
+  return {
+    type: source?.type || type,
+    label: label || source?.label || null,
+    lines: source ? [...source.lines] : [],
+    repeat: true,
+  };
+}
+
+/**
+ * Write sections back as stored text. Plain verses without a label stay
+ * plain stanzas; everything else gets start / end directives. A repeated
+ * chorus becomes {chorus}; ChordPro has no directive for repeating other
+ * sections, so those are written as a heading on its own ("Bridge").
+ */
+function serialize(sections) {
+  return (sections || [])
+    .map((s) => {
+      const type = SECTION_TYPES.includes(s.type) ? s.type : 'verse';
+      const label = s.label?.trim() || null;
+      if (s.repeat && type === 'chorus') return `{chorus${label ? `: ${label}` : ''}}`;
+      if (s.repeat) return label || type[0].toUpperCase() + type.slice(1);
+      const body = (s.lines || []).join('\n').trim();
+      if (type === 'verse' && !label) return body;
+      return `{start_of_${type}${label ? `: ${label}` : ''}}\n${body}\n{end_of_${type}}`;
+    })
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * The sung words only: no directives, headings or chords, repeats left
+ * out, stanzas separated by a blank line. Used for the search index and
+ * anywhere lyrics are shown as plain text.
+ */
+function toPlainText(text) {
+  return parse(text)
+    .filter((s) => !s.repeat)
+    .map((s) => s.lines.map(stripChords).join('\n'))
+    .join('\n\n');
+}
+
+// ─── Chords ──────────────────────────────────────────────────
+
+const CHORD = /\[([^\]\s]{1,16})\]/g;
+
+// Root (and slash bass) of a chord: letter plus optional accidental
+const CHORD_NOTE = /^([A-G])([#b]?)(.*?)(?:\/([A-G])([#b]?))?$/;
+
+const SHARPS = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const FLATS = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+const SEMITONE = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+function hasChords(text) {
+  return new RegExp(CHORD.source).test(text || '');
+}
+
+function stripChords(line) {
+  return (line || '').replace(CHORD, '').replace(/ {2,}/g, ' ');
+}
+
+/**
+ * Split a lyric line into [{ chord, text }] pieces, each chord with the
+ * words sung from it up to the next chord. A line without chords is one
+ * piece with chord null.
+ */
+function splitChords(line) {
+  const pieces = [];
+  let last = 0;
+  let chord = null;
+  for (const m of (line || '').matchAll(CHORD)) {
+    if (m.index > last || chord !== null) pieces.push({ chord, text: line.slice(last, m.index) });
+    chord = m[1];
+    last = m.index + m[0].length;
+  }
+  pieces.push({ chord, text: line.slice(last) });
+  return pieces.filter((p, i) => i > 0 || p.text || p.chord);
+}
+
+function shiftNote(letter, accidental, steps, flats) {
+  const n = (SEMITONE[letter] + (accidental === '#' ? 1 : accidental === 'b' ? -1 : 0) + steps + 120) % 12;
+  return (flats ? FLATS : SHARPS)[n];
+}
+
+/**
+ * Move a chord by `steps` semitones. `flats` picks the spelling of the
+ * result (true ♭, false ♯); null keeps the chord's own. Anything that is
+ * not a chord name ("N.C.", "x2") is returned as it is.
+ */
+function transposeChord(chord, steps, flats = null) {
+  const m = CHORD_NOTE.exec(chord);
+  if (!m || (!steps && flats === null)) return chord;
+  const [, root, acc, quality, bass, bassAcc] = m;
+  const useFlats = flats ?? acc === 'b';
+  return shiftNote(root, acc, steps, useFlats) + quality +
+    (bass ? `/${shiftNote(bass, bassAcc, steps, useFlats)}` : '');
+}
+
+/** The first chord of the lyrics, taken as the song's key; null if none. */
+function firstChord(text) {
+  const m = new RegExp(CHORD.source).exec(text || '');
+  return m && CHORD_NOTE.test(m[1]) ? m[1] : null;
+}
+
+// ─── Timed lyrics (LRC) ──────────────────────────────────────
+// "[01:02.50]Line sung at 62.5 s". A line may carry several stamps when it
+// is sung more than once; [offset:+250] shifts every stamp (ms, positive =
+// earlier). Other tags ([ar:], [ti:] …) and word stamps (<01:02.80>) are
+// ignored.
+
+const LRC_STAMP = /\[(\d{1,3}):(\d{1,2})(?:[.:](\d{1,3}))?\]/g;
+const LRC_TAG = /^\[([a-z]+):(.*)\]$/i;
+
+/**
+ * Parse LRC text into { offset, lines: [{ time, text }] }, times in
+ * seconds (offset already applied) and in order.
+ */
+function parseLrc(text) {
+  let offset = 0;
+  const lines = [];
+  for (const raw of String(text || '').replace(/\r\n?/g, '\n').split('\n')) {
+    const line = raw.trim();
+    const tag = LRC_TAG.exec(line);
+    if (tag && !/^\d/.test(tag[1])) {
+      if (tag[1].toLowerCase() === 'offset') offset = parseInt(tag[2], 10) || 0;
+      continue;
+    }
+    const stamps = [...line.matchAll(LRC_STAMP)];
+    if (!stamps.length || stamps[0].index !== 0) continue;
+    const words = line.slice(stamps[stamps.length - 1].index + stamps[stamps.length - 1][0].length)
+      .replace(/<\d{1,3}:\d{1,2}(?:[.:]\d{1,3})?>/g, '')
+      .trim();
+    for (const [, m, s, frac] of stamps) {
+      const time = parseInt(m, 10) * 60 + parseInt(s, 10) + (frac ? parseInt(frac, 10) / 10 ** frac.length : 0);
+      lines.push({ time, text: words });
+    }
+  }
+  for (const line of lines) line.time = Math.max(0, Math.round((line.time - offset / 1000) * 100) / 100);
+  return { offset, lines: lines.sort((a, b) => a.time - b.time) };
+}
+
+/** Seconds as an LRC stamp body: 62.5 → "01:02.50". */
+function formatLrcTime(seconds) {
+  const cs = Math.max(0, Math.round(seconds * 100));
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(Math.floor(cs / 6000))}:${pad(Math.floor(cs / 100) % 60)}.${pad(cs % 100)}`;
+}
+
+/** Write [{ time, text }] as LRC, one stamp per line. */
+function toLrc(lines) {
+  return (lines || []).map((l) => `[${formatLrcTime(l.time || 0)}]${l.text || ''}`).join('\n');
+}
+
+const Lyrics = {
+  parse,
+  serialize,
+  toPlainText,
+  hasChords,
+  stripChords,
+  splitChords,
+  transposeChord,
+  firstChord,
+  parseLrc,
+  formatLrcTime,
+  toLrc,
+  SECTION_TYPES,
+};
+
+if (typeof window !== 'undefined') window.Lyrics = Lyrics;
+
+export default Lyrics;
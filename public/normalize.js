@@ -0,0 +1,153 @@
+// ╔══════════════════════════════════════════════════════════════╗
+// ║        MaraLyrics — Search Text Normalization               ║
+// ║        Shared by the worker (import) and the browser        ║
+// ╚══════════════════════════════════════════════════════════════╝
+//
+// The worker indexes song text and processes /api/search queries with
+// forSearch(); the browser uses the same function for offline search, so
+// both sides always agree on what "the same word" means.
+//
+// Loaded in pages with <script type="module" src="/normalize.js">, which
+// also exposes it as window.Normalize for app.js.
+
+// ─── Mara spelling equivalents ───────────────────────────────
+// Each entry folds its variants onto the first (canonical) spelling.
+// Matching is per whole word, after diacritics and apostrophes are removed.
+// Add rows here as editors find new variants; then reindex search.
+const SPELLING_EQUIVALENTS = [
+  ['zisu', 'jisu'],
+  ['khrih', 'khris', 'krih'],
+  ['khazohpa', 'khazopa'],
+];
+
+const VARIANT_TO_CANONICAL = new Map();
+for (const [canonical, ...variants] of SPELLING_EQUIVALENTS) {
+  for (const v of variants) VARIANT_TO_CANONICAL.set(v, canonical);
+}
+
+// ─── Zawgyi → Unicode (Burmese) ──────────────────────────────
+// Zawgyi reuses Myanmar code points with different meanings and stores
+// some marks before the consonant. This covers the common cases of the
+// Rabbit converter's rules: code-point remapping, stacked and kinzi forms,
+// and moving pre-typed vowel sign E and medial RA behind their consonant.
+
+// Sequences that only occur in Zawgyi-encoded text
+const ZAWGYI_SIGNS = [
+  /[\u1060-\u1097]/,                                            // Zawgyi presentation forms
+  /(^|[^\u1000-\u1021\u1025\u1027\u103b-\u103f])[\u1031\u103b]/, // E / medial RA typed first
+  /\u1039(?![\u1000-\u1021])/,                                  // 1039 used as a visible asat
+  /[\u1033\u1034]/,                                             // Zawgyi U / UU variants
+];
+
+// Zawgyi 1039–103D are Unicode 103A–103E; remapped first (highest first so
+// nothing is shifted twice) so later rules can emit real Unicode sequences.
+const ZAWGYI_MEDIALS = [
+  [/\u103d/g, '\u103e'], [/\u103c/g, '\u103d'], [/\u103b/g, '\u103c'],
+  [/\u103a/g, '\u103b'], [/\u1039/g, '\u103a'],
+  [/[\u107e-\u1084]/g, '\u103c'], [/\u1087/g, '\u103e'],
+];
+
+const ZAWGYI_FORMS = [
+  // Stacked consonants and ligatures
+  [/\u106a/g, '\u1009'], [/\u106b/g, '\u100a'], [/\u108f/g, '\u1014'], [/\u1090/g, '\u101b'],
+  [/\u1086/g, '\u103f'], [/\u1060/g, '\u1039\u1000'], [/\u1061/g, '\u1039\u1001'],
+  [/\u1062/g, '\u1039\u1002'], [/\u1063/g, '\u1039\u1003'], [/\u1065/g, '\u1039\u1005'],
+  [/[\u1066\u1067]/g, '\u1039\u1006'], [/\u1068/g, '\u1039\u1007'], [/\u1069/g, '\u1039\u1008'],
+  [/\u106c/g, '\u1039\u100b'], [/\u106d/g, '\u1039\u100c'], [/\u1070/g, '\u1039\u100f'],
+  [/[\u1071\u1072]/g, '\u1039\u1010'], [/[\u1073\u1074]/g, '\u1039\u1011'],
+  [/\u1075/g, '\u1039\u1012'], [/\u1076/g, '\u1039\u1013'], [/\u1077/g, '\u1039\u1014'],
+  [/\u1078/g, '\u1039\u1015'], [/\u1079/g, '\u1039\u1016'], [/\u107a/g, '\u1039\u1017'],
+  [/\u107b/g, '\u1039\u1018'], [/\u107c/g, '\u1039\u1019'], [/\u1085/g, '\u1039\u101c'],
+  [/\u106e/g, '\u100d\u1039\u100d'], [/\u106f/g, '\u100d\u1039\u100e'],
+  [/\u1091/g, '\u100f\u1039\u100d'], [/\u1092/g, '\u100b\u1039\u100c'],
+  [/\u1097/g, '\u100b\u1039\u100b'], [/\u1096/g, '\u1039\u1010\u103d'],
+  // Vowels and tone marks
+  [/\u1033/g, '\u102f'], [/\u1034/g, '\u1030'], [/\u105a/g, '\u102b\u103a'],
+  [/[\u1094\u1095]/g, '\u1037'], [/\u1088/g, '\u103e\u102f'], [/\u1089/g, '\u103e\u1030'],
+  [/\u108a/g, '\u103d\u103e'],
+  // Kinzi follows its consonant in Zawgyi and precedes it in Unicode
+  [/([\u1000-\u1021])\u1064/g, '\u1004\u103a\u1039$1'],
+  [/([\u1000-\u1021])\u108b/g, '\u1004\u103a\u1039$1\u102d'],
+  [/([\u1000-\u1021])\u108c/g, '\u1004\u103a\u1039$1\u102e'],
+  [/([\u1000-\u1021])\u108d/g, '\u1004\u103a\u1039$1\u1036'],
+];
+
+const ZAWGYI_REORDER = [
+  // Medial RA typed before the consonant
+  [/\u103c((?:\u1004\u103a\u1039)?[\u1000-\u1021])/g, '$1\u103c'],
+  // Vowel sign E typed before the consonant and its medials
+  [/\u1031((?:\u1004\u103a\u1039)?[\u1000-\u1021](?:\u1039[\u1000-\u1021])?[\u103b-\u103e]*)/g, '$1\u1031'],
+  // Unicode storage order for medials and trailing marks
+  [/\u103e\u103d/g, '\u103d\u103e'],
+  [/\u103e\u103b/g, '\u103b\u103e'],
+  [/\u1037\u103a/g, '\u103a\u1037'],
+  [/\u1036\u102f/g, '\u102f\u1036'],
+  [/\u102f\u102d/g, '\u102d\u102f'],
+];
+
+/** True when Myanmar-script text looks Zawgyi-encoded. */
+function isZawgyi(text) {
+  if (!/[\u1000-\u109f]/.test(text)) return false;
+  return ZAWGYI_SIGNS.some((re) => re.test(text));
+}
+
+function zawgyiToUnicode(text) {
+  let out = text;
+  for (const rules of [ZAWGYI_MEDIALS, ZAWGYI_FORMS, ZAWGYI_REORDER]) {
+    for (const [re, to] of rules) out = out.replace(re, to);
+  }
+  return out;
+}
+
+// ─── Folding ─────────────────────────────────────────────────
+
+/**
+ * Strip tone marks and other diacritics from Latin letters only;
+ * Myanmar vowel signs are combining marks too and must survive.
+ */
+function foldDiacritics(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/(\p{Script=Latin})\p{M}+/gu, '$1')
+    .normalize('NFC');
+}
+
+/** Curly, modifier-letter and backtick apostrophes all become "'". */
+function unifyQuotes(text) {
+  return text
+    .replace(/[\u2018\u2019\u201a\u201b\u02bb\u02bc\u02bd`\u00b4\u2032]/g, "'")
+    .replace(/[\u201c\u201d\u201e\u201f\u2033\u00ab\u00bb]/g, '"');
+}
+
+function applySpellingEquivalents(text) {
+  return text.replace(/[\p{L}\p{N}\p{M}]+/gu, (w) => VARIANT_TO_CANONICAL.get(w) || w);
+}
+
+/**
+ * Normalize text for indexing or querying: Zawgyi → Unicode, quotes
+ * unified, Latin diacritics folded, lower-cased, in-word apostrophes
+ * dropped ("ka'pa" = "kapa"), spelling variants folded, and runs of
+ * spaces collapsed. Line breaks and double quotes are kept so lyric lines
+ * still line up and "phrase" queries still work.
+ */
+function forSearch(text) {
+  if (!text) return '';
+  let out = String(text);
+  if (isZawgyi(out)) out = zawgyiToUnicode(out);
+  out = foldDiacritics(unifyQuotes(out)).toLowerCase();
+  out = out.replace(/'/g, '');
+  out = applySpellingEquivalents(out);
+  return out.replace(/[^\S\n]+/g, ' ');
+}
+
+const Normalize = {
+  forSearch,
+  isZawgyi,
+  zawgyiToUnicode,
+  foldDiacritics,
+  SPELLING_EQUIVALENTS,
+};
+
+if (typeof window !== 'undefined') window.Normalize = Normalize;
+
+export default Normalize;
@@ -0,0 +1,414 @@
+// ╔══════════════════════════════════════════════════════════════╗
+// ║        MaraLyrics — Presentation Mode                       ║
+// ║        Fullscreen slides · Clicker keys · Presenter view    ║
+// ╚══════════════════════════════════════════════════════════════╝
+//
+// The song page opens a deck ({ title, subtitle, language, sections:
+// [{ label, lines }] }) on #presentation, fullscreen and in its own colours
+// (not the site theme) so it reads well on a projector. A setlist opens
+// one deck of several songs ({ title, songs: [deck, …] }), each song's
+// deck with an optional `note` (key, notes for the band) that only the
+// presenter sees. present.html is the presenter view: a second window
+// that shows the current and next slide and drives the first one over a
+// BroadcastChannel.
+
+'use strict';
+
+const Presentation = (() => {
+  const STORAGE_KEY = 'ml_present_split';
+  const CHANNEL = 'ml_present';
+  // A slide per section, or every N lines
+  const SPLITS = ['section', '2', '4', '6'];
+  const DEFAULT_SPLIT = 'section';
+
+  // Clickers send PageUp / PageDown, and "." or "b" to black the screen
+  const KEYS = {
+    next:  ['ArrowRight', 'ArrowDown', 'PageDown', ' ', 'Enter', 'n'],
+    prev:  ['ArrowLeft', 'ArrowUp', 'PageUp', 'Backspace', 'p'],
+    first: ['Home'],
+    last:  ['End'],
+    black: ['b', 'B', '.'],
+    blank: ['w', 'W', ','],
+  };
+
+  const CONTROLS_HIDE_MS = 2500;
+
+  let deck = null;
+  let slides = [];
+  let index = 0;
+  let black = false;
+  let blank = false;
+  let split = DEFAULT_SPLIT;
+  let channel = null;
+  let hideTimer = null;
+
+  // ─── Helpers ─────────────────────────────────────────
+
+  function escapeHtml(str) {
+    return String(str ?? '').replace(/[&<>"']/g, (c) => (
+      { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]
+    ));
+  }
+
+  function actionFor(key) {
+    return Object.keys(KEYS).find((action) => KEYS[action].includes(key)) || null;
+  }
+
+  function getSavedSplit() {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return SPLITS.includes(saved) ? saved : DEFAULT_SPLIT;
+  }
+
+  /**
+   * A title slide, then each section whole or cut into `split` lines.
+   * Blank lines inside a section only separate slides when cutting.
+   * A deck of songs is each song's slides in turn, tagged with its language.
+   */
+  function buildSlides(source, by) {
+    if (source.songs) {
+      return source.songs.flatMap((song) => buildSlides(song, by).map((slide) => (
+        song.language ? { ...slide, language: song.language } : slide
+      )));
+    }
+    const out = [{ title: source.title, subtitle: source.subtitle || '', note: source.note || '' }];
+    for (const section of source.sections) {
+      const lines = section.lines.map((l) => l.trim());
+      if (by === 'section') {
+        // Blank lines at either end, and doubled ones, add nothing on a slide
+        const kept = lines.filter((l, i) => l || (i > 0 && lines[i - 1]));
+        while (kept.length && !kept[kept.length - 1]) kept.pop();
+        if (kept.length) out.push({ label: section.label, lines: kept });
+        continue;
+      }
+      const sung = lines.filter(Boolean);
+      const size = parseInt(by, 10);
+      for (let i = 0; i < sung.length; i += size) {
+        out.push({ label: section.label, lines: sung.slice(i, i + size) });
+      }
+    }
+    return out;
+  }
+
+  /** A slide's markup; the presenter also sees the song's note. */
+  function slideHtml(slide, withNote = false) {
+    if (!slide) return '';
+    if (slide.title !== undefined) {
+      return `<div class="presentation__title">${escapeHtml(slide.title)}</div>` +
+        (slide.subtitle ? `<div class="presentation__subtitle">${escapeHtml(slide.subtitle)}</div>` : '') +
+        (withNote && slide.note ? `<div class="presentation__note">${escapeHtml(slide.note)}</div>` : '');
+    }
+    return (slide.label ? `<div class="presentation__label">${escapeHtml(slide.label)}</div>` : '') +
+      `<div class="presentation__lines">${slide.lines.map((l) =>
+        `<div class="presentation__line">${escapeHtml(l) || '&nbsp;'}</div>`).join('')}</div>`;
+  }
+
+  /** Largest text (in vmin) that keeps the slide on the screen. */
+  function fitText(el, max = 9, min = 2.5) {
+    let size = max;
+    el.style.fontSize = `${size}vmin`;
+    while (size > min && (el.scrollHeight > el.clientHeight || el.scrollWidth > el.clientWidth)) {
+      size *= 0.92;
+      el.style.fontSize = `${size}vmin`;
+    }
+  }
+
+  function state() {
+    return {
+      type: 'state',
+      title: deck?.title || '',
+      language: deck?.language || '',
+      slides,
+      index,
+      black,
+      blank,
+      split,
+    };
+  }
+
+  function broadcast(message) {
+    channel?.postMessage(message);
+  }
+
+  // ─── Audience (the projected page) ───────────────────
+
+  function isOpen() {
+    return !!deck;
+  }
+
+  /** Open a deck fullscreen on #presentation. */
+  function open(source) {
+    const overlay = document.getElementById('presentation');
+    if (!overlay) return;
+    deck = source;
+    split = getSavedSplit();
+    slides = buildSlides(deck, split);
+    index = 0;
+    black = false;
+    blank = false;
+
+    if (deck.language) overlay.lang = deck.language;
+    else overlay.removeAttribute('lang');
+    overlay.hidden = false;
+    document.body.style.overflow = 'hidden';
+    overlay.requestFullscreen?.().catch(() => {});
+    document.addEventListener('keydown', onKeydown);
+
+    if ('BroadcastChannel' in window && !channel) {
+      channel = new BroadcastChannel(CHANNEL);
+      channel.onmessage = (e) => onCommand(e.data);
+    }
+    const presenterBtn = overlay.querySelector('[data-present-action="presenter"]');
+    if (presenterBtn) presenterBtn.hidden = !channel;
+    const splitSelect = document.getElementById('presentationSplit');
+    if (splitSelect) splitSelect.value = split;
+
+    render();
+    showControls();
+  }
+
+  function close() {
+    if (!deck) return;
+    deck = null;
+    const overlay = document.getElementById('presentation');
+    if (overlay) overlay.hidden = true;
+    document.body.style.overflow = '';
+    document.removeEventListener('keydown', onKeydown);
+    if (document.fullscreenElement) document.exitFullscreen().catch(() => {});
+    broadcast({ type: 'closed' });
+  }
+
+  function go(i) {
+    index = Math.max(0, Math.min(slides.length - 1, i));
+    // Moving on brings the words back
+    black = false;
+    blank = false;
+    render();
+  }
+
+  function toggle(which) {
+    if (which === 'black') {
+      black = !black;
+      blank = false;
+    } else {
+      blank = !blank;
+      black = false;
+    }
+    render();
+  }
+
+  /** Re-cut the slides, staying on the slide that holds the current line. */
+  function setSplit(value) {
+    if (!SPLITS.includes(value) || !deck) return;
+    const current = slides[index];
+    split = value;
+    localStorage.setItem(STORAGE_KEY, value);
+    slides = buildSlides(deck, split);
+    const line = current?.lines?.[0];
+    const match = line ? slides.findIndex((s) => s.label === current.label && s.lines?.includes(line)) : -1;
+    index = match >= 0 ? match : Math.min(index, slides.length - 1);
+    render();
+  }
+
+  function run(action) {
+    switch (action) {
+      case 'next': return go(index + 1);
+      case 'prev': return go(index - 1);
+      case 'first': return go(0);
+      case 'last': return go(slides.length - 1);
+      case 'black':
+      case 'blank': return toggle(action);
+      case 'presenter': return openPresenter();
+      case 'close': return close();
+    }
+  }
+
+  function render() {
+    const overlay = document.getElementById('presentation');
+    const slideEl = document.getElementById('presentationSlide');
+    if (!overlay || !slideEl) return;
+    overlay.classList.toggle('presentation--black', black);
+    overlay.classList.toggle('presentation--blank', blank);
+    slideEl.innerHTML = slideHtml(slides[index]);
+    const language = slides[index]?.language || deck.language;
+    if (language) slideEl.lang = language;
+    else slideEl.removeAttribute('lang');
+    fitText(slideEl);
+
+    const count = document.getElementById('presentationCount');
+    if (count) count.textContent = I18n.t('present.slide_count', { current: index + 1, total: slides.length });
+    overlay.querySelectorAll('[data-present-action="black"], [data-present-action="blank"]').forEach((btn) => {
+      const on = btn.dataset.presentAction === 'black' ? black : blank;
+      btn.classList.toggle('active', on);
+      btn.setAttribute('aria-pressed', String(on));
+    });
+    broadcast(state());
+  }
+
+  function onKeydown(e) {
+    if (e.key === 'Escape') {
+      close();
+      return;
+    }
+    if (e.target.closest?.('select, input, textarea')) return;
+    const action = actionFor(e.key);
+    if (!action) return;
+    e.preventDefault();
+    run(action);
+  }
+
+  /** Commands from the presenter window. */
+  function onCommand(message) {
+    if (!deck || !message) return;
+    if (message.type === 'hello') broadcast(state());
+    if (message.type === 'go') go(message.index);
+    if (message.type === 'action') run(message.action);
+    if (message.type === 'split') setSplit(message.value);
+  }
+
+  /** The toolbar shows while the mouse moves, then gets out of the way. */
+  function showControls() {
+    const overlay = document.getElementById('presentation');
+    if (!overlay) return;
+    overlay.classList.add('presentation--controls');
+    clearTimeout(hideTimer);
+    hideTimer = setTimeout(() => overlay.classList.remove('presentation--controls'), CONTROLS_HIDE_MS);
+  }
+
+  function openPresenter() {
+    window.open('/present.html', 'ml_presenter', 'popup,width=980,height=680');
+  }
+
+  /** Wire up #presentation once; the song page calls open() per deck. */
+  function init() {
+    const overlay = document.getElementById('presentation');
+    if (!overlay || overlay.dataset.bound) return;
+    overlay.dataset.bound = '1';
+
+    overlay.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-present-action]');
+      if (btn) return run(btn.dataset.presentAction);
+      if (e.target.closest('.presentation__bar')) return;
+      // Click on the slide: right two thirds forward, left third back
+      run(e.clientX < window.innerWidth / 3 ? 'prev' : 'next');
+    });
+    overlay.addEventListener('mousemove', showControls);
+    document.getElementById('presentationSplit')?.addEventListener('change', (e) => setSplit(e.target.value));
+    // Leaving fullscreen (Esc in most browsers) ends the presentation
+    document.addEventListener('fullscreenchange', () => {
+      if (!document.fullscreenElement && isOpen()) close();
+    });
+    window.addEventListener('resize', () => {
+      const slideEl = document.getElementById('presentationSlide');
+      if (isOpen() && slideEl) fitText(slideEl);
+    });
+  }
+
+  // ─── Presenter view (present.html) ───────────────────
+
+  function initPresenter() {
+    const status = document.getElementById('presenterStatus');
+    if (!('BroadcastChannel' in window)) {
+      if (status) status.textContent = I18n.t('present.unsupported');
+      return;
+    }
+    const started = Date.now();
+    let latest = null;
+    channel = new BroadcastChannel(CHANNEL);
+    const send = (message) => channel.postMessage(message);
+
+    channel.onmessage = (e) => {
+      const message = e.data;
+      if (message?.type === 'closed') {
+        latest = null;
+        document.body.classList.remove('presenter--live');
+        if (status) status.textContent = I18n.t('present.ended');
+        return;
+      }
+      if (message?.type !== 'state') return;
+      latest = message;
+      renderPresenter(message);
+    };
+    send({ type: 'hello' });
+    if (status) status.textContent = I18n.t('present.waiting');
+
+    document.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-present-action], [data-slide]');
+      if (!btn || !latest) return;
+      if (btn.dataset.slide !== undefined) send({ type: 'go', index: parseInt(btn.dataset.slide, 10) });
+      else send({ type: 'action', action: btn.dataset.presentAction });
+    });
+    document.getElementById('presenterSplit')?.addEventListener('change', (e) => {
+      send({ type: 'split', value: e.target.value });
+    });
+    document.addEventListener('keydown', (e) => {
+      if (!latest || e.target.closest?.('select, input, textarea')) return;
+      const action = actionFor(e.key);
+      if (!action) return;
+      e.preventDefault();
+      send({ type: 'action', action });
+    });
+
+    // Wall clock and time since the presenter view opened
+    const clock = document.getElementById('presenterClock');
+    const pad = (n) => String(n).padStart(2, '0');
+    const tick = () => {
+      const now = new Date();
+      const elapsed = Math.floor((Date.now() - started) / 1000);
+      if (clock) {
+        clock.textContent = `${pad(now.getHours())}:${pad(now.getMinutes())} · ` +
+          I18n.t('present.elapsed', { time: `${Math.floor(elapsed / 60)}:${pad(elapsed % 60)}` });
+      }
+    };
+    tick();
+    setInterval(tick, 1000);
+  }
+
+  function renderPresenter(s) {
+    document.body.classList.add('presenter--live');
+    document.title = `${s.title} — ${I18n.t('present.presenter_view')}`;
+    const set = (id, html) => {
+      const el = document.getElementById(id);
+      if (el) el.innerHTML = html;
+    };
+    const status = document.getElementById('presenterStatus');
+    if (status) {
+      status.textContent = s.black ? I18n.t('present.is_black') : s.blank ? I18n.t('present.is_blank') : '';
+    }
+    set('presenterTitle', escapeHtml(s.title));
+    set('presenterCount', escapeHtml(I18n.t('present.slide_count', { current: s.index + 1, total: s.slides.length })));
+    set('presenterCurrent', slideHtml(s.slides[s.index], true));
+    set('presenterNext', s.index + 1 < s.slides.length
+      ? slideHtml(s.slides[s.index + 1], true)
+      : `<div class="presentation__label">${escapeHtml(I18n.t('present.end'))}</div>`);
+    set('presenterSlides', s.slides.map((slide, i) => {
+      const text = slide.title !== undefined ? slide.title : slide.lines.find(Boolean) || '';
+      return `<li><button type="button" class="presenter__slide${i === s.index ? ' active' : ''}" data-slide="${i}"
+        ${i === s.index ? 'aria-current="true"' : ''}><span class="presenter__slide-label">${escapeHtml(slide.label || '')}</span>
+        ${escapeHtml(text)}</button></li>`;
+    }).join(''));
+    ['presenterCurrent', 'presenterNext'].forEach((id, i) => {
+      const el = document.getElementById(id);
+      const language = s.slides[s.index + i]?.language || s.language;
+      if (el && language) el.lang = language;
+    });
+    const splitSelect = document.getElementById('presenterSplit');
+    if (splitSelect) splitSelect.value = s.split;
+    document.querySelectorAll('[data-present-action="black"], [data-present-action="blank"]').forEach((btn) => {
+      const on = btn.dataset.presentAction === 'black' ? s.black : s.blank;
+      btn.classList.toggle('active', on);
+      btn.setAttribute('aria-pressed', String(on));
+    });
+    document.querySelector('#presenterSlides .active')?.scrollIntoView({ block: 'nearest' });
+  }
+
+  // ─── Public API ──────────────────────────────────────
+  return {
+    init,
+    open,
+    close,
+    isOpen,
+    initPresenter,
+    buildSlides,
+    SPLITS,
+  };
+})();
@@ -0,0 +1,181 @@
+// ╔══════════════════════════════════════════════════════════════╗
+// ║        MaraLyrics — Service Worker                          ║
+// ║        App shell · Offline pages · Cached API responses     ║
+// ╚══════════════════════════════════════════════════════════════╝
+//
+// Precaches the app shell (pages, scripts, styles, locales) so a cold load
+// works offline. Pages are network-first, falling back to the cached shell
+// of their kind: /song/<slug> is served songview.html, which then finds
+// the song in the API cache or IndexedDB. The server fills song and
+// profile pages in for one record, so those are not kept as the shell.
+// Song, list and profile API responses are stale-while-revalidate.
+//
+// Bump VERSION whenever a shell file changes: browsers install the new
+// worker, and app.js offers the reader a reload (SKIP_WAITING) instead of
+// swapping versions under an open page.
+
+'use strict';
+
+const VERSION = '2026-10-18.7';
+const SHELL_CACHE = `ml-shell-${VERSION}`;
+const API_CACHE = 'ml-api-v1';       // kept across versions, so saved songs stay
+const RUNTIME_CACHE = 'ml-runtime-v1';
+const API_CACHE_LIMIT = 300;
+
+// The worker's own origin, which serves the API to the Pages site
+// (WORKER_ORIGIN in app.js)
+const API_ORIGINS = [self.location.origin, 'https://maralyrics.teiteipara.workers.dev'];
+
+// Clean URLs work on both the Worker and Pages, so shell pages are cached
+// under them: '/song/' is songview.html, and so on
+const SHELL_PAGES = ['/', '/song/', '/artist/', '/composer/', '/album/', '/copyright-owner/', '/setlists', '/library'];
+// Shells the server renders one record into (worker/ssr.js)
+const RENDERED_PAGES = ['/song/', '/artist/', '/composer/', '/copyright-owner/'];
+const SHELL_FILES = [
+  '/style.css',
+  '/app.js',
+  '/i18n.js',
+  '/theme.js',
+  '/normalize.js',
+  '/lyrics.js',
+  '/present.js',
+  '/present.html',
+  '/icon.svg',
+  '/manifest.webmanifest',
+  '/locales/en.json',
+  '/locales/mrh.json',
+  '/locales/my.json',
+];
+
+// Public, read-only API responses worth keeping offline
+const CACHED_API = [
+  /^\/api\/songs$/,
+  /^\/api\/song\/[^/]+$/,
+  /^\/api\/popular$/,
+  /^\/api\/categories$/,
+  /^\/api\/albums$/,
+  /^\/api\/(album|artist|composer|copyright-owner)\/[^/]+$/,
+  /^\/api\/suggest\/index$/,
+];
+
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+// ─── Lifecycle ───────────────────────────────────────────
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    await Promise.all([...SHELL_PAGES, ...SHELL_FILES].map(async (path) => {
+      const res = await fetch(new Request(path, { cache: 'reload' }));
+      if (!res.ok) throw new Error(`Precache failed: ${path} (${res.status})`);
+      await cache.put(path, await storable(res));
+    }));
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keep = [SHELL_CACHE, API_CACHE, RUNTIME_CACHE];
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter((name) => name.startsWith('ml-') && !keep.includes(name))
+      .map((name) => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+// The page asks for the waiting version once the reader agrees to reload
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// ─── Requests ────────────────────────────────────────────
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    // The admin dashboard is always live
+    if (url.pathname.startsWith('/admin') || url.pathname.startsWith('/api/admin/')) return;
+    if (request.mode === 'navigate' && !url.pathname.startsWith('/api/')) {
+      event.respondWith(networkFirstPage(request, url));
+      return;
+    }
+  }
+
+  if (API_ORIGINS.includes(url.origin) && CACHED_API.some((re) => re.test(url.pathname))) {
+    event.respondWith(staleWhileRevalidate(event, API_CACHE, { limit: API_CACHE_LIMIT }));
+    return;
+  }
+
+  if (url.origin === self.location.origin && !url.pathname.startsWith('/api/')) {
+    event.respondWith(staleWhileRevalidate(event, SHELL_CACHE, { ignoreSearch: true }));
+    return;
+  }
+
+  if (FONT_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(event, RUNTIME_CACHE));
+  }
+});
+
+/** The cached shell page that serves a URL: '/song/' for /song/<slug>. */
+function shellPageFor(pathname) {
+  if (pathname === '/' || pathname === '/index.html') return '/';
+  if (pathname.startsWith('/set/') || pathname.startsWith('/setlists')) return '/setlists';
+  if (pathname.startsWith('/library')) return '/library';
+  return SHELL_PAGES.find((page) => page.length > 1 && page.endsWith('/') && pathname.startsWith(page)) || null;
+}
+
+async function networkFirstPage(request, url) {
+  const shellPage = shellPageFor(url.pathname);
+  try {
+    const res = await fetch(request);
+    if (res.ok && !(RENDERED_PAGES.includes(shellPage) && url.pathname !== shellPage)) {
+      // Keep the latest copy of the shell page, or of a page visited once
+      const cache = await caches.open(shellPage ? SHELL_CACHE : RUNTIME_CACHE);
+      await cache.put(shellPage || url.pathname, await storable(res.clone()));
+    }
+    return res;
+  } catch (err) {
+    const cached = (shellPage && await caches.match(shellPage, { cacheName: SHELL_CACHE }))
+      || await caches.match(url.pathname, { cacheName: RUNTIME_CACHE })
+      || await caches.match('/', { cacheName: SHELL_CACHE });
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+/**
+ * Answer from the cache when possible, and refresh it from the network either
+ * way. The refresh outlives the response, so the event is kept open for it.
+ */
+async function staleWhileRevalidate(event, cacheName, { ignoreSearch = false, limit = 0 } = {}) {
+  const { request } = event;
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request, { ignoreSearch });
+  const network = fetch(request).then(async (res) => {
+    if (res.ok) {
+      await cache.put(request, await storable(res.clone()));
+      if (limit) await trimCache(cache, limit);
+    }
+    return res;
+  });
+  if (!cached) return network;
+  event.waitUntil(network.catch(() => { /* offline: the cached copy was served */ }));
+  return cached;
+}
+
+/** Drop the oldest entries (keys come back in the order they were added). */
+async function trimCache(cache, limit) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map((key) => cache.delete(key)));
+}
+
+/**
+ * Pages may redirect (Pages drops ".html"); a redirected response cannot
+ * answer a navigation, so store a plain copy of it.
+ */
+async function storable(res) {
+  if (!res.redirected) return res;
+  return new Response(await res.blob(), { status: res.status, statusText: res.statusText, headers: res.headers });
+}
@@ -0,0 +1,70 @@
+// ╔══════════════════════════════════════════════════════════════╗
+// ║          MaraLyrics — Create / Reset an Admin User          ║
+// ╚══════════════════════════════════════════════════════════════╝
+//
+// Usage:
+//   npm run admin:create -- <username> [--role=owner] [--remote]
+//
+// Prompts for the password, hashes it with the same PBKDF2 routine the
+// worker uses, and writes the user to D1 through wrangler. The role defaults
+// to owner so the first account can manage everyone else from the dashboard.
+
+import { execFileSync } from 'node:child_process';
+import { createInterface } from 'node:readline/promises';
+import { Writable } from 'node:stream';
+import { hashPassword, ROLES } from '../worker/auth.js';
+
+const args = process.argv.slice(2);
+const remote = args.includes('--remote');
+const username = args.find((a) => !a.startsWith('--'));
+const role = (args.find((a) => a.startsWith('--role=')) || '--role=owner').slice('--role='.length);
+
+if (!username) {
+  console.error('Usage: npm run admin:create -- <username> [--role=owner] [--remote]');
+  process.exit(1);
+}
+if (!ROLES.includes(role)) {
+  console.error(`Role must be one of: ${ROLES.join(', ')}`);
+  process.exit(1);
+}
+
+/** Ask for a line without echoing what is typed (kept out of the scrollback too). */
+async function askHidden(prompt) {
+  let muted = false;
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      if (!muted) process.stdout.write(chunk, encoding);
+      callback();
+    },
+  });
+  const rl = createInterface({ input: process.stdin, output, terminal: !!process.stdin.isTTY });
+  const answer = rl.question(prompt);
+  muted = true;
+  try {
+    return await answer;
+  } finally {
+    rl.close();
+    process.stdout.write('\n');
+  }
+}
+
+let password = process.env.ADMIN_PASSWORD;
+if (!password) password = await askHidden(`Password for ${username}: `);
+if (!password || password.length < 10) {
+  console.error('Password must be at least 10 characters.');
+  process.exit(1);
+}
+
+const hash = await hashPassword(password);
+const sqlString = (v) => `'${String(v).replace(/'/g, "''")}'`;
+const sql =
+  `INSERT INTO users (username, password_hash, role) ` +
+  `VALUES (${sqlString(username)}, ${sqlString(hash)}, ${sqlString(role)}) ` +
+  `ON CONFLICT(username) DO UPDATE SET password_hash = excluded.password_hash, role = excluded.role;`;
+
+execFileSync(
+  'npx',
+  ['wrangler', 'd1', 'execute', 'maralyrics-db', remote ? '--remote' : '--local', `--command=${sql}`],
+  { stdio: 'inherit' }
+);
+console.log(`Admin user "${username}" saved as ${role} (${remote ? 'remote' : 'local'}).`);
@@ -0,0 +1,141 @@
+-- ╔══════════════════════════════════════════════════════════════╗
+-- ║         MaraLyrics — Sample Data (local development)        ║
+-- ╚══════════════════════════════════════════════════════════════╝
+
+-- Never run against production. Apply migrations first, then:
+--   npm run db:seed:local
+-- INSERT OR IGNORE keeps re-runs from failing on the unique slugs.
+
+-- Seed artists
+INSERT OR IGNORE INTO artists (name, slug, bio) VALUES
+('Mara Artist',         'mara-artist',         'A renowned Mara vocalist known for traditional melodies.'),
+('Mara Singer',         'mara-singer',         'A gifted singer from the Mara community.'),
+('Mara Choir',          'mara-choir',          'An acclaimed Mara choral group performing hymns and patriotic songs.'),
+('Traditional Singers', 'traditional-singers', 'A collective preserving Mara traditional music.'),
+('Youth Choir',         'youth-choir',         'A vibrant youth choir from the Mara community.');
+
+-- Seed composers
+INSERT OR IGNORE INTO composers (name, slug, bio) VALUES
+('Mara Composer',       'mara-composer',       'A prolific composer of Mara traditional and contemporary songs.');
+
+-- Seed songs
+INSERT OR IGNORE INTO songs (title, slug, category, language, lyrics) VALUES
+(
+    'Mara Hlasak',
+    'mara-hlasak',
+    'Traditional', 'mrh',
+    'Line 1 of Mara Hlasak lyrics...' || char(10) || 'Line 2 of the song...' || char(10) || 'Line 3 continues here...' || char(10) || char(10) || 'Verse 2:' || char(10) || 'More lyrics follow...' || char(10) || 'Beautiful melody...'
+),
+(
+    'Ka Lunglen',
+    'ka-lunglen',
+    'Love', 'mrh',
+    '{start_of_verse: Verse 1}' || char(10) || '[G]Ka lunglen a [D/F#]nasa e...' || char(10) || '[Em]Heartfelt words [C]flow...' || char(10) || '[G]Melody of the [D]hills...' || char(10) || '{end_of_verse}' || char(10) || char(10) ||
+    '{start_of_chorus}' || char(10) || '[C]Singing to[G]gether...' || char(10) || '[Am]Voices of [D]Mara...' || char(10) || '{end_of_chorus}' || char(10) || char(10) ||
+    '{start_of_verse: Verse 2}' || char(10) || 'Evening light on the hills...' || char(10) || 'Songs carried on the wind...' || char(10) || '{end_of_verse}' || char(10) || char(10) ||
+    '{chorus}'
+),
+(
+    'Thla Thar Hla',
+    'thla-thar-hla',
+    'Patriotic', 'mrh',
+    'Thla thar a lo thleng ta...' || char(10) || 'New season dawns...' || char(10) || 'Gratitude fills the heart...' || char(10) || char(10) || 'Verse 2:' || char(10) || 'Joyful celebration...' || char(10) || 'Together we sing...'
+),
+(
+    'Mara Ram Hla',
+    'mara-ram-hla',
+    'Traditional', 'mrh',
+    'Mara ram chu a ngai...' || char(10) || 'Our homeland forever...' || char(10) || 'Mountains and valleys...' || char(10) || char(10) || 'Chorus:' || char(10) || 'Mara ram, Mara ram...' || char(10) || 'Beautiful land of ours...'
+),
+(
+    'Rawl Tha Ei',
+    'rawl-tha-ei',
+    'Gospel', 'mrh',
+    'Rawl tha ei a that e...' || char(10) || 'Goodness overflows...' || char(10) || 'Blessing upon blessing...' || char(10) || char(10) || 'Bridge:' || char(10) || 'Forever grateful...' || char(10) || 'Songs of praise...'
+);
+
+-- Seed credits (song slug, person slug, role, position); skipped when present
+WITH v(song, person, role, position) AS (VALUES
+    ('mara-hlasak',   'mara-artist',         'performer', 0),
+    ('ka-lunglen',    'mara-singer',         'performer', 0),
+    ('thla-thar-hla', 'mara-choir',          'performer', 0),
+    ('mara-ram-hla',  'traditional-singers', 'performer', 0),
+    ('rawl-tha-ei',   'youth-choir',         'performer', 0),
+    ('rawl-tha-ei',   'mara-singer',         'featured',  1)
+)
+INSERT INTO song_credits (song_id, artist_id, role, position)
+SELECT s.id, a.id, v.role, v.position
+FROM v
+JOIN songs s   ON s.slug = v.song
+JOIN artists a ON a.slug = v.person
+WHERE NOT EXISTS (
+    SELECT 1 FROM song_credits sc WHERE sc.song_id = s.id AND sc.artist_id = a.id AND sc.role = v.role
+);
+
+WITH v(song, person, role, position) AS (VALUES
+    ('mara-hlasak',   'mara-composer', 'composer', 1),
+    ('thla-thar-hla', 'mara-composer', 'composer', 1),
+    ('rawl-tha-ei',   'mara-composer', 'composer', 2),
+    ('rawl-tha-ei',   'mara-composer', 'lyricist', 3)
+)
+INSERT INTO song_credits (song_id, composer_id, role, position)
+SELECT s.id, c.id, v.role, v.position
+FROM v
+JOIN songs s     ON s.slug = v.song
+JOIN composers c ON c.slug = v.person
+WHERE NOT EXISTS (
+    SELECT 1 FROM song_credits sc WHERE sc.song_id = s.id AND sc.composer_id = c.id AND sc.role = v.role
+);
+
+-- Seed albums and hymnals with their songs in order
+INSERT OR IGNORE INTO albums (title, slug, kind, year, description) VALUES
+('Mara Hymnal',        'mara-hymnal',        'hymnal', 1998, 'The standard Mara hymnbook used in churches.'),
+('Mara Choir — 2019',  'mara-choir-2019',    'album',  2019, 'Studio recordings by the Mara Choir.');
+
+WITH v(album, song, position, number) AS (VALUES
+    ('mara-hymnal',     'rawl-tha-ei',   0, 12),
+    ('mara-hymnal',     'thla-thar-hla', 1, 245),
+    ('mara-choir-2019', 'thla-thar-hla', 0, 1),
+    ('mara-choir-2019', 'mara-ram-hla',  1, 2)
+)
+INSERT OR IGNORE INTO album_songs (album_id, song_id, position, number)
+SELECT al.id, s.id, v.position, v.number
+FROM v
+JOIN albums al ON al.slug = v.album
+JOIN songs s   ON s.slug = v.song;
+
+-- Short code for "MH 245" style lookups
+UPDATE albums SET code = 'MH' WHERE slug = 'mara-hymnal' AND code IS NULL;
+
+-- Seed translations, line for line with the Mara original
+WITH v(song, language, title, lyrics) AS (VALUES
+    ('mara-hlasak', 'en', 'Mara Song',
+     'Line 1 of the English translation...' || char(10) || 'Line 2 in English...' || char(10) || 'Line 3 in English...' || char(10) || char(10) || 'Verse 2:' || char(10) || 'More of the translation...' || char(10) || 'A beautiful melody...'),
+    ('mara-hlasak', 'my', NULL,
+     'မြန်မာဘာသာပြန် ပထမစာကြောင်း...' || char(10) || 'ဒုတိယစာကြောင်း...' || char(10) || 'တတိယစာကြောင်း...' || char(10) || char(10) || 'အပိုဒ် ၂:' || char(10) || 'ဆက်လက်...' || char(10) || 'လှပသော သံစဉ်...')
+)
+INSERT OR IGNORE INTO song_translations (song_id, language, title, lyrics)
+SELECT s.id, v.language, v.title, v.lyrics
+FROM v
+JOIN songs s ON s.slug = v.song;
+
+-- Timed lyrics (LRC) for the karaoke mode; no recording, so the page's own clock runs them
+INSERT OR IGNORE INTO song_timings (song_id, lrc)
+SELECT s.id,
+       '[00:04.00]Ka lunglen a nasa e...' || char(10) || '[00:08.50]Heartfelt words flow...' || char(10) || '[00:13.00]Melody of the hills...' || char(10) ||
+       '[00:18.00]Singing together...' || char(10) || '[00:22.00]Voices of Mara...' || char(10) ||
+       '[00:27.00]Evening light on the hills...' || char(10) || '[00:31.50]Songs carried on the wind...' || char(10) ||
+       '[00:36.00]Singing together...' || char(10) || '[00:40.00]Voices of Mara...'
+FROM songs s WHERE s.slug = 'ka-lunglen';
+
+-- Seed rows bypass the db.js writers, so set the change times the offline
+-- catalogue and the change feed compare against…
+UPDATE songs SET updated_at = created_at WHERE updated_at IS NULL;
+UPDATE artists SET updated_at = created_at WHERE updated_at IS NULL;
+UPDATE composers SET updated_at = created_at WHERE updated_at IS NULL;
+UPDATE copyright_owners SET updated_at = created_at WHERE updated_at IS NULL;
+UPDATE albums SET updated_at = created_at WHERE updated_at IS NULL;
+
+-- …and empty the search index; the worker rebuilds it (with normalize.js)
+-- on the first search.
+DELETE FROM songs_fts;
@@ -0,0 +1,198 @@
+// ╔══════════════════════════════════════════════════════════════╗
+// ║          MaraLyrics — Admin Authentication Helpers          ║
+// ╚══════════════════════════════════════════════════════════════╝
+
+// Workers cap PBKDF2 at 100k iterations; the count is stored with each
+// hash so it can be raised later without invalidating existing passwords.
+const PBKDF2_ITERATIONS = 100000;
+const PBKDF2_HASH = 'SHA-256';
+const SALT_BYTES = 16;
+const KEY_BYTES = 32;
+
+export const SESSION_COOKIE = 'ml_session';
+export const SESSION_TTL_HOURS = 12;
+
+const encoder = new TextEncoder();
+
+// ─── Encoding helpers ─────────────────────────────────────────
+
+function toBase64(bytes) {
+  let bin = '';
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin);
+}
+
+function fromBase64(str) {
+  const bin = atob(str);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+function toHex(buffer) {
+  return [...new Uint8Array(buffer)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/** Constant-time comparison of two byte arrays. */
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+  return diff === 0;
+}
+
+async function derive(password, salt, iterations) {
+  const key = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: PBKDF2_HASH, salt, iterations },
+    key,
+    KEY_BYTES * 8
+  );
+  return new Uint8Array(bits);
+}
+
+// ─── Passwords ────────────────────────────────────────────────
+
+/**
+ * Hash a password for storage.
+ * Format: pbkdf2-sha256$<iterations>$<salt b64>$<hash b64>
+ */
+export async function hashPassword(password, iterations = PBKDF2_ITERATIONS) {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const hash = await derive(password, salt, iterations);
+  return `pbkdf2-sha256$${iterations}$${toBase64(salt)}$${toBase64(hash)}`;
+}
+
+/** Check a password against a stored hash produced by hashPassword(). */
+export async function verifyPassword(password, stored) {
+  const parts = (stored || '').split('$');
+  if (parts.length !== 4 || parts[0] !== 'pbkdf2-sha256') return false;
+  const iterations = parseInt(parts[1], 10);
+  if (!iterations) return false;
+  const expected = fromBase64(parts[3]);
+  const actual = await derive(password, fromBase64(parts[2]), iterations);
+  return timingSafeEqual(actual, expected);
+}
+
+// ─── Session tokens ───────────────────────────────────────────
+
+/** Random opaque session token (sent to the browser only, never stored). */
+export function generateSessionToken() {
+  return toHex(crypto.getRandomValues(new Uint8Array(32)));
+}
+
+/** SHA-256 of a session token — this is what D1 stores. */
+export async function hashSessionToken(token) {
+  return toHex(await crypto.subtle.digest('SHA-256', encoder.encode(token)));
+}
+
+/** Read the session token from the request's Cookie header. */
+export function getSessionToken(request) {
+  const cookie = request.headers.get('Cookie') || '';
+  const match = cookie.match(new RegExp('(?:^|;\\s*)' + SESSION_COOKIE + '=([^;]+)'));
+  return match ? match[1] : null;
+}
+
+/**
+ * Build the Set-Cookie value for a session.
+ * Cross-site callers (the Pages front-end talking to the workers.dev API)
+ * need SameSite=None; everything else gets Strict.
+ */
+export function sessionCookie(token, crossSite = false) {
+  const maxAge = SESSION_TTL_HOURS * 60 * 60;
+  return `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; Secure; SameSite=${crossSite ? 'None' : 'Strict'}; Max-Age=${maxAge}`;
+}
+
+export function clearSessionCookie(crossSite = false) {
+  return `${SESSION_COOKIE}=; Path=/; HttpOnly; Secure; SameSite=${crossSite ? 'None' : 'Strict'}; Max-Age=0`;
+}
+
+// ─── Origins ──────────────────────────────────────────────────
+
+/** Origins (besides our own) allowed to make credentialed admin calls. */
+export function getAllowedOrigins(env) {
+  return (env.ADMIN_ORIGINS || '')
+    .split(',')
+    .map((o) => o.trim())
+    .filter(Boolean);
+}
+
+/**
+ * True when the request's Origin is this worker or an allowed front-end.
+ * Without an Origin header, reads pass; a write must show where it came
+ * from some other way — Sec-Fetch-Site of same-origin / none, or a Referer
+ * on an allowed origin — as the session cookie is SameSite=None for the
+ * Pages front-end. Scripts send an Origin header (see README).
+ */
+export function isAllowedOrigin(request, env) {
+  const own = new URL(request.url).origin;
+  const allowed = (origin) => origin === own || getAllowedOrigins(env).includes(origin);
+  const origin = request.headers.get('Origin');
+  if (origin) return allowed(origin);
+  if (request.method === 'GET' || request.method === 'HEAD') return true;
+
+  const fetchSite = request.headers.get('Sec-Fetch-Site');
+  if (fetchSite) return fetchSite === 'same-origin' || fetchSite === 'none';
+  const referer = request.headers.get('Referer');
+  if (!referer) return false;
+  try {
+    return allowed(new URL(referer).origin);
+  } catch {
+    return false;
+  }
+}
+
+/** True when the caller lives on a different origin than the worker. */
+export function isCrossSite(request) {
+  const origin = request.headers.get('Origin');
+  return !!origin && origin !== new URL(request.url).origin;
+}
+
+// ─── Roles & Permissions ──────────────────────────────────────
+
+export const ROLES = ['owner', 'editor', 'moderator', 'viewer'];
+
+/**
+ * Permission matrix: permission → roles allowed to use it.
+ * Editors maintain the catalogue, moderators triage reports,
+ * and only owners may delete catalogue entries or manage users.
+ */
+export const PERMISSIONS = {
+  'songs.read':               ['owner', 'editor', 'moderator', 'viewer'],
+  'songs.create':             ['owner', 'editor'],
+  'songs.update':             ['owner', 'editor'],
+  'songs.delete':             ['owner'],
+  'artists.read':             ['owner', 'editor', 'moderator', 'viewer'],
+  'artists.create':           ['owner', 'editor'],
+  'artists.update':           ['owner', 'editor'],
+  'artists.delete':           ['owner'],
+  'composers.read':           ['owner', 'editor', 'moderator', 'viewer'],
+  'composers.create':         ['owner', 'editor'],
+  'composers.update':         ['owner', 'editor'],
+  'composers.delete':         ['owner'],
+  'albums.read':              ['owner', 'editor', 'moderator', 'viewer'],
+  'albums.create':            ['owner', 'editor'],
+  'albums.update':            ['owner', 'editor'],
+  'albums.delete':            ['owner'],
+  'copyright_owners.read':    ['owner', 'editor', 'moderator', 'viewer'],
+  'copyright_owners.create':  ['owner'],
+  'copyright_owners.update':  ['owner'],
+  'copyright_owners.delete':  ['owner'],
+  'reports.read':             ['owner', 'moderator', 'viewer'],
+  'reports.update':           ['owner', 'moderator'],
+  'reports.delete':           ['owner', 'moderator'],
+  'users.manage':             ['owner'],
+  'audit.read':               ['owner'],
+  'search.reindex':           ['owner'],
+  'setlists.own':             ['owner', 'editor', 'moderator', 'viewer'],
+};
+
+/** Does this user's role grant the permission? */
+export function can(user, permission) {
+  return !!user && (PERMISSIONS[permission] || []).includes(user.role);
+}
+
+/** All permissions granted to a role (sent to the dashboard to shape the UI). */
+export function permissionsFor(role) {
+  return Object.keys(PERMISSIONS).filter((p) => PERMISSIONS[p].includes(role));
+}
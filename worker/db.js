@@ -2,20 +2,216 @@
 // ║          MaraLyrics — Database Helper Module                ║
 // ╚══════════════════════════════════════════════════════════════╝
 
+import Normalize from '../public/normalize.js';
+import Lyrics from '../public/lyrics.js';
+
 // ─── Song list SELECT with JOINs ──────────────────────────────
+// People are attached afterwards by withCredits().
 const SONG_LIST_COLS = `
-  s.id, s.title, s.slug, s.category, s.views, s.created_at,
-  s.artist_id, s.composer_id, s.copyright_owner_id,
-  a.name AS artist_name, a.slug AS artist_slug,
-  c.name AS composer_name, c.slug AS composer_slug,
-  co.name AS copyright_owner_name, co.slug AS copyright_owner_slug`;
+  s.id, s.title, s.slug, s.category, s.language, s.views, s.created_at,
+  s.copyright_owner_id,
+  co.name AS copyright_owner_name, co.slug AS copyright_owner_slug,
+  (SELECT COALESCE(hal.code, hal.title) || ' ' || hs.number
+   FROM album_songs hs JOIN albums hal ON hal.id = hs.album_id
+   WHERE hs.song_id = s.id AND hal.kind = 'hymnal' AND hs.number IS NOT NULL
+   ORDER BY hal.id LIMIT 1) AS hymn_number`;
 
 const SONG_JOINS = `
   FROM songs s
-  LEFT JOIN artists   a ON s.artist_id   = a.id
-  LEFT JOIN composers c ON s.composer_id = c.id
   LEFT JOIN copyright_owners co ON s.copyright_owner_id = co.id`;
 
+// ─── Song credits ─────────────────────────────────────────────
+// One song_credits row per person and role, pointing at either an artist
+// or a composer; position is the display order.
+
+export const CREDIT_ROLES = ['performer', 'featured', 'composer', 'lyricist', 'arranger', 'translator'];
+
+/** Credits of the given songs as a Map of song id → credits in order. */
+async function getCreditsFor(db, songIds) {
+  const bySong = new Map(songIds.map((id) => [id, []]));
+  if (!songIds.length) return bySong;
+  const result = await db
+    .prepare(
+      `SELECT sc.song_id, sc.role,
+              CASE WHEN sc.artist_id IS NOT NULL THEN 'artist' ELSE 'composer' END AS type,
+              COALESCE(sc.artist_id, sc.composer_id) AS id,
+              COALESCE(a.name, c.name) AS name,
+              COALESCE(a.slug, c.slug) AS slug
+       FROM song_credits sc
+       LEFT JOIN artists   a ON sc.artist_id   = a.id
+       LEFT JOIN composers c ON sc.composer_id = c.id
+       WHERE sc.song_id IN (SELECT value FROM json_each(?))
+       ORDER BY sc.song_id, sc.position, sc.id`
+    )
+    .bind(JSON.stringify(songIds))
+    .all();
+  for (const { song_id, ...credit } of result.results || []) bySong.get(song_id)?.push(credit);
+  return bySong;
+}
+
+/**
+ * One-line credits for cards, meta tags and reports: performers (plus
+ * "feat." guests) as artist_name, composers as composer_name, each with the
+ * first person's slug for linking.
+ */
+function creditSummary(credits) {
+  const withRole = (role) => credits.filter((c) => c.role === role);
+  const names = (list) => list.map((c) => c.name).join(' & ');
+  const performers = withRole('performer');
+  const featured = withRole('featured');
+  const composers = withRole('composer');
+  return {
+    artist_name: performers.length
+      ? names(performers) + (featured.length ? ` feat. ${names(featured)}` : '')
+      : null,
+    artist_slug: performers[0]?.type === 'artist' ? performers[0].slug : null,
+    composer_name: names(composers) || null,
+    composer_slug: composers[0]?.type === 'composer' ? composers[0].slug : null,
+  };
+}
+
+/** Attach `credits` and their one-line summary to song rows. */
+async function withCredits(db, songs) {
+  const bySong = await getCreditsFor(db, songs.map((s) => s.id));
+  return songs.map((song) => {
+    const credits = bySong.get(song.id) || [];
+    return { ...song, ...creditSummary(credits), credits };
+  });
+}
+
+/** Replace a song's credits; `credits` is [{ artist_id | composer_id, role }] in display order. */
+async function replaceSongCredits(db, songId, credits = []) {
+  const insert = db.prepare(
+    'INSERT INTO song_credits (song_id, artist_id, composer_id, role, position) VALUES (?, ?, ?, ?, ?)'
+  );
+  await db.batch([
+    db.prepare('DELETE FROM song_credits WHERE song_id = ?').bind(songId),
+    ...credits.map((c, i) => insert.bind(songId, c.artist_id || null, c.composer_id || null, c.role, i)),
+  ]);
+}
+
+/** Mark the albums listing any of the songs as changed (their track lists show them). */
+async function touchAlbumsOfSongs(db, songIds) {
+  const ids = [].concat(songIds).filter(Boolean);
+  if (!ids.length) return;
+  await db
+    .prepare(
+      `UPDATE albums SET updated_at = CURRENT_TIMESTAMP
+       WHERE id IN (SELECT album_id FROM album_songs WHERE song_id IN (SELECT value FROM json_each(?)))`
+    )
+    .bind(JSON.stringify(ids))
+    .run();
+}
+
+/**
+ * Mark songs as changed (songs.updated_at) when something they show, such
+ * as a credited name, changed elsewhere; the albums listing them too.
+ */
+async function touchSongs(db, songIds) {
+  const ids = [].concat(songIds).filter(Boolean);
+  if (!ids.length) return;
+  await db
+    .prepare('UPDATE songs SET updated_at = CURRENT_TIMESTAMP WHERE id IN (SELECT value FROM json_each(?))')
+    .bind(JSON.stringify(ids))
+    .run();
+  await touchAlbumsOfSongs(db, ids);
+}
+
+/**
+ * Mark what shows a copyright owner's name as changed: its songs (and their
+ * albums) and the albums it published. Before a delete, which unlinks them.
+ */
+async function touchCopyrightOwnerRecords(db, id) {
+  const songs = await db.prepare('SELECT id FROM songs WHERE copyright_owner_id = ?').bind(id).all();
+  await touchSongs(db, (songs.results || []).map((r) => r.id));
+  await db.prepare('UPDATE albums SET updated_at = CURRENT_TIMESTAMP WHERE publisher_id = ?').bind(id).run();
+}
+
+/** Songs crediting a person in any role (column is artist_id or composer_id). */
+async function creditedSongIds(db, column, id) {
+  const result = await db.prepare(`SELECT DISTINCT song_id FROM song_credits WHERE ${column} = ?`).bind(id).all();
+  return (result.results || []).map((r) => r.song_id);
+}
+
+// ─── Song translations ────────────────────────────────────────
+// songs.lyrics is the original; song_translations holds the same song in
+// other languages, one row per language code.
+
+export async function getSongTranslations(db, songId) {
+  const result = await db
+    .prepare('SELECT language, title, lyrics, updated_at FROM song_translations WHERE song_id = ? ORDER BY language')
+    .bind(songId)
+    .all();
+  return result.results || [];
+}
+
+/** Replace a song's translations; `translations` is [{ language, title, lyrics }]. */
+async function replaceSongTranslations(db, songId, translations = []) {
+  const insert = db.prepare('INSERT INTO song_translations (song_id, language, title, lyrics) VALUES (?, ?, ?, ?)');
+  await db.batch([
+    db.prepare('DELETE FROM song_translations WHERE song_id = ?').bind(songId),
+    ...translations.map((t) => insert.bind(songId, t.language, t.title || null, t.lyrics)),
+  ]);
+}
+
+// Timed lyrics: one LRC text per song, with the recording it follows.
+
+export async function getSongTiming(db, songId) {
+  return db
+    .prepare('SELECT lrc, media_url, updated_at FROM song_timings WHERE song_id = ?')
+    .bind(songId)
+    .first();
+}
+
+/** Set or (with `timing` null) remove a song's timed lyrics. */
+async function replaceSongTiming(db, songId, timing) {
+  if (!timing) {
+    await db.prepare('DELETE FROM song_timings WHERE song_id = ?').bind(songId).run();
+    return;
+  }
+  await db
+    .prepare(
+      `INSERT INTO song_timings (song_id, lrc, media_url) VALUES (?, ?, ?)
+       ON CONFLICT (song_id) DO UPDATE SET lrc = excluded.lrc, media_url = excluded.media_url, updated_at = CURRENT_TIMESTAMP`
+    )
+    .bind(songId, timing.lrc, timing.media_url || null)
+    .run();
+}
+
+// Recordings: links to YouTube / Vimeo / SoundCloud, or uploaded audio
+// (media_key in the MEDIA bucket). The primary one comes first.
+
+export const MEDIA_TYPES = ['youtube', 'vimeo', 'soundcloud', 'audio'];
+
+export async function getSongMedia(db, songId) {
+  const result = await db
+    .prepare(
+      `SELECT id, type, title, url, media_key, content_type, size, is_primary
+       FROM song_media WHERE song_id = ? ORDER BY is_primary DESC, position, id`
+    )
+    .bind(songId)
+    .all();
+  return result.results || [];
+}
+
+/**
+ * Replace a song's recordings; `media` is [{ type, title, url, media_key,
+ * content_type, size, is_primary }] in order.
+ */
+async function replaceSongMedia(db, songId, media = []) {
+  const insert = db.prepare(
+    `INSERT INTO song_media (song_id, type, title, url, media_key, content_type, size, is_primary, position)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  );
+  await db.batch([
+    db.prepare('DELETE FROM song_media WHERE song_id = ?').bind(songId),
+    ...media.map((m, i) => insert.bind(
+      songId, m.type, m.title || null, m.url || null, m.media_key || null,
+      m.content_type || null, m.size || null, m.is_primary ? 1 : 0, i
+    )),
+  ]);
+}
+
 /**
  * Fetch paginated song list from D1.
  */
@@ -41,7 +237,7 @@ export async function getSongs(db, page = 1, limit = 20, category = null) {
   ]);
 
   return {
-    songs: dataResult.results || [],
+    songs: await withCredits(db, dataResult.results || []),
     total: countResult?.total || 0,
     page,
     totalPages: Math.ceil((countResult?.total || 0) / limit),
@@ -49,50 +245,133 @@ export async function getSongs(db, page = 1, limit = 20, category = null) {
 }
 
 /**
- * Fetch a single song by slug (full detail with artist/composer).
+ * Fetch a single song by slug (full detail with credits).
  */
 export async function getSongBySlug(db, slug) {
-  return db
+  const song = await db
     .prepare(
-      `SELECT s.*, a.name AS artist_name, a.slug AS artist_slug,
-              c.name AS composer_name, c.slug AS composer_slug,
-              co.name AS copyright_owner_name, co.slug AS copyright_owner_slug
+      `SELECT s.*, co.name AS copyright_owner_name, co.slug AS copyright_owner_slug
        ${SONG_JOINS}
        WHERE s.slug = ?`
     )
     .bind(slug)
     .first();
+  return song ? (await withCredits(db, [song]))[0] : null;
+}
+
+// Search filters: public parameter → condition (artists etc. by slug)
+const SEARCH_FILTERS = {
+  category:        's.category = ?',
+  artist:          'EXISTS (SELECT 1 FROM song_credits fc JOIN artists fa ON fa.id = fc.artist_id WHERE fc.song_id = s.id AND fa.slug = ?)',
+  composer:        'EXISTS (SELECT 1 FROM song_credits fc JOIN composers fp ON fp.id = fc.composer_id WHERE fc.song_id = s.id AND fp.slug = ?)',
+  copyright_owner: 'co.slug = ?',
+  language:        's.language = ?',
+};
+
+export const SEARCH_SORTS = {
+  relevance: null, // bm25, set in searchSongs()
+  views:     's.views DESC, s.id DESC',
+  newest:    's.created_at DESC, s.id DESC',
+  title:     's.title COLLATE NOCASE ASC, s.id ASC',
+};
+
+const SEARCH_FROM = `
+  FROM songs_fts
+  JOIN songs s ON s.id = songs_fts.rowid
+  LEFT JOIN copyright_owners co ON s.copyright_owner_id = co.id`;
+
+/** WHERE clause for the match plus every active filter except `skip`. */
+function searchWhere(match, filters, skip = null) {
+  const clauses = ['songs_fts MATCH ?'];
+  const params = [match];
+  for (const [name, condition] of Object.entries(SEARCH_FILTERS)) {
+    if (name === skip || !filters[name]) continue;
+    clauses.push(condition);
+    params.push(filters[name]);
+  }
+  return { where: `WHERE ${clauses.join(' AND ')}`, params };
 }
 
 /**
- * Search songs by title or artist name.
+ * Full-text search over title, first line, lyrics and credits (FTS5).
+ * `query` must already be Normalize.forSearch()-ed, like the index.
+ * Supports "quoted phrases" and prefix* terms. `filters` narrows by
+ * category, language and artist / composer / copyright owner slug;
+ * `sort` is one of SEARCH_SORTS, where relevance is bm25 with title and
+ * first-line hits weighted highest, then views.
+ * Each result carries `snippet`: the matching lyric line with hits wrapped
+ * in \u0002 … \u0003 for the client to turn into <mark>.
+ * `facets` counts the matches per category and per artist, each ignoring
+ * its own filter so the other values stay selectable.
  */
-export async function searchSongs(db, query, limit = 30) {
-  // Search across title, artist name, composer name, AND lyrics content
-  const pattern = `%${query}%`;
-  const result = await db
-    .prepare(
-      `SELECT ${SONG_LIST_COLS} ${SONG_JOINS}
-       WHERE s.title LIKE ?1
-          OR a.name  LIKE ?1
-          OR c.name  LIKE ?1
-          OR s.lyrics LIKE ?1
-       ORDER BY
-         CASE WHEN s.title LIKE ?1 THEN 0 ELSE 1 END,
-         s.views DESC
-       LIMIT ?2`
-    )
-    .bind(pattern, limit)
-    .all();
-  const rows = result.results || [];
-  if (rows.length > 0) return { results: rows, suggestions: [] };
+export async function searchSongs(db, query, { filters = {}, sort = 'relevance', offset = 0, limit = 20 } = {}) {
+  const match = buildFtsQuery(query);
+  const empty = { results: [], total: 0, facets: { category: [], artist: [] } };
+  if (!match) return { ...empty, suggestions: await nearestTitles(db, query) };
+  await ensureSearchIndex(db);
+
+  const all = searchWhere(match, filters);
+  const byCategory = searchWhere(match, filters, 'category');
+  const byArtist = searchWhere(match, filters, 'artist');
+  const order = SEARCH_SORTS[sort] || `bm25(songs_fts, ${SEARCH_WEIGHTS}), s.views DESC`;
+
+  const [page, count, categories, artists] = await Promise.all([
+    db
+      .prepare(
+        `SELECT ${SONG_LIST_COLS}, s.lyrics,
+                highlight(songs_fts, 2, char(2), char(3)) AS lyrics_hl
+         ${SEARCH_FROM}
+         ${all.where}
+         ORDER BY ${order}
+         LIMIT ? OFFSET ?`
+      )
+      .bind(...all.params, limit, offset)
+      .all(),
+    db.prepare(`SELECT COUNT(*) AS total ${SEARCH_FROM} ${all.where}`).bind(...all.params).first(),
+    db
+      .prepare(
+        `SELECT s.category AS value, COUNT(*) AS count
+         ${SEARCH_FROM}
+         ${byCategory.where} AND s.category IS NOT NULL
+         GROUP BY s.category
+         ORDER BY count DESC, s.category`
+      )
+      .bind(...byCategory.params)
+      .all(),
+    db
+      .prepare(
+        `SELECT a.slug AS value, a.name AS label, COUNT(DISTINCT s.id) AS count
+         ${SEARCH_FROM}
+         JOIN song_credits sc ON sc.song_id = s.id
+         JOIN artists a ON a.id = sc.artist_id
+         ${byArtist.where}
+         GROUP BY a.id
+         ORDER BY count DESC, a.name
+         LIMIT 10`
+      )
+      .bind(...byArtist.params)
+      .all(),
+  ]);
+
+  const results = await withCredits(db, (page.results || []).map(({ lyrics, lyrics_hl, ...song }) => ({
+    ...song,
+    snippet: matchingLine(lyrics_hl, Lyrics.toPlainText(lyrics)),
+  })));
+  const total = count?.total || 0;
+  const facets = { category: categories.results || [], artist: artists.results || [] };
 
-  // No matches — return 5 nearest titles (Levenshtein distance)
+  const filtered = Object.keys(SEARCH_FILTERS).some((name) => filters[name]);
+  if (total > 0 || filtered || offset > 0) return { results, total, facets, suggestions: [] };
+  return { ...empty, suggestions: await nearestTitles(db, query) };
+}
+
+/** "Did you mean": the 5 popular titles closest to the query (Levenshtein distance). */
+async function nearestTitles(db, query) {
   const allRows = await db
     .prepare('SELECT title, slug FROM songs ORDER BY views DESC LIMIT 200')
     .all();
   const titles = (allRows.results || []);
-  const ql = query.toLowerCase();
+  const ql = query.trim();
   function lev(a, b) {
     const m = a.length, n = b.length;
     if (!m) return n; if (!n) return m;
@@ -108,11 +387,351 @@ export async function searchSongs(db, query, limit = 30) {
     }
     return prev[n];
   }
-  const suggestions = titles
-    .map(r => ({ title: r.title, slug: r.slug, dist: lev(ql, r.title.toLowerCase()) }))
+  return titles
+    .map(r => ({ title: r.title, slug: r.slug, dist: lev(ql, Normalize.forSearch(r.title)) }))
     .sort((a, b) => a.dist - b.dist)
     .slice(0, 5);
-  return { results: [], suggestions };
+}
+
+/**
+ * Typeahead suggestions: songs whose title, and artists / composers whose
+ * name, has a word starting with each typed word. `query` is normalized
+ * like searchSongs(); the last word is always treated as a prefix.
+ * Returns [{ type, label, slug, artist?, songs? }], songs first.
+ */
+export async function getSuggestions(db, query, limit = 5) {
+  const terms = buildFtsQuery(query.trimEnd());
+  if (!terms) return [];
+  await ensureSearchIndex(db);
+  const words = query.match(/[\p{L}\p{N}\p{M}]+/gu) || [];
+  // The index column holds every credited name of a song, so a duet
+  // partner matches too; keep only the people whose own name matches.
+  const nameMatches = (name) => {
+    const nameWords = Normalize.forSearch(name).split(/\s+/);
+    return words.every((w) => nameWords.some((n) => n.startsWith(w)));
+  };
+  const people = async (table, foreignKey, ftsColumn) => {
+    const result = await db
+      .prepare(
+        `SELECT p.name AS label, p.slug, COUNT(DISTINCT s.id) AS songs
+         FROM songs_fts
+         JOIN songs s ON s.id = songs_fts.rowid
+         JOIN song_credits sc ON sc.song_id = s.id
+         JOIN ${table} p ON p.id = sc.${foreignKey}
+         WHERE songs_fts MATCH ?1
+         GROUP BY p.id
+         ORDER BY songs DESC, p.name
+         LIMIT ?2`
+      )
+      .bind(`{${ftsColumn}} : (${terms})`, limit * 4)
+      .all();
+    return (result.results || []).filter((r) => nameMatches(r.label)).slice(0, limit);
+  };
+
+  const [songs, artists, composers] = await Promise.all([
+    db
+      .prepare(
+        `SELECT s.id, s.title AS label, s.slug
+         FROM songs_fts
+         JOIN songs s ON s.id = songs_fts.rowid
+         WHERE songs_fts MATCH ?1
+         ORDER BY rank, s.views DESC
+         LIMIT ?2`
+      )
+      .bind(`{title} : (${terms})`, limit)
+      .all()
+      .then((r) => withCredits(db, r.results || [])),
+    people('artists', 'artist_id', 'artist'),
+    people('composers', 'composer_id', 'composer'),
+  ]);
+
+  return [
+    ...songs.map((s) => ({ type: 'song', label: s.label, slug: s.slug, artist: s.artist_name })),
+    ...artists.map((r) => ({ type: 'artist', ...r })),
+    ...composers.map((r) => ({ type: 'composer', ...r })),
+  ];
+}
+
+/**
+ * Every suggestible title and name, for the browser's offline typeahead.
+ * Rows are compact [type, label, slug] triples.
+ */
+export async function getSuggestionIndex(db) {
+  const result = await db
+    .prepare(
+      `SELECT 'song' AS type, title AS label, slug FROM songs
+       UNION ALL
+       SELECT 'artist', name, slug FROM artists
+       WHERE id IN (SELECT artist_id FROM song_credits)
+       UNION ALL
+       SELECT 'composer', name, slug FROM composers
+       WHERE id IN (SELECT composer_id FROM song_credits)`
+    )
+    .all();
+  return (result.results || []).map((r) => [r.type, r.label, r.slug]);
+}
+
+// ─── Offline catalogue ────────────────────────────────────────
+// Every song with lyrics, credits and translations, for readers who keep
+// the whole collection on their device and later fetch only what changed.
+
+/** Latest songs.updated_at and the song count (a deletion changes only the count). */
+export async function getCatalogueState(db) {
+  return db.prepare('SELECT MAX(updated_at) AS updated_at, COUNT(*) AS count FROM songs').first();
+}
+
+/**
+ * Songs for the offline catalogue: all of them, those changed at or after
+ * `since` (a songs.updated_at value), or those with the given `ids`. Same
+ * shape as a song page's data, less the recordings, timed lyrics and albums.
+ */
+export async function getCatalogueSongs(db, { since = null, ids = null } = {}) {
+  const where = [];
+  const binds = [];
+  if (since) { where.push('s.updated_at >= ?'); binds.push(since); }
+  if (ids) { where.push('s.id IN (SELECT value FROM json_each(?))'); binds.push(JSON.stringify(ids)); }
+  const result = await db
+    .prepare(
+      `SELECT ${SONG_LIST_COLS}, s.lyrics, s.updated_at
+       ${SONG_JOINS}
+       ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY s.id`
+    )
+    .bind(...binds)
+    .all();
+  const songs = await withCredits(db, result.results || []);
+  const translations = await db
+    .prepare(
+      `SELECT song_id, language, title, lyrics FROM song_translations
+       WHERE song_id IN (SELECT value FROM json_each(?))
+       ORDER BY song_id, language`
+    )
+    .bind(JSON.stringify(songs.map((s) => s.id)))
+    .all();
+  const bySong = new Map(songs.map((s) => [s.id, []]));
+  for (const { song_id, ...t } of translations.results || []) bySong.get(song_id)?.push(t);
+  return songs.map(({ views, created_at, ...song }) => ({ ...song, translations: bySong.get(song.id) }));
+}
+
+/** Every song slug, so a device can drop the songs deleted since its copy. */
+export async function getCatalogueSlugs(db) {
+  const result = await db.prepare('SELECT slug FROM songs ORDER BY id').all();
+  return (result.results || []).map((r) => r.slug);
+}
+
+// ─── Change feed ──────────────────────────────────────────────
+// Catalogue rows by updated_at plus tombstones, in one order: the key
+// [changed_at, deleted, type, id]. Rows from the last couple of seconds are
+// held back, so one written in the same second as a page's last row (and
+// sorting before it) is not skipped.
+
+/** Entity types in the feed (audit log names, see AUDIT_TABLES). */
+export const CHANGE_TYPES = ['song', 'artist', 'composer', 'copyright_owner', 'album'];
+
+const CHANGE_SETTLE = '-2 seconds';
+
+// One query per table (D1 allows few terms in a compound SELECT); the
+// pages are merged in JS
+const CHANGE_SOURCES = [
+  `SELECT updated_at AS changed_at, 0 AS deleted, 'song' AS type, id, slug, created_at FROM songs`,
+  `SELECT updated_at AS changed_at, 0 AS deleted, 'artist' AS type, id, slug, created_at FROM artists`,
+  `SELECT updated_at AS changed_at, 0 AS deleted, 'composer' AS type, id, slug, created_at FROM composers`,
+  `SELECT updated_at AS changed_at, 0 AS deleted, 'copyright_owner' AS type, id, slug, created_at FROM copyright_owners`,
+  `SELECT updated_at AS changed_at, 0 AS deleted, 'album' AS type, id, slug, created_at FROM albums`,
+  `SELECT deleted_at AS changed_at, 1 AS deleted, entity_type AS type, entity_id AS id, slug, NULL AS created_at FROM tombstones`,
+];
+
+/** The sort key of a change row. */
+export function changeKey(row) {
+  return [row.changed_at, row.deleted, row.type, row.id];
+}
+
+/** Compare two sort keys (negative when a comes first). */
+export function compareChangeKeys(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] < b[i] ? -1 : 1;
+  }
+  return 0;
+}
+
+/** Up to `limit` changes whose key sorts after `after`, oldest first. */
+export async function getChanges(db, after, limit = 100) {
+  const [settled] = await getChangesHead(db);
+  const results = await db.batch(CHANGE_SOURCES.map((source) => db
+    .prepare(
+      `SELECT * FROM (${source})
+       WHERE changed_at <= ? AND (changed_at, deleted, type, id) > (?, ?, ?, ?)
+       ORDER BY changed_at, deleted, type, id
+       LIMIT ?`
+    )
+    .bind(settled, ...after, limit)));
+  return results
+    .flatMap((r) => r.results || [])
+    .sort((a, b) => compareChangeKeys(changeKey(a), changeKey(b)))
+    .slice(0, limit);
+}
+
+/** A key after every change so far, where a new reader starts ('~' sorts after every type). */
+export async function getChangesHead(db) {
+  const row = await db.prepare(`SELECT datetime('now', '${CHANGE_SETTLE}') AS settled`).first();
+  return [row.settled, 1, '~', 0];
+}
+
+/**
+ * Current records of changed rows of one type, by id: songs as the offline
+ * catalogue has them, albums as their page does, people and owners as stored.
+ */
+export async function getChangedRecords(db, type, ids) {
+  if (!ids.length) return new Map();
+  let rows;
+  if (type === 'song') {
+    rows = await getCatalogueSongs(db, { ids });
+  } else {
+    const select = type === 'album'
+      ? `SELECT ${ALBUM_COLS} ${ALBUM_JOINS} WHERE al.id IN (SELECT value FROM json_each(?))`
+      : `SELECT * FROM ${AUDIT_TABLES[type]} WHERE id IN (SELECT value FROM json_each(?))`;
+    rows = (await db.prepare(select).bind(JSON.stringify(ids)).all()).results || [];
+  }
+  return new Map(rows.map((r) => [r.id, r]));
+}
+
+// ─── Search index (songs_fts) ─────────────────────────────────
+
+// bm25 column weights: title, first_line, lyrics, artist, composer
+const SEARCH_WEIGHTS = '10.0, 5.0, 1.0, 3.0, 2.0';
+
+// artist / composer hold every credited artist / composer name of the song
+const SEARCH_INDEX_SELECT = `
+  SELECT s.id, s.title, s.lyrics,
+    (SELECT group_concat(a.name, ' ') FROM song_credits sc JOIN artists a ON a.id = sc.artist_id
+     WHERE sc.song_id = s.id) AS artist,
+    (SELECT group_concat(c.name, ' ') FROM song_credits sc JOIN composers c ON c.id = sc.composer_id
+     WHERE sc.song_id = s.id) AS composer
+  FROM songs s`;
+
+/**
+ * Turn user input into an FTS5 MATCH expression.
+ * Every token is quoted so FTS operators in the input are inert;
+ * "…" stays a phrase, a trailing * makes a prefix term, and the last bare
+ * word is treated as a prefix while the user is still typing it.
+ */
+function buildFtsQuery(input) {
+  const parts = [];
+  const re = /"([^"]*)"?|(\S+)/g;
+  let m;
+  let lastBare = false;
+  while ((m = re.exec(input))) {
+    if (m[1] !== undefined) {
+      const words = m[1].match(/[\p{L}\p{N}\p{M}]+/gu);
+      if (words) parts.push(`"${words.join(' ')}"`);
+      lastBare = false;
+    } else {
+      const words = m[2].match(/[\p{L}\p{N}\p{M}]+/gu) || [];
+      const prefix = m[2].endsWith('*');
+      words.forEach((w, i) => parts.push(`"${w}"${prefix && i === words.length - 1 ? '*' : ''}`));
+      lastBare = words.length > 0 && !prefix;
+    }
+  }
+  if (lastBare && !/\s$/.test(input)) parts[parts.length - 1] += '*';
+  return parts.join(' ');
+}
+
+const SNIPPET_MAX = 120;
+
+/**
+ * The original lyric line holding the first hit, with hits marked.
+ * The index holds normalized text, so the line is found through the
+ * highlighted (normalized) lyrics and its words are re-marked by comparing
+ * their normalized form with the highlighted tokens.
+ */
+function matchingLine(highlighted, lyrics) {
+  if (!highlighted) return null;
+  const normLines = highlighted.split('\n');
+  const index = normLines.findIndex((l) => l.includes('\u0002'));
+  if (index < 0) return null;
+
+  const hits = new Set();
+  for (const [, hit] of normLines[index].matchAll(/\u0002([^\u0003]*)\u0003/g)) {
+    for (const token of hit.split(/\s+/)) hits.add(token);
+  }
+  const original = (lyrics || '').split('\n')[index];
+  const line = original === undefined
+    ? normLines[index]
+    : original
+      .replace(/[\p{L}\p{N}\p{M}'\u2019]+/gu, (w) => (hits.has(Normalize.forSearch(w)) ? `\u0002${w}\u0003` : w))
+      .replace(/\u0003(\s+)\u0002/g, '$1');
+
+  const text = line.trim();
+  if (text.length <= SNIPPET_MAX) return text;
+
+  const start = Math.max(0, text.indexOf('\u0002') - 40);
+  let cut = text.slice(start, start + SNIPPET_MAX);
+  // Close a highlight the cut left open
+  if (cut.lastIndexOf('\u0002') > cut.lastIndexOf('\u0003')) cut += '\u0003';
+  return (start > 0 ? '…' : '') + cut + (start + SNIPPET_MAX < text.length ? '…' : '');
+}
+
+/**
+ * Index columns for a song: normalized text, first line weighted separately.
+ * Lyrics are indexed as sung words, without section directives or headings.
+ */
+function searchIndexRow(row) {
+  const lyrics = Normalize.forSearch(Lyrics.toPlainText(row.lyrics));
+  return [
+    row.id,
+    Normalize.forSearch(row.title),
+    lyrics.split('\n')[0],
+    lyrics,
+    Normalize.forSearch(row.artist),
+    Normalize.forSearch(row.composer),
+  ];
+}
+
+/** Rewrite the search-index rows for the given song ids. */
+export async function syncSongSearchIndex(db, songIds) {
+  const ids = [].concat(songIds).filter(Boolean);
+  if (!ids.length) return;
+  const marks = ids.map(() => '?').join(', ');
+  const result = await db.prepare(`${SEARCH_INDEX_SELECT} WHERE s.id IN (${marks})`).bind(...ids).all();
+  const insert = db.prepare('INSERT INTO songs_fts (rowid, title, first_line, lyrics, artist, composer) VALUES (?, ?, ?, ?, ?, ?)');
+  await db.batch([
+    db.prepare(`DELETE FROM songs_fts WHERE rowid IN (${marks})`).bind(...ids),
+    ...(result.results || []).map((row) => insert.bind(...searchIndexRow(row))),
+  ]);
+}
+
+/** Index songs `chunkSize` at a time, to stay under D1's bound-parameter limit. */
+async function syncSongSearchIndexInChunks(db, ids, chunkSize = 50) {
+  for (let i = 0; i < ids.length; i += chunkSize) {
+    await syncSongSearchIndex(db, ids.slice(i, i + chunkSize));
+  }
+}
+
+/** Re-index every song (after changing normalize.js or the spelling table). */
+export async function rebuildSearchIndex(db, chunkSize = 50) {
+  await db.prepare('DELETE FROM songs_fts').run();
+  const result = await db.prepare('SELECT id FROM songs ORDER BY id').all();
+  const ids = (result.results || []).map((r) => r.id);
+  await syncSongSearchIndexInChunks(db, ids, chunkSize);
+  return ids.length;
+}
+
+let searchIndexComplete = false;
+
+/**
+ * Index every song that has no index row yet: on a new database, or one
+ * loaded from seeds/dev.sql, the rows were written without the writers
+ * above. Each song's row is replaced in one batch, so isolates filling the
+ * index at the same time only repeat work. Once nothing is missing the
+ * writers keep it complete, and this isolate stops checking.
+ */
+async function ensureSearchIndex(db) {
+  if (searchIndexComplete) return;
+  const missing = await db
+    .prepare('SELECT id FROM songs WHERE id NOT IN (SELECT rowid FROM songs_fts) ORDER BY id')
+    .all();
+  await syncSongSearchIndexInChunks(db, (missing.results || []).map((r) => r.id));
+  searchIndexComplete = true;
 }
 
 /**
@@ -148,56 +767,156 @@ export async function getPopularSongs(db, limit = 10) {
     )
     .bind(limit)
     .all()
-    .then((r) => r.results || []);
+    .then((r) => withCredits(db, r.results || []));
 }
 
 // ─── Song Admin CRUD ───────────────────────────────────────────
 
 export async function getSongById(db, id) {
-  return db
+  const song = await db
     .prepare(
-      `SELECT s.*, a.name AS artist_name, a.slug AS artist_slug,
-              c.name AS composer_name, c.slug AS composer_slug,
-              co.name AS copyright_owner_name, co.slug AS copyright_owner_slug
+      `SELECT s.*, co.name AS copyright_owner_name, co.slug AS copyright_owner_slug
        ${SONG_JOINS}
        WHERE s.id = ?`
     )
     .bind(id)
     .first();
+  return song ? (await withCredits(db, [song]))[0] : null;
 }
 
 export async function getSongBySlugRaw(db, slug) {
   return db.prepare('SELECT * FROM songs WHERE slug = ?').bind(slug).first();
 }
 
-export async function createSong(db, { title, slug, artist_id, composer_id, copyright_owner_id, category, lyrics }) {
-  const result = await db
-    .prepare(
-      `INSERT INTO songs (title, slug, artist_id, composer_id, copyright_owner_id, category, lyrics)
-       VALUES (?, ?, ?, ?, ?, ?, ?)`
-    )
-    .bind(title, slug, artist_id || null, composer_id || null, copyright_owner_id || null, category || null, lyrics)
-    .run();
-  return { id: result.meta.last_row_id };
+export async function createSong(db, { title, slug, credits, translations, timing, media, copyright_owner_id, category, language, lyrics }, actor = null) {
+  return audited(db, actor, 'create', 'song', null, async () => {
+    const result = await db
+      .prepare(
+        `INSERT INTO songs (title, slug, copyright_owner_id, category, language, lyrics)
+         VALUES (?, ?, ?, ?, ?, ?)`
+      )
+      .bind(title, slug, copyright_owner_id || null, category || null, language || null, lyrics)
+      .run();
+    await replaceSongCredits(db, result.meta.last_row_id, credits);
+    if (translations) await replaceSongTranslations(db, result.meta.last_row_id, translations);
+    if (timing) await replaceSongTiming(db, result.meta.last_row_id, timing);
+    if (media) await replaceSongMedia(db, result.meta.last_row_id, media);
+    await syncSongSearchIndex(db, result.meta.last_row_id);
+    await recordSongRevision(db, result.meta.last_row_id, actor);
+    return { id: result.meta.last_row_id };
+  });
 }
 
-export async function updateSong(db, id, { title, slug, artist_id, composer_id, copyright_owner_id, category, lyrics }) {
-  const result = await db
+/**
+ * `revisionNote` is stored on the revision this save creates
+ * (e.g. "Restored from revision 3"). Translations, timed lyrics and
+ * recordings are left as they are when `translations` / `timing` / `media`
+ * is omitted (undefined).
+ */
+export async function updateSong(db, id, { title, slug, credits, translations, timing, media, copyright_owner_id, category, language, lyrics }, actor = null, revisionNote = null) {
+  return audited(db, actor, 'update', 'song', id, async () => {
+    await ensureBaselineRevision(db, id);
+    const result = await db
+      .prepare(
+        `UPDATE songs SET title = ?, slug = ?, copyright_owner_id = ?, category = ?, language = ?, lyrics = ?
+         WHERE id = ?`
+      )
+      .bind(title, slug, copyright_owner_id || null, category || null, language || null, lyrics, id)
+      .run();
+    if (result.meta.changes > 0) {
+      await replaceSongCredits(db, id, credits);
+      if (translations) await replaceSongTranslations(db, id, translations);
+      if (timing !== undefined) await replaceSongTiming(db, id, timing);
+      if (media) await replaceSongMedia(db, id, media);
+      await syncSongSearchIndex(db, id);
+      await touchAlbumsOfSongs(db, id);
+      await recordSongRevision(db, id, actor, { note: revisionNote, force: !!revisionNote });
+    }
+    return result.meta.changes > 0;
+  });
+}
+
+export async function deleteSong(db, id, actor = null) {
+  return audited(db, actor, 'delete', 'song', id, async () => {
+    // Before the delete, which drops the song's album_songs rows
+    await touchAlbumsOfSongs(db, id);
+    const result = await db
+      .prepare('DELETE FROM songs WHERE id = ?')
+      .bind(id)
+      .run();
+    await db.prepare('DELETE FROM songs_fts WHERE rowid = ?').bind(id).run();
+    return result.meta.changes > 0;
+  });
+}
+
+// ─── Song Revisions ────────────────────────────────────────────
+// Every save keeps a numbered copy of title, lyrics, category and credits.
+
+const REVISION_LIST_COLS = `id, song_id, revision, title, category, credits_json, user_id, username, note, created_at,
+  length(lyrics) - length(replace(lyrics, char(10), '')) + 1 AS lyrics_lines`;
+
+function revisionFromSong(song) {
+  return {
+    title: song.title,
+    lyrics: song.lyrics,
+    category: song.category || null,
+    credits_json: JSON.stringify({
+      credits: song.credits.map(({ type, id, name, role }) => ({ type, id, name, role })),
+      copyright_owner_id: song.copyright_owner_id || null,
+      copyright_owner_name: song.copyright_owner_name || null,
+    }),
+  };
+}
+
+async function insertSongRevision(db, songId, rev, actor, note) {
+  await db
     .prepare(
-      `UPDATE songs SET title = ?, slug = ?, artist_id = ?, composer_id = ?, copyright_owner_id = ?, category = ?, lyrics = ?
-       WHERE id = ?`
+      `INSERT INTO song_revisions (song_id, revision, title, lyrics, category, credits_json, user_id, username, note)
+       SELECT ?, COALESCE(MAX(revision), 0) + 1, ?, ?, ?, ?, ?, ?, ? FROM song_revisions WHERE song_id = ?`
     )
-    .bind(title, slug, artist_id || null, composer_id || null, copyright_owner_id || null, category || null, lyrics, id)
+    .bind(songId, rev.title, rev.lyrics, rev.category, rev.credits_json, actor?.id || null, actor?.username || null, note || null, songId)
     .run();
-  return result.meta.changes > 0;
 }
 
-export async function deleteSong(db, id) {
+/**
+ * Store the song's current state as its next revision.
+ * Saves that changed none of the tracked fields are skipped unless `force` is set.
+ */
+export async function recordSongRevision(db, songId, actor = null, { note = null, force = false } = {}) {
+  const song = await getSongById(db, songId);
+  if (!song) return;
+  const rev = revisionFromSong(song);
+
+  if (!force) {
+    const latest = await db
+      .prepare('SELECT title, lyrics, category, credits_json FROM song_revisions WHERE song_id = ? ORDER BY revision DESC LIMIT 1')
+      .bind(songId)
+      .first();
+    if (latest && latest.title === rev.title && latest.lyrics === rev.lyrics &&
+        latest.category === rev.category && latest.credits_json === rev.credits_json) return;
+  }
+  await insertSongRevision(db, songId, rev, actor, note);
+}
+
+/** Songs created before revisions existed get their current text saved as revision 1 first. */
+async function ensureBaselineRevision(db, songId) {
+  const row = await db.prepare('SELECT COUNT(*) AS total FROM song_revisions WHERE song_id = ?').bind(songId).first();
+  if (!row?.total) await recordSongRevision(db, songId, null, { note: 'Original version' });
+}
+
+export async function getSongRevisions(db, songId) {
   const result = await db
-    .prepare('DELETE FROM songs WHERE id = ?')
-    .bind(id)
-    .run();
-  return result.meta.changes > 0;
+    .prepare(`SELECT ${REVISION_LIST_COLS} FROM song_revisions WHERE song_id = ? ORDER BY revision DESC`)
+    .bind(songId)
+    .all();
+  return result.results || [];
+}
+
+export async function getSongRevision(db, songId, revision) {
+  return db
+    .prepare('SELECT * FROM song_revisions WHERE song_id = ? AND revision = ?')
+    .bind(songId, revision)
+    .first();
 }
 
 // ─── Artist CRUD ───────────────────────────────────────────────
@@ -220,32 +939,46 @@ export async function getArtistById(db, id) {
 export async function getSongsByArtist(db, artistId) {
   return db
     .prepare(
-      `SELECT ${SONG_LIST_COLS} ${SONG_JOINS} WHERE s.artist_id = ? ORDER BY s.views DESC`
+      `SELECT ${SONG_LIST_COLS} ${SONG_JOINS}
+       WHERE s.id IN (SELECT song_id FROM song_credits WHERE artist_id = ?)
+       ORDER BY s.views DESC`
     )
     .bind(artistId)
     .all()
-    .then((r) => r.results || []);
+    .then((r) => withCredits(db, r.results || []));
 }
 
-export async function createArtist(db, { name, slug, bio, image_url, social_links }) {
-  const result = await db
-    .prepare('INSERT INTO artists (name, slug, bio, image_url, social_links) VALUES (?, ?, ?, ?, ?)')
-    .bind(name, slug, bio || null, image_url || null, social_links || null)
-    .run();
-  return { id: result.meta.last_row_id };
+export async function createArtist(db, { name, slug, bio, image_url, social_links }, actor = null) {
+  return audited(db, actor, 'create', 'artist', null, async () => {
+    const result = await db
+      .prepare('INSERT INTO artists (name, slug, bio, image_url, social_links) VALUES (?, ?, ?, ?, ?)')
+      .bind(name, slug, bio || null, image_url || null, social_links || null)
+      .run();
+    return { id: result.meta.last_row_id };
+  });
 }
 
-export async function updateArtist(db, id, { name, slug, bio, image_url, social_links }) {
-  const result = await db
-    .prepare('UPDATE artists SET name = ?, slug = ?, bio = ?, image_url = ?, social_links = ? WHERE id = ?')
-    .bind(name, slug, bio || null, image_url || null, social_links || null, id)
-    .run();
-  return result.meta.changes > 0;
+export async function updateArtist(db, id, { name, slug, bio, image_url, social_links }, actor = null) {
+  return audited(db, actor, 'update', 'artist', id, async () => {
+    const result = await db
+      .prepare('UPDATE artists SET name = ?, slug = ?, bio = ?, image_url = ?, social_links = ? WHERE id = ?')
+      .bind(name, slug, bio || null, image_url || null, social_links || null, id)
+      .run();
+    const songIds = await creditedSongIds(db, 'artist_id', id);
+    await syncSongSearchIndex(db, songIds);
+    await touchSongs(db, songIds);
+    return result.meta.changes > 0;
+  });
 }
 
-export async function deleteArtist(db, id) {
-  const result = await db.prepare('DELETE FROM artists WHERE id = ?').bind(id).run();
-  return result.meta.changes > 0;
+export async function deleteArtist(db, id, actor = null) {
+  return audited(db, actor, 'delete', 'artist', id, async () => {
+    const songIds = await creditedSongIds(db, 'artist_id', id);
+    const result = await db.prepare('DELETE FROM artists WHERE id = ?').bind(id).run();
+    await syncSongSearchIndex(db, songIds);
+    await touchSongs(db, songIds);
+    return result.meta.changes > 0;
+  });
 }
 
 // ─── Composer CRUD ─────────────────────────────────────────────
@@ -268,32 +1001,46 @@ export async function getComposerById(db, id) {
 export async function getSongsByComposer(db, composerId) {
   return db
     .prepare(
-      `SELECT ${SONG_LIST_COLS} ${SONG_JOINS} WHERE s.composer_id = ? ORDER BY s.views DESC`
+      `SELECT ${SONG_LIST_COLS} ${SONG_JOINS}
+       WHERE s.id IN (SELECT song_id FROM song_credits WHERE composer_id = ?)
+       ORDER BY s.views DESC`
     )
     .bind(composerId)
     .all()
-    .then((r) => r.results || []);
+    .then((r) => withCredits(db, r.results || []));
 }
 
-export async function createComposer(db, { name, slug, bio, image_url, social_links }) {
-  const result = await db
-    .prepare('INSERT INTO composers (name, slug, bio, image_url, social_links) VALUES (?, ?, ?, ?, ?)')
-    .bind(name, slug, bio || null, image_url || null, social_links || null)
-    .run();
-  return { id: result.meta.last_row_id };
+export async function createComposer(db, { name, slug, bio, image_url, social_links }, actor = null) {
+  return audited(db, actor, 'create', 'composer', null, async () => {
+    const result = await db
+      .prepare('INSERT INTO composers (name, slug, bio, image_url, social_links) VALUES (?, ?, ?, ?, ?)')
+      .bind(name, slug, bio || null, image_url || null, social_links || null)
+      .run();
+    return { id: result.meta.last_row_id };
+  });
 }
 
-export async function updateComposer(db, id, { name, slug, bio, image_url, social_links }) {
-  const result = await db
-    .prepare('UPDATE composers SET name = ?, slug = ?, bio = ?, image_url = ?, social_links = ? WHERE id = ?')
-    .bind(name, slug, bio || null, image_url || null, social_links || null, id)
-    .run();
-  return result.meta.changes > 0;
+export async function updateComposer(db, id, { name, slug, bio, image_url, social_links }, actor = null) {
+  return audited(db, actor, 'update', 'composer', id, async () => {
+    const result = await db
+      .prepare('UPDATE composers SET name = ?, slug = ?, bio = ?, image_url = ?, social_links = ? WHERE id = ?')
+      .bind(name, slug, bio || null, image_url || null, social_links || null, id)
+      .run();
+    const songIds = await creditedSongIds(db, 'composer_id', id);
+    await syncSongSearchIndex(db, songIds);
+    await touchSongs(db, songIds);
+    return result.meta.changes > 0;
+  });
 }
 
-export async function deleteComposer(db, id) {
-  const result = await db.prepare('DELETE FROM composers WHERE id = ?').bind(id).run();
-  return result.meta.changes > 0;
+export async function deleteComposer(db, id, actor = null) {
+  return audited(db, actor, 'delete', 'composer', id, async () => {
+    const songIds = await creditedSongIds(db, 'composer_id', id);
+    const result = await db.prepare('DELETE FROM composers WHERE id = ?').bind(id).run();
+    await syncSongSearchIndex(db, songIds);
+    await touchSongs(db, songIds);
+    return result.meta.changes > 0;
+  });
 }
 
 // ─── Reports ──────────────────────────────────────────────────
@@ -313,17 +1060,21 @@ export async function getReports(db) {
     .then(r => r.results || []);
 }
 
-export async function updateReportStatus(db, id, status) {
-  const result = await db
-    .prepare('UPDATE reports SET status = ? WHERE id = ?')
-    .bind(status, id)
-    .run();
-  return result.meta.changes > 0;
+export async function updateReportStatus(db, id, status, actor = null) {
+  return audited(db, actor, 'update', 'report', id, async () => {
+    const result = await db
+      .prepare('UPDATE reports SET status = ? WHERE id = ?')
+      .bind(status, id)
+      .run();
+    return result.meta.changes > 0;
+  });
 }
 
-export async function deleteReport(db, id) {
-  const result = await db.prepare('DELETE FROM reports WHERE id = ?').bind(id).run();
-  return result.meta.changes > 0;
+export async function deleteReport(db, id, actor = null) {
+  return audited(db, actor, 'delete', 'report', id, async () => {
+    const result = await db.prepare('DELETE FROM reports WHERE id = ?').bind(id).run();
+    return result.meta.changes > 0;
+  });
 }
 
 // ─── Contact ──────────────────────────────────────────────────
@@ -360,32 +1111,509 @@ export async function getSongsByCopyrightOwner(db, ownerId) {
     )
     .bind(ownerId)
     .all()
-    .then((r) => r.results || []);
+    .then((r) => withCredits(db, r.results || []));
+}
+
+export async function createCopyrightOwner(db, { name, slug, full_legal_name, organization, territory, email, website, address, ipi_number, isrc_prefix, pro_affiliation, notes }, actor = null) {
+  return audited(db, actor, 'create', 'copyright_owner', null, async () => {
+    const result = await db
+      .prepare(
+        `INSERT INTO copyright_owners (name, slug, full_legal_name, organization, territory, email, website, address, ipi_number, isrc_prefix, pro_affiliation, notes)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      )
+      .bind(name, slug, full_legal_name || null, organization || null, territory || null, email || null, website || null, address || null, ipi_number || null, isrc_prefix || null, pro_affiliation || null, notes || null)
+      .run();
+    return { id: result.meta.last_row_id };
+  });
+}
+
+export async function updateCopyrightOwner(db, id, { name, slug, full_legal_name, organization, territory, email, website, address, ipi_number, isrc_prefix, pro_affiliation, notes }, actor = null) {
+  return audited(db, actor, 'update', 'copyright_owner', id, async () => {
+    const result = await db
+      .prepare(
+        `UPDATE copyright_owners SET name = ?, slug = ?, full_legal_name = ?, organization = ?, territory = ?, email = ?, website = ?, address = ?, ipi_number = ?, isrc_prefix = ?, pro_affiliation = ?, notes = ?
+         WHERE id = ?`
+      )
+      .bind(name, slug, full_legal_name || null, organization || null, territory || null, email || null, website || null, address || null, ipi_number || null, isrc_prefix || null, pro_affiliation || null, notes || null, id)
+      .run();
+    await touchCopyrightOwnerRecords(db, id);
+    return result.meta.changes > 0;
+  });
 }
 
-export async function createCopyrightOwner(db, { name, slug, full_legal_name, organization, territory, email, website, address, ipi_number, isrc_prefix, pro_affiliation, notes }) {
+export async function deleteCopyrightOwner(db, id, actor = null) {
+  return audited(db, actor, 'delete', 'copyright_owner', id, async () => {
+    await touchCopyrightOwnerRecords(db, id);
+    const result = await db.prepare('DELETE FROM copyright_owners WHERE id = ?').bind(id).run();
+    return result.meta.changes > 0;
+  });
+}
+
+// ─── Albums & Collections ─────────────────────────────────────
+// Albums, hymnals and other collections hold songs in order, each with the
+// track / hymn number printed in that collection.
+
+export const ALBUM_KINDS = ['album', 'hymnal', 'collection'];
+
+const ALBUM_COLS = `
+  al.*, co.name AS publisher_name, co.slug AS publisher_slug,
+  (SELECT COUNT(*) FROM album_songs x WHERE x.album_id = al.id) AS song_count`;
+
+const ALBUM_JOINS = `
+  FROM albums al
+  LEFT JOIN copyright_owners co ON al.publisher_id = co.id`;
+
+export async function getAlbums(db, kind = null) {
   const result = await db
+    .prepare(`SELECT ${ALBUM_COLS} ${ALBUM_JOINS} WHERE ?1 IS NULL OR al.kind = ?1 ORDER BY al.title ASC`)
+    .bind(kind)
+    .all();
+  return result.results || [];
+}
+
+export async function getAlbumBySlug(db, slug) {
+  return db.prepare(`SELECT ${ALBUM_COLS} ${ALBUM_JOINS} WHERE al.slug = ?`).bind(slug).first();
+}
+
+export async function getAlbumById(db, id) {
+  return db.prepare(`SELECT ${ALBUM_COLS} ${ALBUM_JOINS} WHERE al.id = ?`).bind(id).first();
+}
+
+export async function getAlbumByCode(db, code) {
+  return db.prepare(`SELECT ${ALBUM_COLS} ${ALBUM_JOINS} WHERE al.code = ? COLLATE NOCASE`).bind(code).first();
+}
+
+/** The album's songs in order, each with its position and number. */
+export async function getAlbumSongs(db, albumId) {
+  return db
     .prepare(
-      `INSERT INTO copyright_owners (name, slug, full_legal_name, organization, territory, email, website, address, ipi_number, isrc_prefix, pro_affiliation, notes)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      `SELECT ${SONG_LIST_COLS}, als.position, als.number
+       ${SONG_JOINS}
+       JOIN album_songs als ON als.song_id = s.id
+       WHERE als.album_id = ?
+       ORDER BY als.position, als.number`
     )
-    .bind(name, slug, full_legal_name || null, organization || null, territory || null, email || null, website || null, address || null, ipi_number || null, isrc_prefix || null, pro_affiliation || null, notes || null)
-    .run();
-  return { id: result.meta.last_row_id };
+    .bind(albumId)
+    .all()
+    .then((r) => withCredits(db, r.results || []));
+}
+
+/**
+ * Songs printed under hymn `number`, in the collection whose code or slug
+ * is `collection`, or in any hymnal when it is null (a bare "1" should not
+ * find every album's first track). Each row carries the album it was
+ * found in.
+ */
+export async function findHymns(db, number, collection = null, limit = 10) {
+  return db
+    .prepare(
+      `SELECT ${SONG_LIST_COLS}, als.number,
+              al.title AS album_title, al.slug AS album_slug, al.code AS album_code, al.kind AS album_kind
+       ${SONG_JOINS}
+       JOIN album_songs als ON als.song_id = s.id
+       JOIN albums al ON al.id = als.album_id
+       WHERE als.number = ?1
+         AND (CASE WHEN ?2 IS NULL THEN al.kind = 'hymnal'
+                   ELSE al.code = ?2 COLLATE NOCASE OR al.slug = ?2 END)
+       ORDER BY al.id
+       LIMIT ?3`
+    )
+    .bind(number, collection, limit)
+    .all()
+    .then((r) => withCredits(db, r.results || []));
 }
 
-export async function updateCopyrightOwner(db, id, { name, slug, full_legal_name, organization, territory, email, website, address, ipi_number, isrc_prefix, pro_affiliation, notes }) {
+/** The collections a song appears in, with its number in each. */
+export async function getSongAlbums(db, songId) {
   const result = await db
     .prepare(
-      `UPDATE copyright_owners SET name = ?, slug = ?, full_legal_name = ?, organization = ?, territory = ?, email = ?, website = ?, address = ?, ipi_number = ?, isrc_prefix = ?, pro_affiliation = ?, notes = ?
-       WHERE id = ?`
+      `SELECT al.title, al.slug, al.code, al.kind, als.number
+       FROM album_songs als
+       JOIN albums al ON al.id = als.album_id
+       WHERE als.song_id = ?
+       ORDER BY al.kind = 'hymnal' DESC, al.title`
+    )
+    .bind(songId)
+    .all();
+  return result.results || [];
+}
+
+/** Which of the given song ids exist. */
+export async function findSongIds(db, ids) {
+  const result = await db
+    .prepare('SELECT id FROM songs WHERE id IN (SELECT value FROM json_each(?))')
+    .bind(JSON.stringify(ids))
+    .all();
+  return new Set((result.results || []).map((r) => r.id));
+}
+
+const TOUCH_ALBUM_SONGS = `UPDATE songs SET updated_at = CURRENT_TIMESTAMP
+  WHERE id IN (SELECT song_id FROM album_songs WHERE album_id = ?)`;
+
+/**
+ * Replace an album's songs; `songs` is [{ song_id, number }] in order.
+ * Songs leaving and joining it are touched: their hymn number may change.
+ */
+async function replaceAlbumSongs(db, albumId, songs = []) {
+  const insert = db.prepare('INSERT INTO album_songs (album_id, song_id, position, number) VALUES (?, ?, ?, ?)');
+  await db.batch([
+    db.prepare(TOUCH_ALBUM_SONGS).bind(albumId),
+    db.prepare('DELETE FROM album_songs WHERE album_id = ?').bind(albumId),
+    ...songs.map((t, i) => insert.bind(albumId, t.song_id, i, t.number ?? null)),
+    db.prepare(TOUCH_ALBUM_SONGS).bind(albumId),
+  ]);
+}
+
+export async function createAlbum(db, { title, slug, code, kind, year, cover_url, publisher_id, description, songs }, actor = null) {
+  return audited(db, actor, 'create', 'album', null, async () => {
+    const result = await db
+      .prepare(
+        `INSERT INTO albums (title, slug, code, kind, year, cover_url, publisher_id, description)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+      )
+      .bind(title, slug, code || null, kind, year || null, cover_url || null, publisher_id || null, description || null)
+      .run();
+    await replaceAlbumSongs(db, result.meta.last_row_id, songs);
+    return { id: result.meta.last_row_id };
+  });
+}
+
+export async function updateAlbum(db, id, { title, slug, code, kind, year, cover_url, publisher_id, description, songs }, actor = null) {
+  return audited(db, actor, 'update', 'album', id, async () => {
+    const result = await db
+      .prepare(
+        `UPDATE albums SET title = ?, slug = ?, code = ?, kind = ?, year = ?, cover_url = ?, publisher_id = ?, description = ?
+         WHERE id = ?`
+      )
+      .bind(title, slug, code || null, kind, year || null, cover_url || null, publisher_id || null, description || null, id)
+      .run();
+    if (result.meta.changes > 0) await replaceAlbumSongs(db, id, songs);
+    return result.meta.changes > 0;
+  });
+}
+
+export async function deleteAlbum(db, id, actor = null) {
+  return audited(db, actor, 'delete', 'album', id, async () => {
+    await db.prepare(TOUCH_ALBUM_SONGS).bind(id).run();
+    const result = await db.prepare('DELETE FROM albums WHERE id = ?').bind(id).run();
+    return result.meta.changes > 0;
+  });
+}
+
+// ─── Setlists ─────────────────────────────────────────────────
+// Visitors' song lists for a service, not catalogue data, so writes are
+// not audited. Songs are addressed by slug from the browser.
+
+const SETLIST_COLS = `
+  sl.id, sl.code, sl.user_id, sl.title, sl.notes, sl.created_at, sl.updated_at,
+  (SELECT COUNT(*) FROM setlist_songs x WHERE x.setlist_id = sl.id) AS song_count`;
+
+/** A setlist by its share code, with token_hash for the caller to check. */
+export async function getSetlistByCode(db, code) {
+  return db.prepare(`SELECT ${SETLIST_COLS}, sl.token_hash FROM setlists sl WHERE sl.code = ?`).bind(code).first();
+}
+
+/** The setlist's songs in order, each with its key and notes. */
+export async function getSetlistSongs(db, setlistId) {
+  return db
+    .prepare(
+      `SELECT ${SONG_LIST_COLS}, sls.position, sls.song_key, sls.notes AS song_notes
+       ${SONG_JOINS}
+       JOIN setlist_songs sls ON sls.song_id = s.id
+       WHERE sls.setlist_id = ?
+       ORDER BY sls.position`
     )
-    .bind(name, slug, full_legal_name || null, organization || null, territory || null, email || null, website || null, address || null, ipi_number || null, isrc_prefix || null, pro_affiliation || null, notes || null, id)
+    .bind(setlistId)
+    .all()
+    .then((r) => withCredits(db, r.results || []));
+}
+
+/** A user's setlists, most recently changed first, songs included. */
+export async function getUserSetlists(db, userId) {
+  const result = await db
+    .prepare(`SELECT ${SETLIST_COLS} FROM setlists sl WHERE sl.user_id = ? ORDER BY sl.updated_at DESC`)
+    .bind(userId)
+    .all();
+  const setlists = result.results || [];
+  for (const setlist of setlists) setlist.songs = await getSetlistSongs(db, setlist.id);
+  return setlists;
+}
+
+/** Ids of the given song slugs, as a Map of slug → id (missing ones left out). */
+export async function findSongIdsBySlug(db, slugs) {
+  const result = await db
+    .prepare('SELECT id, slug FROM songs WHERE slug IN (SELECT value FROM json_each(?))')
+    .bind(JSON.stringify(slugs))
+    .all();
+  return new Map((result.results || []).map((r) => [r.slug, r.id]));
+}
+
+/** Replace a setlist's songs; `songs` is [{ song_id, key, notes }] in order. */
+async function replaceSetlistSongs(db, setlistId, songs = []) {
+  const insert = db.prepare('INSERT INTO setlist_songs (setlist_id, song_id, position, song_key, notes) VALUES (?, ?, ?, ?, ?)');
+  await db.batch([
+    db.prepare('DELETE FROM setlist_songs WHERE setlist_id = ?').bind(setlistId),
+    ...songs.map((t, i) => insert.bind(setlistId, t.song_id, i, t.key || null, t.notes || null)),
+  ]);
+}
+
+export async function createSetlist(db, { code, user_id, token_hash, title, notes, songs }) {
+  const result = await db
+    .prepare('INSERT INTO setlists (code, user_id, token_hash, title, notes) VALUES (?, ?, ?, ?, ?)')
+    .bind(code, user_id || null, token_hash || null, title, notes || null)
+    .run();
+  await replaceSetlistSongs(db, result.meta.last_row_id, songs);
+  return { id: result.meta.last_row_id };
+}
+
+export async function updateSetlist(db, id, { title, notes, songs }) {
+  const result = await db
+    .prepare('UPDATE setlists SET title = ?, notes = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+    .bind(title, notes || null, id)
     .run();
+  if (result.meta.changes > 0) await replaceSetlistSongs(db, id, songs);
   return result.meta.changes > 0;
 }
 
-export async function deleteCopyrightOwner(db, id) {
-  const result = await db.prepare('DELETE FROM copyright_owners WHERE id = ?').bind(id).run();
+export async function deleteSetlist(db, id) {
+  const result = await db.prepare('DELETE FROM setlists WHERE id = ?').bind(id).run();
   return result.meta.changes > 0;
 }
+
+// ─── Admin Users & Sessions ───────────────────────────────────
+
+export async function getUserByUsername(db, username) {
+  return db.prepare('SELECT * FROM users WHERE username = ?').bind(username).first();
+}
+
+export async function touchUserLogin(db, id) {
+  await db.prepare("UPDATE users SET last_login_at = datetime('now') WHERE id = ?").bind(id).run();
+}
+
+export async function createSession(db, { token_hash, user_id, user_agent, ttl_hours }) {
+  await db
+    .prepare(
+      `INSERT INTO sessions (token_hash, user_id, user_agent, expires_at)
+       VALUES (?, ?, ?, datetime('now', ?))`
+    )
+    .bind(token_hash, user_id, user_agent || null, `+${ttl_hours} hours`)
+    .run();
+}
+
+/** Resolve a session token hash to its user, ignoring expired sessions. */
+export async function getSessionUser(db, tokenHash) {
+  return db
+    .prepare(
+      `SELECT u.id, u.username, u.display_name, u.role, se.expires_at
+       FROM sessions se
+       JOIN users u ON se.user_id = u.id
+       WHERE se.token_hash = ? AND se.expires_at > datetime('now')`
+    )
+    .bind(tokenHash)
+    .first();
+}
+
+export async function deleteSession(db, tokenHash) {
+  await db.prepare('DELETE FROM sessions WHERE token_hash = ?').bind(tokenHash).run();
+}
+
+export async function deleteExpiredSessions(db) {
+  await db.prepare("DELETE FROM sessions WHERE expires_at <= datetime('now')").run();
+}
+
+export async function deleteUserSessions(db, userId) {
+  await db.prepare('DELETE FROM sessions WHERE user_id = ?').bind(userId).run();
+}
+
+// ─── Failed logins ────────────────────────────────────────────
+// Counted in D1 rather than in memory, so every isolate sees them.
+
+const LOGIN_WINDOW = '-15 minutes';
+
+/** Failures from an IP in its current window (0 once the window has passed). */
+export async function getLoginFailures(db, ip) {
+  const row = await db
+    .prepare(`SELECT count FROM login_failures WHERE ip = ? AND first_at > datetime('now', '${LOGIN_WINDOW}')`)
+    .bind(ip)
+    .first();
+  return row?.count || 0;
+}
+
+/** Count a failure, starting a new window when the last one has passed. */
+export async function recordLoginFailure(db, ip) {
+  await db.batch([
+    db.prepare(`DELETE FROM login_failures WHERE first_at <= datetime('now', '${LOGIN_WINDOW}')`),
+    db.prepare(
+      `INSERT INTO login_failures (ip) VALUES (?)
+       ON CONFLICT (ip) DO UPDATE SET count = count + 1`
+    ).bind(ip),
+  ]);
+}
+
+// ─── Admin User Management ────────────────────────────────────
+
+const USER_PUBLIC_COLS = 'id, username, display_name, role, last_login_at, created_at';
+
+export async function getUsers(db) {
+  const result = await db
+    .prepare(`SELECT ${USER_PUBLIC_COLS} FROM users ORDER BY username ASC`)
+    .all();
+  return result.results || [];
+}
+
+export async function getUserById(db, id) {
+  return db.prepare(`SELECT ${USER_PUBLIC_COLS} FROM users WHERE id = ?`).bind(id).first();
+}
+
+export async function countOwners(db) {
+  const row = await db.prepare("SELECT COUNT(*) AS total FROM users WHERE role = 'owner'").first();
+  return row?.total || 0;
+}
+
+export async function createUser(db, { username, password_hash, display_name, role }, actor = null) {
+  return audited(db, actor, 'create', 'user', null, async () => {
+    const result = await db
+      .prepare('INSERT INTO users (username, password_hash, display_name, role) VALUES (?, ?, ?, ?)')
+      .bind(username, password_hash, display_name || null, role)
+      .run();
+    return { id: result.meta.last_row_id };
+  });
+}
+
+export async function updateUser(db, id, { display_name, role, password_hash }, actor = null) {
+  return audited(db, actor, 'update', 'user', id, async () => {
+    const result = password_hash
+      ? await db
+        .prepare('UPDATE users SET display_name = ?, role = ?, password_hash = ? WHERE id = ?')
+        .bind(display_name || null, role, password_hash, id)
+        .run()
+      : await db
+        .prepare('UPDATE users SET display_name = ?, role = ? WHERE id = ?')
+        .bind(display_name || null, role, id)
+        .run();
+    return result.meta.changes > 0;
+  });
+}
+
+export async function deleteUser(db, id, actor = null) {
+  return audited(db, actor, 'delete', 'user', id, async () => {
+    const result = await db.prepare('DELETE FROM users WHERE id = ?').bind(id).run();
+    return result.meta.changes > 0;
+  });
+}
+
+// ─── Audit Log ────────────────────────────────────────────────
+
+const AUDIT_TABLES = {
+  song: 'songs',
+  artist: 'artists',
+  composer: 'composers',
+  copyright_owner: 'copyright_owners',
+  album: 'albums',
+  report: 'reports',
+  user: 'users',
+};
+
+/** Current row as stored, minus anything that must never reach the log. */
+async function auditSnapshot(db, entityType, id) {
+  const row = await db.prepare(`SELECT * FROM ${AUDIT_TABLES[entityType]} WHERE id = ?`).bind(id).first();
+  if (!row) return null;
+  delete row.password_hash;
+  // Bookkeeping that changes on every save; the log row has its own time
+  delete row.updated_at;
+  // Credits live in song_credits; logged as one readable line, and each
+  // translation (and the timed lyrics, and the recordings) as a field of its own
+  if (entityType === 'song') {
+    const credits = (await getCreditsFor(db, [id])).get(id);
+    row.credits = credits.map((c) => `${c.name} (${c.role})`).join(', ') || null;
+    for (const t of await getSongTranslations(db, id)) {
+      row[`translation_${t.language}`] = t.title ? `${t.title}\n\n${t.lyrics}` : t.lyrics;
+    }
+    const timing = await getSongTiming(db, id);
+    if (timing) row.lrc = timing.media_url ? `${timing.media_url}\n\n${timing.lrc}` : timing.lrc;
+    const media = await getSongMedia(db, id);
+    row.media = media.map((m) => `${m.title || m.url || m.media_key} (${m.type}${m.is_primary ? ', primary' : ''})`).join(', ') || null;
+  }
+  // Likewise an album's track list
+  if (entityType === 'album') {
+    const tracks = await db
+      .prepare(
+        `SELECT als.number, s.title FROM album_songs als JOIN songs s ON s.id = als.song_id
+         WHERE als.album_id = ? ORDER BY als.position`
+      )
+      .bind(id)
+      .all();
+    row.songs = (tracks.results || []).map((t) => (t.number != null ? `${t.number}. ${t.title}` : t.title)).join(', ') || null;
+  }
+  return row;
+}
+
+/**
+ * Run an admin write and log it with before/after snapshots.
+ * `write` resolves to { id } for creates and to a changed-flag otherwise;
+ * nothing is logged when an update or delete matched no row. Catalogue
+ * rows also get their updated_at, or a tombstone, for the change feed.
+ */
+async function audited(db, actor, action, entityType, id, write) {
+  const before = action === 'create' ? null : await auditSnapshot(db, entityType, id);
+  const result = await write();
+  if (action !== 'create' && !result) return result;
+
+  const entityId = action === 'create' ? result.id : id;
+  if (CHANGE_TYPES.includes(entityType)) {
+    await (action === 'delete'
+      ? db.prepare('INSERT INTO tombstones (entity_type, entity_id, slug) VALUES (?, ?, ?)').bind(entityType, entityId, before?.slug || null)
+      : db.prepare(`UPDATE ${AUDIT_TABLES[entityType]} SET updated_at = CURRENT_TIMESTAMP WHERE id = ?`).bind(entityId)
+    ).run();
+  }
+  const after = action === 'delete' ? null : await auditSnapshot(db, entityType, entityId);
+  await db
+    .prepare(
+      `INSERT INTO audit_log (user_id, username, action, entity_type, entity_id, before_json, after_json)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`
+    )
+    .bind(
+      actor?.id || null,
+      actor?.username || null,
+      action,
+      entityType,
+      entityId,
+      before ? JSON.stringify(before) : null,
+      after ? JSON.stringify(after) : null
+    )
+    .run();
+  return result;
+}
+
+/**
+ * Paginated audit log, newest first.
+ * Filters: user_id, entity_type, entity_id, from / to (YYYY-MM-DD, inclusive).
+ */
+export async function getAuditLog(db, { user_id, entity_type, entity_id, from, to, page = 1, limit = 50 } = {}) {
+  const where = [];
+  const binds = [];
+  if (user_id) { where.push('user_id = ?'); binds.push(user_id); }
+  if (entity_type) { where.push('entity_type = ?'); binds.push(entity_type); }
+  if (entity_id) { where.push('entity_id = ?'); binds.push(entity_id); }
+  if (from) { where.push('created_at >= ?'); binds.push(from); }
+  if (to) { where.push("created_at < date(?, '+1 day')"); binds.push(to); }
+  const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  const offset = (page - 1) * limit;
+
+  const [countResult, entriesResult] = await Promise.all([
+    db.prepare(`SELECT COUNT(*) AS total FROM audit_log ${whereSql}`).bind(...binds).first(),
+    db
+      .prepare(`SELECT * FROM audit_log ${whereSql} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`)
+      .bind(...binds, limit, offset)
+      .all(),
+  ]);
+
+  const total = countResult?.total || 0;
+  return {
+    entries: entriesResult.results || [],
+    total,
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit),
+  };
+}
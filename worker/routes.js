@@ -7,6 +7,18 @@ import {
   getSongBySlug,
   getSongBySlugRaw,
   searchSongs,
+  SEARCH_SORTS,
+  getSuggestions,
+  getSuggestionIndex,
+  getCatalogueState,
+  getCatalogueSongs,
+  getCatalogueSlugs,
+  CHANGE_TYPES,
+  getChanges,
+  getChangesHead,
+  getChangedRecords,
+  changeKey,
+  compareChangeKeys,
   incrementViews,
   getCategories,
   getPopularSongs,
@@ -14,6 +26,13 @@ import {
   createSong,
   updateSong,
   deleteSong,
+  getSongRevisions,
+  getSongRevision,
+  CREDIT_ROLES,
+  getSongTranslations,
+  getSongTiming,
+  getSongMedia,
+  MEDIA_TYPES,
   // Artists
   getArtists,
   getArtistBySlug,
@@ -38,6 +57,27 @@ import {
   createCopyrightOwner,
   updateCopyrightOwner,
   deleteCopyrightOwner,
+  // Albums
+  ALBUM_KINDS,
+  getAlbums,
+  getAlbumBySlug,
+  getAlbumById,
+  getAlbumByCode,
+  getAlbumSongs,
+  findHymns,
+  getSongAlbums,
+  findSongIds,
+  createAlbum,
+  updateAlbum,
+  deleteAlbum,
+  // Setlists
+  getSetlistByCode,
+  getSetlistSongs,
+  getUserSetlists,
+  findSongIdsBySlug,
+  createSetlist,
+  updateSetlist,
+  deleteSetlist,
   // Reports
   createReport,
   getReports,
@@ -45,7 +85,44 @@ import {
   deleteReport,
   // Contact
   createContact,
+  // Auth
+  getUserByUsername,
+  getLoginFailures,
+  recordLoginFailure,
+  touchUserLogin,
+  createSession,
+  getSessionUser,
+  deleteSession,
+  deleteExpiredSessions,
+  deleteUserSessions,
+  // Users
+  getUsers,
+  getUserById,
+  countOwners,
+  createUser,
+  updateUser,
+  deleteUser,
+  // Audit
+  getAuditLog,
+  // Search
+  rebuildSearchIndex,
 } from './db.js';
+import {
+  SESSION_TTL_HOURS,
+  hashPassword,
+  verifyPassword,
+  generateSessionToken,
+  hashSessionToken,
+  getSessionToken,
+  sessionCookie,
+  clearSessionCookie,
+  isCrossSite,
+  ROLES,
+  can,
+  permissionsFor,
+} from './auth.js';
+import Normalize from '../public/normalize.js';
+import Lyrics from '../public/lyrics.js';
 
 // ─── Helpers ──────────────────────────────────────────────────
 
@@ -64,11 +141,232 @@ function json(data, status = 200, extraHeaders = {}) {
 function notFound(message = 'Not found') { return json({ error: message }, 404); }
 function badRequest(message = 'Bad request') { return json({ error: message }, 400); }
 function tooManyRequests(message = 'Too many requests') { return json({ error: message }, 429); }
+function forbidden(message = 'You do not have permission to do that') { return json({ error: message }, 403); }
 
 function sanitizeQuery(q) {
   return (q || '').trim().replace(/[<>"';]/g, '').substring(0, 100);
 }
 
+/** A whole-number query parameter within [min, max]; missing or junk values get `fallback`. */
+function intParam(value, fallback, min = 1, max = Infinity) {
+  const n = Number.parseInt(value, 10);
+  return Math.min(max, Math.max(min, Number.isFinite(n) ? n : fallback));
+}
+
+/** Search input keeps quotes for "phrase" queries; FTS syntax is neutralised in db.js. */
+function sanitizeSearchQuery(q) {
+  return (q || '').replace(/[<>;]/g, '').substring(0, 100);
+}
+
+/**
+ * A hymn number query: "245", "#245", "No. 245", "Hymn 245", or a
+ * collection code and number ("MH 245", "mh245").
+ * Returns { number, code } with code null for a bare number, or null.
+ */
+function parseHymnQuery(q) {
+  const bare = /^(?:(?:hymn|no\.?)\s*)?#?\s*(\d{1,4})$/i.exec(q);
+  if (bare) return { number: parseInt(bare[1], 10), code: null };
+  const coded = /^([a-z]{1,8})[\s.-]*#?\s*(\d{1,4})$/i.exec(q);
+  if (coded) return { number: parseInt(coded[2], 10), code: coded[1] };
+  return null;
+}
+
+/** Songs matching a hymn number query, or [] when `q` is not one. */
+async function lookupHymns(db, q, limit) {
+  const hymn = parseHymnQuery(q);
+  if (!hymn || hymn.number < 1) return [];
+  return findHymns(db, hymn.number, hymn.code, limit);
+}
+
+/** Lyric languages, as the locale codes used by the front-end. */
+const SONG_LANGUAGES = ['mrh', 'my', 'en'];
+
+/** Search pages are addressed by an opaque cursor wrapping the offset. */
+function encodeCursor(offset) {
+  return btoa(`o:${offset}`).replace(/=+$/, '');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const match = atob(cursor).match(/^o:(\d+)$/);
+    return match ? parseInt(match[1], 10) : null;
+  } catch {
+    return null;
+  }
+}
+
+// ─── Song credits ────────────────────────────────────────────
+
+/**
+ * Read a song's credits from a request body: `credits` is
+ * [{ artist_id | composer_id, role }] in display order. Bodies from older
+ * clients with a single artist_id / composer_id become a performer and a
+ * composer credit. Returns { credits } or { error }.
+ */
+async function parseCredits(db, body) {
+  const raw = Array.isArray(body.credits)
+    ? body.credits
+    : [
+        body.artist_id && { artist_id: body.artist_id, role: 'performer' },
+        body.composer_id && { composer_id: body.composer_id, role: 'composer' },
+      ].filter(Boolean);
+
+  const credits = [];
+  const seen = new Set();
+  for (const c of raw) {
+    const artistId = c?.artist_id ? parseInt(c.artist_id, 10) : null;
+    const composerId = c?.composer_id ? parseInt(c.composer_id, 10) : null;
+    if (!artistId === !composerId) return { error: 'Each credit needs exactly one of artist_id or composer_id' };
+    if (!CREDIT_ROLES.includes(c.role)) return { error: `Credit role must be one of: ${CREDIT_ROLES.join(', ')}` };
+    const key = `${artistId ? 'a' + artistId : 'c' + composerId}:${c.role}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    credits.push({ artist_id: artistId, composer_id: composerId, role: c.role });
+  }
+
+  const found = await existingCredits(db, credits);
+  if (found.length !== credits.length) return { error: 'A credited artist or composer does not exist' };
+  return { credits };
+}
+
+/** The credits whose artist or composer still exists. */
+async function existingCredits(db, credits) {
+  const people = await Promise.all(credits.map((c) => (
+    c.artist_id ? getArtistById(db, c.artist_id) : getComposerById(db, c.composer_id)
+  )));
+  return credits.filter((_, i) => people[i]);
+}
+
+// ─── Song translations ───────────────────────────────────────
+
+/**
+ * Read `translations` ([{ language, title?, lyrics }]) from a request body.
+ * Entries with blank lyrics are dropped, which removes that translation.
+ * Returns { translations } (undefined when the body has none, so saves
+ * from older clients keep what is stored) or { error }.
+ */
+function parseTranslations(body, language) {
+  if (body.translations == null) return { translations: undefined };
+  if (!Array.isArray(body.translations)) return { error: 'translations must be an array' };
+  const translations = [];
+  for (const t of body.translations) {
+    if (!SONG_LANGUAGES.includes(t?.language)) {
+      return { error: `Translation language must be one of: ${SONG_LANGUAGES.join(', ')}` };
+    }
+    if (!t.lyrics?.trim()) continue;
+    if (t.language === language) return { error: 'The lyrics are already in this language; translate into another one' };
+    if (translations.some((x) => x.language === t.language)) return { error: 'Only one translation per language' };
+    translations.push({ language: t.language, title: t.title?.trim() || null, lyrics: t.lyrics.trim() });
+  }
+  return { translations };
+}
+
+/**
+ * Read timed lyrics (`lrc`, `lrc_media_url`) from a request body.
+ * Returns { timing } — undefined when the body has no `lrc` (stored
+ * timings are kept), null when it is blank (they are removed) — or { error }.
+ */
+function parseTiming(body) {
+  if (body.lrc === undefined) return { timing: undefined };
+  if (body.lrc !== null && typeof body.lrc !== 'string') return { error: 'lrc must be text' };
+  const lrc = body.lrc?.trim();
+  if (!lrc) return { timing: null };
+  if (!Lyrics.parseLrc(lrc).lines.length) return { error: 'The LRC has no timed lines ([mm:ss.xx] at the start of a line)' };
+  const mediaUrl = body.lrc_media_url?.trim() || null;
+  if (mediaUrl && !/^https?:\/\/\S+$/i.test(mediaUrl)) return { error: 'The recording must be an http(s) link to an audio or video file' };
+  return { timing: { lrc, media_url: mediaUrl } };
+}
+
+// ─── Recordings ───────────────────────────────────────────────
+// Third-party players are embedded from their privacy-friendlier hosts and
+// only once the listener asks (the page loads embed_url on click).
+
+const MEDIA_MAX_BYTES = 25 * 1024 * 1024;
+const MEDIA_MAX_PER_SONG = 10;
+const MEDIA_KEY = /^songs\/[0-9a-f-]{36}\.[a-z0-9]{2,4}$/;
+const AUDIO_EXTENSIONS = {
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/x-m4a': 'm4a',
+  'audio/aac': 'aac',
+  'audio/ogg': 'ogg',
+  'audio/webm': 'webm',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/flac': 'flac',
+};
+
+/** Player URL for a YouTube / Vimeo / SoundCloud link, or null if the link is not one. */
+function mediaEmbedUrl(type, link) {
+  let url;
+  try { url = new URL(link); } catch { return null; }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+  const host = url.hostname.replace(/^(www|m|music)\./, '');
+  if (type === 'youtube') {
+    const id = host === 'youtu.be'
+      ? url.pathname.slice(1)
+      : host === 'youtube.com' || host === 'youtube-nocookie.com'
+        ? url.searchParams.get('v') || url.pathname.match(/^\/(?:embed|shorts|live)\/([^/]+)/)?.[1]
+        : null;
+    return /^[\w-]{11}$/.test(id || '') ? `https://www.youtube-nocookie.com/embed/${id}?autoplay=1&rel=0` : null;
+  }
+  if (type === 'vimeo') {
+    const id = ['vimeo.com', 'player.vimeo.com'].includes(host) && url.pathname.match(/(?:^|\/)(\d{5,})(?:\/|$)/)?.[1];
+    return id ? `https://player.vimeo.com/video/${id}?dnt=1&autoplay=1` : null;
+  }
+  if (type === 'soundcloud') {
+    if (host !== 'soundcloud.com' || url.pathname.split('/').filter(Boolean).length < 2) return null;
+    return `https://w.soundcloud.com/player/?url=${encodeURIComponent(`https://soundcloud.com${url.pathname}`)}&auto_play=true&visual=false&show_comments=false`;
+  }
+  return null;
+}
+
+/** A recording as the song page sees it: uploads by their /api/media/ URL. */
+function publicMedia(m) {
+  return {
+    id: m.id,
+    type: m.type,
+    title: m.title,
+    url: m.type === 'audio' ? `/api/media/${m.media_key}` : m.url,
+    embed_url: m.type === 'audio' ? null : mediaEmbedUrl(m.type, m.url),
+    content_type: m.content_type,
+    is_primary: !!m.is_primary,
+  };
+}
+
+/**
+ * Read `media` ([{ type, title?, url | media_key, is_primary? }]) from a
+ * request body. Uploaded files must be in the bucket; their type and size
+ * are taken from it. The first recording is primary unless another is.
+ * Returns { media } (undefined when the body has none) or { error }.
+ */
+async function parseMedia(body, bucket) {
+  if (body.media == null) return { media: undefined };
+  if (!Array.isArray(body.media)) return { error: 'media must be an array' };
+  if (body.media.length > MEDIA_MAX_PER_SONG) return { error: `A song can have up to ${MEDIA_MAX_PER_SONG} recordings` };
+  const media = [];
+  for (const m of body.media) {
+    if (!MEDIA_TYPES.includes(m?.type)) return { error: `Recording type must be one of: ${MEDIA_TYPES.join(', ')}` };
+    const item = { type: m.type, title: m.title?.trim().slice(0, 200) || null, is_primary: !!m.is_primary };
+    if (m.type === 'audio') {
+      if (!MEDIA_KEY.test(m.media_key || '')) return { error: 'Upload the audio file before saving' };
+      const object = bucket ? await bucket.head(m.media_key) : null;
+      if (!object) return { error: 'An uploaded audio file was not found; upload it again' };
+      item.media_key = m.media_key;
+      item.content_type = object.httpMetadata?.contentType || null;
+      item.size = object.size;
+    } else {
+      const url = m.url?.trim();
+      if (!url || !mediaEmbedUrl(m.type, url)) return { error: `Not a ${m.type} link: ${url || '(empty)'}` };
+      item.url = url;
+    }
+    media.push(item);
+  }
+  if (media.filter((m) => m.is_primary).length > 1) return { error: 'Only one recording can be primary' };
+  if (media.length && !media.some((m) => m.is_primary)) media[0].is_primary = true;
+  return { media };
+}
+
 function generateSlug(text) {
   return text
     .toLowerCase().trim()
@@ -94,12 +392,15 @@ function isRateLimited(slug, ip) {
   return false;
 }
 
+// ─── Login rate limiter (failed attempts per IP, kept in D1) ──
+const LOGIN_MAX_FAILURES = 10;
+
 // ─── Song Route Handlers ─────────────────────────────────────
 
 export async function handleGetSongs(request, db) {
   const url = new URL(request.url);
-  const page = Math.max(1, parseInt(url.searchParams.get('page') || '1', 10));
-  const limit = Math.min(50, Math.max(1, parseInt(url.searchParams.get('limit') || '20', 10)));
+  const page = intParam(url.searchParams.get('page'), 1);
+  const limit = intParam(url.searchParams.get('limit'), 20, 1, 50);
   const category = sanitizeQuery(url.searchParams.get('category')) || null;
   const data = await getSongs(db, page, limit, category);
   return json(data);
@@ -109,15 +410,238 @@ export async function handleGetSong(slug, db) {
   if (!slug) return badRequest('Slug is required');
   const song = await getSongBySlug(db, slug);
   if (!song) return notFound('Song not found');
+  const [albums, translations, timing, media] = await Promise.all([
+    getSongAlbums(db, song.id),
+    getSongTranslations(db, song.id),
+    getSongTiming(db, song.id),
+    getSongMedia(db, song.id),
+  ]);
+  song.albums = albums;
+  song.sections = Lyrics.parse(song.lyrics);
+  song.translations = translations;
+  // Every language the lyrics can be read in, the original first
+  song.languages = [song.language, ...translations.map((t) => t.language)].filter(Boolean);
+  song.media = media.map(publicMedia);
+  // Timed lyrics without their own recording follow an uploaded primary one
+  const primaryAudio = song.media.find((m) => m.is_primary && m.type === 'audio');
+  song.timing = timing
+    ? { media_url: timing.media_url || primaryAudio?.url || null, lines: Lyrics.parseLrc(timing.lrc).lines }
+    : null;
   return json(song, 200, { 'Cache-Control': 'public, max-age=300' });
 }
 
+/** GET /api/hymn/:collection/:number — collection is an album code or slug. */
+export async function handleGetHymn(collection, number, db) {
+  const n = parseInt(number, 10);
+  if (!collection || !/^\d{1,4}$/.test(number || '') || n < 1) return badRequest('A collection and hymn number are required');
+  const [song] = await findHymns(db, n, collection, 1);
+  if (!song) return notFound('Hymn not found');
+  const { album_title, album_slug, album_code, album_kind, ...rest } = song;
+  return json({
+    number: n,
+    album: { title: album_title, slug: album_slug, code: album_code, kind: album_kind },
+    song: rest,
+  }, 200, { 'Cache-Control': 'public, max-age=300' });
+}
+
 export async function handleSearch(request, db) {
   const url = new URL(request.url);
-  const q = sanitizeQuery(url.searchParams.get('q'));
+  const params = url.searchParams;
+  const raw = sanitizeSearchQuery(params.get('q'));
+  const q = raw.trim();
   if (!q || q.length < 1) return badRequest('Search query too short');
-  const { results, suggestions } = await searchSongs(db, q);
-  return json({ query: q, results, count: results.length, suggestions });
+
+  const filters = {};
+  for (const name of ['category', 'artist', 'composer', 'copyright_owner', 'language']) {
+    const value = sanitizeQuery(params.get(name));
+    if (value) filters[name] = value;
+  }
+  if (filters.language && !SONG_LANGUAGES.includes(filters.language)) {
+    return badRequest(`language must be one of: ${SONG_LANGUAGES.join(', ')}`);
+  }
+  const sort = params.get('sort') || 'relevance';
+  if (!(sort in SEARCH_SORTS)) return badRequest(`sort must be one of: ${Object.keys(SEARCH_SORTS).join(', ')}`);
+
+  const limit = intParam(params.get('limit'), 20, 1, 50);
+  let offset;
+  if (params.get('cursor')) {
+    offset = decodeCursor(params.get('cursor'));
+    if (offset === null) return badRequest('Invalid cursor');
+  } else {
+    offset = (intParam(params.get('page'), 1) - 1) * limit;
+  }
+
+  // Normalized like the index; kept untrimmed so searchSongs knows whether
+  // the last word is finished
+  const [{ results, total, facets, suggestions }, hymns] = await Promise.all([
+    searchSongs(db, Normalize.forSearch(raw), { filters, sort, offset, limit }),
+    // Hymn number matches lead the first page only
+    offset === 0 ? lookupHymns(db, q) : [],
+  ]);
+  return json({
+    query: q,
+    hymns,
+    results,
+    count: results.length,
+    total,
+    page: Math.floor(offset / limit) + 1,
+    totalPages: Math.ceil(total / limit),
+    next_cursor: offset + limit < total ? encodeCursor(offset + limit) : null,
+    sort,
+    filters,
+    facets,
+    suggestions,
+  });
+}
+
+export async function handleSuggest(request, db) {
+  const url = new URL(request.url);
+  const q = sanitizeSearchQuery(url.searchParams.get('q')).trim();
+  const limit = intParam(url.searchParams.get('limit'), 5, 1, 10);
+  if (!q) return json({ query: '', suggestions: [] });
+  const [hymns, suggestions] = await Promise.all([
+    lookupHymns(db, q, limit),
+    getSuggestions(db, Normalize.forSearch(q), limit),
+  ]);
+  return json({
+    query: q,
+    suggestions: [
+      ...hymns.map((s) => ({
+        type: 'song', label: s.title, slug: s.slug, artist: s.artist_name,
+        hymn: `${s.album_code || s.album_title} ${s.number}`,
+      })),
+      ...suggestions,
+    ],
+  });
+}
+
+export async function handleSuggestIndex(db) {
+  const items = await getSuggestionIndex(db);
+  return json({ items }, 200, { 'Cache-Control': 'public, max-age=3600' });
+}
+
+// ─── Offline catalogue ───────────────────────────────────────
+// The version is "<latest change time as digits>.<song count>",
+// e.g. "20261018093000.412"; it is also the ETag.
+
+function catalogueVersion(state) {
+  return `${String(state?.updated_at || '').replace(/\D/g, '')}.${state?.count || 0}`;
+}
+
+/** The songs.updated_at a version was made from, or null for a malformed one. */
+function catalogueSince(version) {
+  const m = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})\.\d+$/.exec(version || '');
+  return m ? `${m[1]}-${m[2]}-${m[3]} ${m[4]}:${m[5]}:${m[6]}` : null;
+}
+
+/**
+ * GET /api/catalogue[?since=<version>] — every song for offline use, or
+ * with `since` only the songs changed after that version plus every slug
+ * (to drop deleted songs). The body is gzipped JSON sent as a file, so
+ * Content-Length lets the browser show progress; an unchanged version is
+ * answered 304.
+ */
+export async function handleGetCatalogue(request, db) {
+  const url = new URL(request.url);
+  const version = catalogueVersion(await getCatalogueState(db));
+  const since = url.searchParams.get('since');
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Expose-Headers': 'ETag',
+    'Cache-Control': 'public, max-age=300',
+    'ETag': `"${version}"`,
+  };
+  if (since === version || request.headers.get('If-None-Match') === `"${version}"`) {
+    return new Response(null, { status: 304, headers });
+  }
+
+  const sinceTime = since ? catalogueSince(since) : null;
+  if (since && !sinceTime) return badRequest('Unknown catalogue version');
+  const [songs, slugs] = await Promise.all([
+    getCatalogueSongs(db, { since: sinceTime }),
+    sinceTime ? getCatalogueSlugs(db) : null,
+  ]);
+  const data = sinceTime ? { version, since, songs, slugs } : { version, songs };
+  const gzipped = await new Response(
+    new Response(JSON.stringify(data)).body.pipeThrough(new CompressionStream('gzip'))
+  ).arrayBuffer();
+  return new Response(gzipped, {
+    headers: {
+      ...headers,
+      'Content-Type': 'application/gzip',
+      'Content-Length': String(gzipped.byteLength),
+    },
+  });
+}
+
+// ─── Change feed ─────────────────────────────────────────────
+// Cursors wrap the sort key of the last change seen:
+// [changed_at, deleted, type, id] (see getChanges).
+
+const CHANGES_LIMIT = 100;
+const CHANGES_MAX_LIMIT = 200;
+
+function encodeChangeCursor(key) {
+  return btoa(JSON.stringify(key)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeChangeCursor(cursor) {
+  try {
+    const key = JSON.parse(atob(cursor.replace(/-/g, '+').replace(/_/g, '/')));
+    const valid = Array.isArray(key) && key.length === 4
+      && typeof key[0] === 'string' && [0, 1].includes(key[1])
+      && typeof key[2] === 'string' && Number.isInteger(key[3]);
+    return valid ? key : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * GET /api/changes?since=<cursor>&limit= — songs, artists, composers,
+ * copyright owners and albums created, updated or deleted after the
+ * cursor, oldest first, each with its current record (none once deleted).
+ * Follow `cursor` while `more` is true. Without `since` there are no
+ * changes, only the cursor to start from.
+ */
+export async function handleGetChanges(request, db) {
+  const url = new URL(request.url);
+  const since = url.searchParams.get('since');
+  const limit = intParam(url.searchParams.get('limit'), CHANGES_LIMIT, 1, CHANGES_MAX_LIMIT);
+  const noStore = { 'Cache-Control': 'no-store' };
+  if (!since) {
+    return json({ changes: [], cursor: encodeChangeCursor(await getChangesHead(db)), more: false }, 200, noStore);
+  }
+  const after = decodeChangeCursor(since);
+  if (!after) return badRequest('Invalid cursor');
+
+  const rows = await getChanges(db, after, limit + 1);
+  const page = rows.slice(0, limit);
+  const records = new Map(await Promise.all(CHANGE_TYPES.map(async (type) => [
+    type,
+    await getChangedRecords(db, type, page.filter((r) => r.type === type && !r.deleted).map((r) => r.id)),
+  ])));
+
+  const changes = page.map((row) => {
+    const record = row.deleted ? null : records.get(row.type)?.get(row.id) || null;
+    // Created after the cursor, rather than only changed
+    const created = !row.deleted && row.created_at
+      && compareChangeKeys(changeKey({ ...row, changed_at: row.created_at }), after) > 0;
+    return {
+      type: row.type,
+      action: row.deleted ? 'deleted' : created ? 'created' : 'updated',
+      id: row.id,
+      slug: row.slug,
+      changed_at: row.changed_at,
+      record,
+    };
+  });
+  const last = page.at(-1);
+  return json({
+    changes,
+    cursor: last ? encodeChangeCursor(changeKey(last)) : since,
+    more: rows.length > limit,
+  }, 200, noStore);
 }
 
 export async function handleViewIncrement(slug, request, db) {
@@ -136,7 +660,7 @@ export async function handleGetCategories(db) {
 
 export async function handleGetPopular(request, db) {
   const url = new URL(request.url);
-  const limit = Math.min(30, Math.max(1, parseInt(url.searchParams.get('limit') || '10', 10)));
+  const limit = intParam(url.searchParams.get('limit'), 10, 1, 30);
   const songs = await getPopularSongs(db, limit);
   return json({ songs });
 }
@@ -171,22 +695,47 @@ export async function handleGetComposersList(db) {
 
 // ─── Admin Song CRUD ─────────────────────────────────────────
 
-export async function handleAdminGetSong(id, db) {
+export async function handleAdminGetSongs(request, db, user) {
+  if (!can(user, 'songs.read')) return forbidden();
+  return handleGetSongs(request, db);
+}
+
+export async function handleAdminGetSong(id, db, user) {
+  if (!can(user, 'songs.read')) return forbidden();
   if (!id) return badRequest('Song ID is required');
   const song = await getSongById(db, parseInt(id, 10));
   if (!song) return notFound('Song not found');
+  const [translations, timing, media] = await Promise.all([
+    getSongTranslations(db, song.id),
+    getSongTiming(db, song.id),
+    getSongMedia(db, song.id),
+  ]);
+  song.translations = translations;
+  song.media = media.map((m) => ({ ...m, is_primary: !!m.is_primary, url: publicMedia(m).url }));
+  song.lrc = timing?.lrc || null;
+  song.lrc_media_url = timing?.media_url || null;
   return json(song);
 }
 
-export async function handleAdminCreateSong(request, db) {
+export async function handleAdminCreateSong(request, db, user, bucket) {
+  if (!can(user, 'songs.create')) return forbidden();
   let body;
   try { body = await request.json(); } catch { return badRequest('Invalid JSON body'); }
 
-  const { title, artist_id, composer_id, copyright_owner_id, category, lyrics } = body;
+  const { title, copyright_owner_id, category, language, lyrics } = body;
   let { slug } = body;
 
   if (!title || !title.trim()) return badRequest('Title is required');
-  if (!lyrics || !lyrics.trim()) return badRequest('Lyrics are required');
+  if (!lyrics || !Lyrics.toPlainText(lyrics).trim()) return badRequest('Lyrics are required');
+  if (language && !SONG_LANGUAGES.includes(language)) return badRequest(`Language must be one of: ${SONG_LANGUAGES.join(', ')}`);
+  const { credits, error } = await parseCredits(db, body);
+  if (error) return badRequest(error);
+  const { translations, error: translationError } = parseTranslations(body, language);
+  if (translationError) return badRequest(translationError);
+  const { timing, error: timingError } = parseTiming(body);
+  if (timingError) return badRequest(timingError);
+  const { media, error: mediaError } = await parseMedia(body, bucket);
+  if (mediaError) return badRequest(mediaError);
 
   slug = (slug && slug.trim()) ? slug.trim() : generateSlug(title);
 
@@ -196,26 +745,39 @@ export async function handleAdminCreateSong(request, db) {
   const result = await createSong(db, {
     title: title.trim(),
     slug,
-    artist_id: artist_id ? parseInt(artist_id, 10) : null,
-    composer_id: composer_id ? parseInt(composer_id, 10) : null,
+    credits,
+    translations,
+    timing,
+    media,
     copyright_owner_id: copyright_owner_id ? parseInt(copyright_owner_id, 10) : null,
     category: category?.trim() || null,
+    language: language || null,
     lyrics: lyrics.trim(),
-  });
+  }, user);
 
   return json({ success: true, id: result.id, slug }, 201);
 }
 
-export async function handleAdminUpdateSong(id, request, db) {
+export async function handleAdminUpdateSong(id, request, db, user, bucket) {
+  if (!can(user, 'songs.update')) return forbidden();
   if (!id) return badRequest('Song ID is required');
   let body;
   try { body = await request.json(); } catch { return badRequest('Invalid JSON body'); }
 
-  const { title, artist_id, composer_id, copyright_owner_id, category, lyrics } = body;
+  const { title, copyright_owner_id, category, language, lyrics } = body;
   let { slug } = body;
 
   if (!title || !title.trim()) return badRequest('Title is required');
-  if (!lyrics || !lyrics.trim()) return badRequest('Lyrics are required');
+  if (!lyrics || !Lyrics.toPlainText(lyrics).trim()) return badRequest('Lyrics are required');
+  if (language && !SONG_LANGUAGES.includes(language)) return badRequest(`Language must be one of: ${SONG_LANGUAGES.join(', ')}`);
+  const { credits, error } = await parseCredits(db, body);
+  if (error) return badRequest(error);
+  const { translations, error: translationError } = parseTranslations(body, language);
+  if (translationError) return badRequest(translationError);
+  const { timing, error: timingError } = parseTiming(body);
+  if (timingError) return badRequest(timingError);
+  const { media, error: mediaError } = await parseMedia(body, bucket);
+  if (mediaError) return badRequest(mediaError);
 
   slug = (slug && slug.trim()) ? slug.trim() : generateSlug(title);
 
@@ -224,42 +786,183 @@ export async function handleAdminUpdateSong(id, request, db) {
     return json({ error: 'A different song with this slug already exists' }, 409);
   }
 
+  const before = media ? await getSongMedia(db, parseInt(id, 10)) : [];
   const updated = await updateSong(db, parseInt(id, 10), {
     title: title.trim(),
     slug,
-    artist_id: artist_id ? parseInt(artist_id, 10) : null,
-    composer_id: composer_id ? parseInt(composer_id, 10) : null,
+    credits,
+    translations,
+    timing,
+    media,
     copyright_owner_id: copyright_owner_id ? parseInt(copyright_owner_id, 10) : null,
     category: category?.trim() || null,
+    language: language || null,
     lyrics: lyrics.trim(),
-  });
+  }, user);
 
   if (!updated) return notFound('Song not found');
+  // Uploaded files taken off the song are not linked anywhere else
+  const kept = new Set((media || []).map((m) => m.media_key));
+  await deleteMediaFiles(bucket, before.map((m) => m.media_key).filter((key) => key && !kept.has(key)));
   return json({ success: true, id: parseInt(id, 10), slug });
 }
 
-export async function handleAdminDeleteSong(id, db) {
+export async function handleAdminDeleteSong(id, db, user, bucket) {
+  if (!can(user, 'songs.delete')) return forbidden();
   if (!id) return badRequest('Song ID is required');
-  const deleted = await deleteSong(db, parseInt(id, 10));
+  const media = await getSongMedia(db, parseInt(id, 10));
+  const deleted = await deleteSong(db, parseInt(id, 10), user);
   if (!deleted) return notFound('Song not found');
+  await deleteMediaFiles(bucket, media.map((m) => m.media_key).filter(Boolean));
   return json({ success: true });
 }
 
+async function deleteMediaFiles(bucket, keys) {
+  if (bucket && keys.length) await bucket.delete(keys);
+}
+
+// ─── Admin Media Uploads ─────────────────────────────────────
+
+/**
+ * POST /api/admin/media — the request body is the audio file itself.
+ * Returns the bucket key to send with the song as a recording.
+ */
+export async function handleAdminUploadMedia(request, bucket, user) {
+  if (!can(user, 'songs.update') && !can(user, 'songs.create')) return forbidden();
+  if (!bucket) return json({ error: 'Audio uploads are not set up (no MEDIA bucket)' }, 503);
+  const contentType = (request.headers.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+  const ext = AUDIO_EXTENSIONS[contentType];
+  if (!ext) return badRequest('Upload an audio file (mp3, m4a, aac, ogg, webm, wav or flac)');
+  if (parseInt(request.headers.get('Content-Length') || '0', 10) > MEDIA_MAX_BYTES) {
+    return json({ error: `Audio files can be up to ${MEDIA_MAX_BYTES / 1024 / 1024} MB` }, 413);
+  }
+  const file = await request.arrayBuffer();
+  if (!file.byteLength) return badRequest('The file is empty');
+  if (file.byteLength > MEDIA_MAX_BYTES) return json({ error: `Audio files can be up to ${MEDIA_MAX_BYTES / 1024 / 1024} MB` }, 413);
+
+  const key = `songs/${crypto.randomUUID()}.${ext}`;
+  await bucket.put(key, file, {
+    httpMetadata: { contentType },
+    customMetadata: { uploaded_by: user.username },
+  });
+  return json({ media_key: key, content_type: contentType, size: file.byteLength, url: `/api/media/${key}` }, 201);
+}
+
+/**
+ * R2 leaves out the body when any condition fails; If-Match and
+ * If-Unmodified-Since failing is 412 Precondition Failed, the others
+ * (If-None-Match, If-Modified-Since) 304 Not Modified.
+ */
+function preconditionFailed(request, object) {
+  const ifMatch = request.headers.get('If-Match');
+  if (ifMatch) {
+    const tags = ifMatch.split(',').map((t) => t.trim());
+    return !tags.includes('*') && !tags.includes(object.httpEtag);
+  }
+  const since = Date.parse(request.headers.get('If-Unmodified-Since') || '');
+  // HTTP dates have whole seconds
+  return !Number.isNaN(since) && Math.floor(object.uploaded.getTime() / 1000) * 1000 > since;
+}
+
+/**
+ * GET /api/media/:key — an uploaded recording, with range requests so players
+ * can seek. Keys are never reused, so the file can be cached for good.
+ */
+export async function handleGetMedia(key, request, bucket) {
+  if (!bucket || !MEDIA_KEY.test(key)) return notFound('Recording not found');
+  const object = await bucket.get(key, { range: request.headers, onlyIf: request.headers });
+  if (!object) return notFound('Recording not found');
+
+  const headers = new Headers();
+  object.writeHttpMetadata(headers);
+  headers.set('ETag', object.httpEtag);
+  headers.set('Accept-Ranges', 'bytes');
+  headers.set('Cache-Control', 'public, max-age=31536000, immutable');
+  if (!('body' in object)) {
+    return new Response(null, { status: preconditionFailed(request, object) ? 412 : 304, headers });
+  }
+
+  const range = object.range;
+  if (range && request.headers.has('Range')) {
+    const start = 'suffix' in range ? object.size - range.suffix : range.offset;
+    const length = 'suffix' in range ? range.suffix : range.length ?? object.size - start;
+    headers.set('Content-Range', `bytes ${start}-${start + length - 1}/${object.size}`);
+    headers.set('Content-Length', String(length));
+    return new Response(object.body, { status: 206, headers });
+  }
+  headers.set('Content-Length', String(object.size));
+  return new Response(object.body, { headers });
+}
+
+// ─── Admin Song Revisions ────────────────────────────────────
+
+export async function handleAdminGetSongRevisions(id, db, user) {
+  if (!can(user, 'songs.read')) return forbidden();
+  const revisions = await getSongRevisions(db, parseInt(id, 10));
+  return json({ revisions });
+}
+
+export async function handleAdminGetSongRevision(id, revision, db, user) {
+  if (!can(user, 'songs.read')) return forbidden();
+  const rev = await getSongRevision(db, parseInt(id, 10), parseInt(revision, 10));
+  if (!rev) return notFound('Revision not found');
+  return json(rev);
+}
+
+/** Put an old revision's content back; this is saved as a new revision. */
+export async function handleAdminRestoreSongRevision(id, revision, db, user) {
+  if (!can(user, 'songs.update')) return forbidden();
+  const songId = parseInt(id, 10);
+  const song = await getSongById(db, songId);
+  if (!song) return notFound('Song not found');
+  const rev = await getSongRevision(db, songId, parseInt(revision, 10));
+  if (!rev) return notFound('Revision not found');
+
+  // Credits may point at people removed since; those are dropped rather than failing the restore.
+  // Revisions saved before song_credits hold a single artist_id / composer_id.
+  const saved = rev.credits_json ? JSON.parse(rev.credits_json) : {};
+  const people = saved.credits
+    ? saved.credits.map((c) => ({ [`${c.type}_id`]: c.id, role: c.role }))
+    : [
+        saved.artist_id && { artist_id: saved.artist_id, role: 'performer' },
+        saved.composer_id && { composer_id: saved.composer_id, role: 'composer' },
+      ].filter(Boolean);
+  const [credits, copyrightOwner] = await Promise.all([
+    existingCredits(db, people),
+    saved.copyright_owner_id ? getCopyrightOwnerById(db, saved.copyright_owner_id) : null,
+  ]);
+
+  await updateSong(db, songId, {
+    title: rev.title,
+    slug: song.slug,
+    credits,
+    copyright_owner_id: copyrightOwner?.id || null,
+    category: rev.category,
+    language: song.language,
+    lyrics: rev.lyrics,
+  }, user, `Restored from revision ${rev.revision}`);
+
+  return json({ success: true, id: songId, restored_from: rev.revision });
+}
+
 // ─── Admin Artist CRUD ───────────────────────────────────────
 
-export async function handleAdminGetArtists(db) {
+export async function handleAdminGetArtists(db, user) {
+  if (!can(user, 'artists.read')) return forbidden();
   const artists = await getArtists(db);
   return json({ artists });
 }
 
-export async function handleAdminGetArtist(id, db) {
+export async function handleAdminGetArtist(id, db, user) {
+  if (!can(user, 'artists.read')) return forbidden();
   if (!id) return badRequest('Artist ID is required');
   const artist = await getArtistById(db, parseInt(id, 10));
   if (!artist) return notFound('Artist not found');
   return json(artist);
 }
 
-export async function handleAdminCreateArtist(request, db) {
+export async function handleAdminCreateArtist(request, db, user) {
+  if (!can(user, 'artists.create')) return forbidden();
   let body;
   try { body = await request.json(); } catch { return badRequest('Invalid JSON body'); }
 
@@ -275,11 +978,12 @@ export async function handleAdminCreateArtist(request, db) {
   const result = await createArtist(db, {
     name: name.trim(), slug, bio: bio?.trim() || null, image_url: image_url?.trim() || null,
     social_links: social_links || null,
-  });
+  }, user);
   return json({ success: true, id: result.id, slug }, 201);
 }
 
-export async function handleAdminUpdateArtist(id, request, db) {
+export async function handleAdminUpdateArtist(id, request, db, user) {
+  if (!can(user, 'artists.update')) return forbidden();
   if (!id) return badRequest('Artist ID is required');
   let body;
   try { body = await request.json(); } catch { return badRequest('Invalid JSON body'); }
@@ -298,33 +1002,37 @@ export async function handleAdminUpdateArtist(id, request, db) {
   const updated = await updateArtist(db, parseInt(id, 10), {
     name: name.trim(), slug, bio: bio?.trim() || null, image_url: image_url?.trim() || null,
     social_links: social_links || null,
-  });
+  }, user);
   if (!updated) return notFound('Artist not found');
   return json({ success: true, id: parseInt(id, 10), slug });
 }
 
-export async function handleAdminDeleteArtist(id, db) {
+export async function handleAdminDeleteArtist(id, db, user) {
+  if (!can(user, 'artists.delete')) return forbidden();
   if (!id) return badRequest('Artist ID is required');
-  const deleted = await deleteArtist(db, parseInt(id, 10));
+  const deleted = await deleteArtist(db, parseInt(id, 10), user);
   if (!deleted) return notFound('Artist not found');
   return json({ success: true });
 }
 
 // ─── Admin Composer CRUD ─────────────────────────────────────
 
-export async function handleAdminGetComposers(db) {
+export async function handleAdminGetComposers(db, user) {
+  if (!can(user, 'composers.read')) return forbidden();
   const composers = await getComposers(db);
   return json({ composers });
 }
 
-export async function handleAdminGetComposer(id, db) {
+export async function handleAdminGetComposer(id, db, user) {
+  if (!can(user, 'composers.read')) return forbidden();
   if (!id) return badRequest('Composer ID is required');
   const composer = await getComposerById(db, parseInt(id, 10));
   if (!composer) return notFound('Composer not found');
   return json(composer);
 }
 
-export async function handleAdminCreateComposer(request, db) {
+export async function handleAdminCreateComposer(request, db, user) {
+  if (!can(user, 'composers.create')) return forbidden();
   let body;
   try { body = await request.json(); } catch { return badRequest('Invalid JSON body'); }
 
@@ -340,11 +1048,12 @@ export async function handleAdminCreateComposer(request, db) {
   const result = await createComposer(db, {
     name: name.trim(), slug, bio: bio?.trim() || null, image_url: image_url?.trim() || null,
     social_links: social_links || null,
-  });
+  }, user);
   return json({ success: true, id: result.id, slug }, 201);
 }
 
-export async function handleAdminUpdateComposer(id, request, db) {
+export async function handleAdminUpdateComposer(id, request, db, user) {
+  if (!can(user, 'composers.update')) return forbidden();
   if (!id) return badRequest('Composer ID is required');
   let body;
   try { body = await request.json(); } catch { return badRequest('Invalid JSON body'); }
@@ -363,14 +1072,15 @@ export async function handleAdminUpdateComposer(id, request, db) {
   const updated = await updateComposer(db, parseInt(id, 10), {
     name: name.trim(), slug, bio: bio?.trim() || null, image_url: image_url?.trim() || null,
     social_links: social_links || null,
-  });
+  }, user);
   if (!updated) return notFound('Composer not found');
   return json({ success: true, id: parseInt(id, 10), slug });
 }
 
-export async function handleAdminDeleteComposer(id, db) {
+export async function handleAdminDeleteComposer(id, db, user) {
+  if (!can(user, 'composers.delete')) return forbidden();
   if (!id) return badRequest('Composer ID is required');
-  const deleted = await deleteComposer(db, parseInt(id, 10));
+  const deleted = await deleteComposer(db, parseInt(id, 10), user);
   if (!deleted) return notFound('Composer not found');
   return json({ success: true });
 }
@@ -392,19 +1102,22 @@ export async function handleGetCopyrightOwnersList(db) {
 
 // ─── Admin Copyright Owner CRUD ──────────────────────────────
 
-export async function handleAdminGetCopyrightOwners(db) {
+export async function handleAdminGetCopyrightOwners(db, user) {
+  if (!can(user, 'copyright_owners.read')) return forbidden();
   const owners = await getCopyrightOwners(db);
   return json({ copyright_owners: owners });
 }
 
-export async function handleAdminGetCopyrightOwner(id, db) {
+export async function handleAdminGetCopyrightOwner(id, db, user) {
+  if (!can(user, 'copyright_owners.read')) return forbidden();
   if (!id) return badRequest('Copyright Owner ID is required');
   const owner = await getCopyrightOwnerById(db, parseInt(id, 10));
   if (!owner) return notFound('Copyright owner not found');
   return json(owner);
 }
 
-export async function handleAdminCreateCopyrightOwner(request, db) {
+export async function handleAdminCreateCopyrightOwner(request, db, user) {
+  if (!can(user, 'copyright_owners.create')) return forbidden();
   let body;
   try { body = await request.json(); } catch { return badRequest('Invalid JSON body'); }
 
@@ -429,11 +1142,12 @@ export async function handleAdminCreateCopyrightOwner(request, db) {
     isrc_prefix: isrc_prefix?.trim() || null,
     pro_affiliation: pro_affiliation?.trim() || null,
     notes: notes?.trim() || null,
-  });
+  }, user);
   return json({ success: true, id: result.id, slug }, 201);
 }
 
-export async function handleAdminUpdateCopyrightOwner(id, request, db) {
+export async function handleAdminUpdateCopyrightOwner(id, request, db, user) {
+  if (!can(user, 'copyright_owners.update')) return forbidden();
   if (!id) return badRequest('Copyright Owner ID is required');
   let body;
   try { body = await request.json(); } catch { return badRequest('Invalid JSON body'); }
@@ -461,18 +1175,352 @@ export async function handleAdminUpdateCopyrightOwner(id, request, db) {
     isrc_prefix: isrc_prefix?.trim() || null,
     pro_affiliation: pro_affiliation?.trim() || null,
     notes: notes?.trim() || null,
-  });
+  }, user);
   if (!updated) return notFound('Copyright owner not found');
   return json({ success: true, id: parseInt(id, 10), slug });
 }
 
-export async function handleAdminDeleteCopyrightOwner(id, db) {
+export async function handleAdminDeleteCopyrightOwner(id, db, user) {
+  if (!can(user, 'copyright_owners.delete')) return forbidden();
   if (!id) return badRequest('Copyright Owner ID is required');
-  const deleted = await deleteCopyrightOwner(db, parseInt(id, 10));
+  const deleted = await deleteCopyrightOwner(db, parseInt(id, 10), user);
   if (!deleted) return notFound('Copyright owner not found');
   return json({ success: true });
 }
 
+// ─── Album Public Routes ─────────────────────────────────────
+
+export async function handleGetAlbumsList(request, db) {
+  const kind = new URL(request.url).searchParams.get('kind') || null;
+  if (kind && !ALBUM_KINDS.includes(kind)) return badRequest(`kind must be one of: ${ALBUM_KINDS.join(', ')}`);
+  const albums = await getAlbums(db, kind);
+  return json({ albums }, 200, { 'Cache-Control': 'public, max-age=300' });
+}
+
+export async function handleGetAlbum(slug, db) {
+  if (!slug) return badRequest('Slug is required');
+  const album = await getAlbumBySlug(db, slug);
+  if (!album) return notFound('Album not found');
+  const songs = await getAlbumSongs(db, album.id);
+  return json({ ...album, songs }, 200, { 'Cache-Control': 'public, max-age=300' });
+}
+
+// ─── Admin Album CRUD ────────────────────────────────────────
+
+/**
+ * Validate an album body shared by create and update.
+ * `songs` is [{ song_id, number? }] in album order.
+ * Returns { album } ready for the db writers, or { error }.
+ */
+async function parseAlbum(db, body) {
+  const { title, kind, year, cover_url, publisher_id, description } = body;
+  if (!title || !title.trim()) return { error: 'Title is required' };
+  if (kind && !ALBUM_KINDS.includes(kind)) return { error: `Kind must be one of: ${ALBUM_KINDS.join(', ')}` };
+
+  // Letters only, so "MH 245" style queries can tell code from number
+  const code = body.code?.trim().toUpperCase() || null;
+  if (code && !/^[A-Z]{1,8}$/.test(code)) return { error: 'Code must be 1–8 letters, like MH' };
+
+  const yearNum = year ? parseInt(year, 10) : null;
+  if (year && !(yearNum >= 1800 && yearNum <= 2100)) return { error: 'Year must be between 1800 and 2100' };
+
+  const publisherId = publisher_id ? parseInt(publisher_id, 10) : null;
+  if (publisherId && !(await getCopyrightOwnerById(db, publisherId))) return { error: 'Publisher not found' };
+
+  if (body.songs != null && !Array.isArray(body.songs)) return { error: 'songs must be an array' };
+  const songs = [];
+  const seen = new Set();
+  for (const t of body.songs || []) {
+    const songId = parseInt(t?.song_id, 10);
+    if (!songId) return { error: 'Each album song needs a song_id' };
+    if (seen.has(songId)) return { error: 'A song can only appear once in an album' };
+    const number = t.number === '' || t.number == null ? null : parseInt(t.number, 10);
+    if (number !== null && !(number > 0)) return { error: 'Track / hymn numbers must be positive whole numbers' };
+    seen.add(songId);
+    songs.push({ song_id: songId, number });
+  }
+  const found = await findSongIds(db, [...seen]);
+  if (found.size !== seen.size) return { error: 'An album song does not exist' };
+
+  return {
+    album: {
+      title: title.trim(),
+      slug: (body.slug && body.slug.trim()) ? body.slug.trim() : generateSlug(title),
+      code,
+      kind: kind || 'album',
+      year: yearNum,
+      cover_url: cover_url?.trim() || null,
+      publisher_id: publisherId,
+      description: description?.trim() || null,
+      songs,
+    },
+  };
+}
+
+export async function handleAdminGetAlbums(db, user) {
+  if (!can(user, 'albums.read')) return forbidden();
+  const albums = await getAlbums(db);
+  return json({ albums });
+}
+
+export async function handleAdminGetAlbum(id, db, user) {
+  if (!can(user, 'albums.read')) return forbidden();
+  if (!id) return badRequest('Album ID is required');
+  const album = await getAlbumById(db, parseInt(id, 10));
+  if (!album) return notFound('Album not found');
+  const songs = await getAlbumSongs(db, album.id);
+  return json({ ...album, songs });
+}
+
+export async function handleAdminCreateAlbum(request, db, user) {
+  if (!can(user, 'albums.create')) return forbidden();
+  let body;
+  try { body = await request.json(); } catch { return badRequest('Invalid JSON body'); }
+
+  const { album, error } = await parseAlbum(db, body);
+  if (error) return badRequest(error);
+
+  const existing = await getAlbumBySlug(db, album.slug);
+  if (existing) return json({ error: 'An album with this slug already exists' }, 409);
+  if (album.code && await getAlbumByCode(db, album.code)) {
+    return json({ error: 'An album with this code already exists' }, 409);
+  }
+
+  const result = await createAlbum(db, album, user);
+  return json({ success: true, id: result.id, slug: album.slug }, 201);
+}
+
+export async function handleAdminUpdateAlbum(id, request, db, user) {
+  if (!can(user, 'albums.update')) return forbidden();
+  if (!id) return badRequest('Album ID is required');
+  let body;
+  try { body = await request.json(); } catch { return badRequest('Invalid JSON body'); }
+
+  const { album, error } = await parseAlbum(db, body);
+  if (error) return badRequest(error);
+
+  const existing = await getAlbumBySlug(db, album.slug);
+  if (existing && existing.id !== parseInt(id, 10)) {
+    return json({ error: 'A different album with this slug already exists' }, 409);
+  }
+  const sameCode = album.code && await getAlbumByCode(db, album.code);
+  if (sameCode && sameCode.id !== parseInt(id, 10)) {
+    return json({ error: 'A different album with this code already exists' }, 409);
+  }
+
+  const updated = await updateAlbum(db, parseInt(id, 10), album, user);
+  if (!updated) return notFound('Album not found');
+  return json({ success: true, id: parseInt(id, 10), slug: album.slug });
+}
+
+export async function handleAdminDeleteAlbum(id, db, user) {
+  if (!can(user, 'albums.delete')) return forbidden();
+  if (!id) return badRequest('Album ID is required');
+  const deleted = await deleteAlbum(db, parseInt(id, 10), user);
+  if (!deleted) return notFound('Album not found');
+  return json({ success: true });
+}
+
+// ─── Setlists ────────────────────────────────────────────────
+// Shared at /set/<code>. A signed-in user's lists are changed through the
+// /api/admin/setlists routes; one shared without signing in is changed
+// with the token handed out when it was created (X-Setlist-Token header).
+
+// No 0/o, 1/i/l: codes get read out loud and typed from a bulletin
+const SETLIST_CODE_ALPHABET = '23456789abcdefghjkmnpqrstuvwxyz';
+const SETLIST_CODE = /^[2-9a-hjkmnp-z]{8}$/;
+const SETLIST_MAX_SONGS = 100;
+const SETLIST_KEY_MAX = 12;
+const SETLIST_NOTES_MAX = 500;
+
+// Anonymous shares per IP and hour
+const shareRateMap = new Map();
+const SHARE_WINDOW_MS = 60 * 60 * 1000;
+const SHARE_MAX_PER_WINDOW = 20;
+
+function isShareLimited(ip) {
+  const entry = shareRateMap.get(ip);
+  if (entry && Date.now() - entry.first <= SHARE_WINDOW_MS) {
+    if (entry.count >= SHARE_MAX_PER_WINDOW) return true;
+    entry.count++;
+    return false;
+  }
+  shareRateMap.set(ip, { count: 1, first: Date.now() });
+  if (shareRateMap.size > 5000) {
+    const cutoff = Date.now() - SHARE_WINDOW_MS;
+    for (const [k, v] of shareRateMap) { if (v.first < cutoff) shareRateMap.delete(k); }
+  }
+  return false;
+}
+
+/**
+ * Eight random alphabet letters. Bytes from 248 (8 × 31) up are drawn
+ * again, so every letter is equally likely.
+ */
+function generateSetlistCode() {
+  const size = SETLIST_CODE_ALPHABET.length;
+  const limit = 256 - (256 % size);
+  let code = '';
+  while (code.length < 8) {
+    for (const b of crypto.getRandomValues(new Uint8Array(8))) {
+      if (b < limit && code.length < 8) code += SETLIST_CODE_ALPHABET[b % size];
+    }
+  }
+  return code;
+}
+
+/**
+ * Validate a setlist body shared by every write.
+ * `songs` is [{ slug, key?, notes? }] in order; a song may appear twice
+ * (sung to open and to close). Songs no longer in the catalogue are
+ * dropped rather than refused, so a list saved offline can still sync.
+ * Returns { setlist } ready for the db writers, or { error }.
+ */
+async function parseSetlist(db, body) {
+  const title = typeof body.title === 'string' ? body.title.trim() : '';
+  if (!title) return { error: 'Title is required' };
+  if (title.length > 120) return { error: 'Title must be at most 120 characters' };
+  const notes = typeof body.notes === 'string' ? body.notes.trim() : '';
+  if (notes.length > SETLIST_NOTES_MAX) return { error: `Notes must be at most ${SETLIST_NOTES_MAX} characters` };
+
+  if (body.songs != null && !Array.isArray(body.songs)) return { error: 'songs must be an array' };
+  const items = body.songs || [];
+  if (items.length > SETLIST_MAX_SONGS) return { error: `A setlist can hold at most ${SETLIST_MAX_SONGS} songs` };
+  for (const t of items) {
+    if (!t || typeof t.slug !== 'string' || !t.slug) return { error: 'Each setlist song needs a slug' };
+    if (t.key != null && (typeof t.key !== 'string' || t.key.trim().length > SETLIST_KEY_MAX)) {
+      return { error: `Keys must be at most ${SETLIST_KEY_MAX} characters` };
+    }
+    if (t.notes != null && (typeof t.notes !== 'string' || t.notes.trim().length > SETLIST_NOTES_MAX)) {
+      return { error: `Song notes must be at most ${SETLIST_NOTES_MAX} characters` };
+    }
+  }
+  const ids = await findSongIdsBySlug(db, [...new Set(items.map((t) => t.slug))]);
+  const songs = items
+    .filter((t) => ids.has(t.slug))
+    .map((t) => ({ song_id: ids.get(t.slug), key: t.key?.trim() || null, notes: t.notes?.trim() || null }));
+
+  return { setlist: { title, notes: notes || null, songs } };
+}
+
+/** A setlist as anyone with its link may see it: no owner, no token. */
+async function publicSetlist(db, setlist) {
+  const { id, user_id, token_hash, ...rest } = setlist;
+  const songs = await getSetlistSongs(db, id);
+  return { ...rest, song_count: songs.length, songs };
+}
+
+/** A new, unused share code (a clash in 31^8 is rare, but cheap to rule out). */
+async function newSetlistCode(db) {
+  for (;;) {
+    const code = generateSetlistCode();
+    if (!(await getSetlistByCode(db, code))) return code;
+  }
+}
+
+/** The setlist behind `code` if the request's token opens it, else a response. */
+async function setlistForToken(code, request, db) {
+  if (!SETLIST_CODE.test(code || '')) return { response: notFound('Setlist not found') };
+  const setlist = await getSetlistByCode(db, code);
+  if (!setlist) return { response: notFound('Setlist not found') };
+  const token = request.headers.get('X-Setlist-Token');
+  if (!token || !setlist.token_hash || setlist.token_hash !== await hashSessionToken(token)) {
+    return { response: forbidden('This setlist can only be changed by whoever shared it') };
+  }
+  return { setlist };
+}
+
+/** The user's own setlist behind `code`, or a response. */
+async function setlistForUser(code, db, user) {
+  if (!SETLIST_CODE.test(code || '')) return { response: notFound('Setlist not found') };
+  const setlist = await getSetlistByCode(db, code);
+  if (!setlist || setlist.user_id !== user.id) return { response: notFound('Setlist not found') };
+  return { setlist };
+}
+
+export async function handleGetSetlist(code, db) {
+  if (!SETLIST_CODE.test(code || '')) return notFound('Setlist not found');
+  const setlist = await getSetlistByCode(db, code);
+  if (!setlist) return notFound('Setlist not found');
+  // Edited right up to the service, so never served stale
+  return json(await publicSetlist(db, setlist), 200, { 'Cache-Control': 'no-store' });
+}
+
+export async function handleCreateSetlist(request, db) {
+  const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
+  if (isShareLimited(ip)) return tooManyRequests('Too many setlists shared. Try again later.');
+  let body;
+  try { body = await request.json(); } catch { return badRequest('Invalid JSON body'); }
+
+  const { setlist, error } = await parseSetlist(db, body);
+  if (error) return badRequest(error);
+
+  const token = generateSessionToken();
+  const code = await newSetlistCode(db);
+  await createSetlist(db, { ...setlist, code, token_hash: await hashSessionToken(token) });
+  const created = await publicSetlist(db, await getSetlistByCode(db, code));
+  return json({ ...created, token }, 201, { 'Cache-Control': 'no-store' });
+}
+
+export async function handleUpdateSetlist(code, request, db) {
+  const { setlist: existing, response } = await setlistForToken(code, request, db);
+  if (response) return response;
+  let body;
+  try { body = await request.json(); } catch { return badRequest('Invalid JSON body'); }
+
+  const { setlist, error } = await parseSetlist(db, body);
+  if (error) return badRequest(error);
+  await updateSetlist(db, existing.id, setlist);
+  return json(await publicSetlist(db, await getSetlistByCode(db, code)), 200, { 'Cache-Control': 'no-store' });
+}
+
+export async function handleDeleteSetlist(code, request, db) {
+  const { setlist, response } = await setlistForToken(code, request, db);
+  if (response) return response;
+  await deleteSetlist(db, setlist.id);
+  return json({ success: true });
+}
+
+export async function handleAdminGetSetlists(db, user) {
+  if (!can(user, 'setlists.own')) return forbidden();
+  const setlists = await getUserSetlists(db, user.id);
+  return json({ setlists: setlists.map(({ id, user_id, ...rest }) => rest) });
+}
+
+export async function handleAdminCreateSetlist(request, db, user) {
+  if (!can(user, 'setlists.own')) return forbidden();
+  let body;
+  try { body = await request.json(); } catch { return badRequest('Invalid JSON body'); }
+
+  const { setlist, error } = await parseSetlist(db, body);
+  if (error) return badRequest(error);
+
+  const code = await newSetlistCode(db);
+  await createSetlist(db, { ...setlist, code, user_id: user.id });
+  return json(await publicSetlist(db, await getSetlistByCode(db, code)), 201);
+}
+
+export async function handleAdminUpdateSetlist(code, request, db, user) {
+  if (!can(user, 'setlists.own')) return forbidden();
+  const { setlist: existing, response } = await setlistForUser(code, db, user);
+  if (response) return response;
+  let body;
+  try { body = await request.json(); } catch { return badRequest('Invalid JSON body'); }
+
+  const { setlist, error } = await parseSetlist(db, body);
+  if (error) return badRequest(error);
+  await updateSetlist(db, existing.id, setlist);
+  return json(await publicSetlist(db, await getSetlistByCode(db, code)));
+}
+
+export async function handleAdminDeleteSetlist(code, db, user) {
+  if (!can(user, 'setlists.own')) return forbidden();
+  const { setlist, response } = await setlistForUser(code, db, user);
+  if (response) return response;
+  await deleteSetlist(db, setlist.id);
+  return json({ success: true });
+}
+
 // ╔══════════════════════════════════════════════════════════════╗
 // ║                    Report Handlers                          ║
 // ╚══════════════════════════════════════════════════════════════╝
@@ -516,21 +1564,29 @@ export async function handleCreateReport(request, db, env) {
   return json({ success: true, id: result.id }, 201);
 }
 
-export async function handleGetReports(db) {
+export async function handleGetReports(db, user) {
+  if (!can(user, 'reports.read')) return forbidden();
   const reports = await getReports(db);
   return json({ reports });
 }
 
-export async function handleUpdateReportStatus(id, request, db) {
-  const { status } = await request.json();
+const REPORT_STATUSES = ['pending', 'reviewed', 'resolved', 'dismissed'];
+
+export async function handleUpdateReportStatus(id, request, db, user) {
+  if (!can(user, 'reports.update')) return forbidden();
+  let body;
+  try { body = await request.json(); } catch { return badRequest('Invalid JSON body'); }
+  const { status } = body || {};
   if (!status) return badRequest('Status is required');
-  const updated = await updateReportStatus(db, parseInt(id, 10), status);
+  if (!REPORT_STATUSES.includes(status)) return badRequest(`Status must be one of: ${REPORT_STATUSES.join(', ')}`);
+  const updated = await updateReportStatus(db, parseInt(id, 10), status, user);
   if (!updated) return notFound('Report not found');
   return json({ success: true });
 }
 
-export async function handleDeleteReport(id, db) {
-  const deleted = await deleteReport(db, parseInt(id, 10));
+export async function handleDeleteReport(id, db, user) {
+  if (!can(user, 'reports.delete')) return forbidden();
+  const deleted = await deleteReport(db, parseInt(id, 10), user);
   if (!deleted) return notFound('Report not found');
   return json({ success: true });
 }
@@ -575,3 +1631,195 @@ export async function handleCreateContact(request, db, env) {
 
   return json({ success: true, id: result.id }, 201);
 }
+
+// ╔══════════════════════════════════════════════════════════════╗
+// ║                  Admin Auth Handlers                        ║
+// ╚══════════════════════════════════════════════════════════════╝
+
+/** Resolve the request's session cookie to a user, or null. */
+export async function authenticateRequest(request, db) {
+  const token = getSessionToken(request);
+  if (!token) return null;
+  return getSessionUser(db, await hashSessionToken(token));
+}
+
+export async function handleAdminLogin(request, db) {
+  let body;
+  try { body = await request.json(); } catch { return badRequest('Invalid JSON body'); }
+
+  const username = (body.username || '').trim();
+  const password = body.password || '';
+  if (!username || !password) return badRequest('Username and password are required');
+
+  const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
+  if ((await getLoginFailures(db, ip)) >= LOGIN_MAX_FAILURES) {
+    return tooManyRequests('Too many failed logins. Try again later.');
+  }
+
+  const user = await getUserByUsername(db, username);
+  let valid = false;
+  if (user) valid = await verifyPassword(password, user.password_hash);
+  else await hashPassword(password); // same cost, so timing doesn't reveal unknown usernames
+  if (!valid) {
+    await recordLoginFailure(db, ip);
+    return json({ error: 'Invalid username or password' }, 401);
+  }
+
+  const token = generateSessionToken();
+  await deleteExpiredSessions(db);
+  await createSession(db, {
+    token_hash: await hashSessionToken(token),
+    user_id: user.id,
+    user_agent: (request.headers.get('User-Agent') || '').substring(0, 200),
+    ttl_hours: SESSION_TTL_HOURS,
+  });
+  await touchUserLogin(db, user.id);
+
+  return json(
+    { success: true, user: sessionPayload(user) },
+    200,
+    { 'Set-Cookie': sessionCookie(token, isCrossSite(request)) }
+  );
+}
+
+export async function handleAdminLogout(request, db) {
+  const token = getSessionToken(request);
+  if (token) await deleteSession(db, await hashSessionToken(token));
+  return json({ success: true }, 200, { 'Set-Cookie': clearSessionCookie(isCrossSite(request)) });
+}
+
+export function handleAdminMe(user) {
+  return json({ user: sessionPayload(user) });
+}
+
+/** What the dashboard gets to know about the logged-in user. */
+function sessionPayload(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    display_name: user.display_name,
+    role: user.role,
+    permissions: permissionsFor(user.role),
+  };
+}
+
+// ─── Admin User Management (owners only) ─────────────────────
+
+const MIN_PASSWORD_LENGTH = 10;
+
+export async function handleAdminGetUsers(db, user) {
+  if (!can(user, 'users.manage')) return forbidden();
+  const users = await getUsers(db);
+  return json({ users, roles: ROLES });
+}
+
+export async function handleAdminCreateUser(request, db, user) {
+  if (!can(user, 'users.manage')) return forbidden();
+  let body;
+  try { body = await request.json(); } catch { return badRequest('Invalid JSON body'); }
+
+  const username = (body.username || '').trim();
+  const { password, role, display_name } = body;
+
+  if (!username) return badRequest('Username is required');
+  if (!ROLES.includes(role)) return badRequest('Invalid role');
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    return badRequest(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  const existing = await getUserByUsername(db, username);
+  if (existing) return json({ error: 'A user with this username already exists' }, 409);
+
+  const result = await createUser(db, {
+    username,
+    password_hash: await hashPassword(password),
+    display_name: display_name?.trim() || null,
+    role,
+  }, user);
+  return json({ success: true, id: result.id }, 201);
+}
+
+export async function handleAdminUpdateUser(id, request, db, user) {
+  if (!can(user, 'users.manage')) return forbidden();
+  let body;
+  try { body = await request.json(); } catch { return badRequest('Invalid JSON body'); }
+
+  const targetId = parseInt(id, 10);
+  const target = await getUserById(db, targetId);
+  if (!target) return notFound('User not found');
+
+  const { role, display_name, password } = body;
+  if (!ROLES.includes(role)) return badRequest('Invalid role');
+  if (password && password.length < MIN_PASSWORD_LENGTH) {
+    return badRequest(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  if (target.role === 'owner' && role !== 'owner' && (await countOwners(db)) <= 1) {
+    return badRequest('Cannot demote the last owner');
+  }
+
+  await updateUser(db, targetId, {
+    display_name: display_name?.trim() || null,
+    role,
+    password_hash: password ? await hashPassword(password) : null,
+  }, user);
+  // A password reset signs the user out everywhere (except the owner resetting their own)
+  if (password && targetId !== user.id) await deleteUserSessions(db, targetId);
+
+  return json({ success: true, id: targetId });
+}
+
+export async function handleAdminDeleteUser(id, db, user) {
+  if (!can(user, 'users.manage')) return forbidden();
+  const targetId = parseInt(id, 10);
+  if (targetId === user.id) return badRequest('You cannot delete your own account');
+
+  const target = await getUserById(db, targetId);
+  if (!target) return notFound('User not found');
+  if (target.role === 'owner' && (await countOwners(db)) <= 1) {
+    return badRequest('Cannot delete the last owner');
+  }
+
+  await deleteUser(db, targetId, user);
+  return json({ success: true });
+}
+
+// ─── Audit Log ────────────────────────────────────────────────
+
+const AUDIT_ENTITY_TYPES = ['song', 'artist', 'composer', 'copyright_owner', 'album', 'report', 'user'];
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+export async function handleAdminGetAuditLog(request, db, user) {
+  if (!can(user, 'audit.read')) return forbidden();
+  const url = new URL(request.url);
+  const params = url.searchParams;
+
+  const page = intParam(params.get('page'), 1);
+  const limit = intParam(params.get('limit'), 50, 1, 100);
+  const entityType = params.get('entity_type') || null;
+  const from = params.get('from') || null;
+  const to = params.get('to') || null;
+
+  if (entityType && !AUDIT_ENTITY_TYPES.includes(entityType)) return badRequest('Invalid entity type');
+  if ((from && !DATE_RE.test(from)) || (to && !DATE_RE.test(to))) {
+    return badRequest('Dates must be YYYY-MM-DD');
+  }
+
+  const data = await getAuditLog(db, {
+    user_id: parseInt(params.get('user_id'), 10) || null,
+    entity_type: entityType,
+    entity_id: parseInt(params.get('entity_id'), 10) || null,
+    from,
+    to,
+    page,
+    limit,
+  });
+  return json(data);
+}
+
+// ─── Search Index ─────────────────────────────────────────────
+
+export async function handleAdminReindexSearch(db, user) {
+  if (!can(user, 'search.reindex')) return forbidden();
+  const indexed = await rebuildSearchIndex(db);
+  return json({ success: true, indexed });
+}
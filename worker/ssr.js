@@ -0,0 +1,221 @@
+// ╔══════════════════════════════════════════════════════════════╗
+// ║          MaraLyrics — Server-Rendered Pages                 ║
+// ╚══════════════════════════════════════════════════════════════╝
+//
+// songview.html, artistview.html, composerview.html and
+// copyrightownerview.html are static shells that app.js fills in. Crawlers
+// and link previews run no JavaScript, so the shell is streamed through
+// HTMLRewriter with the record from D1: title, description, Open Graph
+// tags, canonical URL, JSON-LD, and the title, names and lyrics in the
+// page. The words match SongPage / ProfilePage / CopyrightOwnerPage
+// .updateMeta in app.js, which then render over it as before.
+//
+// Used by worker.js and by the Pages Functions in functions/.
+
+import Lyrics from '../public/lyrics.js';
+import {
+  getSongBySlug,
+  getArtistBySlug,
+  getSongsByArtist,
+  getComposerBySlug,
+  getSongsByComposer,
+  getCopyrightOwnerBySlug,
+  getSongsByCopyrightOwner,
+} from './db.js';
+
+// English names of the section types, as in locales/en.json (song.section_*)
+const SECTION_NAMES = { verse: 'Verse', chorus: 'Chorus', bridge: 'Bridge', intro: 'Intro', outro: 'Outro' };
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/** JSON for inside a <script> element, which "</script>" would end early. */
+function scriptJson(data) {
+  return JSON.stringify(data).replace(/</g, '\\u003c');
+}
+
+/** Lyrics as SongPage.renderSections lays them out, without chords. */
+function renderSections(lyrics) {
+  return Lyrics.parse(lyrics).map((section) => {
+    const name = SECTION_NAMES[section.type] || '';
+    const label = section.label || (section.type === 'verse' && !section.repeat ? '' : name);
+    const lines = `<div class="lyrics-section__lines">${escapeHtml(section.lines.map(Lyrics.stripChords).join('\n'))}</div>`;
+    const cls = `lyrics-section lyrics-section--${section.type}`;
+    if (section.repeat) {
+      return `<details class="${cls} lyrics-section--repeat"><summary class="lyrics-section__label">${escapeHtml(`${label} (repeat)`)}</summary>${lines}</details>`;
+    }
+    return `<section class="${cls}">${label ? `<h2 class="lyrics-section__label">${escapeHtml(label)}</h2>` : ''}${lines}</section>`;
+  }).join('');
+}
+
+/** Plain song cards (no favorite or setlist buttons) for a profile's song grid. */
+function renderSongCards(songs) {
+  return songs.map((song) => `
+      <article class="song-card" data-slug="${escapeHtml(song.slug)}">
+        <h3 class="song-card__title"><a href="/song/${escapeHtml(song.slug)}" class="song-card__link">${escapeHtml(song.title)}</a></h3>
+        <p class="song-card__artist">${escapeHtml(song.artist_name || 'Unknown Artist')}</p>
+      </article>`).join('');
+}
+
+function countSongs(songs, noun) {
+  return `${songs.length} ${noun}${songs.length !== 1 ? 's' : ''}`;
+}
+
+// ─── Pages ────────────────────────────────────────────────────
+// Each loader returns null when the record does not exist, otherwise
+// { path, title, description, jsonLd, content: { elementId: html } } and
+// the skeleton / detail elements to swap.
+
+async function songPage(db, slug) {
+  const song = await getSongBySlug(db, slug);
+  if (!song) return null;
+  const artist = song.artist_name || 'Unknown';
+  return {
+    path: `/song/${song.slug}`,
+    title: `${song.title} — MaraLyrics`,
+    description: `Read lyrics of "${song.title}" by ${artist} on MaraLyrics.`,
+    jsonLd: {
+      '@context': 'https://schema.org',
+      '@type': 'MusicComposition',
+      name: song.title,
+      composer: song.composer_name || 'Unknown',
+      lyricist: song.credits.filter((c) => c.role === 'lyricist').map((c) => c.name).join(', ') || artist,
+      genre: song.category || 'Mara',
+      text: Lyrics.toPlainText(song.lyrics).substring(0, 200),
+    },
+    content: {
+      breadcrumbTitle: escapeHtml(song.title),
+      songTitle: escapeHtml(song.title),
+      songArtist: escapeHtml(artist),
+      songComposer: escapeHtml(song.composer_name || 'Unknown'),
+      songCategory: escapeHtml(song.category || 'Uncategorized'),
+      songLyrics: renderSections(song.lyrics),
+    },
+    skeleton: 'songSkeleton',
+    detail: 'songDetail',
+  };
+}
+
+function personPage(type, getBySlug, getSongs) {
+  const label = type === 'artist' ? 'Artist' : 'Composer';
+  return async (db, slug) => {
+    const person = await getBySlug(db, slug);
+    if (!person) return null;
+    const songs = await getSongs(db, person.id);
+    return {
+      path: `/${type}/${person.slug}`,
+      title: `${person.name} — ${label} — MaraLyrics`,
+      description: `${person.name} — ${label} on MaraLyrics. ${countSongs(songs, 'song')}.${person.bio ? ' ' + person.bio.substring(0, 120) : ''}`,
+      jsonLd: {
+        '@context': 'https://schema.org',
+        '@type': type === 'artist' ? 'MusicGroup' : 'Person',
+        name: person.name,
+        description: person.bio || '',
+      },
+      content: {
+        breadcrumbName: escapeHtml(person.name),
+        profileName: escapeHtml(person.name),
+        profileBio: escapeHtml(person.bio || ''),
+        profileSongGrid: renderSongCards(songs),
+      },
+      skeleton: 'profileSkeleton',
+      detail: 'profileDetail',
+    };
+  };
+}
+
+async function copyrightOwnerPage(db, slug) {
+  const owner = await getCopyrightOwnerBySlug(db, slug);
+  if (!owner) return null;
+  const songs = await getSongsByCopyrightOwner(db, owner.id);
+  return {
+    path: `/copyright-owner/${owner.slug}`,
+    title: `${owner.name} — Copyright Owner — MaraLyrics`,
+    description: `${owner.name} — Copyright Owner on MaraLyrics. ${countSongs(songs, 'claimed song')}.`,
+    jsonLd: {
+      '@context': 'https://schema.org',
+      '@type': 'Organization',
+      name: owner.name,
+      description: `Copyright owner${owner.organization ? ' — ' + owner.organization : ''}`,
+    },
+    content: {
+      breadcrumbName: escapeHtml(owner.name),
+      profileName: escapeHtml(owner.name),
+      profileSongGrid: renderSongCards(songs),
+    },
+    skeleton: 'profileSkeleton',
+    detail: 'profileDetail',
+  };
+}
+
+const PAGES = {
+  song: songPage,
+  artist: personPage('artist', getArtistBySlug, getSongsByArtist),
+  composer: personPage('composer', getComposerBySlug, getSongsByComposer),
+  'copyright-owner': copyrightOwnerPage,
+};
+
+/** The page kind and slug of a clean URL, e.g. /song/ka-lunglen → ['song', 'ka-lunglen']. */
+export function renderedPageOf(pathname) {
+  const match = pathname.match(/^\/(song|artist|composer|copyright-owner)\/([^/]+)/);
+  if (!match) return null;
+  try {
+    return [match[1], decodeURIComponent(match[2])];
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Fill in a page shell (the asset response) for the song or person at
+ * `url`. An unknown slug gets the shell unchanged with a 404 status, for
+ * app.js to show its error; a shell that is not a plain 200, or a failed
+ * lookup, is passed through as it is.
+ * @param {Response} shell
+ * @param {URL} url
+ * @param {D1Database} db
+ */
+export async function renderPage(shell, url, db) {
+  const page = renderedPageOf(url.pathname);
+  if (!page || !db || shell.status !== 200) return shell;
+
+  let data;
+  try {
+    data = await PAGES[page[0]](db, page[1]);
+  } catch (err) {
+    console.error('Server rendering failed:', err);
+    return shell;
+  }
+
+  // One copy per page (not the shell's ETag), and no older than the API
+  const headers = new Headers(shell.headers);
+  headers.delete('ETag');
+  headers.delete('Last-Modified');
+  headers.delete('Content-Length');
+  headers.set('Cache-Control', 'public, max-age=300');
+  if (!data) return new Response(shell.body, { status: 404, headers });
+
+  const canonical = new URL(data.path, url.origin).href;
+  let rewriter = new HTMLRewriter()
+    .on('title', { element: (el) => el.setInnerContent(data.title) })
+    .on('#metaDesc, #ogDesc', { element: (el) => el.setAttribute('content', data.description) })
+    .on('#ogTitle', { element: (el) => el.setAttribute('content', data.title) })
+    .on('#jsonLd', { element: (el) => el.setInnerContent(scriptJson({ ...data.jsonLd, url: canonical }), { html: true }) })
+    .on('head', {
+      element: (el) => el.append(
+        `  <link rel="canonical" href="${escapeHtml(canonical)}" />\n  <meta property="og:url" content="${escapeHtml(canonical)}" />\n`,
+        { html: true }
+      ),
+    })
+    .on(`#${data.skeleton}`, { element: (el) => el.setAttribute('style', 'display:none;') })
+    .on(`#${data.detail}`, { element: (el) => el.setAttribute('style', 'display:block;') });
+  for (const [id, html] of Object.entries(data.content)) {
+    rewriter = rewriter.on(`#${id}`, { element: (el) => el.setInnerContent(html, { html: true }) });
+  }
+  return rewriter.transform(new Response(shell.body, { status: 200, headers }));
+}
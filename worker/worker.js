@@ -9,13 +9,23 @@ import {
   handleGetSongs,
   handleGetSong,
   handleSearch,
+  handleSuggest,
+  handleSuggestIndex,
+  handleGetCatalogue,
+  handleGetChanges,
   handleViewIncrement,
   handleGetCategories,
   handleGetPopular,
+  handleAdminGetSongs,
   handleAdminGetSong,
   handleAdminCreateSong,
   handleAdminUpdateSong,
   handleAdminDeleteSong,
+  handleAdminGetSongRevisions,
+  handleAdminGetSongRevision,
+  handleAdminRestoreSongRevision,
+  handleAdminUploadMedia,
+  handleGetMedia,
   // Artists
   handleGetArtist,
   handleGetComposer,
@@ -41,6 +51,23 @@ import {
   handleAdminCreateCopyrightOwner,
   handleAdminUpdateCopyrightOwner,
   handleAdminDeleteCopyrightOwner,
+  handleGetAlbumsList,
+  handleGetAlbum,
+  handleGetHymn,
+  handleAdminGetAlbums,
+  handleAdminGetAlbum,
+  handleAdminCreateAlbum,
+  handleAdminUpdateAlbum,
+  handleAdminDeleteAlbum,
+  // Setlists
+  handleGetSetlist,
+  handleCreateSetlist,
+  handleUpdateSetlist,
+  handleDeleteSetlist,
+  handleAdminGetSetlists,
+  handleAdminCreateSetlist,
+  handleAdminUpdateSetlist,
+  handleAdminDeleteSetlist,
   // Reports
   handleCreateReport,
   handleGetReports,
@@ -48,7 +75,23 @@ import {
   handleDeleteReport,
   // Contact
   handleCreateContact,
+  // Auth
+  authenticateRequest,
+  handleAdminLogin,
+  handleAdminLogout,
+  handleAdminMe,
+  // Users
+  handleAdminGetUsers,
+  handleAdminCreateUser,
+  handleAdminUpdateUser,
+  handleAdminDeleteUser,
+  // Audit
+  handleAdminGetAuditLog,
+  // Search
+  handleAdminReindexSearch,
 } from './routes.js';
+import { isAllowedOrigin } from './auth.js';
+import { renderPage } from './ssr.js';
 
 const assetManifest = JSON.parse(manifestJSON);
 
@@ -63,12 +106,22 @@ export default {
     const method = request.method;
 
     // ─── CORS Preflight ────────────────────────────────
+    if (method === 'OPTIONS' && path.startsWith('/api/admin/')) {
+      return withAdminHeaders(new Response(null, {
+        headers: {
+          'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+          'Access-Control-Allow-Headers': 'Content-Type',
+          'Access-Control-Max-Age': '86400',
+        },
+      }), request, env);
+    }
+
     if (method === 'OPTIONS') {
       return new Response(null, {
         headers: {
           'Access-Control-Allow-Origin': '*',
           'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-          'Access-Control-Allow-Headers': 'Content-Type',
+          'Access-Control-Allow-Headers': 'Content-Type, X-Setlist-Token',
           'Access-Control-Max-Age': '86400',
         },
       });
@@ -97,6 +150,26 @@ export default {
         return await handleSearch(request, env.DB);
       }
 
+      // GET /api/suggest?q= — Typeahead titles, artists and composers
+      if (path === '/api/suggest' && method === 'GET') {
+        return await handleSuggest(request, env.DB);
+      }
+
+      // GET /api/suggest/index — Every suggestible name, for offline typeahead
+      if (path === '/api/suggest/index' && method === 'GET') {
+        return await handleSuggestIndex(env.DB);
+      }
+
+      // GET /api/catalogue?since= — Every song (or the changes) for offline use, gzipped
+      if (path === '/api/catalogue' && method === 'GET') {
+        return await handleGetCatalogue(request, env.DB);
+      }
+
+      // GET /api/changes?since= — Created, updated and deleted records since a cursor
+      if (path === '/api/changes' && method === 'GET') {
+        return await handleGetChanges(request, env.DB);
+      }
+
       // GET /api/song/:slug
       if (path.startsWith('/api/song/') && method === 'GET') {
         const slug = path.replace('/api/song/', '').trim();
@@ -109,34 +182,15 @@ export default {
         return await handleViewIncrement(slug, request, env.DB);
       }
 
-      // ─── Admin API Routes ──────────────────────────────
-
-      // GET /api/admin/songs (reuse paginated list with higher limit)
-      if (path === '/api/admin/songs' && method === 'GET') {
-        return await handleGetSongs(request, env.DB);
+      // GET /api/media/:key — Uploaded recordings (range requests for seeking)
+      if (path.startsWith('/api/media/') && (method === 'GET' || method === 'HEAD')) {
+        return await handleGetMedia(path.slice('/api/media/'.length), request, env.MEDIA);
       }
 
-      // POST /api/admin/songs — Create
-      if (path === '/api/admin/songs' && method === 'POST') {
-        return await handleAdminCreateSong(request, env.DB);
-      }
-
-      // GET /api/admin/song/:id — Get by ID
-      if (path.match(/^\/api\/admin\/song\/\d+$/) && method === 'GET') {
-        const id = path.split('/').pop();
-        return await handleAdminGetSong(id, env.DB);
-      }
-
-      // PUT /api/admin/song/:id — Update
-      if (path.match(/^\/api\/admin\/song\/\d+$/) && method === 'PUT') {
-        const id = path.split('/').pop();
-        return await handleAdminUpdateSong(id, request, env.DB);
-      }
-
-      // DELETE /api/admin/song/:id — Delete
-      if (path.match(/^\/api\/admin\/song\/\d+$/) && method === 'DELETE') {
-        const id = path.split('/').pop();
-        return await handleAdminDeleteSong(id, env.DB);
+      // ─── Admin API Routes (session required) ───────────
+      if (path.startsWith('/api/admin/')) {
+        const response = await routeAdmin(request, env, path, method);
+        return withAdminHeaders(response, request, env);
       }
 
       // ─── Artist Public API Routes ─────────────────────
@@ -165,66 +219,6 @@ export default {
         return await handleGetComposer(slug, env.DB);
       }
 
-      // ─── Admin Artist CRUD Routes ─────────────────────
-
-      // GET /api/admin/artists
-      if (path === '/api/admin/artists' && method === 'GET') {
-        return await handleAdminGetArtists(env.DB);
-      }
-
-      // POST /api/admin/artists
-      if (path === '/api/admin/artists' && method === 'POST') {
-        return await handleAdminCreateArtist(request, env.DB);
-      }
-
-      // GET /api/admin/artist/:id
-      if (path.match(/^\/api\/admin\/artist\/\d+$/) && method === 'GET') {
-        const id = path.split('/').pop();
-        return await handleAdminGetArtist(id, env.DB);
-      }
-
-      // PUT /api/admin/artist/:id
-      if (path.match(/^\/api\/admin\/artist\/\d+$/) && method === 'PUT') {
-        const id = path.split('/').pop();
-        return await handleAdminUpdateArtist(id, request, env.DB);
-      }
-
-      // DELETE /api/admin/artist/:id
-      if (path.match(/^\/api\/admin\/artist\/\d+$/) && method === 'DELETE') {
-        const id = path.split('/').pop();
-        return await handleAdminDeleteArtist(id, env.DB);
-      }
-
-      // ─── Admin Composer CRUD Routes ────────────────────
-
-      // GET /api/admin/composers
-      if (path === '/api/admin/composers' && method === 'GET') {
-        return await handleAdminGetComposers(env.DB);
-      }
-
-      // POST /api/admin/composers
-      if (path === '/api/admin/composers' && method === 'POST') {
-        return await handleAdminCreateComposer(request, env.DB);
-      }
-
-      // GET /api/admin/composer/:id
-      if (path.match(/^\/api\/admin\/composer\/\d+$/) && method === 'GET') {
-        const id = path.split('/').pop();
-        return await handleAdminGetComposer(id, env.DB);
-      }
-
-      // PUT /api/admin/composer/:id
-      if (path.match(/^\/api\/admin\/composer\/\d+$/) && method === 'PUT') {
-        const id = path.split('/').pop();
-        return await handleAdminUpdateComposer(id, request, env.DB);
-      }
-
-      // DELETE /api/admin/composer/:id
-      if (path.match(/^\/api\/admin\/composer\/\d+$/) && method === 'DELETE') {
-        const id = path.split('/').pop();
-        return await handleAdminDeleteComposer(id, env.DB);
-      }
-
       // ─── Copyright Owner Public API Routes ────────────
 
       // GET /api/copyright-owners
@@ -238,58 +232,52 @@ export default {
         return await handleGetCopyrightOwner(slug, env.DB);
       }
 
-      // ─── Admin Copyright Owner CRUD Routes ────────────
+      // ─── Album Public API Routes ──────────────────────
 
-      // GET /api/admin/copyright-owners
-      if (path === '/api/admin/copyright-owners' && method === 'GET') {
-        return await handleAdminGetCopyrightOwners(env.DB);
+      // GET /api/albums?kind= — Albums, hymnals and collections
+      if (path === '/api/albums' && method === 'GET') {
+        return await handleGetAlbumsList(request, env.DB);
       }
 
-      // POST /api/admin/copyright-owners
-      if (path === '/api/admin/copyright-owners' && method === 'POST') {
-        return await handleAdminCreateCopyrightOwner(request, env.DB);
+      // GET /api/album/:slug — Album with its songs in order
+      if (path.startsWith('/api/album/') && method === 'GET') {
+        const slug = path.replace('/api/album/', '').trim();
+        return await handleGetAlbum(slug, env.DB);
       }
 
-      // GET /api/admin/copyright-owner/:id
-      if (path.match(/^\/api\/admin\/copyright-owner\/\d+$/) && method === 'GET') {
-        const id = path.split('/').pop();
-        return await handleAdminGetCopyrightOwner(id, env.DB);
+      // GET /api/hymn/:collection/:number — Song by hymn number (code or slug)
+      if (path.startsWith('/api/hymn/') && method === 'GET') {
+        const [collection, number] = path.replace('/api/hymn/', '').split('/');
+        return await handleGetHymn(decodeURIComponent(collection || ''), number, env.DB);
       }
 
-      // PUT /api/admin/copyright-owner/:id
-      if (path.match(/^\/api\/admin\/copyright-owner\/\d+$/) && method === 'PUT') {
-        const id = path.split('/').pop();
-        return await handleAdminUpdateCopyrightOwner(id, request, env.DB);
-      }
+      // ─── Setlist API Routes ────────────────────────────
 
-      // DELETE /api/admin/copyright-owner/:id
-      if (path.match(/^\/api\/admin\/copyright-owner\/\d+$/) && method === 'DELETE') {
-        const id = path.split('/').pop();
-        return await handleAdminDeleteCopyrightOwner(id, env.DB);
+      // POST /api/setlists — Share a setlist without signing in (returns its edit token)
+      if (path === '/api/setlists' && method === 'POST') {
+        return await handleCreateSetlist(request, env.DB);
       }
 
-      // ─── Report API Routes ─────────────────────────────
-
-      // POST /api/report — Submit error report
-      if (path === '/api/report' && method === 'POST') {
-        return await handleCreateReport(request, env.DB, env);
+      // GET /api/setlist/:code — Shared setlist with its songs in order
+      if (path.startsWith('/api/setlist/') && method === 'GET') {
+        return await handleGetSetlist(path.replace('/api/setlist/', '').trim(), env.DB);
       }
 
-      // GET /api/admin/reports — List all reports
-      if (path === '/api/admin/reports' && method === 'GET') {
-        return await handleGetReports(env.DB);
+      // PUT /api/setlist/:code — Update a shared setlist (X-Setlist-Token)
+      if (path.startsWith('/api/setlist/') && method === 'PUT') {
+        return await handleUpdateSetlist(path.replace('/api/setlist/', '').trim(), request, env.DB);
       }
 
-      // PUT /api/admin/report/:id — Update report status
-      if (path.match(/^\/api\/admin\/report\/\d+$/) && method === 'PUT') {
-        const id = path.split('/').pop();
-        return await handleUpdateReportStatus(id, request, env.DB);
+      // DELETE /api/setlist/:code — Delete a shared setlist (X-Setlist-Token)
+      if (path.startsWith('/api/setlist/') && method === 'DELETE') {
+        return await handleDeleteSetlist(path.replace('/api/setlist/', '').trim(), request, env.DB);
       }
 
-      // DELETE /api/admin/report/:id — Delete report
-      if (path.match(/^\/api\/admin\/report\/\d+$/) && method === 'DELETE') {
-        const id = path.split('/').pop();
-        return await handleDeleteReport(id, env.DB);
+      // ─── Report API Routes ─────────────────────────────
+
+      // POST /api/report — Submit error report
+      if (path === '/api/report' && method === 'POST') {
+        return await handleCreateReport(request, env.DB, env);
       }
 
       // ─── Contact API Route ─────────────────────────────
@@ -314,24 +302,41 @@ export default {
         return await serveAsset(request, env, ctx, '/report.html');
       }
 
-      // Song page (clean URLs): /song/some-slug → serve songview.html
+      // Song page (clean URLs): /song/some-slug → serve songview.html,
+      // filled in from D1 for crawlers and link previews (see ssr.js), as
+      // are the artist, composer and copyright owner pages
       if (path.startsWith('/song/')) {
-        return await serveAsset(request, env, ctx, '/songview.html');
+        return await renderPage(await serveAsset(request, env, ctx, '/songview.html'), url, env.DB);
       }
 
       // Artist page (clean URLs): /artist/some-slug → serve artistview.html
       if (path.startsWith('/artist/')) {
-        return await serveAsset(request, env, ctx, '/artistview.html');
+        return await renderPage(await serveAsset(request, env, ctx, '/artistview.html'), url, env.DB);
       }
 
       // Composer page (clean URLs): /composer/some-slug → serve composerview.html
       if (path.startsWith('/composer/')) {
-        return await serveAsset(request, env, ctx, '/composerview.html');
+        return await renderPage(await serveAsset(request, env, ctx, '/composerview.html'), url, env.DB);
       }
 
       // Copyright owner page: /copyright-owner/some-slug → serve copyrightownerview.html
       if (path.startsWith('/copyright-owner/')) {
-        return await serveAsset(request, env, ctx, '/copyrightownerview.html');
+        return await renderPage(await serveAsset(request, env, ctx, '/copyrightownerview.html'), url, env.DB);
+      }
+
+      // Album page: /album/some-slug → serve albumview.html
+      if (path.startsWith('/album/')) {
+        return await serveAsset(request, env, ctx, '/albumview.html');
+      }
+
+      // Setlists: /setlists (your lists) and /set/some-code (a shared one)
+      if (path === '/setlists' || path.startsWith('/set/')) {
+        return await serveAsset(request, env, ctx, '/setlists.html');
+      }
+
+      // My Library: favorites and recently viewed songs (kept in the browser)
+      if (path === '/library') {
+        return await serveAsset(request, env, ctx, '/library.html');
       }
 
       // Try to serve the static asset directly
@@ -350,6 +355,320 @@ export default {
   },
 };
 
+/**
+ * Admin API router. Every /api/admin/* request passes through here:
+ * only the login route is reachable without a valid session cookie.
+ */
+async function routeAdmin(request, env, path, method) {
+  // Reject cross-site calls from origins we don't know (CSRF guard)
+  if (!isAllowedOrigin(request, env)) {
+    return jsonError('Origin not allowed', 403);
+  }
+
+  // POST /api/admin/login — Exchange username/password for a session cookie
+  if (path === '/api/admin/login' && method === 'POST') {
+    return await handleAdminLogin(request, env.DB);
+  }
+
+  const user = await authenticateRequest(request, env.DB);
+  if (!user) {
+    return jsonError('Authentication required', 401);
+  }
+
+  // ─── Session ───────────────────────────────────────
+
+  // POST /api/admin/logout
+  if (path === '/api/admin/logout' && method === 'POST') {
+    return await handleAdminLogout(request, env.DB);
+  }
+
+  // GET /api/admin/me — Current session user
+  if (path === '/api/admin/me' && method === 'GET') {
+    return handleAdminMe(user);
+  }
+
+  // ─── Songs ─────────────────────────────────────────
+
+  // GET /api/admin/songs (reuse paginated list with higher limit)
+  if (path === '/api/admin/songs' && method === 'GET') {
+    return await handleAdminGetSongs(request, env.DB, user);
+  }
+
+  // POST /api/admin/songs — Create
+  if (path === '/api/admin/songs' && method === 'POST') {
+    return await handleAdminCreateSong(request, env.DB, user, env.MEDIA);
+  }
+
+  // GET /api/admin/song/:id — Get by ID
+  if (path.match(/^\/api\/admin\/song\/\d+$/) && method === 'GET') {
+    const id = path.split('/').pop();
+    return await handleAdminGetSong(id, env.DB, user);
+  }
+
+  // PUT /api/admin/song/:id — Update
+  if (path.match(/^\/api\/admin\/song\/\d+$/) && method === 'PUT') {
+    const id = path.split('/').pop();
+    return await handleAdminUpdateSong(id, request, env.DB, user, env.MEDIA);
+  }
+
+  // DELETE /api/admin/song/:id — Delete
+  if (path.match(/^\/api\/admin\/song\/\d+$/) && method === 'DELETE') {
+    const id = path.split('/').pop();
+    return await handleAdminDeleteSong(id, env.DB, user, env.MEDIA);
+  }
+
+  // GET /api/admin/song/:id/revisions — Revision list (newest first, no lyrics)
+  if (path.match(/^\/api\/admin\/song\/\d+\/revisions$/) && method === 'GET') {
+    const id = path.split('/')[4];
+    return await handleAdminGetSongRevisions(id, env.DB, user);
+  }
+
+  // GET /api/admin/song/:id/revision/:rev — Full revision
+  if (path.match(/^\/api\/admin\/song\/\d+\/revision\/\d+$/) && method === 'GET') {
+    const [, , , , id, , rev] = path.split('/');
+    return await handleAdminGetSongRevision(id, rev, env.DB, user);
+  }
+
+  // POST /api/admin/song/:id/revision/:rev/restore — Restore as a new revision
+  if (path.match(/^\/api\/admin\/song\/\d+\/revision\/\d+\/restore$/) && method === 'POST') {
+    const [, , , , id, , rev] = path.split('/');
+    return await handleAdminRestoreSongRevision(id, rev, env.DB, user);
+  }
+
+  // POST /api/admin/media — Upload an audio recording (raw file body)
+  if (path === '/api/admin/media' && method === 'POST') {
+    return await handleAdminUploadMedia(request, env.MEDIA, user);
+  }
+
+  // ─── Artists ───────────────────────────────────────
+
+  // GET /api/admin/artists
+  if (path === '/api/admin/artists' && method === 'GET') {
+    return await handleAdminGetArtists(env.DB, user);
+  }
+
+  // POST /api/admin/artists
+  if (path === '/api/admin/artists' && method === 'POST') {
+    return await handleAdminCreateArtist(request, env.DB, user);
+  }
+
+  // GET /api/admin/artist/:id
+  if (path.match(/^\/api\/admin\/artist\/\d+$/) && method === 'GET') {
+    const id = path.split('/').pop();
+    return await handleAdminGetArtist(id, env.DB, user);
+  }
+
+  // PUT /api/admin/artist/:id
+  if (path.match(/^\/api\/admin\/artist\/\d+$/) && method === 'PUT') {
+    const id = path.split('/').pop();
+    return await handleAdminUpdateArtist(id, request, env.DB, user);
+  }
+
+  // DELETE /api/admin/artist/:id
+  if (path.match(/^\/api\/admin\/artist\/\d+$/) && method === 'DELETE') {
+    const id = path.split('/').pop();
+    return await handleAdminDeleteArtist(id, env.DB, user);
+  }
+
+  // ─── Composers ─────────────────────────────────────
+
+  // GET /api/admin/composers
+  if (path === '/api/admin/composers' && method === 'GET') {
+    return await handleAdminGetComposers(env.DB, user);
+  }
+
+  // POST /api/admin/composers
+  if (path === '/api/admin/composers' && method === 'POST') {
+    return await handleAdminCreateComposer(request, env.DB, user);
+  }
+
+  // GET /api/admin/composer/:id
+  if (path.match(/^\/api\/admin\/composer\/\d+$/) && method === 'GET') {
+    const id = path.split('/').pop();
+    return await handleAdminGetComposer(id, env.DB, user);
+  }
+
+  // PUT /api/admin/composer/:id
+  if (path.match(/^\/api\/admin\/composer\/\d+$/) && method === 'PUT') {
+    const id = path.split('/').pop();
+    return await handleAdminUpdateComposer(id, request, env.DB, user);
+  }
+
+  // DELETE /api/admin/composer/:id
+  if (path.match(/^\/api\/admin\/composer\/\d+$/) && method === 'DELETE') {
+    const id = path.split('/').pop();
+    return await handleAdminDeleteComposer(id, env.DB, user);
+  }
+
+  // ─── Copyright Owners ──────────────────────────────
+
+  // GET /api/admin/copyright-owners
+  if (path === '/api/admin/copyright-owners' && method === 'GET') {
+    return await handleAdminGetCopyrightOwners(env.DB, user);
+  }
+
+  // POST /api/admin/copyright-owners
+  if (path === '/api/admin/copyright-owners' && method === 'POST') {
+    return await handleAdminCreateCopyrightOwner(request, env.DB, user);
+  }
+
+  // GET /api/admin/copyright-owner/:id
+  if (path.match(/^\/api\/admin\/copyright-owner\/\d+$/) && method === 'GET') {
+    const id = path.split('/').pop();
+    return await handleAdminGetCopyrightOwner(id, env.DB, user);
+  }
+
+  // PUT /api/admin/copyright-owner/:id
+  if (path.match(/^\/api\/admin\/copyright-owner\/\d+$/) && method === 'PUT') {
+    const id = path.split('/').pop();
+    return await handleAdminUpdateCopyrightOwner(id, request, env.DB, user);
+  }
+
+  // DELETE /api/admin/copyright-owner/:id
+  if (path.match(/^\/api\/admin\/copyright-owner\/\d+$/) && method === 'DELETE') {
+    const id = path.split('/').pop();
+    return await handleAdminDeleteCopyrightOwner(id, env.DB, user);
+  }
+
+  // ─── Albums ────────────────────────────────────────
+
+  // GET /api/admin/albums
+  if (path === '/api/admin/albums' && method === 'GET') {
+    return await handleAdminGetAlbums(env.DB, user);
+  }
+
+  // POST /api/admin/albums
+  if (path === '/api/admin/albums' && method === 'POST') {
+    return await handleAdminCreateAlbum(request, env.DB, user);
+  }
+
+  // GET /api/admin/album/:id
+  if (path.match(/^\/api\/admin\/album\/\d+$/) && method === 'GET') {
+    const id = path.split('/').pop();
+    return await handleAdminGetAlbum(id, env.DB, user);
+  }
+
+  // PUT /api/admin/album/:id
+  if (path.match(/^\/api\/admin\/album\/\d+$/) && method === 'PUT') {
+    const id = path.split('/').pop();
+    return await handleAdminUpdateAlbum(id, request, env.DB, user);
+  }
+
+  // DELETE /api/admin/album/:id
+  if (path.match(/^\/api\/admin\/album\/\d+$/) && method === 'DELETE') {
+    const id = path.split('/').pop();
+    return await handleAdminDeleteAlbum(id, env.DB, user);
+  }
+
+  // ─── Setlists (the signed-in user's own) ───────────
+
+  // GET /api/admin/setlists — Own setlists with their songs
+  if (path === '/api/admin/setlists' && method === 'GET') {
+    return await handleAdminGetSetlists(env.DB, user);
+  }
+
+  // POST /api/admin/setlists
+  if (path === '/api/admin/setlists' && method === 'POST') {
+    return await handleAdminCreateSetlist(request, env.DB, user);
+  }
+
+  // PUT /api/admin/setlist/:code
+  if (path.match(/^\/api\/admin\/setlist\/\w+$/) && method === 'PUT') {
+    const code = path.split('/').pop();
+    return await handleAdminUpdateSetlist(code, request, env.DB, user);
+  }
+
+  // DELETE /api/admin/setlist/:code
+  if (path.match(/^\/api\/admin\/setlist\/\w+$/) && method === 'DELETE') {
+    const code = path.split('/').pop();
+    return await handleAdminDeleteSetlist(code, env.DB, user);
+  }
+
+  // ─── Reports ───────────────────────────────────────
+
+  // GET /api/admin/reports — List all reports
+  if (path === '/api/admin/reports' && method === 'GET') {
+    return await handleGetReports(env.DB, user);
+  }
+
+  // PUT /api/admin/report/:id — Update report status
+  if (path.match(/^\/api\/admin\/report\/\d+$/) && method === 'PUT') {
+    const id = path.split('/').pop();
+    return await handleUpdateReportStatus(id, request, env.DB, user);
+  }
+
+  // DELETE /api/admin/report/:id — Delete report
+  if (path.match(/^\/api\/admin\/report\/\d+$/) && method === 'DELETE') {
+    const id = path.split('/').pop();
+    return await handleDeleteReport(id, env.DB, user);
+  }
+
+  // ─── Users (owners only) ───────────────────────────
+
+  // GET /api/admin/users
+  if (path === '/api/admin/users' && method === 'GET') {
+    return await handleAdminGetUsers(env.DB, user);
+  }
+
+  // POST /api/admin/users
+  if (path === '/api/admin/users' && method === 'POST') {
+    return await handleAdminCreateUser(request, env.DB, user);
+  }
+
+  // PUT /api/admin/user/:id
+  if (path.match(/^\/api\/admin\/user\/\d+$/) && method === 'PUT') {
+    const id = path.split('/').pop();
+    return await handleAdminUpdateUser(id, request, env.DB, user);
+  }
+
+  // DELETE /api/admin/user/:id
+  if (path.match(/^\/api\/admin\/user\/\d+$/) && method === 'DELETE') {
+    const id = path.split('/').pop();
+    return await handleAdminDeleteUser(id, env.DB, user);
+  }
+
+  // ─── Activity ──────────────────────────────────────
+
+  // GET /api/admin/audit?user_id=&entity_type=&entity_id=&from=&to=&page=
+  if (path === '/api/admin/audit' && method === 'GET') {
+    return await handleAdminGetAuditLog(request, env.DB, user);
+  }
+
+  // ─── Search ────────────────────────────────────────
+
+  // POST /api/admin/search/reindex — Rebuild the full-text index
+  if (path === '/api/admin/search/reindex' && method === 'POST') {
+    return await handleAdminReindexSearch(env.DB, user);
+  }
+
+  return jsonError('Not found', 404);
+}
+
+/**
+ * Admin responses carry a session cookie, so they must never be cached
+ * and may only be shared with the allowed front-end origins.
+ */
+function withAdminHeaders(response, request, env) {
+  const res = new Response(response.body, response);
+  const origin = request.headers.get('Origin');
+  if (origin && isAllowedOrigin(request, env)) {
+    res.headers.set('Access-Control-Allow-Origin', origin);
+    res.headers.set('Access-Control-Allow-Credentials', 'true');
+    res.headers.append('Vary', 'Origin');
+  } else {
+    res.headers.delete('Access-Control-Allow-Origin');
+  }
+  res.headers.set('Cache-Control', 'no-store');
+  return res;
+}
+
+function jsonError(message, status) {
+  return new Response(JSON.stringify({ error: message }), {
+    status,
+    headers: { 'Content-Type': 'application/json; charset=utf-8' },
+  });
+}
+
 /**
  * Serve a static file using @cloudflare/kv-asset-handler.
  * Handles caching, ETags, content-type detection, and 404 fallback.
@@ -359,11 +678,13 @@ export default {
  * @param {string} overridePath - Optional path override (e.g., serve song.html for /song/:slug)
  */
 async function serveAsset(request, env, ctx, overridePath = null) {
+  // The service worker must be fetched fresh, or readers miss new versions
+  const isServiceWorker = (overridePath || new URL(request.url).pathname) === '/sw.js';
   const options = {
     ASSET_NAMESPACE: env.__STATIC_CONTENT,
     ASSET_MANIFEST: assetManifest,
     cacheControl: {
-      bypassCache: false,
+      bypassCache: isServiceWorker,
       edgeTTL: 60 * 60 * 24, // 24h at CDN edge
       browserTTL: 60 * 60,    // 1h in browser
     },
@@ -387,6 +708,7 @@ async function serveAsset(request, env, ctx, overridePath = null) {
     headers.headers.set('X-Content-Type-Options', 'nosniff');
     headers.headers.set('X-Frame-Options', 'DENY');
     headers.headers.set('Referrer-Policy', 'strict-origin-when-cross-origin');
+    if (isServiceWorker) headers.headers.set('Cache-Control', 'no-cache');
     return headers;
 
   } catch (e) {